@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Scenario Builder CLI
+ *
+ * Generates scenarios from a file of user stories without starting the
+ * server, using the configured AI provider (see AI_PROVIDER):
+ *
+ *   scenario-builder generate -i stories.txt -o out/ [-c 4]
+ *
+ * The input has one description per line; blank lines and lines starting
+ * with # are skipped. Files of any length are generated in batches of
+ * MAX_BATCH_SIZE. Every scenario is written as <n>-<slug>.json (the
+ * complete result), <n>-<slug>.mmd (the flowchart) and
+ * <n>-<slug>.schema.json (the data model).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { MAX_BATCH_SIZE, generateBatch } = require('../src/services/batchService');
+const { slugify } = require('../src/exporters/naming');
+
+const USAGE = `Usage: scenario-builder generate -i <stories.txt> -o <dir> [-c <concurrency>]
+
+Options:
+  -i, --input        File with one scenario description per line
+  -o, --output       Directory to write the scenarios to (created if missing)
+  -c, --concurrency  Generations in flight (default 4, at most 10)
+  -h, --help         Show this help`;
+
+const OPTIONS = {
+  '-i': 'input',
+  '--input': 'input',
+  '-o': 'output',
+  '--output': 'output',
+  '-c': 'concurrency',
+  '--concurrency': 'concurrency'
+};
+
+/**
+ * Parse command-line arguments
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{ command?: string, input?: string, output?: string, concurrency?: number, help: boolean }}
+ * @throws {Error} On unknown options or missing values
+ */
+function parseArgs(argv) {
+  const args = { help: false };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (OPTIONS[arg]) {
+      const value = argv[++index];
+      if (value === undefined) throw new Error(`Missing value for ${arg}`);
+      args[OPTIONS[arg]] = value;
+    } else if (!arg.startsWith('-') && !args.command) {
+      args.command = arg;
+    } else {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+  }
+
+  if (args.concurrency !== undefined) {
+    args.concurrency = Number(args.concurrency);
+  }
+  return args;
+}
+
+/**
+ * Read the descriptions of a stories file
+ * @param {string} text - File content
+ * @returns {Array<string>} Non-empty lines that are not comments
+ */
+function readDescriptions(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Write the files of one generated scenario
+ *
+ * @param {string} directory - Output directory
+ * @param {string} baseName - File name without extension
+ * @param {Object} scenario - Result of generateWorkflow
+ * @returns {Promise<void>}
+ */
+async function writeScenario(directory, baseName, scenario) {
+  const files = [
+    [`${baseName}.json`, JSON.stringify(scenario, null, 2)],
+    [`${baseName}.mmd`, scenario.mermaid_diagram],
+    [`${baseName}.schema.json`, JSON.stringify(scenario.data_model, null, 2)]
+  ];
+
+  await Promise.all(files.map(([name, content]) => fs.writeFile(path.join(directory, name), `${content}\n`)));
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} [io] - Output streams
+ * @param {Object} [io.stdout=process.stdout]
+ * @param {Object} [io.stderr=process.stderr]
+ * @returns {Promise<number>} Exit code: 0 when every scenario was generated, 1 when some failed, 2 on usage errors
+ */
+async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (args.command !== 'generate' || !args.input || !args.output) {
+    stderr.write(`${USAGE}\n`);
+    return 2;
+  }
+
+  let descriptions;
+  try {
+    descriptions = readDescriptions(await fs.readFile(args.input, 'utf8'));
+  } catch (error) {
+    stderr.write(`Cannot read ${args.input}: ${error.message}\n`);
+    return 2;
+  }
+  if (descriptions.length === 0) {
+    stderr.write(`${args.input} has no scenario descriptions\n`);
+    return 2;
+  }
+
+  await fs.mkdir(args.output, { recursive: true });
+  const width = String(descriptions.length).length;
+
+  let succeeded = 0;
+  for (let offset = 0; offset < descriptions.length; offset += MAX_BATCH_SIZE) {
+    let batch;
+    try {
+      batch = await generateBatch(descriptions.slice(offset, offset + MAX_BATCH_SIZE), { concurrency: args.concurrency });
+    } catch (error) {
+      const problems = error.details?.problems?.map(problem => `  ${problem.path}: ${problem.message}`) || [];
+      stderr.write([error.message, ...problems].join('\n') + '\n');
+      return 2;
+    }
+
+    for (const result of batch.results) {
+      const baseName = `${String(offset + result.index + 1).padStart(width, '0')}-${slugify(result.description, 'scenario')}`;
+      if (result.success) {
+        await writeScenario(args.output, baseName, result.data);
+        stdout.write(`✓ ${baseName} (${result.data.workflow.length} steps)\n`);
+      } else {
+        stderr.write(`✗ ${baseName}: ${result.error.message}\n`);
+      }
+    }
+    succeeded += batch.succeeded;
+  }
+
+  stdout.write(`${succeeded} of ${descriptions.length} scenarios written to ${args.output}\n`);
+  return succeeded < descriptions.length ? 1 : 0;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      process.stderr.write(`${error.stack || error.message}\n`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  parseArgs,
+  readDescriptions,
+  run
+};
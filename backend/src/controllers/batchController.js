@@ -0,0 +1,77 @@
+/**
+ * Batch Controller
+ *
+ * Handles HTTP requests for generating many scenarios at once, either
+ * in a single request or as a background job that is polled for status.
+ * Delegates to the batch service.
+ */
+
+const batchService = require('../services/batchService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Generate a batch of scenarios
+ *
+ * Answers 200 with every item's result, or 202 with the job status when
+ * `async` is true; the Location header points at the job.
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function generateBatch(req, res) {
+  try {
+    const { descriptions, concurrency, async: runAsync } = req.body || {};
+
+    if (runAsync !== undefined && typeof runAsync !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'async must be true or false when provided'
+      });
+    }
+
+    if (runAsync) {
+      const job = batchService.startBatchJob(descriptions, { concurrency });
+      return res.status(202)
+        .location(`${req.baseUrl}/scenarios/batch/${job.id}`)
+        .json({ success: true, data: job });
+    }
+
+    const result = await batchService.generateBatch(descriptions, { concurrency });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error generating batch:', error);
+    sendError(res, error, {
+      error: 'Batch failed',
+      message: 'An error occurred while generating the batch'
+    });
+  }
+}
+
+/**
+ * Get the status and finished results of a batch job
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+function getBatchJob(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: batchService.getBatchJob(req.params.id)
+    });
+  } catch (error) {
+    sendError(res, error, {
+      error: 'Batch lookup failed',
+      message: 'An error occurred while reading the batch job'
+    });
+  }
+}
+
+module.exports = {
+  generateBatch,
+  getBatchJob
+};
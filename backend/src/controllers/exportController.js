@@ -0,0 +1,118 @@
+/**
+ * Export Controller
+ *
+ * Handles HTTP requests for downloading a scenario in another format
+ * (SQL DDL, Prisma schema, TypeScript types, BPMN, ...).
+ * Delegates to the exporter registry.
+ */
+
+const scenarioService = require('../services/scenarioService');
+const { listExporters, getExporter, exportScenario } = require('../exporters');
+const { generateOpenAPI } = require('../exporters/openapiExporter');
+const { assertValidDataModel } = require('../utils/dataModelValidator');
+const { sendError, ValidationError } = require('../utils/errors');
+
+/**
+ * Send an exported file as a download
+ * @param {Response} res - Express response object
+ * @param {Object} file - { filename, mimeType, content }
+ */
+function sendFile(res, file) {
+  // Binary formats such as zip archives have no charset
+  res.setHeader('Content-Type', typeof file.content === 'string' ? `${file.mimeType}; charset=utf-8` : file.mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.send(file.content);
+}
+
+/**
+ * List the available export formats
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+function listFormats(req, res) {
+  res.json({ success: true, data: listExporters() });
+}
+
+/**
+ * Export scenario content sent in the request body
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+function exportContent(req, res) {
+  try {
+    const { data_model: dataModel, workflow, title, summary } = req.body || {};
+    const { requires } = getExporter(req.params.format);
+
+    if (requires === 'data_model' && (!dataModel || typeof dataModel !== 'object' || typeof dataModel.entities !== 'object')) {
+      throw new ValidationError('A data model with entities is required', [
+        { path: '$.data_model.entities', message: 'Is required' }
+      ]);
+    }
+    if (requires === 'workflow' && (!Array.isArray(workflow) || workflow.length === 0)) {
+      throw new ValidationError('A workflow with steps is required', [
+        { path: '$.workflow', message: 'Is required' }
+      ]);
+    }
+
+    sendFile(res, exportScenario(req.params.format, {
+      title,
+      summary,
+      workflow: workflow || [],
+      // Exporters trust the data model, so malformed entities get a 422 here
+      data_model: dataModel === undefined ? { entities: {}, relationships: [] } : assertValidDataModel(dataModel)
+    }));
+  } catch (error) {
+    console.error('Error exporting scenario:', error);
+    sendError(res, error, {
+      error: 'Export failed',
+      message: 'An error occurred while exporting the scenario'
+    });
+  }
+}
+
+/**
+ * Export a saved scenario
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function exportSavedScenario(req, res) {
+  try {
+    const scenario = await scenarioService.getScenario(req.params.id);
+    sendFile(res, exportScenario(req.params.format, scenario));
+  } catch (error) {
+    console.error('Error exporting scenario:', error);
+    sendError(res, error, {
+      error: 'Export failed',
+      message: 'An error occurred while exporting the scenario'
+    });
+  }
+}
+
+/**
+ * Return the OpenAPI document of a saved scenario
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function getOpenAPI(req, res) {
+  try {
+    const scenario = await scenarioService.getScenario(req.params.id);
+    res.json(generateOpenAPI(scenario));
+  } catch (error) {
+    console.error('Error generating OpenAPI document:', error);
+    sendError(res, error, {
+      error: 'Export failed',
+      message: 'An error occurred while generating the OpenAPI document'
+    });
+  }
+}
+
+module.exports = {
+  listFormats,
+  exportContent,
+  exportSavedScenario,
+  getOpenAPI
+};
@@ -0,0 +1,57 @@
+/**
+ * Import Controller
+ *
+ * Handles HTTP requests for importing existing diagrams
+ * (Mermaid flowcharts, BPMN files) as scenarios.
+ * Delegates to the import service.
+ */
+
+const importService = require('../services/importService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Import a Mermaid flowchart or BPMN file
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+function importDiagram(req, res) {
+  try {
+    const { content, format, title } = req.body || {};
+
+    if (!content || typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Please provide the Mermaid flowchart or BPMN XML to import'
+      });
+    }
+
+    if (format !== undefined && typeof format !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'format must be "mermaid" or "bpmn" when provided'
+      });
+    }
+
+    const result = importService.importScenario({
+      content,
+      format,
+      title: typeof title === 'string' ? title : undefined
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error importing diagram:', error);
+    sendError(res, error, {
+      error: 'Import failed',
+      message: 'An error occurred while importing the diagram'
+    });
+  }
+}
+
+module.exports = {
+  importDiagram
+};
@@ -0,0 +1,188 @@
+/**
+ * Library Controller
+ *
+ * Handles HTTP requests for the saved scenario library.
+ * Delegates storage and validation to the scenario service.
+ */
+
+const scenarioService = require('../services/scenarioService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Save a generated scenario
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function createScenario(req, res) {
+  try {
+    const scenario = await scenarioService.createScenario(req.body || {});
+    res.status(201).json({ success: true, data: scenario });
+  } catch (error) {
+    console.error('Error saving scenario:', error);
+    sendError(res, error, {
+      error: 'Save failed',
+      message: 'An error occurred while saving the scenario'
+    });
+  }
+}
+
+/**
+ * List saved scenarios (?page, ?limit, ?q)
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function listScenarios(req, res) {
+  try {
+    const result = await scenarioService.listScenarios(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error listing scenarios:', error);
+    sendError(res, error, {
+      error: 'List failed',
+      message: 'An error occurred while listing scenarios'
+    });
+  }
+}
+
+/**
+ * Get a saved scenario by id
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function getScenario(req, res) {
+  try {
+    const scenario = await scenarioService.getScenario(req.params.id);
+    res.json({ success: true, data: scenario });
+  } catch (error) {
+    sendError(res, error, {
+      error: 'Load failed',
+      message: 'An error occurred while loading the scenario'
+    });
+  }
+}
+
+/**
+ * Update a saved scenario
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function updateScenario(req, res) {
+  try {
+    const scenario = await scenarioService.updateScenario(req.params.id, req.body || {});
+    res.json({ success: true, data: scenario });
+  } catch (error) {
+    console.error('Error updating scenario:', error);
+    sendError(res, error, {
+      error: 'Update failed',
+      message: 'An error occurred while updating the scenario'
+    });
+  }
+}
+
+/**
+ * Delete a saved scenario
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function deleteScenario(req, res) {
+  try {
+    await scenarioService.deleteScenario(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, {
+      error: 'Delete failed',
+      message: 'An error occurred while deleting the scenario'
+    });
+  }
+}
+
+/**
+ * List the versions of a saved scenario
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function listVersions(req, res) {
+  try {
+    const versions = await scenarioService.listVersions(req.params.id);
+    res.json({ success: true, data: versions });
+  } catch (error) {
+    sendError(res, error, {
+      error: 'Load failed',
+      message: 'An error occurred while loading the version history'
+    });
+  }
+}
+
+/**
+ * Get one version of a saved scenario
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function getVersion(req, res) {
+  try {
+    const version = await scenarioService.getVersion(req.params.id, req.params.version);
+    res.json({ success: true, data: version });
+  } catch (error) {
+    sendError(res, error, {
+      error: 'Load failed',
+      message: 'An error occurred while loading the version'
+    });
+  }
+}
+
+/**
+ * Diff two versions of a saved scenario (?from, ?to)
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function diffVersions(req, res) {
+  try {
+    const diff = await scenarioService.diffVersions(req.params.id, req.query);
+    res.json({ success: true, data: diff });
+  } catch (error) {
+    console.error('Error diffing versions:', error);
+    sendError(res, error, {
+      error: 'Diff failed',
+      message: 'An error occurred while comparing versions'
+    });
+  }
+}
+
+/**
+ * Dry-run the workflow of a saved scenario
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function simulateScenario(req, res) {
+  try {
+    const report = await scenarioService.simulateScenario(req.params.id, req.body || {});
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error simulating scenario:', error);
+    sendError(res, error, {
+      error: 'Simulation failed',
+      message: 'An error occurred while simulating the workflow'
+    });
+  }
+}
+
+module.exports = {
+  createScenario,
+  listScenarios,
+  getScenario,
+  updateScenario,
+  deleteScenario,
+  listVersions,
+  getVersion,
+  diffVersions,
+  simulateScenario
+};
@@ -1,11 +1,37 @@
 /**
  * Scenario Controller
  * 
- * Handles HTTP requests for scenario generation.
+ * Handles HTTP requests for scenario generation and refinement.
  * Validates input and delegates to the workflow service.
  */
 
 const workflowService = require('../services/workflowService');
+const scenarioService = require('../services/scenarioService');
+const { describeError, sendError, ValidationError } = require('../utils/errors');
+const { openEventStream } = require('../utils/sse');
+
+/**
+ * Check a scenario description
+ * @param {*} description - Description from the request
+ * @returns {Object|null} 400 response body, or null when the description is usable
+ */
+function checkDescription(description) {
+  if (!description || typeof description !== 'string') {
+    return {
+      error: 'Invalid input',
+      message: 'Please provide a valid scenario description'
+    };
+  }
+
+  if (description.trim().length < 10) {
+    return {
+      error: 'Description too short',
+      message: 'Please provide a more detailed scenario description (at least 10 characters)'
+    };
+  }
+
+  return null;
+}
 
 /**
  * Generate a complete scenario breakdown
@@ -18,38 +44,177 @@ async function generateScenario(req, res) {
     // Extract and validate input
     const { description } = req.body;
 
-    if (!description || typeof description !== 'string') {
+    const invalid = checkDescription(description);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    // Generate the scenario using the workflow service
+    const result = await workflowService.generateWorkflow(description.trim(), { requestId: req.id });
+
+    // Return successful response
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error(`Error generating scenario (request ${req.id}):`, error);
+    sendError(res, error, {
+      error: 'Generation failed',
+      message: 'An error occurred while generating the scenario'
+    });
+  }
+}
+
+/**
+ * Generate a scenario as a stream of Server-Sent Events
+ *
+ * Emits `analysis`, one `step` per workflow step, `diagram`, `data_model`
+ * and `summary` as the stages complete, then `done` with the same data as
+ * POST /api/scenario, or `error` with the usual error body.
+ * Invalid input is answered with a plain 400 before the stream opens.
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function streamScenario(req, res) {
+  // EventSource can only send GET requests, so the description may come from the query
+  const description = req.method === 'GET' ? req.query.description : req.body?.description;
+
+  const invalid = checkDescription(description);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  const stream = openEventStream(res);
+
+  try {
+    const result = await workflowService.generateWorkflow(description.trim(), {
+      requestId: req.id,
+      onEvent: stream.send
+    });
+    stream.send('done', result);
+  } catch (error) {
+    console.error(`Error streaming scenario (request ${req.id}):`, error);
+    stream.send('error', describeError(error, {
+      error: 'Generation failed',
+      message: 'An error occurred while generating the scenario'
+    }).body);
+  } finally {
+    stream.close();
+  }
+}
+
+/**
+ * Re-derive the diagrams and data model of a hand-edited workflow
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+function deriveScenario(req, res) {
+  try {
+    const { workflow, description, summary, data_model: dataModel } = req.body || {};
+
+    if (!Array.isArray(workflow)) {
       return res.status(400).json({
         error: 'Invalid input',
-        message: 'Please provide a valid scenario description'
+        message: 'Please provide the workflow as an array of steps'
       });
     }
 
-    if (description.trim().length < 10) {
+    if ((description !== undefined && typeof description !== 'string')
+      || (summary !== undefined && typeof summary !== 'string')) {
       return res.status(400).json({
-        error: 'Description too short',
-        message: 'Please provide a more detailed scenario description (at least 10 characters)'
+        error: 'Invalid input',
+        message: 'description and summary must be strings when provided'
       });
     }
 
-    // Generate the scenario using the workflow service
-    const result = await workflowService.generateWorkflow(description.trim());
+    if (dataModel !== undefined && (typeof dataModel !== 'object' || dataModel === null || Array.isArray(dataModel))) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'data_model must be an object when provided'
+      });
+    }
 
-    // Return successful response
     res.json({
       success: true,
-      data: result
+      data: workflowService.deriveWorkflow(workflow, { description, summary, dataModel })
+    });
+  } catch (error) {
+    console.error('Error deriving scenario:', error);
+    sendError(res, error, {
+      error: 'Derivation failed',
+      message: 'An error occurred while updating the diagram and data model'
+    });
+  }
+}
+
+/**
+ * Refine a saved scenario with a plain-English instruction
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+async function refineScenario(req, res) {
+  try {
+    const { instruction, workflow } = req.body || {};
+
+    if (!instruction || typeof instruction !== 'string' || instruction.trim() === '') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Please describe the change to make, e.g. "add a fraud check before payment"'
+      });
+    }
+
+    if (workflow !== undefined && !Array.isArray(workflow)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'workflow must be an array of steps when provided'
+      });
+    }
+
+    // An empty list would otherwise replace the saved steps with nothing to refine
+    if (Array.isArray(workflow) && workflow.length === 0) {
+      throw new ValidationError('The workflow to refine has no steps', [
+        { path: '$.workflow', message: 'Expected at least one step' }
+      ]);
+    }
+
+    const { scenario, changes } = await scenarioService.refineScenario(req.params.id, {
+      instruction: instruction.trim(),
+      workflow
+    });
+
+    res.json({
+      success: true,
+      data: {
+        workflow: scenario.workflow,
+        mermaid_diagram: scenario.mermaid_diagram,
+        data_model: scenario.data_model,
+        data_model_lint: scenario.data_model_lint,
+        analysis_report: scenario.analysis_report,
+        summary: scenario.summary,
+        diagrams: scenario.diagrams,
+        changes,
+        id: scenario.id,
+        version: scenario.current_version
+      }
     });
 
   } catch (error) {
-    console.error('Error generating scenario:', error);
-    res.status(500).json({
-      error: 'Generation failed',
-      message: 'An error occurred while generating the scenario'
+    console.error('Error refining scenario:', error);
+    sendError(res, error, {
+      error: 'Refinement failed',
+      message: 'An error occurred while refining the scenario'
     });
   }
 }
 
 module.exports = {
-  generateScenario
+  generateScenario,
+  streamScenario,
+  deriveScenario,
+  refineScenario
 };
@@ -0,0 +1,31 @@
+/**
+ * Template Controller
+ *
+ * Handles HTTP requests for the scenario templates the mock provider
+ * knows: the built-in scenario types and the loaded template packs.
+ */
+
+const { listScenarioTypes } = require('../utils/mockAI');
+const { getTemplatePacks } = require('../templatePacks');
+
+/**
+ * List the scenario templates, with the pack files that failed to load
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+function listTemplates(req, res) {
+  const { directory, errors } = getTemplatePacks();
+  res.json({
+    success: true,
+    data: {
+      templates: listScenarioTypes(),
+      packs_directory: directory,
+      errors
+    }
+  });
+}
+
+module.exports = {
+  listTemplates
+};
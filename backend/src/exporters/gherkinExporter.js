@@ -0,0 +1,161 @@
+/**
+ * Gherkin Exporter
+ *
+ * Writes a workflow as a Gherkin .feature file, a starting test suite
+ * for QA: one scenario per path through the decision branches (see
+ * enumeratePaths in ../utils/workflowSimulator.js), with every step of
+ * the path as a Given, When or Then line depending on its type.
+ *
+ * The first step sets the context (Given), what users and the system do
+ * are actions (When), and what can be observed afterwards, such as checks,
+ * saved records and notifications, are outcomes (Then). A decision
+ * becomes the outcome its branch stands for. Repeated keywords are
+ * written as And.
+ */
+
+const { enumeratePaths } = require('../utils/workflowSimulator');
+
+// Gherkin keyword per step type; types not listed are actions (When)
+const KEYWORDS = {
+  trigger: 'Given',
+  system_check: 'Then',
+  database_write: 'Then',
+  display: 'Then',
+  notification: 'Then',
+  logging: 'Then',
+  decision: 'Then',
+  conditional: 'Then',
+  end: 'Then'
+};
+
+// What a notification step sends, by the first channel its text mentions
+const CHANNELS = [
+  { pattern: /\be-?mail/i, phrase: 'an email is sent' },
+  { pattern: /\b(sms|text message)/i, phrase: 'an SMS is sent' },
+  { pattern: /\bpush\b/i, phrase: 'a push notification is sent' },
+  { pattern: /\bslack\b/i, phrase: 'a Slack message is sent' }
+];
+
+/**
+ * Collapse text onto one line
+ * @param {string} text - Any text
+ * @returns {string} Text without line breaks
+ */
+function collapse(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Make text fit on one Gherkin line
+ * @param {string} text - Any text
+ * @returns {string} Text without line breaks or a trailing full stop
+ */
+function toLine(text) {
+  return collapse(text).replace(/\.$/, '');
+}
+
+/**
+ * Lower-case the first letter so the text reads on from a keyword,
+ * unless the first word is an acronym such as "SMS"
+ * @param {string} text - Step text
+ * @returns {string} Text
+ */
+function continueSentence(text) {
+  return /^[A-Z][a-z]/.test(text) ? `${text[0].toLowerCase()}${text.slice(1)}` : text;
+}
+
+/**
+ * Write the text of a step line
+ *
+ * @param {Object} step - Workflow step
+ * @param {Object} [choice] - Branch the path took when the step is a decision
+ * @param {Map<number, Object>} steps - Steps by id
+ * @returns {string} Step text, without its keyword
+ */
+function stepText(step, choice, steps) {
+  const description = continueSentence(toLine(step.description) || toLine(step.name));
+
+  if (choice) {
+    const outcome = choice.label || steps.get(choice.to)?.name || `step ${choice.to}`;
+    return `the "${toLine(step.name)}" outcome is "${toLine(outcome)}"`;
+  }
+  if (step.type === 'notification') {
+    const channel = CHANNELS.find(({ pattern }) => pattern.test(`${step.name} ${step.description || ''}`));
+    return `${channel ? channel.phrase : 'a notification is sent'}: ${description}`;
+  }
+  return description;
+}
+
+/**
+ * Name a scenario after the branches its path took
+ * @param {Object} path - Path from enumeratePaths
+ * @param {Map<number, Object>} steps - Steps by id
+ * @returns {string} Scenario name
+ */
+function scenarioName(path, steps) {
+  if (path.choices.length === 0) return 'Main path';
+  return path.choices
+    .map(choice => `${toLine(steps.get(choice.step).name)}: ${toLine(choice.label || steps.get(choice.to)?.name)}`)
+    .join(', then ');
+}
+
+/**
+ * Write the lines of one scenario
+ *
+ * @param {Object} path - Path from enumeratePaths
+ * @param {Map<number, Object>} steps - Steps by id
+ * @returns {Array<string>} Indented lines
+ */
+function scenarioLines(path, steps) {
+  const lines = [];
+  if (path.outcome === 'step_limit') {
+    lines.push('  # The path loops back to a decision whose branches it has all taken, so it stops there');
+  }
+  lines.push(`  Scenario: ${scenarioName(path, steps)}`);
+
+  let previous = null;
+  let choiceIndex = 0;
+  path.path.forEach((id, index) => {
+    const step = steps.get(id);
+    const choice = path.choices[choiceIndex]?.step === id ? path.choices[choiceIndex++] : undefined;
+    const keyword = index === 0 ? 'Given' : KEYWORDS[step.type] || 'When';
+
+    lines.push(`    ${keyword === previous ? 'And' : keyword} ${stepText(step, choice, steps)}`);
+    previous = keyword;
+  });
+
+  return lines;
+}
+
+/**
+ * Generate a Gherkin feature from a workflow
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {Object} [options]
+ * @param {string} [options.title] - Feature name
+ * @param {string} [options.summary] - Feature description
+ * @returns {string} .feature file contents
+ */
+function generateGherkin(workflow, { title, summary } = {}) {
+  const steps = new Map(workflow.map(step => [step.id, step]));
+  const { paths, truncated } = enumeratePaths(workflow);
+
+  const lines = [`Feature: ${toLine(title) || 'Scenario'}`];
+  if (summary) {
+    // One sentence per line keeps the description readable
+    collapse(summary).split(/(?<=\.)\s+/).forEach(sentence => lines.push(`  ${sentence}`));
+  }
+  if (truncated) {
+    lines.push('', `  # Only the first ${paths.length} paths through the decisions are listed`);
+  }
+
+  paths.forEach(path => {
+    lines.push('', ...scenarioLines(path, steps));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  generateGherkin
+};
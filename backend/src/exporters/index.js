@@ -0,0 +1,145 @@
+/**
+ * Exporter Registry
+ *
+ * Every export format is registered here with the same shape:
+ *
+ *   {
+ *     id: string,          // used in URLs, e.g. "postgresql"
+ *     label: string,       // shown on download buttons
+ *     extension: string,   // appended to the file name
+ *     mimeType: string,
+ *     requires: string,    // the scenario field the format is built from
+ *     generate(scenario) => string | Buffer
+ *   }
+ *
+ * where `scenario` is { title, summary, workflow, data_model }.
+ */
+
+const { generateSQL } = require('./sqlExporter');
+const { generatePrismaSchema } = require('./prismaExporter');
+const { generateTypeScript, generateZod } = require('./typescriptExporter');
+const { generateOpenAPI } = require('./openapiExporter');
+const { generateBPMN } = require('../utils/bpmnGenerator');
+const { generateGherkin } = require('./gherkinExporter');
+const { generateScaffoldZip } = require('./scaffoldExporter');
+const { slugify } = require('./naming');
+const { NotFoundError } = require('../utils/errors');
+
+const EXPORTERS = [
+  {
+    id: 'postgresql',
+    label: 'PostgreSQL DDL',
+    extension: 'postgresql.sql',
+    mimeType: 'application/sql',
+    requires: 'data_model',
+    generate: scenario => generateSQL(scenario.data_model, 'postgresql')
+  },
+  {
+    id: 'sqlite',
+    label: 'SQLite DDL',
+    extension: 'sqlite.sql',
+    mimeType: 'application/sql',
+    requires: 'data_model',
+    generate: scenario => generateSQL(scenario.data_model, 'sqlite')
+  },
+  {
+    id: 'prisma',
+    label: 'Prisma schema',
+    extension: 'prisma',
+    mimeType: 'text/plain',
+    requires: 'data_model',
+    generate: scenario => generatePrismaSchema(scenario.data_model)
+  },
+  {
+    id: 'typescript',
+    label: 'TypeScript interfaces',
+    extension: 'types.ts',
+    mimeType: 'text/typescript',
+    requires: 'data_model',
+    generate: scenario => generateTypeScript(scenario.data_model)
+  },
+  {
+    id: 'zod',
+    label: 'Zod schemas',
+    extension: 'schemas.ts',
+    mimeType: 'text/typescript',
+    requires: 'data_model',
+    generate: scenario => generateZod(scenario.data_model)
+  },
+  {
+    id: 'openapi',
+    label: 'OpenAPI 3.1',
+    extension: 'openapi.json',
+    mimeType: 'application/json',
+    requires: 'data_model',
+    generate: scenario => `${JSON.stringify(generateOpenAPI(scenario), null, 2)}\n`
+  },
+  {
+    id: 'bpmn',
+    label: 'BPMN 2.0',
+    extension: 'bpmn',
+    mimeType: 'application/xml',
+    requires: 'workflow',
+    generate: scenario => generateBPMN(scenario.workflow, { name: scenario.title || 'Scenario' })
+  },
+  {
+    id: 'gherkin',
+    label: 'Gherkin feature',
+    extension: 'feature',
+    mimeType: 'text/plain',
+    requires: 'workflow',
+    generate: scenario => generateGherkin(scenario.workflow, { title: scenario.title, summary: scenario.summary })
+  },
+  {
+    id: 'scaffold',
+    label: 'Code scaffold',
+    extension: 'scaffold.zip',
+    mimeType: 'application/zip',
+    requires: 'data_model',
+    generate: generateScaffoldZip
+  }
+];
+
+/**
+ * List the available export formats
+ * @returns {Array<{ id, label, extension, mimeType, requires }>} Formats without their generators
+ */
+function listExporters() {
+  return EXPORTERS.map(({ id, label, extension, mimeType, requires }) => ({ id, label, extension, mimeType, requires }));
+}
+
+/**
+ * Find an exporter by id
+ * @param {string} id - Format id
+ * @returns {Object} Exporter
+ * @throws {NotFoundError} When the format is unknown
+ */
+function getExporter(id) {
+  const exporter = EXPORTERS.find(candidate => candidate.id === id);
+  if (!exporter) {
+    throw new NotFoundError(`Unknown export format "${id}". Expected one of: ${EXPORTERS.map(entry => entry.id).join(', ')}`);
+  }
+  return exporter;
+}
+
+/**
+ * Export a scenario in one format
+ *
+ * @param {string} format - Format id
+ * @param {Object} scenario - { title, summary, workflow, data_model }
+ * @returns {{ filename: string, mimeType: string, content: string|Buffer }}
+ */
+function exportScenario(format, scenario) {
+  const exporter = getExporter(format);
+  return {
+    filename: `${slugify(scenario.title, 'scenario')}.${exporter.extension}`,
+    mimeType: exporter.mimeType,
+    content: exporter.generate(scenario)
+  };
+}
+
+module.exports = {
+  listExporters,
+  getExporter,
+  exportScenario
+};
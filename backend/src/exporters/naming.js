@@ -0,0 +1,113 @@
+/**
+ * Naming Helpers
+ *
+ * Case conversion and pluralization shared by the exporters, so that
+ * an entity gets the same table, field and type names in every format.
+ */
+
+/**
+ * Split a name into lower-case words ("OrderItem", "order_item" -> ["order", "item"])
+ * @param {string} name - Name in any case style
+ * @returns {Array<string>} Words
+ */
+function splitWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} name - Name in any case style
+ * @returns {string} snake_case name
+ */
+function toSnakeCase(name) {
+  return splitWords(name).join('_');
+}
+
+/**
+ * @param {string} name - Name in any case style
+ * @returns {string} PascalCase name
+ */
+function toPascalCase(name) {
+  return splitWords(name).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * @param {string} name - Name in any case style
+ * @returns {string} camelCase name
+ */
+function toCamelCase(name) {
+  const pascal = toPascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Pluralize the last word of a name with English suffix rules
+ * @param {string} word - Singular word
+ * @returns {string} Plural word
+ */
+function pluralize(word) {
+  if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+// Plurals the suffix rules of singularize() get wrong
+const IRREGULAR_PLURALS = {
+  people: 'person',
+  children: 'child',
+  men: 'man',
+  women: 'woman',
+  feet: 'foot',
+  teeth: 'tooth',
+  mice: 'mouse',
+  data: 'data',
+  criteria: 'criterion'
+};
+
+/**
+ * Singularize an English word, the inverse of pluralize()
+ * @param {string} word - Plural (or singular) word
+ * @returns {string} Singular word
+ */
+function singularize(word) {
+  const lower = word.toLowerCase();
+  if (IRREGULAR_PLURALS[lower]) return IRREGULAR_PLURALS[lower];
+  if (/[^aeiou]ies$/.test(lower)) return `${word.slice(0, -3)}y`;
+  if (/(ss|us|is)$/.test(lower)) return word;
+  if (/(sses|ches|shes|xes|zes)$/.test(lower)) return word.slice(0, -2);
+  if (/s$/.test(lower)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Build the URL segment of an entity ("OrderItem" -> "order-items")
+ * @param {string} entity - Entity name
+ * @returns {string} Path segment
+ */
+function collectionPath(entity) {
+  return pluralize(toSnakeCase(entity)).replace(/_/g, '-');
+}
+
+/**
+ * Turn a title into a file-name friendly slug
+ * @param {string} text - Title
+ * @param {string} fallback - Slug used when the title has no usable characters
+ * @returns {string} Slug of at most 50 characters
+ */
+function slugify(text, fallback) {
+  const slug = splitWords(text || '').join('-').substring(0, 50).replace(/-+$/, '');
+  return slug || fallback;
+}
+
+module.exports = {
+  toSnakeCase,
+  toPascalCase,
+  toCamelCase,
+  pluralize,
+  singularize,
+  collectionPath,
+  slugify
+};
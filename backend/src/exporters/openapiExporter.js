@@ -0,0 +1,279 @@
+/**
+ * OpenAPI Exporter
+ *
+ * Generates an OpenAPI 3.1 document for a scenario: CRUD paths for every
+ * entity of the data model, with request and response bodies referencing
+ * the entity schemas, plus operations hinted by the workflow steps.
+ *
+ * Steps are linked to the entities they mention. Their type (and the
+ * verb their name starts with) decides what they hint at:
+ *   database_query, display         -> the list operation
+ *   database_write, user_input      -> create, update or delete
+ *   system_action, system_check,
+ *   integration, review, ...        -> an action, POST /{entities}/{id}/{verb}
+ * Hinted operations carry the steps in `x-workflow-steps`.
+ */
+
+const { buildRelationalModel } = require('./relationalModel');
+const { toPascalCase, toCamelCase, toSnakeCase, pluralize, collectionPath } = require('./naming');
+
+const OPENAPI_VERSION = '3.1.0';
+
+const READ_TYPES = ['database_query', 'display'];
+const WRITE_TYPES = ['database_write', 'user_input'];
+const ACTION_TYPES = ['system_action', 'system_check', 'integration', 'review', 'ai_process', 'data_operation'];
+
+/**
+ * Step name verbs mapped onto CRUD operations
+ */
+const CRUD_VERBS = {
+  create: ['create', 'add', 'generate', 'submit', 'place', 'register', 'book', 'enter', 'save', 'new'],
+  update: ['update', 'edit', 'modify', 'change', 'assign', 'set'],
+  delete: ['delete', 'remove'],
+  list: ['browse', 'list', 'search', 'view', 'display', 'show', 'find', 'fetch', 'load']
+};
+
+/**
+ * Properties clients never send
+ */
+const READ_ONLY_PROPERTIES = ['id', 'created_at', 'updated_at'];
+
+/**
+ * Find the CRUD operation a step name verb stands for
+ * @param {string} verb - First word of a step name, lower-cased
+ * @returns {string|undefined} create | update | delete | list
+ */
+function crudOperationOf(verb) {
+  return Object.keys(CRUD_VERBS).find(operation => CRUD_VERBS[operation].includes(verb));
+}
+
+/**
+ * Check whether a step mentions an entity
+ * @param {Object} step - Workflow step
+ * @param {string} entity - Entity name
+ * @returns {boolean} True when the name or description mentions it
+ */
+function mentions(step, entity) {
+  const text = `${step.name} ${step.description}`.toLowerCase();
+  const word = toSnakeCase(entity).replace(/_/g, ' ');
+  return new RegExp(`\\b${word}`).test(text);
+}
+
+/**
+ * Describe a step for the x-workflow-steps extension
+ * @param {Object} step - Workflow step
+ * @returns {Object} { id, name, type }
+ */
+function stepReference(step) {
+  return { id: step.id, name: step.name, type: step.type };
+}
+
+/**
+ * Build the component schema of an entity from its columns
+ * @param {Object} table - Table from the relational plan
+ * @param {Object} entitySchema - Entity schema from the data model
+ * @returns {Object} JSON Schema
+ */
+function entityComponent(table, entitySchema) {
+  const properties = {};
+  table.columns.forEach(column => {
+    properties[column.name] = READ_ONLY_PROPERTIES.includes(column.name)
+      ? { ...column.schema, readOnly: true }
+      : column.schema;
+  });
+
+  const component = { type: 'object', properties };
+  const required = table.columns.filter(column => column.required).map(column => column.name);
+  if (required.length > 0) component.required = required;
+  if (entitySchema?.description) component.description = entitySchema.description;
+  return component;
+}
+
+/**
+ * Wrap a schema in a JSON content map
+ * @param {Object} schema - Schema or reference
+ * @returns {Object} OpenAPI content object
+ */
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+/**
+ * Build the CRUD operations of an entity
+ * @param {string} entity - Entity name
+ * @returns {Object} { collection, item } path items
+ */
+function crudOperations(entity) {
+  const name = toPascalCase(entity);
+  const plural = toPascalCase(pluralize(entity));
+  const ref = { $ref: `#/components/schemas/${name}` };
+  const tags = [name];
+
+  return {
+    collection: {
+      get: {
+        operationId: `list${plural}`,
+        summary: `List ${plural.toLowerCase()}`,
+        tags,
+        parameters: [
+          { $ref: '#/components/parameters/Page' },
+          { $ref: '#/components/parameters/Limit' }
+        ],
+        responses: {
+          200: {
+            description: `A page of ${plural.toLowerCase()}`,
+            content: jsonContent({
+              type: 'object',
+              properties: {
+                items: { type: 'array', items: ref },
+                total: { type: 'integer' }
+              },
+              required: ['items', 'total']
+            })
+          }
+        }
+      },
+      post: {
+        operationId: `create${name}`,
+        summary: `Create a ${name.toLowerCase()}`,
+        tags,
+        requestBody: { required: true, content: jsonContent(ref) },
+        responses: {
+          201: { description: `The created ${name.toLowerCase()}`, content: jsonContent(ref) },
+          422: { $ref: '#/components/responses/ValidationFailed' }
+        }
+      }
+    },
+    item: {
+      parameters: [{ $ref: '#/components/parameters/Id' }],
+      get: {
+        operationId: `get${name}`,
+        summary: `Get a ${name.toLowerCase()}`,
+        tags,
+        responses: {
+          200: { description: `The ${name.toLowerCase()}`, content: jsonContent(ref) },
+          404: { $ref: '#/components/responses/NotFound' }
+        }
+      },
+      put: {
+        operationId: `update${name}`,
+        summary: `Update a ${name.toLowerCase()}`,
+        tags,
+        requestBody: { required: true, content: jsonContent(ref) },
+        responses: {
+          200: { description: `The updated ${name.toLowerCase()}`, content: jsonContent(ref) },
+          404: { $ref: '#/components/responses/NotFound' },
+          422: { $ref: '#/components/responses/ValidationFailed' }
+        }
+      },
+      delete: {
+        operationId: `delete${name}`,
+        summary: `Delete a ${name.toLowerCase()}`,
+        tags,
+        responses: {
+          204: { description: 'Deleted' },
+          404: { $ref: '#/components/responses/NotFound' }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Attach a step to an operation's x-workflow-steps
+ * @param {Object} operation - OpenAPI operation
+ * @param {Object} step - Workflow step
+ */
+function hint(operation, step) {
+  operation['x-workflow-steps'] = [...(operation['x-workflow-steps'] || []), stepReference(step)];
+}
+
+/**
+ * Generate an OpenAPI 3.1 document for a scenario
+ *
+ * @param {Object} scenario - { title, summary, workflow, data_model }
+ * @returns {Object} OpenAPI document
+ */
+function generateOpenAPI(scenario) {
+  const dataModel = scenario.data_model || {};
+  const workflow = scenario.workflow || [];
+  const { tables } = buildRelationalModel(dataModel);
+
+  const document = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: scenario.title || 'Scenario API',
+      version: '1.0.0',
+      ...(scenario.summary ? { description: scenario.summary } : {})
+    },
+    tags: tables.map(table => ({ name: toPascalCase(table.entity) })),
+    paths: {},
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: { type: 'string' },
+            message: { type: 'string' }
+          },
+          required: ['error']
+        }
+      },
+      parameters: {
+        Id: { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+        Page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+        Limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } }
+      },
+      responses: {
+        NotFound: { description: 'Not found', content: jsonContent({ $ref: '#/components/schemas/Error' }) },
+        ValidationFailed: { description: 'Validation failed', content: jsonContent({ $ref: '#/components/schemas/Error' }) }
+      }
+    }
+  };
+
+  tables.forEach(table => {
+    const name = toPascalCase(table.entity);
+    const base = `/${collectionPath(table.entity)}`;
+    const { collection, item } = crudOperations(table.entity);
+
+    document.components.schemas[name] = entityComponent(table, dataModel.entities?.[table.entity]);
+    document.paths[base] = collection;
+    document.paths[`${base}/{id}`] = item;
+
+    workflow.filter(step => mentions(step, table.entity)).forEach(step => {
+      const verb = String(step.name).toLowerCase().split(/[^a-z]+/).find(Boolean) || '';
+      const crud = crudOperationOf(verb);
+
+      if (READ_TYPES.includes(step.type)) {
+        hint(collection.get, step);
+      } else if (WRITE_TYPES.includes(step.type) || (crud && crud !== 'list' && ACTION_TYPES.includes(step.type))) {
+        const operation = { create: collection.post, update: item.put, delete: item.delete }[crud] || collection.post;
+        hint(operation, step);
+      } else if (ACTION_TYPES.includes(step.type) && verb) {
+        const actionPath = `${base}/{id}/${verb}`;
+        if (!document.paths[actionPath]) {
+          document.paths[actionPath] = {
+            parameters: [{ $ref: '#/components/parameters/Id' }],
+            post: {
+              operationId: `${toCamelCase(verb)}${name}`,
+              summary: step.name,
+              description: step.description,
+              tags: [name],
+              responses: {
+                200: { description: `The ${name.toLowerCase()} after "${step.name}"`, content: jsonContent({ $ref: `#/components/schemas/${name}` }) },
+                404: { $ref: '#/components/responses/NotFound' }
+              }
+            }
+          };
+        }
+        hint(document.paths[actionPath].post, step);
+      }
+    });
+  });
+
+  return document;
+}
+
+module.exports = {
+  generateOpenAPI
+};
@@ -0,0 +1,160 @@
+/**
+ * Prisma Schema Exporter
+ *
+ * Generates a schema.prisma file: one model per entity mapped onto its
+ * table, enums for enumerated properties, and relation fields on both
+ * sides of every relationship (implicit many-to-many for join tables).
+ */
+
+const { buildRelationalModel } = require('./relationalModel');
+const { toPascalCase, toCamelCase, pluralize } = require('./naming');
+
+/**
+ * Map a property schema onto a Prisma scalar type
+ * @param {Object} schema - Property schema
+ * @returns {string} Prisma type without modifiers
+ */
+function scalarType(schema) {
+  switch (schema.type) {
+    case 'string':
+      return schema.format === 'date-time' || schema.format === 'date' ? 'DateTime' : 'String';
+    case 'number':
+      return 'Float';
+    case 'integer':
+      return 'Int';
+    case 'boolean':
+      return 'Boolean';
+    case 'array':
+      return schema.items?.type === 'string' ? 'String[]' : 'Json';
+    default:
+      return 'Json';
+  }
+}
+
+/**
+ * Render a default value as a Prisma attribute argument
+ * @param {*} value - Default from the schema
+ * @param {boolean} isEnum - Whether the field is an enum
+ * @returns {string} Default expression
+ */
+function formatDefault(value, isEnum) {
+  if (isEnum) return value;
+  if (typeof value === 'string') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Make an enum value usable as a Prisma identifier
+ * @param {string} value - Enum value
+ * @returns {string} Identifier
+ */
+function enumIdentifier(value) {
+  const identifier = String(value).replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z]/.test(identifier) ? identifier : `v_${identifier}`;
+}
+
+/**
+ * Align the columns of model or enum lines
+ * @param {Array<Array<string>>} rows - Cells per line
+ * @returns {Array<string>} Aligned lines
+ */
+function alignRows(rows) {
+  const widths = [];
+  rows.forEach(row => row.forEach((cell, index) => {
+    widths[index] = Math.max(widths[index] || 0, cell.length);
+  }));
+  return rows.map(row => row
+    .map((cell, index) => (index === row.length - 1 ? cell : cell.padEnd(widths[index])))
+    .join(' ')
+    .trimEnd());
+}
+
+/**
+ * Generate a Prisma schema for a data model
+ *
+ * @param {Object} dataModel - Data model with entities and relationships
+ * @param {Object} [options]
+ * @param {string} [options.provider='postgresql'] - Prisma datasource provider
+ * @returns {string} schema.prisma contents
+ */
+function generatePrismaSchema(dataModel, { provider = 'postgresql' } = {}) {
+  const { tables, relations } = buildRelationalModel(dataModel);
+  const enums = [];
+  const blocks = [
+    'generator client {\n  provider = "prisma-client-js"\n}',
+    `datasource db {\n  provider = "${provider}"\n  url      = env("DATABASE_URL")\n}`
+  ];
+
+  tables.forEach(table => {
+    const model = toPascalCase(table.entity);
+    const rows = table.columns.map(column => {
+      const attributes = [];
+      let type = scalarType(column.schema);
+
+      if (Array.isArray(column.schema.enum)) {
+        type = `${model}${toPascalCase(column.name)}`;
+        enums.push({ name: type, values: column.schema.enum });
+      }
+
+      if (column.primaryKey) {
+        attributes.push('@id');
+        if (column.schema.format === 'uuid') attributes.push('@default(uuid())');
+      } else if (column.schema.default !== undefined) {
+        attributes.push(`@default(${formatDefault(column.schema.default, Array.isArray(column.schema.enum))})`);
+      }
+      if (column.unique && !column.primaryKey) attributes.push('@unique');
+      if (column.schema.format === 'uuid' && provider === 'postgresql') attributes.push('@db.Uuid');
+
+      // Lists cannot be optional in Prisma
+      const optional = !column.required && !type.endsWith('[]') ? '?' : '';
+      return [column.name, `${type}${optional}`, attributes.join(' ')];
+    });
+
+    // Relation fields on both sides of each relationship
+    relations.forEach(relation => {
+      const target = toPascalCase(relation.target);
+      const owner = toPascalCase(relation.owner);
+
+      if (relation.owner === table.entity && relation.column) {
+        const column = table.columns.find(candidate => candidate.name === relation.column);
+        const references = tables.find(other => other.entity === relation.target).primaryKey;
+        const optional = column.required ? '' : '?';
+        rows.push([
+          toCamelCase(relation.target),
+          `${target}${optional}`,
+          `@relation(fields: [${relation.column}], references: [${references}])`
+        ]);
+      }
+      if (relation.target === table.entity && relation.type === 'one-to-many') {
+        rows.push([toCamelCase(pluralize(relation.owner)), `${owner}[]`, '']);
+      }
+      if (relation.target === table.entity && relation.type === 'one-to-one') {
+        rows.push([toCamelCase(relation.owner), `${owner}?`, '']);
+      }
+      if (relation.type === 'many-to-many' && relation.owner === table.entity) {
+        rows.push([toCamelCase(pluralize(relation.target)), `${target}[]`, '']);
+      }
+      if (relation.type === 'many-to-many' && relation.target === table.entity) {
+        rows.push([toCamelCase(pluralize(relation.owner)), `${owner}[]`, '']);
+      }
+    });
+
+    const lines = alignRows(rows).map(line => `  ${line}`);
+    lines.push('', `  @@map("${table.name}")`);
+    blocks.push(`model ${model} {\n${lines.join('\n')}\n}`);
+  });
+
+  enums.forEach(({ name, values }) => {
+    const rows = values.map(value => {
+      const identifier = enumIdentifier(value);
+      return [identifier, identifier === value ? '' : `@map(${JSON.stringify(value)})`];
+    });
+    blocks.push(`enum ${name} {\n${alignRows(rows).map(line => `  ${line}`).join('\n')}\n}`);
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+  generatePrismaSchema
+};
@@ -0,0 +1,176 @@
+/**
+ * Relational Model
+ *
+ * Translates the JSON-Schema-like data model into tables, columns,
+ * foreign keys and join tables. The SQL and Prisma exporters both work
+ * from this plan, and the TypeScript exporters use its column list so
+ * every format agrees on which foreign key fields exist.
+ *
+ * Relationships become keys as follows:
+ *   one-to-many  A -> B   B gets an `a_id` column referencing A
+ *   many-to-one  A -> B   A gets a `b_id` column referencing B
+ *   one-to-one   A -> B   B gets a unique `a_id` column referencing A
+ *   many-to-many A -> B   a join table `a_b` with both keys
+ */
+
+const { toSnakeCase, pluralize } = require('./naming');
+
+const FK_SCHEMA = { type: 'string', format: 'uuid' };
+
+/**
+ * Build the table name of an entity ("OrderItem" -> "order_items")
+ * @param {string} entity - Entity name
+ * @returns {string} Table name
+ */
+function tableName(entity) {
+  return pluralize(toSnakeCase(entity));
+}
+
+/**
+ * Build the foreign key column pointing at an entity ("User" -> "user_id")
+ * @param {string} entity - Referenced entity name
+ * @returns {string} Column name
+ */
+function foreignKeyName(entity) {
+  return `${toSnakeCase(entity)}_id`;
+}
+
+/**
+ * Find the primary key column of an entity schema
+ * @param {Object} schema - Entity schema
+ * @returns {string} Property name, `id` when present
+ */
+function primaryKeyOf(schema) {
+  const properties = Object.keys(schema.properties || {});
+  return properties.includes('id') ? 'id' : properties[0] || 'id';
+}
+
+/**
+ * Build the relational plan of a data model
+ *
+ * @param {Object} dataModel - Data model with entities and relationships
+ * @returns {{ tables: Array, joinTables: Array, relations: Array }}
+ *   tables: [{ entity, name, primaryKey, columns: [{ name, schema, required, primaryKey, unique, references }] }]
+ *   joinTables: [{ name, left: { entity, table, column }, right: { entity, table, column } }]
+ *   relations: [{ type, owner, target, column }] with owner holding the foreign key
+ */
+function buildRelationalModel(dataModel) {
+  const entities = dataModel?.entities || {};
+
+  const tables = Object.entries(entities).map(([entity, schema]) => {
+    const required = schema.required || [];
+    const primaryKey = primaryKeyOf(schema);
+    const columns = Object.entries(schema.properties || {}).map(([name, propertySchema]) => ({
+      name,
+      schema: propertySchema,
+      required: required.includes(name) || name === primaryKey,
+      primaryKey: name === primaryKey,
+      unique: false,
+      references: null
+    }));
+
+    return { entity, name: tableName(entity), primaryKey, columns };
+  });
+
+  const byEntity = new Map(tables.map(table => [table.entity, table]));
+  const joinTables = [];
+  const relations = [];
+
+  /**
+   * Make sure `owner` has a foreign key column to `target`, reusing a
+   * property of the same name when the schema already declares one
+   */
+  const addForeignKey = (owner, target, { unique }) => {
+    const name = foreignKeyName(target.entity);
+    const targetKey = target.columns.find(column => column.primaryKey);
+    let column = owner.columns.find(existing => existing.name === name);
+
+    if (!column) {
+      column = {
+        name,
+        schema: targetKey ? { type: targetKey.schema.type, format: targetKey.schema.format } : FK_SCHEMA,
+        required: false,
+        primaryKey: false,
+        unique: false,
+        references: null
+      };
+      owner.columns.push(column);
+    }
+
+    column.unique = column.unique || unique;
+    column.references = { entity: target.entity, table: target.name, column: target.primaryKey };
+    return column;
+  };
+
+  (dataModel?.relationships || []).forEach(rel => {
+    const from = byEntity.get(rel.from);
+    const to = byEntity.get(rel.to);
+    if (!from || !to) return;
+
+    switch (rel.type) {
+      case 'one-to-many': {
+        const column = addForeignKey(to, from, { unique: false });
+        relations.push({ type: 'one-to-many', owner: to.entity, target: from.entity, column: column.name });
+        break;
+      }
+      case 'many-to-one': {
+        const column = addForeignKey(from, to, { unique: false });
+        relations.push({ type: 'one-to-many', owner: from.entity, target: to.entity, column: column.name });
+        break;
+      }
+      case 'one-to-one': {
+        const column = addForeignKey(to, from, { unique: true });
+        relations.push({ type: 'one-to-one', owner: to.entity, target: from.entity, column: column.name });
+        break;
+      }
+      case 'many-to-many': {
+        joinTables.push({
+          name: `${toSnakeCase(from.entity)}_${to.name}`,
+          left: { entity: from.entity, table: from.name, column: foreignKeyName(from.entity), references: from.primaryKey },
+          right: { entity: to.entity, table: to.name, column: foreignKeyName(to.entity), references: to.primaryKey }
+        });
+        relations.push({ type: 'many-to-many', owner: from.entity, target: to.entity, column: null });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return { tables: orderByDependencies(tables), joinTables, relations };
+}
+
+/**
+ * Order tables so that referenced tables come before the tables pointing
+ * at them. Cycles keep their original order.
+ *
+ * @param {Array} tables - Tables from buildRelationalModel
+ * @returns {Array} Ordered tables
+ */
+function orderByDependencies(tables) {
+  const byEntity = new Map(tables.map(table => [table.entity, table]));
+  const ordered = [];
+  const state = new Map();
+
+  const visit = table => {
+    if (state.get(table.entity)) return;
+    state.set(table.entity, 'visiting');
+    table.columns
+      .filter(column => column.references && column.references.entity !== table.entity)
+      .forEach(column => {
+        const target = byEntity.get(column.references.entity);
+        if (target && state.get(target.entity) !== 'visiting') visit(target);
+      });
+    state.set(table.entity, 'done');
+    ordered.push(table);
+  };
+
+  tables.forEach(visit);
+  return ordered;
+}
+
+module.exports = {
+  buildRelationalModel,
+  tableName,
+  foreignKeyName
+};
@@ -0,0 +1,822 @@
+/**
+ * Scaffold Exporter
+ *
+ * Writes a runnable Node.js project to start implementing a scenario
+ * from, packed as a zip (see ../utils/zip.js):
+ *
+ *   src/index.js                 Express app mounting the routes
+ *   src/store.js                 in-memory store behind the routes
+ *   src/routes/<entities>.js     CRUD endpoints per entity, at the same
+ *                                paths as the OpenAPI export
+ *   src/services/workflowService.js
+ *                                one stub per system_action and system_check step
+ *   src/machines/<entity>Machine.js
+ *                                XState-style machine per entity with a status
+ *                                enum, with the transitions of its state diagram
+ *   tests/*.test.js              node:test tests: CRUD round trips and machine
+ *                                checks that pass, and a todo per step stub
+ *
+ * Everything sits in a folder named after the scenario.
+ */
+
+const { getStatusTransitions } = require('../utils/diagramGenerator');
+const { createZip } = require('../utils/zip');
+const { toPascalCase, toCamelCase, toSnakeCase, collectionPath, slugify } = require('./naming');
+
+/**
+ * Step types that get a function in the workflow service
+ */
+const SERVICE_STEP_TYPES = ['system_action', 'system_check'];
+
+/**
+ * Properties the server sets on every record
+ */
+const SERVER_FIELDS = ['id', 'created_at', 'updated_at'];
+
+// Sample values for string formats, used in the generated tests
+const FORMAT_SAMPLES = {
+  email: 'user@example.com',
+  uuid: '00000000-0000-4000-8000-000000000001',
+  'date-time': '2024-01-01T00:00:00.000Z',
+  date: '2024-01-01',
+  uri: 'https://example.com'
+};
+
+// Words that cannot name a function
+const RESERVED_WORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+  'in', 'instanceof', 'let', 'new', 'null', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+// Version of Express the generated project depends on
+const EXPRESS_VERSION = '^4.21.0';
+
+// ============================================
+// SOURCE HELPERS
+// ============================================
+
+/**
+ * Make text safe to put on one line of a block comment
+ * @param {string} text - Any text
+ * @returns {string} Text without line breaks or comment ends
+ */
+function commentText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().replace(/\*\//g, '* /');
+}
+
+/**
+ * Quote a string as a single-quoted JavaScript literal
+ * @param {string} text - Text
+ * @returns {string} Literal
+ */
+function quote(text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Write a value as a JavaScript literal, with unquoted keys where possible
+ *
+ * @param {*} value - JSON-compatible value
+ * @param {string} [indent=''] - Indentation of the line the literal starts on
+ * @returns {string} Source code
+ */
+function toLiteral(value, indent = '') {
+  if (typeof value === 'string') return quote(value);
+  if (Array.isArray(value)) {
+    return `[${value.map(item => toLiteral(item, indent)).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    const inner = `${indent}  `;
+    const lines = entries.map(([key, item]) => {
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+      return `${inner}${name}: ${toLiteral(item, inner)}`;
+    });
+    return `{\n${lines.join(',\n')}\n${indent}}`;
+  }
+  return String(value);
+}
+
+/**
+ * Put "a" or "an" before a lower-case noun
+ * @param {string} noun - Noun
+ * @returns {string} Noun with its article
+ */
+function withArticle(noun) {
+  return `${/^[aeiou]/.test(noun) ? 'an' : 'a'} ${noun}`;
+}
+
+/**
+ * Name a function after a step, avoiding reserved words and duplicates
+ *
+ * @param {Object} step - Workflow step
+ * @param {Set<string>} used - Names taken so far, updated
+ * @returns {string} camelCase function name
+ */
+function functionName(step, used) {
+  let name = toCamelCase(step.name) || `step${step.id}`;
+  if (/^[0-9]/.test(name) || RESERVED_WORDS.has(name)) name = `step${toPascalCase(name)}`;
+  if (used.has(name)) name = `${name}Step${step.id}`;
+  used.add(name);
+  return name;
+}
+
+// ============================================
+// ENTITIES
+// ============================================
+
+/**
+ * Build a sample value that satisfies a property schema
+ * @param {Object} schema - Property schema
+ * @returns {*} Sample value
+ */
+function sampleValue(schema) {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  const type = Array.isArray(schema.type) ? schema.type.find(candidate => candidate !== 'null') : schema.type;
+
+  switch (type) {
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 1;
+    case 'boolean':
+      return true;
+    case 'array':
+      return [];
+    case 'object':
+      return {};
+    default:
+      return FORMAT_SAMPLES[schema.format] || 'example';
+  }
+}
+
+/**
+ * Build the XState-style machine of a status enum from the transitions
+ * of its state diagram. Events are named after the state they lead to.
+ *
+ * @param {string} entity - Entity name
+ * @param {Array} statuses - Values of the status enum
+ * @returns {Object} { id, initial, states }
+ */
+function buildMachine(entity, statuses) {
+  const values = [...new Set(statuses.map(String))];
+  const transitions = getStatusTransitions(values);
+  const states = Object.fromEntries(values.map(value => [value, {}]));
+
+  transitions.forEach(({ from, to }) => {
+    if (from !== null && to !== null) {
+      const event = toSnakeCase(to).toUpperCase() || 'NEXT';
+      states[from].on = { ...states[from].on, [event]: to };
+    }
+  });
+  // States the lifecycle ends in and cannot leave
+  transitions.forEach(({ from, to }) => {
+    if (to === null && !states[from].on) states[from].type = 'final';
+  });
+
+  return {
+    id: toCamelCase(entity),
+    initial: transitions.find(({ from }) => from === null)?.to ?? values[0],
+    states
+  };
+}
+
+/**
+ * Describe the entities of a data model for the generated files
+ *
+ * @param {Object} dataModel - Data model with entities
+ * @returns {Array<Object>} One description per entity
+ */
+function describeEntities(dataModel) {
+  return Object.entries(dataModel?.entities || {}).map(([entity, schema]) => {
+    const properties = schema.properties || {};
+    const statuses = properties.status?.enum;
+    const machine = Array.isArray(statuses) && statuses.length > 0 ? buildMachine(entity, statuses) : null;
+    // The machine's initial state is the default status of new records
+    const serverSet = machine ? [...SERVER_FIELDS, 'status'] : SERVER_FIELDS;
+
+    const sample = {};
+    Object.entries(properties)
+      .filter(([property]) => !serverSet.includes(property))
+      .forEach(([property, propertySchema]) => {
+        sample[property] = sampleValue(propertySchema || {});
+      });
+
+    return {
+      entity,
+      name: toPascalCase(entity) || 'Record',
+      label: toSnakeCase(entity).replace(/_/g, ' '),
+      variable: toCamelCase(entity),
+      collection: collectionPath(entity),
+      required: (schema.required || []).filter(property => !serverSet.includes(property)),
+      sample,
+      machine
+    };
+  });
+}
+
+// ============================================
+// FILES
+// ============================================
+
+/**
+ * @param {string} slug - Project name
+ * @param {string} summary - Scenario summary
+ * @returns {string} package.json
+ */
+function packageFile(slug, summary) {
+  const pkg = {
+    name: slug,
+    version: '0.1.0',
+    private: true,
+    description: commentText(summary),
+    main: 'src/index.js',
+    scripts: {
+      start: 'node src/index.js',
+      test: 'node --test tests/*.test.js'
+    },
+    dependencies: { express: EXPRESS_VERSION },
+    engines: { node: '>=18.0.0' }
+  };
+  return `${JSON.stringify(pkg, null, 2)}\n`;
+}
+
+/**
+ * @param {string} title - Scenario title
+ * @param {Array<Object>} entities - Entity descriptions
+ * @returns {string} src/index.js
+ */
+function appFile(title, entities) {
+  return `/**
+ * ${commentText(title)} API
+ *
+ * Express app generated from the scenario. \`npm start\` serves it;
+ * tests require it and listen on a port of their own.
+ */
+
+const express = require('express');
+
+const app = express();
+app.use(express.json());
+${entities.map(({ collection }) => `\napp.use('/api/${collection}', require('./routes/${collection}'));`).join('')}
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+if (require.main === module) {
+  const port = process.env.PORT || 3000;
+  app.listen(port, () => {
+    console.log(\`Listening on http://localhost:\${port}\`);
+  });
+}
+
+module.exports = app;
+`;
+}
+
+/**
+ * @returns {string} src/store.js
+ */
+function storeFile() {
+  return `/**
+ * In-Memory Store
+ *
+ * Keeps the records of each collection while the process runs. Swap it
+ * for a database: the routes only use the functions below.
+ */
+
+const crypto = require('crypto');
+
+const collections = new Map();
+
+function records(collection) {
+  if (!collections.has(collection)) collections.set(collection, new Map());
+  return collections.get(collection);
+}
+
+function list(collection) {
+  return [...records(collection).values()];
+}
+
+function get(collection, id) {
+  return records(collection).get(id) || null;
+}
+
+function create(collection, data) {
+  const now = new Date().toISOString();
+  const record = { ...data, id: crypto.randomUUID(), created_at: now, updated_at: now };
+  records(collection).set(record.id, record);
+  return record;
+}
+
+function update(collection, id, data) {
+  const existing = get(collection, id);
+  if (!existing) return null;
+  const record = { ...existing, ...data, id, created_at: existing.created_at, updated_at: new Date().toISOString() };
+  records(collection).set(id, record);
+  return record;
+}
+
+function remove(collection, id) {
+  return records(collection).delete(id);
+}
+
+module.exports = {
+  list,
+  get,
+  create,
+  update,
+  remove
+};
+`;
+}
+
+/**
+ * @param {Object} entity - Entity description
+ * @returns {string} src/routes/<collection>.js
+ */
+function routeFile({ name, label, variable, collection, required, machine }) {
+  const machineName = `${variable}Machine`;
+  const imports = machine
+    ? `const { canTransition } = require('../machines');\nconst { ${machineName} } = require('../machines/${machineName}');\n`
+    : '';
+  const create = machine
+    ? `store.create(COLLECTION, { status: ${machineName}.initial, ...req.body })`
+    : 'store.create(COLLECTION, req.body)';
+  const statusCheck = machine
+    ? `
+  const status = req.body.status;
+  if (status !== undefined && status !== item.status && !canTransition(${machineName}, item.status, status)) {
+    return invalid(res, \`Cannot change status from \${item.status} to \${status}\`);
+  }`
+    : '';
+
+  return `/**
+ * ${name} Routes
+ *
+ * CRUD endpoints for ${pluralLabel(label, collection)} at /api/${collection}.${machine ? `
+ * Status changes follow the ${label} lifecycle in ../machines/${machineName}.js.` : ''}
+ */
+
+const express = require('express');
+const store = require('../store');
+${imports}
+const router = express.Router();
+
+const COLLECTION = '${collection}';
+
+// Fields a new ${label} must have; id${machine ? ', status' : ''} and timestamps are set by the server
+const REQUIRED = ${toLiteral(required)};
+
+function notFound(res, id) {
+  return res.status(404).json({ error: 'Not found', message: \`${name} \${id} not found\` });
+}
+
+function invalid(res, message) {
+  return res.status(422).json({ error: 'Validation failed', message });
+}
+
+// List ${pluralLabel(label, collection)}, a page at a time (?page=1&limit=20)
+router.get('/', (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const items = store.list(COLLECTION);
+  res.json({ items: items.slice((page - 1) * limit, page * limit), total: items.length });
+});
+
+router.get('/:id', (req, res) => {
+  const item = store.get(COLLECTION, req.params.id);
+  if (!item) return notFound(res, req.params.id);
+  res.json(item);
+});
+
+router.post('/', (req, res) => {
+  const missing = REQUIRED.filter(field => req.body[field] === undefined);
+  if (missing.length > 0) return invalid(res, \`Missing \${missing.join(', ')}\`);
+  res.status(201).json(${create});
+});
+
+router.put('/:id', (req, res) => {
+  const item = store.get(COLLECTION, req.params.id);
+  if (!item) return notFound(res, req.params.id);${statusCheck}
+  res.json(store.update(COLLECTION, req.params.id, req.body));
+});
+
+router.delete('/:id', (req, res) => {
+  if (!store.remove(COLLECTION, req.params.id)) return notFound(res, req.params.id);
+  res.status(204).end();
+});
+
+module.exports = router;
+`;
+}
+
+/**
+ * Spell out the plural of an entity label from its collection path
+ * @param {string} label - Lower-case entity words
+ * @param {string} collection - Collection path
+ * @returns {string} Plural label
+ */
+function pluralLabel(label, collection) {
+  return collection.replace(/-/g, ' ') || `${label}s`;
+}
+
+/**
+ * @param {Object} entity - Entity description with a machine
+ * @returns {string} src/machines/<entity>Machine.js
+ */
+function machineFile({ name, label, variable, machine }) {
+  return `/**
+ * ${name} Status Machine
+ *
+ * XState-style definition of the ${label} status lifecycle: pass it to
+ * createMachine() from xstate, or check transitions with ./index.js.
+ * Events are named after the state they lead to.
+ */
+
+const ${variable}Machine = ${toLiteral(machine)};
+
+module.exports = {
+  ${variable}Machine
+};
+`;
+}
+
+/**
+ * @returns {string} src/machines/index.js
+ */
+function machineHelpersFile() {
+  return `/**
+ * Status Machine Helpers
+ *
+ * Read the machine definitions of this folder without xstate.
+ */
+
+/**
+ * @param {Object} machine - Machine definition
+ * @param {string} state - Current state
+ * @param {string} event - Event name
+ * @returns {string|null} The state the event leads to, or null when it does not apply
+ */
+function nextState(machine, state, event) {
+  return machine.states[state]?.on?.[event] ?? null;
+}
+
+/**
+ * @param {Object} machine - Machine definition
+ * @param {string} from - Current state
+ * @param {string} to - Requested state
+ * @returns {boolean} Whether one event leads from one state to the other
+ */
+function canTransition(machine, from, to) {
+  return Object.values(machine.states[from]?.on || {}).includes(to);
+}
+
+module.exports = {
+  nextState,
+  canTransition
+};
+`;
+}
+
+/**
+ * @param {string} title - Scenario title
+ * @param {Array<Object>} services - { name, step } per stub
+ * @returns {string} src/services/workflowService.js
+ */
+function serviceFile(title, services) {
+  const functions = services.map(({ name, step }) => {
+    const check = step.type === 'system_check';
+    return `/**
+ * ${commentText(step.name)} (step ${step.id})${step.description ? `: ${commentText(step.description)}` : ''}
+ *
+ * @param {Object} context - Data of the running workflow
+ * @returns {Promise<${check ? '{ ok: boolean, reason?: string }' : 'Object'}>} ${check ? 'Outcome of the check' : 'The updated context'}
+ */
+async function ${name}(context) {
+  // TODO: ${commentText(step.description || step.name)}
+  return ${check ? '{ ok: true }' : 'context'};
+}
+`;
+  });
+
+  return `/**
+ * Workflow Service
+ *
+ * One function per system step of the "${commentText(title)}" workflow,
+ * in workflow order. Each is a stub to implement.
+ */
+
+${functions.join('\n')}
+module.exports = {${services.map(({ name }) => `\n  ${name}`).join(',')}${services.length > 0 ? '\n' : ''}};
+`;
+}
+
+/**
+ * @returns {string} tests/helpers.js
+ */
+function testHelpersFile() {
+  return `/**
+ * Test Helpers
+ *
+ * Start the app on a random port and make JSON requests against it.
+ */
+
+const http = require('http');
+
+function startServer(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      resolve({ server, baseUrl: \`http://localhost:\${server.address().port}\` });
+    });
+  });
+}
+
+function request(baseUrl, method, path, body = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const req = http.request({
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: \`\${url.pathname}\${url.search}\`,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null });
+      });
+    });
+
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+module.exports = {
+  startServer,
+  request
+};
+`;
+}
+
+/**
+ * Open a test file that runs against the app
+ * @param {string} title - Describe block title
+ * @param {string} body - Tests inside the describe block
+ * @returns {string} Test file
+ */
+function apiTestFile(title, body) {
+  return `const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const app = require('../src/index');
+const { startServer, request } = require('./helpers');
+
+describe('${title}', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+${body}});
+`;
+}
+
+/**
+ * @returns {string} tests/health.test.js
+ */
+function healthTestFile() {
+  return apiTestFile('Health API', `
+  it('should report that the app is up', async () => {
+    const { status, body } = await request(baseUrl, 'GET', '/health');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'ok');
+  });
+`);
+}
+
+/**
+ * @param {Object} entity - Entity description
+ * @returns {string} tests/<collection>.test.js
+ */
+function entityTestFile({ name, label, collection, required, sample, machine }) {
+  const path = `/api/${collection}`;
+  let tests = `
+  const SAMPLE = ${toLiteral(sample, '  ')};
+
+  it('should create, read, update and delete ${withArticle(label)}', async () => {
+    const created = await request(baseUrl, 'POST', '${path}', SAMPLE);
+    assert.strictEqual(created.status, 201);
+    const { id } = created.body;${machine ? `
+    assert.strictEqual(created.body.status, ${quote(machine.initial)});` : ''}
+
+    const fetched = await request(baseUrl, 'GET', \`${path}/\${id}\`);
+    assert.strictEqual(fetched.status, 200);
+    assert.deepStrictEqual(fetched.body, created.body);
+
+    const listed = await request(baseUrl, 'GET', '${path}');
+    assert.ok(listed.body.items.some(item => item.id === id));
+
+    const updated = await request(baseUrl, 'PUT', \`${path}/\${id}\`, SAMPLE);
+    assert.strictEqual(updated.status, 200);
+
+    const removed = await request(baseUrl, 'DELETE', \`${path}/\${id}\`);
+    assert.strictEqual(removed.status, 204);
+
+    const missing = await request(baseUrl, 'GET', \`${path}/\${id}\`);
+    assert.strictEqual(missing.status, 404);
+  });
+`;
+
+  if (required.length > 0) {
+    const [field] = required;
+    const incomplete = Object.fromEntries(Object.entries(sample).filter(([property]) => property !== field));
+    tests += `
+  it(${quote(`should reject ${withArticle(label)} without ${field}`)}, async () => {
+    const response = await request(baseUrl, 'POST', '${path}', ${toLiteral(incomplete, '    ')});
+    assert.strictEqual(response.status, 422);
+    assert.ok(response.body.message.includes(${quote(field)}));
+  });
+`;
+  }
+
+  const skipped = machine && Object.keys(machine.states)
+    .find(state => state !== machine.initial && !Object.values(machine.states[machine.initial].on || {}).includes(state));
+  if (skipped) {
+    tests += `
+  it('should reject a status change the lifecycle does not allow', async () => {
+    const created = await request(baseUrl, 'POST', '${path}', SAMPLE);
+    const { status } = await request(baseUrl, 'PUT', \`${path}/\${created.body.id}\`, { status: ${quote(skipped)} });
+    assert.strictEqual(status, 422);
+  });
+`;
+  }
+
+  return apiTestFile(`${name} API`, tests);
+}
+
+/**
+ * @param {Array<Object>} entities - Entity descriptions with a machine
+ * @returns {string} tests/machines.test.js
+ */
+function machineTestFile(entities) {
+  const names = entities.map(({ variable }) => `${variable}Machine`);
+  const examples = entities.map(({ variable, machine }) => {
+    const [from, state] = Object.entries(machine.states).find(([, candidate]) => candidate.on) || [];
+    if (!state) return '';
+    const [event, to] = Object.entries(state.on)[0];
+    return `
+  it('${variable}Machine should go from ${commentText(from)} to ${commentText(to)} on ${event}', () => {
+    assert.strictEqual(nextState(${variable}Machine, ${quote(from)}, ${quote(event)}), ${quote(to)});
+    assert.strictEqual(canTransition(${variable}Machine, ${quote(from)}, ${quote(to)}), true);
+  });
+`;
+  });
+
+  return `const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { nextState, canTransition } = require('../src/machines');
+${names.map(name => `const { ${name} } = require('../src/machines/${name}');`).join('\n')}
+
+const MACHINES = { ${names.join(', ')} };
+
+describe('Status Machines', () => {
+  Object.entries(MACHINES).forEach(([name, machine]) => {
+    it(\`\${name} should only lead to its own states\`, () => {
+      assert.ok(machine.states[machine.initial]);
+      Object.values(machine.states).forEach(state => {
+        Object.values(state.on || {}).forEach(target => {
+          assert.ok(machine.states[target], \`\${target} is not a state\`);
+        });
+      });
+    });
+  });
+${examples.join('')}});
+`;
+}
+
+/**
+ * @param {Array<Object>} services - { name, step } per stub
+ * @returns {string} tests/workflowService.test.js
+ */
+function serviceTestFile(services) {
+  const tests = services.map(({ name, step }) => {
+    const check = step.type === 'system_check';
+    return `
+  it(${quote(`${name}: ${commentText(step.description || step.name)}`)}, { todo: 'Implement the step' }, async () => {
+    ${check
+    ? `const result = await workflowService.${name}({});
+    assert.strictEqual(result.ok, true);`
+    : `const context = {};
+    assert.strictEqual(await workflowService.${name}(context), context);`}
+  });
+`;
+  });
+
+  return `const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const workflowService = require('../src/services/workflowService');
+
+// Placeholders: replace each with the real behaviour of its step
+describe('Workflow Service', () => {${tests.join('')}});
+`;
+}
+
+/**
+ * @param {Object} scenario - { title, summary }
+ * @param {Array<Object>} entities - Entity descriptions
+ * @returns {string} README.md
+ */
+function readmeFile({ title, summary }, entities) {
+  const rows = [
+    '| `src/index.js` | Express app mounting the routes |',
+    '| `src/store.js` | In-memory store; replace it with a database |',
+    ...entities.map(({ name, collection }) => `| \`src/routes/${collection}.js\` | CRUD for ${name} at \`/api/${collection}\` |`),
+    ...entities.filter(({ machine }) => machine)
+      .map(({ name, variable }) => `| \`src/machines/${variable}Machine.js\` | ${name} status lifecycle (XState-style) |`)
+  ];
+
+  return `# ${commentText(title) || 'Scenario'}
+
+${commentText(summary)}
+
+Scaffold generated by AI Scenario Builder. The routes and tests run as
+they are; the workflow service holds a stub per system step to fill in.
+
+## Run
+
+\`\`\`bash
+npm install
+npm start    # http://localhost:3000
+npm test
+\`\`\`
+
+## Layout
+
+| Path | Contents |
+|------|----------|
+${rows.join('\n')}
+| \`src/services/workflowService.js\` | One function per system step of the workflow |
+| \`tests/\` | node:test suites; the workflow service tests are todos |
+`;
+}
+
+// ============================================
+// SCAFFOLD
+// ============================================
+
+/**
+ * List the files of the scaffold of a scenario
+ *
+ * @param {Object} scenario - { title, summary, workflow, data_model }
+ * @returns {Array<{ path: string, content: string }>} Files, under a folder named after the scenario
+ */
+function generateScaffold(scenario) {
+  const slug = slugify(scenario.title, 'scenario');
+  const entities = describeEntities(scenario.data_model);
+  const withMachines = entities.filter(({ machine }) => machine);
+  const used = new Set();
+  const services = (scenario.workflow || [])
+    .filter(step => SERVICE_STEP_TYPES.includes(step.type))
+    .map(step => ({ name: functionName(step, used), step }));
+
+  const files = [
+    { path: 'package.json', content: packageFile(slug, scenario.summary) },
+    { path: 'README.md', content: readmeFile(scenario, entities) },
+    { path: 'src/index.js', content: appFile(scenario.title || 'Scenario', entities) },
+    { path: 'src/store.js', content: storeFile() },
+    ...entities.map(entity => ({ path: `src/routes/${entity.collection}.js`, content: routeFile(entity) })),
+    ...(withMachines.length > 0 ? [{ path: 'src/machines/index.js', content: machineHelpersFile() }] : []),
+    ...withMachines.map(entity => ({ path: `src/machines/${entity.variable}Machine.js`, content: machineFile(entity) })),
+    { path: 'src/services/workflowService.js', content: serviceFile(scenario.title || 'Scenario', services) },
+    { path: 'tests/helpers.js', content: testHelpersFile() },
+    { path: 'tests/health.test.js', content: healthTestFile() },
+    ...entities.map(entity => ({ path: `tests/${entity.collection}.test.js`, content: entityTestFile(entity) })),
+    ...(withMachines.length > 0 ? [{ path: 'tests/machines.test.js', content: machineTestFile(withMachines) }] : []),
+    ...(services.length > 0 ? [{ path: 'tests/workflowService.test.js', content: serviceTestFile(services) }] : [])
+  ];
+
+  return files.map(file => ({ ...file, path: `${slug}/${file.path}` }));
+}
+
+/**
+ * Generate the scaffold of a scenario as a zip archive
+ * @param {Object} scenario - { title, summary, workflow, data_model }
+ * @returns {Buffer} Zip archive
+ */
+function generateScaffoldZip(scenario) {
+  return createZip(generateScaffold(scenario));
+}
+
+module.exports = {
+  generateScaffold,
+  generateScaffoldZip
+};
@@ -0,0 +1,183 @@
+/**
+ * SQL DDL Exporter
+ *
+ * Generates CREATE TABLE statements for PostgreSQL or SQLite from the
+ * relational plan: typed columns, NOT NULL for required properties,
+ * CHECK constraints for enums and minimums, foreign keys and join tables.
+ */
+
+const { buildRelationalModel } = require('./relationalModel');
+
+/**
+ * Identifiers that must be quoted to be used as table or column names
+ */
+const RESERVED_WORDS = new Set([
+  'all', 'and', 'as', 'case', 'check', 'column', 'constraint', 'create', 'default',
+  'desc', 'distinct', 'end', 'from', 'group', 'in', 'index', 'key', 'limit', 'not',
+  'null', 'on', 'or', 'order', 'primary', 'references', 'select', 'table', 'to',
+  'union', 'unique', 'user', 'when', 'where'
+]);
+
+/**
+ * Column types per dialect
+ */
+const DIALECTS = {
+  postgresql: {
+    uuid: 'UUID',
+    timestamp: 'TIMESTAMPTZ',
+    date: 'DATE',
+    text: 'TEXT',
+    number: 'NUMERIC',
+    integer: 'INTEGER',
+    boolean: 'BOOLEAN',
+    json: 'JSONB',
+    formatBoolean: value => (value ? 'TRUE' : 'FALSE')
+  },
+  sqlite: {
+    uuid: 'TEXT',
+    timestamp: 'TEXT',
+    date: 'TEXT',
+    text: 'TEXT',
+    number: 'REAL',
+    integer: 'INTEGER',
+    boolean: 'INTEGER',
+    json: 'TEXT',
+    formatBoolean: value => (value ? '1' : '0')
+  }
+};
+
+/**
+ * Quote an identifier when it is a reserved word
+ * @param {string} name - Identifier
+ * @returns {string} Safe identifier
+ */
+function quoteIdentifier(name) {
+  return RESERVED_WORDS.has(name.toLowerCase()) ? `"${name}"` : name;
+}
+
+/**
+ * Quote a string literal
+ * @param {string} value - Literal value
+ * @returns {string} SQL literal
+ */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Map a property schema onto a column type
+ * @param {Object} schema - Property schema
+ * @param {Object} dialect - Entry of DIALECTS
+ * @returns {string} SQL column type
+ */
+function columnType(schema, dialect) {
+  switch (schema.type) {
+    case 'string':
+      if (schema.format === 'uuid') return dialect.uuid;
+      if (schema.format === 'date-time') return dialect.timestamp;
+      if (schema.format === 'date') return dialect.date;
+      return dialect.text;
+    case 'number':
+      return dialect.number;
+    case 'integer':
+      return dialect.integer;
+    case 'boolean':
+      return dialect.boolean;
+    default:
+      return dialect.json;
+  }
+}
+
+/**
+ * Render a default value as SQL
+ * @param {*} value - Default from the schema
+ * @param {Object} dialect - Entry of DIALECTS
+ * @returns {string} SQL literal
+ */
+function formatDefault(value, dialect) {
+  if (typeof value === 'boolean') return dialect.formatBoolean(value);
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string') return quoteLiteral(value);
+  return quoteLiteral(JSON.stringify(value));
+}
+
+/**
+ * Render one column definition with its inline constraints
+ * @param {Object} column - Column from the relational plan
+ * @param {Object} dialect - Entry of DIALECTS
+ * @returns {string} Column definition
+ */
+function renderColumn(column, dialect) {
+  const name = quoteIdentifier(column.name);
+  const parts = [name, columnType(column.schema, dialect)];
+
+  if (column.primaryKey) parts.push('PRIMARY KEY');
+  else if (column.required) parts.push('NOT NULL');
+  if (column.unique && !column.primaryKey) parts.push('UNIQUE');
+  if (column.schema.default !== undefined) parts.push(`DEFAULT ${formatDefault(column.schema.default, dialect)}`);
+  if (Array.isArray(column.schema.enum)) {
+    parts.push(`CHECK (${name} IN (${column.schema.enum.map(quoteLiteral).join(', ')}))`);
+  }
+  if (typeof column.schema.minimum === 'number') {
+    parts.push(`CHECK (${name} >= ${column.schema.minimum})`);
+  }
+  if (column.references) {
+    parts.push(`REFERENCES ${quoteIdentifier(column.references.table)}(${quoteIdentifier(column.references.column)})`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Generate DDL for a data model
+ *
+ * @param {Object} dataModel - Data model with entities and relationships
+ * @param {string} [dialectName='postgresql'] - postgresql | sqlite
+ * @returns {string} SQL script
+ */
+function generateSQL(dataModel, dialectName = 'postgresql') {
+  const dialect = DIALECTS[dialectName];
+  if (!dialect) {
+    throw new Error(`Unknown SQL dialect "${dialectName}"`);
+  }
+
+  const { tables, joinTables } = buildRelationalModel(dataModel);
+  const statements = [];
+
+  if (dialectName === 'sqlite') {
+    statements.push('PRAGMA foreign_keys = ON;');
+  }
+
+  tables.forEach(table => {
+    const columns = table.columns.map(column => `  ${renderColumn(column, dialect)}`);
+    statements.push(`CREATE TABLE ${quoteIdentifier(table.name)} (\n${columns.join(',\n')}\n);`);
+  });
+
+  joinTables.forEach(join => {
+    const leftTable = tables.find(table => table.entity === join.left.entity);
+    const rightTable = tables.find(table => table.entity === join.right.entity);
+    const keyType = (table, key) => columnType(table.columns.find(column => column.name === key).schema, dialect);
+
+    const lines = [
+      `  ${join.left.column} ${keyType(leftTable, join.left.references)} NOT NULL REFERENCES ${quoteIdentifier(join.left.table)}(${quoteIdentifier(join.left.references)}) ON DELETE CASCADE`,
+      `  ${join.right.column} ${keyType(rightTable, join.right.references)} NOT NULL REFERENCES ${quoteIdentifier(join.right.table)}(${quoteIdentifier(join.right.references)}) ON DELETE CASCADE`,
+      `  PRIMARY KEY (${join.left.column}, ${join.right.column})`
+    ];
+    statements.push(`CREATE TABLE ${quoteIdentifier(join.name)} (\n${lines.join(',\n')}\n);`);
+  });
+
+  // Index every foreign key column, as neither database does it automatically
+  tables.forEach(table => {
+    table.columns
+      .filter(column => column.references && !column.unique)
+      .forEach(column => {
+        statements.push(`CREATE INDEX idx_${table.name}_${column.name} ON ${quoteIdentifier(table.name)}(${quoteIdentifier(column.name)});`);
+      });
+  });
+
+  return `${statements.join('\n\n')}\n`;
+}
+
+module.exports = {
+  generateSQL
+};
@@ -0,0 +1,139 @@
+/**
+ * TypeScript Exporter
+ *
+ * Generates TypeScript interfaces and Zod schemas for the entities of a
+ * data model, including the foreign key fields the relationships imply.
+ */
+
+const { buildRelationalModel } = require('./relationalModel');
+const { toPascalCase } = require('./naming');
+
+/**
+ * Quote a property name when it is not a valid identifier
+ * @param {string} name - Property name
+ * @returns {string} Property key
+ */
+function propertyKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Map a property schema onto a TypeScript type
+ * @param {Object} schema - Property schema
+ * @returns {string} TypeScript type
+ */
+function tsType(schema) {
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'number':
+    case 'integer':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array': {
+      const itemType = schema.items ? tsType(schema.items) : 'unknown';
+      return itemType.includes(' ') ? `Array<${itemType}>` : `${itemType}[]`;
+    }
+    case 'object':
+      return 'Record<string, unknown>';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Map a property schema onto a Zod expression
+ * @param {Object} schema - Property schema
+ * @returns {string} Zod schema expression
+ */
+function zodType(schema) {
+  if (Array.isArray(schema.enum)) {
+    return `z.enum([${schema.enum.map(value => JSON.stringify(value)).join(', ')}])`;
+  }
+
+  let expression;
+  switch (schema.type) {
+    case 'string': {
+      const formats = { uuid: '.uuid()', email: '.email()', 'date-time': '.datetime()', date: '.date()', uri: '.url()' };
+      expression = `z.string()${formats[schema.format] || ''}`;
+      break;
+    }
+    case 'number':
+      expression = 'z.number()';
+      break;
+    case 'integer':
+      expression = 'z.number().int()';
+      break;
+    case 'boolean':
+      expression = 'z.boolean()';
+      break;
+    case 'array':
+      expression = `z.array(${schema.items ? zodType(schema.items) : 'z.unknown()'})`;
+      break;
+    case 'object':
+      expression = 'z.record(z.unknown())';
+      break;
+    default:
+      expression = 'z.unknown()';
+  }
+
+  if (typeof schema.minimum === 'number') expression += `.min(${schema.minimum})`;
+  return expression;
+}
+
+/**
+ * Generate TypeScript interfaces for a data model
+ *
+ * @param {Object} dataModel - Data model with entities and relationships
+ * @returns {string} TypeScript source
+ */
+function generateTypeScript(dataModel) {
+  const { tables } = buildRelationalModel(dataModel);
+
+  const blocks = tables.map(table => {
+    const lines = table.columns.flatMap(column => {
+      const doc = column.schema.description ? [`  /** ${column.schema.description} */`] : [];
+      const optional = column.required ? '' : '?';
+      return [...doc, `  ${propertyKey(column.name)}${optional}: ${tsType(column.schema)};`];
+    });
+    return `export interface ${toPascalCase(table.entity)} {\n${lines.join('\n')}\n}`;
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Generate Zod schemas (and inferred types) for a data model
+ *
+ * @param {Object} dataModel - Data model with entities and relationships
+ * @returns {string} TypeScript source importing zod
+ */
+function generateZod(dataModel) {
+  const { tables } = buildRelationalModel(dataModel);
+
+  const blocks = tables.map(table => {
+    const name = toPascalCase(table.entity);
+    const lines = table.columns.map(column => {
+      let expression = zodType(column.schema);
+      if (column.schema.default !== undefined) expression += `.default(${JSON.stringify(column.schema.default)})`;
+      else if (!column.required) expression += '.optional()';
+      return `  ${propertyKey(column.name)}: ${expression},`;
+    });
+    return [
+      `export const ${name}Schema = z.object({\n${lines.join('\n')}\n});`,
+      `export type ${name} = z.infer<typeof ${name}Schema>;`
+    ].join('\n\n');
+  });
+
+  return `import { z } from 'zod';\n\n${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+  generateTypeScript,
+  generateZod
+};
@@ -0,0 +1,214 @@
+/**
+ * BPMN Importer
+ *
+ * Reads the processes of a BPMN 2.0 XML file back into diagram nodes and
+ * edges. Flow elements map onto step types (the reverse of the BPMN
+ * generator's mapping, widened to the elements other modelers produce)
+ * and sequence flows become edges labelled with their name or condition.
+ *
+ * Sub-processes are imported as a single step; diagram interchange,
+ * lanes and pools are ignored.
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * BPMN flow elements mapped onto step types
+ */
+const ELEMENT_TYPES = {
+  startEvent: 'trigger',
+  endEvent: 'end',
+  intermediateCatchEvent: 'trigger',
+  intermediateThrowEvent: 'notification',
+  boundaryEvent: 'error_handling',
+  exclusiveGateway: 'decision',
+  inclusiveGateway: 'decision',
+  eventBasedGateway: 'decision',
+  complexGateway: 'decision',
+  parallelGateway: 'parallel',
+  userTask: 'user_action',
+  manualTask: 'user_action',
+  serviceTask: 'system_action',
+  scriptTask: 'system_action',
+  businessRuleTask: 'system_check',
+  task: 'system_action',
+  sendTask: 'notification',
+  receiveTask: 'integration',
+  subProcess: 'workflow_action',
+  adHocSubProcess: 'workflow_action',
+  transaction: 'workflow_action',
+  callActivity: 'workflow_action'
+};
+
+const TAG = /<(\/?)([\w-]+:)?([\w-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>/g;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Decode the XML entities of a text or attribute value
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse XML into a tree of { name, attributes, children, text }.
+ * Namespace prefixes are dropped; element names are local names.
+ *
+ * @param {string} xml - XML document
+ * @returns {Object} Root element
+ * @throws {ValidationError} When tags are not balanced
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(xml))) {
+    const current = stack[stack.length - 1];
+    current.text += decodeXml(xml.slice(last, match.index));
+    last = TAG.lastIndex;
+
+    const [, closing, , name, rawAttributes, selfClosing, cdata] = match;
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (name && closing) {
+      if (current.name !== name) {
+        throw new ValidationError('The BPMN file is not well-formed XML', [
+          { path: '$.content', message: `Unexpected closing tag </${name}>` }
+        ]);
+      }
+      stack.pop();
+    } else if (name) {
+      const attributes = {};
+      for (const attribute of (rawAttributes || '').matchAll(ATTRIBUTE)) {
+        attributes[attribute[1]] = decodeXml(attribute[2] ?? attribute[3]);
+      }
+      const element = { name, attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new ValidationError('The BPMN file is not well-formed XML', [
+      { path: '$.content', message: `Missing closing tag for <${stack[stack.length - 1].name}>` }
+    ]);
+  }
+
+  return root;
+}
+
+/**
+ * Collect the elements with a given name anywhere below an element
+ * @param {Object} element - Tree element
+ * @param {string} name - Local name
+ * @returns {Array<Object>} Matching elements, outermost first
+ */
+function findAll(element, name) {
+  return element.children.flatMap(child => (
+    child.name === name ? [child] : findAll(child, name)
+  ));
+}
+
+/**
+ * Turn an element name into a readable fallback step name ("userTask" -> "User Task")
+ * @param {string} name - Element name
+ * @returns {string} Readable name
+ */
+function humanize(name) {
+  const words = name.replace(/([a-z])([A-Z])/g, '$1 $2');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Parse a BPMN 2.0 document into nodes and edges
+ *
+ * @param {string} xml - BPMN 2.0 XML
+ * @returns {{ nodes: Array, edges: Array, title?: string }} Flow nodes in document order, their edges and the process name
+ * @throws {ValidationError} When the document has no usable process
+ */
+function parseBPMN(xml) {
+  const document = parseXml(xml);
+  const definitions = findAll(document, 'definitions')[0];
+  const processes = definitions ? findAll(definitions, 'process') : [];
+
+  if (processes.length === 0) {
+    throw new ValidationError('The BPMN file has no process to import', [
+      { path: '$.content', message: 'Expected a <definitions> element containing a <process>' }
+    ]);
+  }
+
+  const nodes = [];
+  const edges = [];
+
+  processes.forEach(process => {
+    process.children.forEach(element => {
+      const type = ELEMENT_TYPES[element.name];
+      const id = element.attributes.id;
+      if (!type || !id) return;
+
+      const documentation = element.children.find(child => child.name === 'documentation');
+      nodes.push({
+        key: id,
+        name: (element.attributes.name || '').trim() || humanize(element.name),
+        description: documentation ? documentation.text.trim() : '',
+        type
+      });
+
+      // Boundary events branch off the activity they are attached to
+      if (element.name === 'boundaryEvent' && element.attributes.attachedToRef) {
+        edges.push({ from: element.attributes.attachedToRef, to: id, label: element.attributes.name || undefined });
+      }
+    });
+
+    process.children
+      .filter(child => child.name === 'sequenceFlow')
+      .forEach(flow => {
+        const { sourceRef, targetRef, name } = flow.attributes;
+        const condition = flow.children.find(child => child.name === 'conditionExpression');
+        edges.push({
+          from: sourceRef,
+          to: targetRef,
+          label: (name || '').trim() || condition?.text.trim() || undefined
+        });
+      });
+  });
+
+  if (nodes.length === 0) {
+    throw new ValidationError('The BPMN file has no steps to import', [
+      { path: '$.content', message: 'Expected the process to contain events, tasks or gateways' }
+    ]);
+  }
+
+  const keys = new Set(nodes.map(node => node.key));
+  const connected = edges.filter(edge => keys.has(edge.from) && keys.has(edge.to));
+
+  // A parallel gateway that merges paths is a join
+  nodes.forEach(node => {
+    const incoming = connected.filter(edge => edge.to === node.key).length;
+    const outgoing = connected.filter(edge => edge.from === node.key).length;
+    if (node.type === 'parallel' && incoming > 1 && outgoing <= 1) node.type = 'join';
+  });
+
+  const title = processes.map(process => process.attributes.name).find(Boolean);
+  return {
+    nodes,
+    edges: connected,
+    ...(title ? { title } : {})
+  };
+}
+
+module.exports = {
+  parseBPMN
+};
@@ -0,0 +1,130 @@
+/**
+ * Graph Builder
+ *
+ * Turns the nodes and edges read from a diagram into workflow steps.
+ * Steps are ordered so that every edge except the loops points down the
+ * list, which keeps loops recognisable as edges to earlier steps. Ids are
+ * numbered 1..n.
+ */
+
+/**
+ * Step types whose outgoing edges are always branches
+ */
+const DECISION_TYPES = ['decision', 'conditional'];
+
+/**
+ * Find the edges that close a loop
+ *
+ * A depth-first search from the start nodes marks every edge that points
+ * at a node still on the search stack.
+ *
+ * @param {Array<{ key: string, type: string }>} nodes - Nodes in source order
+ * @param {Array<{ from: string, to: string }>} edges - Edges between node keys
+ * @returns {Set<Object>} Loop edges
+ */
+function findLoopEdges(nodes, edges) {
+  const hasIncoming = new Set(edges.map(edge => edge.to));
+  const starts = [
+    ...nodes.filter(node => node.type === 'trigger'),
+    ...nodes.filter(node => !hasIncoming.has(node.key)),
+    ...nodes
+  ];
+
+  const loops = new Set();
+  const state = new Map();
+  const visit = key => {
+    state.set(key, 'open');
+    edges.filter(edge => edge.from === key).forEach(edge => {
+      if (state.get(edge.to) === 'open') loops.add(edge);
+      else if (!state.has(edge.to)) visit(edge.to);
+    });
+    state.set(key, 'done');
+  };
+
+  starts.forEach(node => {
+    if (!state.has(node.key)) visit(node.key);
+  });
+  return loops;
+}
+
+/**
+ * Order node keys so every edge that is not a loop points down the list
+ *
+ * This is a topological sort of the graph without its loop edges that
+ * keeps the source order wherever the graph allows it, so diagrams that
+ * already list their steps in order keep that order.
+ *
+ * @param {Array<{ key: string, type: string }>} nodes - Nodes in source order
+ * @param {Array<{ from: string, to: string }>} edges - Edges between node keys
+ * @returns {Array<string>} Node keys in workflow order
+ */
+function orderNodes(nodes, edges) {
+  const loops = findLoopEdges(nodes, edges);
+  const forward = edges.filter(edge => !loops.has(edge));
+  const pending = new Map(nodes.map(node => [node.key, 0]));
+  forward.forEach(edge => pending.set(edge.to, pending.get(edge.to) + 1));
+
+  // Triggers come first when they are free to
+  const candidates = [
+    ...nodes.filter(node => node.type === 'trigger'),
+    ...nodes.filter(node => node.type !== 'trigger')
+  ];
+
+  const order = [];
+  while (order.length < nodes.length) {
+    const next = candidates.find(node => pending.get(node.key) === 0);
+    pending.delete(next.key);
+    candidates.splice(candidates.indexOf(next), 1);
+    order.push(next.key);
+    forward.filter(edge => edge.from === next.key).forEach(edge => {
+      pending.set(edge.to, pending.get(edge.to) - 1);
+    });
+  }
+
+  return order;
+}
+
+/**
+ * Build workflow steps from diagram nodes and edges
+ *
+ * Labelled edges and edges leaving decisions become `branches`, every
+ * other edge goes into `next`. Unlabelled branches are named after the
+ * step they lead to.
+ *
+ * @param {Array<{ key: string, name: string, type: string, description?: string }>} nodes - Diagram nodes
+ * @param {Array<{ from: string, to: string, label?: string }>} edges - Diagram edges
+ * @returns {Array} Workflow steps
+ */
+function buildWorkflow(nodes, edges) {
+  const order = orderNodes(nodes, edges);
+  const ids = new Map(order.map((key, index) => [key, index + 1]));
+  const byKey = new Map(nodes.map(node => [node.key, node]));
+
+  return order.map(key => {
+    const node = byKey.get(key);
+    const outgoing = edges.filter(edge => edge.from === key);
+    const step = {
+      id: ids.get(key),
+      name: node.name,
+      description: node.description || node.name,
+      type: node.type
+    };
+
+    if (DECISION_TYPES.includes(node.type) || outgoing.some(edge => edge.label)) {
+      step.next = [];
+      step.branches = outgoing.map(edge => ({
+        label: edge.label || byKey.get(edge.to).name,
+        to: ids.get(edge.to)
+      }));
+    } else {
+      step.next = outgoing.map(edge => ids.get(edge.to));
+    }
+
+    return step;
+  });
+}
+
+module.exports = {
+  buildWorkflow,
+  orderNodes
+};
@@ -0,0 +1,89 @@
+/**
+ * Importer Registry
+ *
+ * Every import format is registered here with the same shape:
+ *
+ *   {
+ *     id: string,          // used in requests, e.g. "mermaid"
+ *     label: string,       // shown in summaries
+ *     detect(content) => boolean,
+ *     parse(content) => { nodes, edges, title? }
+ *   }
+ *
+ * The parsed nodes and edges are turned into workflow steps by the
+ * graph builder, so every format produces the same workflow structure.
+ */
+
+const { parseMermaid } = require('./mermaidImporter');
+const { parseBPMN } = require('./bpmnImporter');
+const { buildWorkflow } = require('./graphBuilder');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const IMPORTERS = [
+  {
+    id: 'mermaid',
+    label: 'Mermaid flowchart',
+    detect: content => /^\s*(?:%%.*\r?\n\s*)*(?:graph|flowchart)\b/i.test(content),
+    parse: parseMermaid
+  },
+  {
+    id: 'bpmn',
+    label: 'BPMN 2.0 diagram',
+    detect: content => /<([\w-]+:)?definitions\b/.test(content),
+    parse: parseBPMN
+  }
+];
+
+/**
+ * Find an importer by id
+ * @param {string} id - Format id
+ * @returns {Object} Importer
+ * @throws {NotFoundError} When the format is unknown
+ */
+function getImporter(id) {
+  const importer = IMPORTERS.find(candidate => candidate.id === id);
+  if (!importer) {
+    throw new NotFoundError(`Unknown import format "${id}". Expected one of: ${IMPORTERS.map(entry => entry.id).join(', ')}`);
+  }
+  return importer;
+}
+
+/**
+ * Recognise the format of a diagram
+ * @param {string} content - Diagram source
+ * @returns {Object} Importer
+ * @throws {ValidationError} When no importer recognises the content
+ */
+function detectImporter(content) {
+  const importer = IMPORTERS.find(candidate => candidate.detect(content));
+  if (!importer) {
+    throw new ValidationError('Unrecognised diagram format', [
+      { path: '$.content', message: 'Expected a Mermaid graph/flowchart or BPMN 2.0 XML' }
+    ]);
+  }
+  return importer;
+}
+
+/**
+ * Parse a diagram into workflow steps
+ *
+ * @param {string} content - Diagram source
+ * @param {string} [format] - Format id; detected from the content when omitted
+ * @returns {{ format: string, label: string, workflow: Array, title?: string }}
+ */
+function importDiagram(content, format) {
+  const importer = format ? getImporter(format) : detectImporter(content);
+  const { nodes, edges, title } = importer.parse(content);
+
+  return {
+    format: importer.id,
+    label: importer.label,
+    workflow: buildWorkflow(nodes, edges),
+    ...(title ? { title } : {})
+  };
+}
+
+module.exports = {
+  getImporter,
+  importDiagram
+};
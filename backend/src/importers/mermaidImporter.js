@@ -0,0 +1,310 @@
+/**
+ * Mermaid Importer
+ *
+ * Reads a Mermaid `graph` / `flowchart` back into diagram nodes and edges.
+ * Node shapes are mapped back onto step types with the inverse of
+ * getNodeShape, so flowcharts exported by this tool round-trip; shapes
+ * shared by several types are told apart by their position in the graph
+ * (a stadium with no outgoing edge is an end) or by their label.
+ *
+ * Supported syntax: node definitions with any of the shapes below, edge
+ * chains (`A --> B --> C`), `&` groups, edge labels in both the `-->|label|`
+ * and `-- label -->` forms, and dotted or thick arrows. Styling, classes,
+ * subgraphs and click handlers are ignored.
+ */
+
+const { getNodeShape } = require('../utils/diagramGenerator');
+const { STEP_TYPES } = require('../utils/stepTypes');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Node shape delimiters, longest opening first so `([` wins over `(`
+ */
+const SHAPES = [
+  { open: '(((', close: ')))' },
+  { open: '([', close: '])' },
+  { open: '[[', close: ']]' },
+  { open: '[(', close: ')]' },
+  { open: '[/', close: '/]' },
+  { open: '[/', close: '\\]' },
+  { open: '[\\', close: '\\]' },
+  { open: '[\\', close: '/]' },
+  { open: '((', close: '))' },
+  { open: '{{', close: '}}' },
+  { open: '[', close: ']' },
+  { open: '{', close: '}' },
+  { open: '(', close: ')' },
+  { open: '>', close: ']' }
+];
+
+/**
+ * Statements that carry no nodes or edges
+ */
+const IGNORED_STATEMENT = /^(classDef|class|style|linkStyle|click|subgraph|end|direction)\b/;
+
+const HEADER = /^(graph|flowchart)(\s+(TB|TD|BT|RL|LR))?\s*;?$/i;
+const NODE_ID = /[A-Za-z0-9_]+/y;
+const GROUP_SEPARATOR = /\s*&\s*/y;
+const CLASS_SUFFIX = /:::[\w-]+/y;
+const EDGE = /\s*(?:(?:--|==|-\.)\s*([^\s>|.=-][^>|]*?)\s*)?(<?(?:-{2,}>|-\.+->|\.-+>|={2,}>|-{3,}|-\.+-|={3,}|--[ox]|==[ox]))\s*(?:\|([^|]*)\|)?\s*/y;
+
+const WRITE_WORDS = /\b(save|saves|store|stores|write|writes|insert|update|updates|create|creates|record|records|persist|delete|deletes)\b/i;
+const LOG_WORDS = /\blog(s|ging)?\b|\baudit\b/i;
+
+/**
+ * Invert getNodeShape: the first step type drawn with each shape
+ * @returns {Map<string, string>} "open close" to step type
+ */
+function buildShapeTypes() {
+  const types = new Map();
+  STEP_TYPES.forEach(type => {
+    const { open, close } = getNodeShape(type);
+    const key = `${open} ${close}`;
+    if (!types.has(key)) types.set(key, type);
+  });
+  return types;
+}
+
+const SHAPE_TYPES = buildShapeTypes();
+
+/**
+ * Find the step type a shape stands for
+ * Shapes getNodeShape never draws fall back to the plain rectangle.
+ *
+ * @param {Object} shape - { open, close }
+ * @returns {string} Step type
+ */
+function typeForShape(shape) {
+  const { open, close } = shape;
+  if (open.startsWith('[/') || open.startsWith('[\\')) return SHAPE_TYPES.get('[/ /]');
+  if (open === '(((') return 'end';
+  return SHAPE_TYPES.get(`${open} ${close}`) || SHAPE_TYPES.get('[ ]');
+}
+
+/**
+ * Decode the entity codes and line breaks Mermaid allows in labels
+ * @param {string} label - Raw label
+ * @returns {string} Plain text
+ */
+function decodeLabel(label) {
+  return label
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/#quot;/g, '"')
+    .replace(/#amp;/g, '&')
+    .replace(/#lt;/g, '<')
+    .replace(/#gt;/g, '>')
+    .replace(/#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split the source into statements, dropping comments
+ * @param {string} source - Mermaid source
+ * @returns {Array<{ text: string, line: number }>} Statements with their line number
+ */
+function splitStatements(source) {
+  return source.split(/\r?\n/).flatMap((raw, index) => {
+    const line = raw.replace(/%%.*$/, '');
+    const texts = [];
+    let current = '';
+    let quoted = false;
+
+    // Semicolons separate statements, except inside quotes and entity codes like #quot;
+    [...line].forEach(char => {
+      if (char === '"') quoted = !quoted;
+      if (char === ';' && !quoted && !/#\w+$/.test(current)) {
+        texts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    });
+    texts.push(current);
+
+    return texts
+      .map(text => text.trim())
+      .filter(Boolean)
+      .map(text => ({ text, line: index + 1 }));
+  });
+}
+
+/**
+ * Match a sticky pattern at the cursor and advance past it
+ * @param {Object} cursor - { text, position }
+ * @param {RegExp} pattern - Sticky regular expression
+ * @returns {Array|null} Match
+ */
+function consume(cursor, pattern) {
+  pattern.lastIndex = cursor.position;
+  const match = pattern.exec(cursor.text);
+  if (match) cursor.position = pattern.lastIndex;
+  return match;
+}
+
+/**
+ * Read a node reference with its optional shape and label
+ * @param {Object} cursor - { text, position }
+ * @returns {{ key: string, shape?: Object, label?: string }|null} Node
+ */
+function readNode(cursor) {
+  const id = consume(cursor, NODE_ID);
+  if (!id) return null;
+
+  const node = { key: id[0] };
+  const rest = cursor.text.slice(cursor.position);
+  const shape = SHAPES.find(candidate => rest.startsWith(candidate.open));
+
+  if (shape) {
+    const body = rest.slice(shape.open.length);
+    const quoted = body.match(/^\s*"([^"]*)"\s*/);
+    let length;
+    if (quoted && body.slice(quoted[0].length).startsWith(shape.close)) {
+      node.label = quoted[1];
+      length = quoted[0].length;
+    } else {
+      length = body.indexOf(shape.close);
+      if (length === -1) return null;
+      node.label = body.slice(0, length);
+    }
+    node.shape = shape;
+    cursor.position += shape.open.length + length + shape.close.length;
+  }
+
+  consume(cursor, CLASS_SUFFIX);
+  return node;
+}
+
+/**
+ * Read nodes joined by `&`
+ * @param {Object} cursor - { text, position }
+ * @returns {Array<Object>|null} Nodes
+ */
+function readGroup(cursor) {
+  const nodes = [];
+  do {
+    const node = readNode(cursor);
+    if (!node) return null;
+    nodes.push(node);
+  } while (consume(cursor, GROUP_SEPARATOR));
+  return nodes;
+}
+
+/**
+ * Read one statement: node groups joined by edges
+ * @param {string} text - Statement text
+ * @returns {{ nodes: Array, edges: Array }|null} Nodes and edges, or null when unreadable
+ */
+function readStatement(text) {
+  const cursor = { text, position: 0 };
+  const nodes = [];
+  const edges = [];
+
+  let group = readGroup(cursor);
+  if (!group) return null;
+  nodes.push(...group);
+
+  let edge;
+  while ((edge = consume(cursor, EDGE))) {
+    const next = readGroup(cursor);
+    if (!next) return null;
+
+    const label = edge[1] || edge[3];
+    group.forEach(from => next.forEach(to => {
+      edges.push({ from: from.key, to: to.key, label: label ? decodeLabel(label.replace(/^"|"$/g, '')) : undefined });
+    }));
+    nodes.push(...next);
+    group = next;
+  }
+
+  return cursor.position === text.length ? { nodes, edges } : null;
+}
+
+/**
+ * Refine the type of a node from its place in the graph and its name
+ *
+ * @param {Object} node - { key, name, type }
+ * @param {Array} edges - All edges
+ * @returns {string} Step type
+ */
+function refineType(node, edges) {
+  const incoming = edges.filter(edge => edge.to === node.key).length;
+  const outgoing = edges.filter(edge => edge.from === node.key).length;
+
+  switch (node.type) {
+    case 'trigger':
+      return incoming > 0 && outgoing === 0 ? 'end' : 'trigger';
+    case 'parallel':
+      return incoming > 1 && outgoing <= 1 ? 'join' : 'parallel';
+    case 'database_query':
+      if (LOG_WORDS.test(node.name)) return 'logging';
+      return WRITE_WORDS.test(node.name) ? 'database_write' : 'database_query';
+    default:
+      return node.type;
+  }
+}
+
+/**
+ * Parse a Mermaid flowchart into nodes and edges
+ *
+ * @param {string} source - Mermaid `graph` or `flowchart` source
+ * @returns {{ nodes: Array, edges: Array }} Nodes in order of appearance and their edges
+ * @throws {ValidationError} When the source is not a flowchart or has unreadable lines
+ */
+function parseMermaid(source) {
+  const statements = splitStatements(source);
+  const header = statements.shift();
+
+  if (!header || !HEADER.test(header.text)) {
+    throw new ValidationError('Only Mermaid graph and flowchart diagrams can be imported', [
+      { path: '$.content', message: 'Expected the diagram to start with "graph" or "flowchart"' }
+    ]);
+  }
+
+  const nodes = new Map();
+  const edges = [];
+  const problems = [];
+
+  statements.forEach(({ text, line }) => {
+    if (IGNORED_STATEMENT.test(text)) return;
+
+    const statement = readStatement(text);
+    if (!statement) {
+      problems.push({ path: '$.content', message: `Line ${line}: could not read "${text}"` });
+      return;
+    }
+
+    statement.nodes.forEach(node => {
+      const known = nodes.get(node.key);
+      if (!known) {
+        nodes.set(node.key, { key: node.key, shape: node.shape, label: node.label });
+      } else if (node.shape) {
+        Object.assign(known, { shape: node.shape, label: node.label });
+      }
+    });
+    edges.push(...statement.edges);
+  });
+
+  if (problems.length > 0) {
+    throw new ValidationError('The Mermaid diagram could not be read', problems);
+  }
+
+  const parsed = [...nodes.values()].map(node => {
+    const name = node.label ? decodeLabel(node.label) : '';
+    return {
+      key: node.key,
+      name: name || node.key,
+      type: typeForShape(node.shape || { open: '[', close: ']' })
+    };
+  });
+
+  return {
+    nodes: parsed.map(node => ({ ...node, type: refineType(node, edges) })),
+    edges
+  };
+}
+
+module.exports = {
+  parseMermaid,
+  typeForShape
+};
@@ -5,6 +5,7 @@
  * It sets up middleware, routes, and starts the server.
  */
 
+const { randomUUID } = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const scenarioRoutes = require('./routes/scenarioRoutes');
@@ -20,12 +21,22 @@ const PORT = process.env.PORT || 3001;
 // Enable CORS for frontend communication
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type']
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
-// Parse JSON request bodies
-app.use(express.json());
+// Tag every request with an id, reusing a well-formed one sent by the caller,
+// so a response can be matched with the server logs
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
+// Parse JSON request bodies (imported BPMN files can exceed the 100kb default)
+app.use(express.json({ limit: '2mb' }));
 
 // ============================================
 // ROUTES
@@ -0,0 +1,67 @@
+/**
+ * Anthropic-compatible Provider
+ *
+ * Talks to any server implementing the Anthropic Messages API.
+ */
+
+const { postJSON } = require('./httpClient');
+const { SYSTEM_PROMPT, buildUserPrompt, buildRefinePrompt, toUsage, parseModelResponse } = require('./prompt');
+const { ProviderError } = require('../utils/errors');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Create an Anthropic-compatible provider
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - API base URL, e.g. https://api.anthropic.com
+ * @param {string} config.model - Model name
+ * @param {string} [config.apiKey] - API key sent as x-api-key
+ * @param {number} [config.timeoutMs] - Request timeout
+ * @param {number} [config.maxTokens] - Maximum tokens in the answer
+ * @returns {Object} Provider with generate(description) and refine(workflow, instruction) methods
+ */
+function createAnthropicProvider({ baseUrl, model, apiKey, timeoutMs, maxTokens = 4096 }) {
+  const headers = { 'anthropic-version': ANTHROPIC_VERSION };
+  if (apiKey) headers['x-api-key'] = apiKey;
+
+  // Send one user message and return the model's text answer with its token usage
+  async function complete(userPrompt) {
+    const response = await postJSON(`${baseUrl}/v1/messages`, {
+      model,
+      max_tokens: maxTokens,
+      system: SYSTEM_PROMPT,
+      messages: [
+        { role: 'user', content: userPrompt }
+      ]
+    }, { headers, timeoutMs });
+
+    const textBlock = Array.isArray(response.content)
+      ? response.content.find(block => block.type === 'text')
+      : undefined;
+    if (!textBlock) {
+      throw new ProviderError('Anthropic-compatible response has no text content');
+    }
+
+    return {
+      text: textBlock.text,
+      usage: toUsage(response.usage?.input_tokens, response.usage?.output_tokens)
+    };
+  }
+
+  const metadata = { aiProvider: 'anthropic', model };
+
+  return {
+    name: 'anthropic',
+    model,
+    generate: async (description) => parseModelResponse(await complete(buildUserPrompt(description)), metadata),
+    refine: async (workflow, instruction, context) => parseModelResponse(
+      await complete(buildRefinePrompt(workflow, instruction, context)),
+      metadata
+    )
+  };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
@@ -0,0 +1,53 @@
+/**
+ * HTTP Client for AI Providers
+ *
+ * Thin wrapper around the built-in fetch API that adds a timeout and
+ * converts transport and HTTP failures into ProviderErrors.
+ */
+
+const { ProviderError } = require('../utils/errors');
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request payload
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeoutMs] - Abort the request after this many milliseconds
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function postJSON(url, body, { headers = {}, timeoutMs = 60000 } = {}) {
+  let response;
+
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+    throw new ProviderError(`Could not reach AI provider at ${url}`, { reason });
+  }
+
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new ProviderError(`AI provider responded with HTTP ${response.status}`, {
+      status: response.status,
+      body: text.substring(0, 500)
+    });
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ProviderError('AI provider returned a non-JSON HTTP response');
+  }
+}
+
+module.exports = {
+  postJSON
+};
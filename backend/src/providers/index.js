@@ -0,0 +1,112 @@
+/**
+ * AI Provider Registry
+ *
+ * Selects and configures the AI provider used for workflow generation.
+ * Every provider exposes the same interface:
+ *
+ *   {
+ *     name: string,
+ *     model: string,
+ *     generate(description) => Promise<{ workflow, summary, metadata }>,
+ *     refine(workflow, instruction, { summary }) => Promise<{ workflow, summary, metadata }>,
+ *     stream?(description, onEvent) => Promise<{ workflow, summary, metadata }>
+ *   }
+ *
+ * `stream` is optional: it generates like `generate` while reporting
+ * progress through onEvent('analysis', details) and onEvent('step', step).
+ * Providers without it still stream, with all steps reported at the end.
+ *
+ * Configuration comes from environment variables:
+ *   AI_PROVIDER    mock | openai | anthropic | ollama (default: mock)
+ *   AI_MODEL       Model name (defaults per provider)
+ *   AI_BASE_URL    API base URL (defaults per provider)
+ *   AI_API_KEY     API key (falls back to OPENAI_API_KEY / ANTHROPIC_API_KEY)
+ *   AI_TIMEOUT_MS  Request timeout in milliseconds (default: 60000)
+ */
+
+const { createMockProvider } = require('./mockProvider');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createAnthropicProvider } = require('./anthropicProvider');
+const { createOllamaProvider } = require('./ollamaProvider');
+
+const PROVIDERS = {
+  mock: {
+    create: createMockProvider,
+    defaults: {}
+  },
+  openai: {
+    create: createOpenAIProvider,
+    defaults: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', apiKeyEnv: 'OPENAI_API_KEY' }
+  },
+  anthropic: {
+    create: createAnthropicProvider,
+    defaults: { baseUrl: 'https://api.anthropic.com', model: 'claude-3-5-sonnet-latest', apiKeyEnv: 'ANTHROPIC_API_KEY' }
+  },
+  ollama: {
+    create: createOllamaProvider,
+    defaults: { baseUrl: 'http://localhost:11434', model: 'llama3.1' }
+  }
+};
+
+/**
+ * Read provider configuration from environment variables
+ *
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Object} Resolved provider configuration
+ */
+function loadProviderConfig(env = process.env) {
+  const name = (env.AI_PROVIDER || 'mock').toLowerCase();
+  const entry = PROVIDERS[name];
+
+  if (!entry) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const { defaults } = entry;
+
+  return {
+    name,
+    model: env.AI_MODEL || defaults.model,
+    baseUrl: (env.AI_BASE_URL || defaults.baseUrl || '').replace(/\/+$/, ''),
+    apiKey: env.AI_API_KEY || (defaults.apiKeyEnv && env[defaults.apiKeyEnv]) || undefined,
+    timeoutMs: Number(env.AI_TIMEOUT_MS) || 60000
+  };
+}
+
+/**
+ * Create a provider from an explicit configuration
+ *
+ * @param {Object} config - Configuration as returned by loadProviderConfig
+ * @returns {Object} Provider instance
+ */
+function createProvider(config) {
+  const entry = PROVIDERS[config.name];
+
+  if (!entry) {
+    throw new Error(`Unknown AI provider "${config.name}"`);
+  }
+
+  return entry.create(config);
+}
+
+let defaultProvider = null;
+
+/**
+ * Get the provider configured by the environment.
+ * Created once and reused for the lifetime of the process.
+ *
+ * @returns {Object} Provider instance
+ */
+function getProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createProvider(loadProviderConfig());
+  }
+  return defaultProvider;
+}
+
+module.exports = {
+  getProvider,
+  createProvider,
+  loadProviderConfig,
+  PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
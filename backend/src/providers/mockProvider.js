@@ -0,0 +1,27 @@
+/**
+ * Mock Provider
+ *
+ * Wraps the offline template generator in the provider interface.
+ * Used by default and in tests, as it needs no network or API key.
+ */
+
+const { mockAIGenerate, mockAIStream, mockAIRefine } = require('../utils/mockAI');
+
+/**
+ * Create the mock provider
+ * @returns {Object} Provider with generate(description), stream(description, onEvent)
+ *   and refine(workflow, instruction) methods
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'template',
+    generate: (description) => mockAIGenerate(description),
+    stream: (description, onEvent) => mockAIStream(description, onEvent),
+    refine: (workflow, instruction, context) => mockAIRefine(workflow, instruction, context)
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,59 @@
+/**
+ * Ollama Provider
+ *
+ * Talks to a local Ollama-style server through its /api/chat endpoint.
+ */
+
+const { postJSON } = require('./httpClient');
+const { SYSTEM_PROMPT, buildUserPrompt, buildRefinePrompt, toUsage, parseModelResponse } = require('./prompt');
+const { ProviderError } = require('../utils/errors');
+
+/**
+ * Create an Ollama provider
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - Server URL, e.g. http://localhost:11434
+ * @param {string} config.model - Local model name
+ * @param {number} [config.timeoutMs] - Request timeout
+ * @returns {Object} Provider with generate(description) and refine(workflow, instruction) methods
+ */
+function createOllamaProvider({ baseUrl, model, timeoutMs }) {
+  // Send one user message and return the model's text answer with its token usage
+  async function complete(userPrompt) {
+    const response = await postJSON(`${baseUrl}/api/chat`, {
+      model,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: userPrompt }
+      ],
+      format: 'json',
+      stream: false
+    }, { timeoutMs });
+
+    const content = response.message?.content;
+    if (content === undefined) {
+      throw new ProviderError('Ollama response has no message content');
+    }
+
+    return {
+      text: content,
+      usage: toUsage(response.prompt_eval_count, response.eval_count)
+    };
+  }
+
+  const metadata = { aiProvider: 'ollama', model };
+
+  return {
+    name: 'ollama',
+    model,
+    generate: async (description) => parseModelResponse(await complete(buildUserPrompt(description)), metadata),
+    refine: async (workflow, instruction, context) => parseModelResponse(
+      await complete(buildRefinePrompt(workflow, instruction, context)),
+      metadata
+    )
+  };
+}
+
+module.exports = {
+  createOllamaProvider
+};
@@ -0,0 +1,63 @@
+/**
+ * OpenAI-compatible Provider
+ *
+ * Talks to any server implementing the OpenAI Chat Completions API
+ * (OpenAI, Azure OpenAI, vLLM, LM Studio, ...).
+ */
+
+const { postJSON } = require('./httpClient');
+const { SYSTEM_PROMPT, buildUserPrompt, buildRefinePrompt, toUsage, parseModelResponse } = require('./prompt');
+const { ProviderError } = require('../utils/errors');
+
+/**
+ * Create an OpenAI-compatible provider
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - API base URL, e.g. https://api.openai.com/v1
+ * @param {string} config.model - Model name
+ * @param {string} [config.apiKey] - Bearer token
+ * @param {number} [config.timeoutMs] - Request timeout
+ * @returns {Object} Provider with generate(description) and refine(workflow, instruction) methods
+ */
+function createOpenAIProvider({ baseUrl, model, apiKey, timeoutMs }) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  // Send one user message and return the model's text answer with its token usage
+  async function complete(userPrompt) {
+    const response = await postJSON(`${baseUrl}/chat/completions`, {
+      model,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: userPrompt }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0.2
+    }, { headers, timeoutMs });
+
+    const content = response.choices?.[0]?.message?.content;
+    if (content === undefined) {
+      throw new ProviderError('OpenAI-compatible response has no message content');
+    }
+
+    return {
+      text: content,
+      usage: toUsage(response.usage?.prompt_tokens, response.usage?.completion_tokens)
+    };
+  }
+
+  const metadata = { aiProvider: 'openai', model };
+
+  return {
+    name: 'openai',
+    model,
+    generate: async (description) => parseModelResponse(await complete(buildUserPrompt(description)), metadata),
+    refine: async (workflow, instruction, context) => parseModelResponse(
+      await complete(buildRefinePrompt(workflow, instruction, context)),
+      metadata
+    )
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
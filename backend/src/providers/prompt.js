@@ -0,0 +1,136 @@
+/**
+ * Shared Prompt and Response Contract
+ *
+ * Every LLM-backed provider sends the same system prompt and parses the
+ * answer with the same function, so switching models never changes the
+ * shape of the data handed to the rest of the pipeline.
+ */
+
+const { STEP_TYPES } = require('../utils/stepTypes');
+const { ProviderError } = require('../utils/errors');
+
+const SYSTEM_PROMPT = `You are a workflow architect. Given a scenario description, break it down into a sequence of workflow steps.
+
+Respond with a single JSON object and nothing else, using this shape:
+{
+  "workflow": [
+    { "id": 1, "name": "Short step name", "description": "One sentence describing the step", "type": "user_action", "next": [2] },
+    { "id": 2, "name": "Approved?", "description": "Check the outcome", "type": "decision",
+      "branches": [{ "label": "Yes", "to": 3 }, { "label": "No", "to": 1 }] }
+  ],
+  "summary": "Two or three sentences explaining the workflow"
+}
+
+Rules:
+- "id" values are consecutive integers starting at 1.
+- "name" is at most 60 characters.
+- "type" must be one of: ${STEP_TYPES.join(', ')}.
+- "next" lists the ids of the steps that follow; several ids start parallel paths ("parallel" step), and [] ends the flow.
+- Steps where the flow branches use "decision" with labelled "branches" instead of "next"; a branch may point back to an earlier step to express a retry loop.
+- Use "join" where parallel paths meet again and "end" for terminal steps.
+- Produce between 5 and 15 steps.`;
+
+/**
+ * Build the user message sent alongside the system prompt
+ * @param {string} description - The scenario description
+ * @returns {string} User prompt
+ */
+function buildUserPrompt(description) {
+  return `Scenario description:\n${description}`;
+}
+
+/**
+ * Build the user message asking the model to change an existing workflow.
+ * The answer uses the same JSON shape as a fresh generation.
+ *
+ * @param {Array} workflow - Current workflow steps
+ * @param {string} instruction - Requested change, e.g. "remove the calendar step"
+ * @param {Object} [context]
+ * @param {string} [context.summary] - Current summary
+ * @returns {string} User prompt
+ */
+function buildRefinePrompt(workflow, instruction, { summary } = {}) {
+  return [
+    'Current workflow:',
+    JSON.stringify({ workflow, summary }, null, 2),
+    '',
+    `Change request: ${instruction}`,
+    '',
+    'Apply only the requested change, keep every other step as it is, renumber ids so they stay consecutive and update next/branches accordingly. Return the complete updated workflow and a summary of it.'
+  ].join('\n');
+}
+
+/**
+ * Extract the JSON object from a model's text answer.
+ * Tolerates Markdown code fences and leading/trailing chatter.
+ *
+ * @param {string} text - Raw text returned by the model
+ * @returns {Object} Parsed JSON object
+ */
+function extractJSON(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ProviderError('AI provider returned an empty response');
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new ProviderError('AI provider response did not contain a JSON object');
+  }
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    throw new ProviderError('AI provider returned malformed JSON', { reason: error.message });
+  }
+}
+
+/**
+ * Normalise the token counts reported by an API
+ *
+ * @param {number} [inputTokens] - Tokens in the prompt
+ * @param {number} [outputTokens] - Tokens in the answer
+ * @returns {Object|undefined} { inputTokens, outputTokens, totalTokens }, or undefined when nothing was reported
+ */
+function toUsage(inputTokens, outputTokens) {
+  if (!Number.isFinite(inputTokens) && !Number.isFinite(outputTokens)) return undefined;
+
+  const input = Number.isFinite(inputTokens) ? inputTokens : 0;
+  const output = Number.isFinite(outputTokens) ? outputTokens : 0;
+  return { inputTokens: input, outputTokens: output, totalTokens: input + output };
+}
+
+/**
+ * Parse a model's answer into the provider response contract
+ *
+ * @param {Object} answer
+ * @param {string} answer.text - Raw text returned by the model
+ * @param {Object} [answer.usage] - Token usage, see toUsage
+ * @param {Object} metadata - Provider metadata (provider name, model)
+ * @returns {{ workflow: Array, summary: string, metadata: Object }} The parsed answer with
+ *   every key kept, so the validator can repair answers in another shape ("steps")
+ */
+function parseModelResponse({ text, usage }, metadata) {
+  const parsed = extractJSON(text);
+
+  return {
+    ...parsed,
+    metadata: {
+      ...metadata,
+      ...(usage ? { usage } : {}),
+      generatedAt: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  buildUserPrompt,
+  buildRefinePrompt,
+  extractJSON,
+  toUsage,
+  parseModelResponse
+};
@@ -1,12 +1,18 @@
 /**
  * Scenario Routes
  * 
- * Defines all API routes related to scenario generation.
+ * Defines all API routes related to scenario generation
+ * and the saved scenario library.
  */
 
 const express = require('express');
 const router = express.Router();
 const scenarioController = require('../controllers/scenarioController');
+const libraryController = require('../controllers/libraryController');
+const exportController = require('../controllers/exportController');
+const importController = require('../controllers/importController');
+const batchController = require('../controllers/batchController');
+const templateController = require('../controllers/templateController');
 
 /**
  * POST /api/scenario
@@ -21,4 +27,228 @@ const scenarioController = require('../controllers/scenarioController');
  */
 router.post('/scenario', scenarioController.generateScenario);
 
+/**
+ * GET|POST /api/scenario/stream
+ * 
+ * Generates a scenario like POST /api/scenario, streamed as Server-Sent
+ * Events: analysis, step (one per step), diagram, data_model, summary,
+ * then done with the complete result, or error.
+ * 
+ * @query {string} description - The scenario description (GET, for EventSource)
+ * @body {string} description - The scenario description (POST)
+ */
+router.get('/scenario/stream', scenarioController.streamScenario);
+router.post('/scenario/stream', scenarioController.streamScenario);
+
+/**
+ * POST /api/derive
+ * 
+ * Re-derives the diagrams and data model of a hand-edited workflow
+ * without calling the AI. The workflow is validated and repaired first.
+ * A hand-edited data model is validated as JSON Schema and kept.
+ * 
+ * @body {Array} workflow - Edited workflow steps
+ * @body {string} [description] - Scenario description, used for the data model
+ * @body {string} [summary] - Current summary, returned unchanged
+ * @body {Object} [data_model] - Curated data model to keep instead of generating one
+ */
+router.post('/derive', scenarioController.deriveScenario);
+
+/**
+ * POST /api/scenario/:id/refine
+ * 
+ * Applies a plain-English change to a saved scenario, e.g.
+ * "add a fraud check before payment" or "remove the calendar step".
+ * Returns the updated workflow, diagram and data model and stores
+ * them as a new version.
+ * 
+ * @body {string} instruction - The requested change
+ * @body {Array} [workflow] - Workflow to refine (defaults to the saved one)
+ */
+router.post('/scenario/:id/refine', scenarioController.refineScenario);
+
+// ============================================
+// BATCH GENERATION
+// ============================================
+
+/**
+ * POST /api/scenarios/batch
+ * 
+ * Generates a scenario for every description, a few at a time. Each
+ * result reports its own success or error. With `async: true` the batch
+ * runs in the background and the response (202) is the job to poll.
+ * 
+ * @body {Array<string>} descriptions - Scenario descriptions (at most 100)
+ * @body {number} [concurrency=4] - Generations in flight (at most 10)
+ * @body {boolean} [async=false] - Run as a background job
+ */
+router.post('/scenarios/batch', batchController.generateBatch);
+
+/**
+ * GET /api/scenarios/batch/:id
+ * 
+ * Returns the status of a batch job and the results finished so far.
+ */
+router.get('/scenarios/batch/:id', batchController.getBatchJob);
+
+// ============================================
+// SAVED SCENARIO LIBRARY
+// ============================================
+
+/**
+ * POST /api/scenarios
+ * 
+ * Saves a generated scenario.
+ * 
+ * @body {string} description - The scenario description
+ * @body {Array} workflow - Workflow steps
+ * @body {string} summary - Workflow summary
+ * @body {string} [title] - Display title (defaults to the description)
+ * @body {Object} [data_model] - Data model (generated when omitted)
+ */
+router.post('/scenarios', libraryController.createScenario);
+
+/**
+ * GET /api/scenarios
+ * 
+ * Lists saved scenarios, most recently updated first.
+ * 
+ * @query {number} [page=1] - Page number
+ * @query {number} [limit=20] - Page size (max 100)
+ * @query {string} [q] - Text search over title, description, summary and step names
+ */
+router.get('/scenarios', libraryController.listScenarios);
+
+/**
+ * GET /api/scenarios/:id
+ * 
+ * Returns a saved scenario.
+ */
+router.get('/scenarios/:id', libraryController.getScenario);
+
+/**
+ * PUT /api/scenarios/:id
+ * 
+ * Updates a saved scenario. Omitted fields keep their values.
+ * Content changes are stored as a new version.
+ * 
+ * @body {string} [source=edit] - What produced the change (edit, regenerate, ...)
+ */
+router.put('/scenarios/:id', libraryController.updateScenario);
+
+/**
+ * DELETE /api/scenarios/:id
+ * 
+ * Deletes a saved scenario.
+ */
+router.delete('/scenarios/:id', libraryController.deleteScenario);
+
+/**
+ * GET /api/scenarios/:id/versions
+ * 
+ * Lists the versions of a saved scenario, oldest first.
+ */
+router.get('/scenarios/:id/versions', libraryController.listVersions);
+
+/**
+ * GET /api/scenarios/:id/versions/:version
+ * 
+ * Returns the content of one version.
+ */
+router.get('/scenarios/:id/versions/:version', libraryController.getVersion);
+
+/**
+ * GET /api/scenarios/:id/diff
+ * 
+ * Compares two versions: steps added, removed or changed, entity and
+ * property changes in the data model, and relationship changes.
+ * 
+ * @query {number} [from] - Older version (defaults to the one before `to`)
+ * @query {number} [to] - Newer version (defaults to the current version)
+ */
+router.get('/scenarios/:id/diff', libraryController.diffVersions);
+
+/**
+ * POST /api/scenarios/:id/simulate
+ * 
+ * Dry-runs the workflow of a saved scenario: walks it from the start,
+ * taking scripted or seeded random branches at decisions, and reports
+ * the first run's path with unreachable steps, dead ends and steps no run visited.
+ * 
+ * @body {number} [runs=20] - Number of random runs (max 1000)
+ * @body {number} [seed] - Seed of the first run, for replaying it
+ * @body {Array} [choices] - Branch labels or step ids taken at the first decisions
+ * @body {boolean} [interactive] - Stop at the first decision without a scripted choice
+ * @body {Array} [workflow] - Workflow to simulate instead of the stored one
+ */
+router.post('/scenarios/:id/simulate', libraryController.simulateScenario);
+
+// ============================================
+// EXPORTS
+// ============================================
+
+/**
+ * GET /api/exports
+ * 
+ * Lists the available export formats.
+ */
+router.get('/exports', exportController.listFormats);
+
+/**
+ * POST /api/export/:format
+ * 
+ * Exports scenario content that has not been saved, as a file download.
+ * 
+ * @body {Object} [data_model] - Data model, required by the data model formats
+ * @body {Array} [workflow] - Workflow steps, required by BPMN
+ * @body {string} [title] - Used for the file name
+ * @body {string} [summary] - Used by document formats such as OpenAPI
+ */
+router.post('/export/:format', exportController.exportContent);
+
+/**
+ * GET /api/scenarios/:id/export/:format
+ * 
+ * Exports a saved scenario as a file download
+ * (postgresql, sqlite, prisma, typescript, zod, openapi, bpmn).
+ */
+router.get('/scenarios/:id/export/:format', exportController.exportSavedScenario);
+
+/**
+ * GET /api/scenarios/:id/openapi
+ * 
+ * Returns an OpenAPI 3.1 document for a saved scenario: CRUD paths per
+ * entity and operations hinted by the workflow steps.
+ */
+router.get('/scenarios/:id/openapi', exportController.getOpenAPI);
+
+// ============================================
+// IMPORTS
+// ============================================
+
+/**
+ * POST /api/import
+ * 
+ * Imports an existing Mermaid flowchart or BPMN 2.0 file as a workflow,
+ * then derives its data model, diagrams and a summary.
+ * 
+ * @body {string} content - Mermaid `graph`/`flowchart` source or BPMN XML
+ * @body {string} [format] - "mermaid" or "bpmn" (detected when omitted)
+ * @body {string} [title] - Scenario title (defaults to the BPMN process name)
+ */
+router.post('/import', importController.importDiagram);
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+/**
+ * GET /api/templates
+ * 
+ * Lists the scenario templates of the mock provider: the built-in
+ * scenario types and the template packs loaded from TEMPLATE_PACKS_DIR,
+ * with the problems of pack files that were skipped.
+ */
+router.get('/templates', templateController.listTemplates);
+
 module.exports = router;
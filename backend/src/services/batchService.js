@@ -0,0 +1,233 @@
+/**
+ * Batch Service
+ *
+ * Generates many scenarios from a list of descriptions (for example a
+ * backlog of user stories). Items run with bounded concurrency so a
+ * real provider is not flooded, and every item reports its own success
+ * or error instead of failing the whole batch.
+ *
+ * Batches can also run as background jobs that are polled for status.
+ * Jobs live in memory: they are lost on restart and the oldest finished
+ * jobs are dropped once MAX_JOBS is reached.
+ */
+
+const crypto = require('crypto');
+const { generateWorkflow } = require('./workflowService');
+const { ValidationError, NotFoundError, describeError } = require('../utils/errors');
+
+const MAX_BATCH_SIZE = 100;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+const MAX_JOBS = 50;
+
+const jobs = new Map();
+
+/**
+ * Check a batch request
+ *
+ * @param {*} descriptions - Descriptions from the request
+ * @param {*} [concurrency] - Requested concurrency
+ * @returns {number} Concurrency to use
+ * @throws {ValidationError} When the batch is empty, too large or not all strings
+ */
+function validateBatch(descriptions, concurrency) {
+  const problems = [];
+
+  if (!Array.isArray(descriptions) || descriptions.length === 0) {
+    problems.push({ path: '$.descriptions', message: 'Expected a non-empty array of descriptions' });
+  } else {
+    if (descriptions.length > MAX_BATCH_SIZE) {
+      problems.push({ path: '$.descriptions', message: `At most ${MAX_BATCH_SIZE} descriptions per batch` });
+    }
+    descriptions.forEach((description, index) => {
+      if (typeof description !== 'string') {
+        problems.push({ path: `$.descriptions[${index}]`, message: 'Expected a string' });
+      }
+    });
+  }
+
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    problems.push({ path: '$.concurrency', message: 'Expected a positive integer' });
+  }
+
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid batch', problems);
+  }
+
+  return Math.min(concurrency || DEFAULT_CONCURRENCY, MAX_CONCURRENCY);
+}
+
+/**
+ * Map items with at most `limit` calls in flight
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapConcurrent(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+}
+
+/**
+ * Generate one batch item, capturing its error
+ *
+ * @param {string} description - Scenario description
+ * @param {number} index - Position in the batch
+ * @param {Object} [provider] - AI provider to use instead of the configured one
+ * @returns {Promise<Object>} { index, description, success, data } or { index, description, success, error }
+ */
+async function generateItem(description, index, provider) {
+  try {
+    if (description.trim().length < 10) {
+      throw new ValidationError('Description too short', [
+        { path: `$.descriptions[${index}]`, message: 'Expected at least 10 characters' }
+      ]);
+    }
+
+    const data = await generateWorkflow(description.trim(), provider ? { provider } : {});
+    return { index, description, success: true, data };
+  } catch (error) {
+    const { body } = describeError(error, {
+      error: 'Generation failed',
+      message: 'An error occurred while generating the scenario'
+    });
+    return { index, description, success: false, error: body };
+  }
+}
+
+/**
+ * Generate scenarios for a list of descriptions
+ *
+ * @param {Array<string>} descriptions - Scenario descriptions
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Maximum generations in flight (capped at 10)
+ * @param {Object} [options.provider] - AI provider to use instead of the configured one
+ * @param {Function} [options.onItem] - Called with each item result as it finishes
+ * @returns {Promise<Object>} { total, succeeded, failed, results } with results in input order
+ * @throws {ValidationError} When the batch itself is invalid
+ */
+async function generateBatch(descriptions, { concurrency, provider, onItem } = {}) {
+  const limit = validateBatch(descriptions, concurrency);
+
+  const results = await mapConcurrent(descriptions, limit, async (description, index) => {
+    const result = await generateItem(description, index, provider);
+    if (onItem) onItem(result);
+    return result;
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  };
+}
+
+// ============================================
+// JOBS
+// ============================================
+
+/**
+ * Public view of a job
+ * @param {Object} job - Stored job
+ * @returns {Object} Job status with the results finished so far, in input order
+ */
+function toJobStatus(job) {
+  const results = job.results.filter(Boolean);
+  const succeeded = results.filter(result => result.success).length;
+
+  return {
+    id: job.id,
+    status: job.status,
+    total: job.total,
+    completed: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+    created_at: job.created_at,
+    finished_at: job.finished_at
+  };
+}
+
+/**
+ * Drop the oldest finished jobs beyond MAX_JOBS
+ */
+function pruneJobs() {
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_JOBS) break;
+    if (job.status === 'completed') jobs.delete(id);
+  }
+}
+
+/**
+ * Start a batch in the background
+ *
+ * @param {Array<string>} descriptions - Scenario descriptions
+ * @param {Object} [options] - Same options as generateBatch, except onItem
+ * @returns {Object} Job status, initially "running"
+ * @throws {ValidationError} When the batch itself is invalid
+ */
+function startBatchJob(descriptions, { concurrency, provider } = {}) {
+  validateBatch(descriptions, concurrency);
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    total: descriptions.length,
+    results: new Array(descriptions.length),
+    created_at: new Date().toISOString(),
+    finished_at: null
+  };
+  jobs.set(job.id, job);
+  pruneJobs();
+
+  // Items never reject (errors are captured per item), so the job always completes
+  generateBatch(descriptions, {
+    concurrency,
+    provider,
+    onItem: (result) => {
+      job.results[result.index] = result;
+    }
+  }).then(() => {
+    job.status = 'completed';
+    job.finished_at = new Date().toISOString();
+  });
+
+  return toJobStatus(job);
+}
+
+/**
+ * Get the status of a batch job
+ *
+ * @param {string} id - Job id
+ * @returns {Object} Job status
+ * @throws {NotFoundError} When the job does not exist
+ */
+function getBatchJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new NotFoundError(`Batch job ${id} not found`);
+  }
+  return toJobStatus(job);
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  generateBatch,
+  startBatchJob,
+  getBatchJob,
+  mapConcurrent
+};
@@ -0,0 +1,84 @@
+/**
+ * Import Service
+ *
+ * Brings existing process documentation into the tool: a Mermaid
+ * flowchart or BPMN file is parsed into a workflow (see ../importers),
+ * validated like a provider response, and given a data model, diagrams
+ * and a summary without calling the AI.
+ */
+
+const { importDiagram } = require('../importers');
+const { deriveArtifacts } = require('./workflowService');
+const { getOutgoingEdges } = require('../utils/workflowGraph');
+const { validateWorkflowResponse } = require('../utils/workflowValidator');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Quote a list of step names for a sentence
+ * @param {Array<Object>} steps - Workflow steps
+ * @returns {string} e.g. '"Approve?" and "Paid?"'
+ */
+function quoteNames(steps) {
+  const names = steps.map(step => `"${step.name}"`);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Describe an imported workflow
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {string} label - Source format, e.g. "Mermaid flowchart"
+ * @returns {string} Summary
+ */
+function summarizeImport(workflow, label) {
+  const decisions = workflow.filter(step => Array.isArray(step.branches) && step.branches.length > 0);
+  const ends = workflow.filter(step => getOutgoingEdges(step, workflow).length === 0);
+
+  const sentences = [
+    `This workflow was imported from a ${label} and has ${workflow.length} step${workflow.length === 1 ? '' : 's'}, starting with "${workflow[0].name}".`
+  ];
+  if (decisions.length > 0) {
+    sentences.push(`It branches at ${quoteNames(decisions)}.`);
+  }
+  if (ends.length > 0) {
+    sentences.push(`It ends at ${quoteNames(ends)}.`);
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * Import a diagram as a scenario
+ *
+ * @param {Object} input
+ * @param {string} input.content - Mermaid flowchart or BPMN XML
+ * @param {string} [input.format] - mermaid | bpmn; detected when omitted
+ * @param {string} [input.title] - Scenario title; defaults to the process name
+ * @returns {Object} { title, format, workflow, mermaid_diagram, data_model, summary, diagrams }
+ * @throws {ValidationError} When the diagram cannot be read or has no usable workflow
+ */
+function importScenario({ content, format, title }) {
+  const imported = importDiagram(content, format);
+
+  const { value, problems } = validateWorkflowResponse({
+    workflow: imported.workflow,
+    summary: imported.workflow.length > 0 ? summarizeImport(imported.workflow, imported.label) : ''
+  });
+  if (problems.length > 0) {
+    throw new ValidationError('The imported diagram does not describe a usable workflow', problems);
+  }
+
+  const scenarioTitle = title?.trim() || imported.title || `Imported ${imported.label}`;
+
+  return {
+    title: scenarioTitle,
+    format: imported.format,
+    workflow: value.workflow,
+    ...deriveArtifacts(value.workflow, scenarioTitle),
+    summary: value.summary
+  };
+}
+
+module.exports = {
+  importScenario,
+  summarizeImport
+};
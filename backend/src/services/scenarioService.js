@@ -0,0 +1,421 @@
+/**
+ * Scenario Service
+ *
+ * Business logic for the saved scenario library: creating, reading,
+ * updating, deleting and searching generated scenarios.
+ *
+ * Every change to a scenario's content is kept as a new version. The
+ * record's top-level workflow, diagram, data model and summary always
+ * mirror the current version, which is also the last entry of `versions`.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+const { generateMermaidDiagram, generateDiagrams } = require('../utils/diagramGenerator');
+const { generateDataModel } = require('../utils/schemaGenerator');
+const { assertValidWorkflowResponse } = require('../utils/workflowValidator');
+const { assertValidDataModel } = require('../utils/dataModelValidator');
+const { lintDataModel } = require('../utils/dataModelLint');
+const { analyzeScenario } = require('../utils/workflowAnalyzer');
+const { diffScenarios } = require('../utils/scenarioDiff');
+const { simulateWorkflow } = require('../utils/workflowSimulator');
+const { refineWorkflow } = require('./workflowService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Pending changes per scenario id, so a change never reads a record another is about to replace
+const changeQueues = new Map();
+
+/**
+ * What produced a version
+ */
+const VERSION_SOURCES = ['generate', 'regenerate', 'edit', 'refine', 'import'];
+const CONTENT_FIELDS = ['workflow', 'mermaid_diagram', 'data_model', 'summary'];
+
+/**
+ * Build a default title from the scenario description
+ * @param {string} description - Scenario description
+ * @returns {string} Title of at most 60 characters
+ */
+function defaultTitle(description) {
+  const firstLine = description.trim().split('\n')[0];
+  return firstLine.length > 60 ? `${firstLine.substring(0, 57)}...` : firstLine;
+}
+
+/**
+ * Validate the content of a scenario and derive what the client did not send
+ *
+ * @param {Object} input - Scenario fields from the request
+ * @returns {Object} Validated scenario content
+ * @throws {ValidationError} When the content is not usable
+ */
+function buildContent(input) {
+  const { description, title } = input;
+
+  if (typeof description !== 'string' || description.trim() === '') {
+    throw new ValidationError('A scenario needs a description', [
+      { path: '$.description', message: 'Is required' }
+    ]);
+  }
+  if (title !== undefined && typeof title !== 'string') {
+    throw new ValidationError('Invalid scenario title', [
+      { path: '$.title', message: 'Expected string' }
+    ]);
+  }
+
+  const { workflow, summary } = assertValidWorkflowResponse({
+    workflow: input.workflow,
+    summary: input.summary
+  });
+
+  const dataModel = input.data_model ? assertValidDataModel(input.data_model) : generateDataModel(workflow, description);
+
+  return {
+    title: title?.trim() || defaultTitle(description),
+    description: description.trim(),
+    workflow,
+    // Diagrams are always derived so they can never drift from the workflow
+    mermaid_diagram: generateMermaidDiagram(workflow),
+    data_model: dataModel,
+    data_model_lint: lintDataModel(dataModel),
+    analysis_report: analyzeScenario(workflow, dataModel),
+    summary,
+    diagrams: generateDiagrams(workflow, dataModel)
+  };
+}
+
+/**
+ * Pick the version source from client input, falling back to a default
+ * @param {*} source - Requested source
+ * @param {string} fallback - Source used when the request gives none
+ * @returns {string} A value from VERSION_SOURCES
+ */
+function resolveSource(source, fallback) {
+  if (source === undefined) return fallback;
+  if (!VERSION_SOURCES.includes(source)) {
+    throw new ValidationError('Invalid version source', [
+      { path: '$.source', message: `Must be one of: ${VERSION_SOURCES.join(', ')}` }
+    ]);
+  }
+  return source;
+}
+
+/**
+ * Build a version entry from scenario content
+ * @param {Object} content - Scenario content
+ * @param {number} version - Version number
+ * @param {string} source - What produced the version
+ * @param {string} createdAt - ISO timestamp
+ * @returns {Object} Version entry
+ */
+function createVersion(content, version, source, createdAt) {
+  const entry = { version, source, created_at: createdAt };
+  CONTENT_FIELDS.forEach(field => {
+    entry[field] = content[field];
+  });
+  return entry;
+}
+
+/**
+ * Give records saved before versioning existed a single version
+ * @param {Object} record - Stored scenario
+ * @returns {Object} Record with versions and current_version
+ */
+function withVersions(record) {
+  if (Array.isArray(record.versions)) return record;
+  return {
+    ...record,
+    current_version: 1,
+    versions: [createVersion(record, 1, 'generate', record.created_at)]
+  };
+}
+
+/**
+ * Summarize a record for list views
+ * @param {Object} record - Stored scenario
+ * @returns {Object} Lightweight listing entry
+ */
+function toListItem(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    description: record.description,
+    summary: record.summary,
+    step_count: record.workflow.length,
+    version: record.current_version || 1,
+    created_at: record.created_at,
+    updated_at: record.updated_at
+  };
+}
+
+/**
+ * Save a new scenario
+ *
+ * @param {Object} input - { description, workflow, summary, title?, data_model?, source? }
+ * @returns {Promise<Object>} The stored scenario
+ */
+async function createScenario(input) {
+  const now = new Date().toISOString();
+  const source = resolveSource(input.source, 'generate');
+  const content = buildContent(input);
+  const record = {
+    id: crypto.randomUUID(),
+    ...content,
+    current_version: 1,
+    versions: [createVersion(content, 1, source, now)],
+    created_at: now,
+    updated_at: now
+  };
+
+  return getStorage().create(record);
+}
+
+/**
+ * Load a scenario by id
+ *
+ * @param {string} id - Scenario id
+ * @returns {Promise<Object>} The stored scenario
+ * @throws {NotFoundError} When no scenario has this id
+ */
+async function getScenario(id) {
+  const record = await getStorage().get(id);
+  if (!record) {
+    throw new NotFoundError(`Scenario ${id} not found`);
+  }
+  return withVersions(record);
+}
+
+/**
+ * Run the changes to one scenario one after the other
+ *
+ * @param {string} id - Scenario id
+ * @param {Function} change - async () => result, reading and writing the scenario
+ * @returns {Promise<*>} Result of the change
+ */
+function queueChange(id, change) {
+  // A failed change must not block the ones queued after it
+  const run = (changeQueues.get(id) || Promise.resolve()).catch(() => {}).then(change);
+  changeQueues.set(id, run);
+  const release = () => {
+    if (changeQueues.get(id) === run) changeQueues.delete(id);
+  };
+  run.then(release, release);
+  return run;
+}
+
+/**
+ * Write an update to a saved scenario; callers queue it with queueChange
+ *
+ * @param {string} id - Scenario id
+ * @param {Object} input - Fields to update, plus an optional version `source`
+ * @returns {Promise<Object>} The updated scenario
+ */
+async function applyUpdate(id, input) {
+  const existing = await getScenario(id);
+  const workflowChanged = input.workflow !== undefined;
+  const source = resolveSource(input.source, 'edit');
+
+  const content = buildContent({
+    title: existing.title,
+    description: existing.description,
+    workflow: existing.workflow,
+    summary: existing.summary,
+    // A new workflow gets a fresh data model unless one is supplied with it
+    data_model: workflowChanged ? undefined : existing.data_model,
+    ...input
+  });
+
+  const now = new Date().toISOString();
+  const contentChanged = CONTENT_FIELDS.some(field => (
+    JSON.stringify(content[field]) !== JSON.stringify(existing[field])
+  ));
+
+  const record = {
+    ...existing,
+    ...content,
+    updated_at: now
+  };
+
+  if (contentChanged) {
+    record.current_version = existing.current_version + 1;
+    record.versions = [
+      ...existing.versions,
+      createVersion(content, record.current_version, source, now)
+    ];
+  }
+
+  return getStorage().update(id, record);
+}
+
+/**
+ * Update a saved scenario.
+ * Fields left out of the input keep their stored values. When the
+ * content changes a new version is added instead of overwriting;
+ * title or description changes alone do not create a version.
+ * Concurrent updates of a scenario are applied one at a time.
+ *
+ * @param {string} id - Scenario id
+ * @param {Object} input - Fields to update, plus an optional version `source`
+ * @returns {Promise<Object>} The updated scenario
+ */
+function updateScenario(id, input) {
+  return queueChange(id, () => applyUpdate(id, input));
+}
+
+/**
+ * Refine a saved scenario with a plain-English instruction and keep the
+ * result as a new version.
+ *
+ * @param {string} id - Scenario id
+ * @param {Object} input
+ * @param {string} input.instruction - Requested change
+ * @param {Array} [input.workflow] - Workflow to refine (defaults to the stored one)
+ * @returns {Promise<{ scenario: Object, changes: Array<string> }>} Updated scenario and reported changes
+ */
+function refineScenario(id, { instruction, workflow }) {
+  // Queued as a whole, so a refinement builds on the one before it
+  return queueChange(id, async () => {
+    const existing = await getScenario(id);
+    const result = await refineWorkflow(workflow || existing.workflow, instruction, {
+      description: existing.description,
+      summary: existing.summary
+    });
+
+    const scenario = await applyUpdate(id, {
+      workflow: result.workflow,
+      data_model: result.data_model,
+      summary: result.summary,
+      source: 'refine'
+    });
+
+    return { scenario, changes: result.changes };
+  });
+}
+
+/**
+ * Dry-run the workflow of a saved scenario
+ *
+ * @param {string} id - Scenario id
+ * @param {Object} input - Simulation options (see simulateWorkflow)
+ * @param {Array} [input.workflow] - Workflow to simulate instead of the stored one,
+ *   e.g. with unsaved edits
+ * @returns {Promise<Object>} Simulation report
+ */
+async function simulateScenario(id, { workflow, ...options }) {
+  const existing = await getScenario(id);
+  const steps = workflow === undefined
+    ? existing.workflow
+    : assertValidWorkflowResponse({ workflow, summary: existing.summary }).workflow;
+
+  return simulateWorkflow(steps, options);
+}
+
+/**
+ * Delete a saved scenario
+ *
+ * @param {string} id - Scenario id
+ * @throws {NotFoundError} When no scenario has this id
+ */
+async function deleteScenario(id) {
+  const removed = await getStorage().remove(id);
+  if (!removed) {
+    throw new NotFoundError(`Scenario ${id} not found`);
+  }
+}
+
+/**
+ * List saved scenarios with paging and text search
+ *
+ * @param {Object} [options]
+ * @param {number|string} [options.page=1] - 1-based page number
+ * @param {number|string} [options.limit=20] - Page size (max 100)
+ * @param {string} [options.q] - Text that every result must contain
+ * @returns {Promise<Object>} { items, page, limit, total, total_pages }
+ */
+async function listScenarios({ page, limit, q } = {}) {
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+
+  const { items, total } = await getStorage().list({
+    offset: (pageNumber - 1) * pageSize,
+    limit: pageSize,
+    query: typeof q === 'string' ? q : ''
+  });
+
+  return {
+    items: items.map(toListItem),
+    page: pageNumber,
+    limit: pageSize,
+    total,
+    total_pages: Math.ceil(total / pageSize)
+  };
+}
+
+/**
+ * List the versions of a saved scenario, without their content
+ *
+ * @param {string} id - Scenario id
+ * @returns {Promise<Array>} Version entries, oldest first
+ */
+async function listVersions(id) {
+  const record = await getScenario(id);
+  return record.versions.map(entry => ({
+    version: entry.version,
+    source: entry.source,
+    created_at: entry.created_at,
+    step_count: entry.workflow.length,
+    entity_count: Object.keys(entry.data_model?.entities || {}).length
+  }));
+}
+
+/**
+ * Load one version of a saved scenario
+ *
+ * @param {string} id - Scenario id
+ * @param {number|string} version - Version number
+ * @returns {Promise<Object>} Version entry with content
+ * @throws {NotFoundError} When the scenario or version does not exist
+ */
+async function getVersion(id, version) {
+  const record = await getScenario(id);
+  const entry = record.versions.find(candidate => candidate.version === Number(version));
+  if (!entry) {
+    throw new NotFoundError(`Version ${version} of scenario ${id} not found`);
+  }
+  return entry;
+}
+
+/**
+ * Diff two versions of a saved scenario.
+ * Defaults to comparing the current version with the one before it.
+ *
+ * @param {string} id - Scenario id
+ * @param {Object} [options]
+ * @param {number|string} [options.from] - Older version number
+ * @param {number|string} [options.to] - Newer version number
+ * @returns {Promise<Object>} Diff as produced by diffScenarios
+ */
+async function diffVersions(id, { from, to } = {}) {
+  const record = await getScenario(id);
+  const toVersion = to === undefined ? record.current_version : Number(to);
+  const fromVersion = from === undefined ? Math.max(1, toVersion - 1) : Number(from);
+
+  const [before, after] = await Promise.all([getVersion(id, fromVersion), getVersion(id, toVersion)]);
+  return diffScenarios(before, after);
+}
+
+module.exports = {
+  createScenario,
+  getScenario,
+  updateScenario,
+  refineScenario,
+  simulateScenario,
+  deleteScenario,
+  listScenarios,
+  listVersions,
+  getVersion,
+  diffVersions,
+  VERSION_SOURCES
+};
@@ -2,38 +2,255 @@
  * Workflow Service
  * 
  * Core business logic for generating workflows from scenario descriptions.
- * Currently uses a mock AI function that will be replaced with a real LLM.
+ * The AI step is delegated to the configured provider (see ../providers).
  */
 
-const { mockAIGenerate } = require('../utils/mockAI');
-const { generateMermaidDiagram } = require('../utils/diagramGenerator');
+const { getProvider } = require('../providers');
+const { generateDiagrams, generateMermaidDiagram } = require('../utils/diagramGenerator');
 const { generateDataModel } = require('../utils/schemaGenerator');
+const { validateWorkflowResponse, assertValidWorkflowResponse } = require('../utils/workflowValidator');
+const { assertValidDataModel } = require('../utils/dataModelValidator');
+const { lintDataModel } = require('../utils/dataModelLint');
+const { analyzeScenario } = require('../utils/workflowAnalyzer');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Milliseconds since a performance.now() timestamp
+ * @param {number} startedAt - Start timestamp
+ * @returns {number} Elapsed time rounded to 0.1ms
+ */
+function elapsedSince(startedAt) {
+  return Math.round((performance.now() - startedAt) * 10) / 10;
+}
+
+/**
+ * Derive the diagrams and data model from a validated workflow
+ *
+ * @param {Array} workflow - Validated workflow steps
+ * @param {string} description - Scenario description, used for the data model
+ * @param {Object} [timings] - Receives the milliseconds spent on the schema and diagram stages
+ * @returns {{ mermaid_diagram: string, data_model: Object, data_model_lint: Array, analysis_report: Object, diagrams: Object }}
+ */
+function deriveArtifacts(workflow, description, timings = {}) {
+  let startedAt = performance.now();
+  const dataModel = generateDataModel(workflow, description);
+  const lint = lintDataModel(dataModel);
+  timings.schema = elapsedSince(startedAt);
+
+  startedAt = performance.now();
+  const diagrams = generateDiagrams(workflow, dataModel);
+  timings.diagram = elapsedSince(startedAt);
+
+  return {
+    mermaid_diagram: diagrams.flowchart,
+    data_model: dataModel,
+    data_model_lint: lint,
+    analysis_report: analyzeScenario(workflow, dataModel),
+    diagrams
+  };
+}
+
+/**
+ * Describe how a scenario was generated, for debugging and comparing providers
+ *
+ * @param {Object} provider - Provider that generated the workflow
+ * @param {Object} metadata - Metadata the provider returned
+ * @param {Object} details
+ * @param {Object} details.timings - Milliseconds per stage (ai, schema, diagram, total)
+ * @param {Array} details.repairs - Fixes the validator applied to the provider's answer
+ * @param {string} [details.requestId] - Id of the HTTP request
+ * @returns {Object} Meta section of the response
+ */
+function buildMeta(provider, metadata, { timings, repairs, requestId }) {
+  return {
+    ...(requestId ? { requestId } : {}),
+    provider: metadata.aiProvider || provider.name,
+    model: metadata.model || provider.model,
+    ...(metadata.detectedTypes
+      ? {
+        detectedType: metadata.detectedType,
+        detectedTypes: metadata.detectedTypes,
+        classification: metadata.classification
+      }
+      : {}),
+    timings,
+    ...(metadata.usage ? { usage: metadata.usage } : {}),
+    repairs,
+    generatedAt: metadata.generatedAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Draw the steps received so far. Edges to steps that have not arrived
+ * yet are dropped by the validator.
+ *
+ * @param {Array} steps - Steps received so far
+ * @returns {string|undefined} Mermaid flowchart, undefined while the steps are unusable
+ */
+function draftDiagram(steps) {
+  const { value, problems } = validateWorkflowResponse({ workflow: steps, summary: 'draft' });
+  return problems.length === 0 ? generateMermaidDiagram(value.workflow) : undefined;
+}
+
+/**
+ * Ask the provider for a workflow, reporting progress to a listener.
+ * Providers that can stream report their analysis and each step as they
+ * produce them; for the others every step is reported once the answer
+ * has arrived.
+ *
+ * @param {Object} provider - AI provider
+ * @param {string} description - Scenario description
+ * @param {Function} [onEvent] - Progress listener, called with (event, data)
+ * @returns {Promise<Object>} Raw provider response
+ */
+async function requestWorkflow(provider, description, onEvent) {
+  if (!onEvent) return provider.generate(description);
+
+  const steps = [];
+  const reportStep = (step) => {
+    steps.push(step);
+    onEvent('step', { index: steps.length - 1, step, mermaid_diagram: draftDiagram(steps) });
+  };
+  const reportAnalysis = (details = {}) => {
+    onEvent('analysis', { provider: provider.name, model: provider.model, ...details });
+  };
+
+  if (typeof provider.stream === 'function') {
+    return provider.stream(description, (event, data) => (
+      event === 'step' ? reportStep(data) : reportAnalysis(data)
+    ));
+  }
+
+  reportAnalysis();
+  const response = await provider.generate(description);
+  if (Array.isArray(response?.workflow)) {
+    response.workflow.forEach(reportStep);
+  }
+  return response;
+}
 
 /**
  * Generate a complete workflow from a scenario description
  * 
  * @param {string} description - The user's scenario description
- * @returns {Object} Complete scenario breakdown
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - AI provider to use instead of the configured one
+ * @param {string} [options.requestId] - Id of the HTTP request, echoed in the meta section
+ * @param {Function} [options.onEvent] - Progress listener, called with (event, data) for the
+ *   analysis, each step, the diagrams, the data model and the summary as they are ready
+ * @returns {Object} Complete scenario breakdown with a meta section
  */
-async function generateWorkflow(description) {
+async function generateWorkflow(description, { provider = getProvider(), requestId, onEvent } = {}) {
+  const timings = {};
+  const startedAt = performance.now();
+
   // Step 1: Use AI to analyze the scenario and generate workflow steps
-  const aiResponse = await mockAIGenerate(description);
+  // Validation repairs what it can and throws a ValidationError (422) otherwise
+  const response = await requestWorkflow(provider, description, onEvent);
+  timings.ai = elapsedSince(startedAt);
+  const aiResponse = assertValidWorkflowResponse(response);
 
-  // Step 2: Generate a Mermaid diagram from the workflow
-  const mermaidDiagram = generateMermaidDiagram(aiResponse.workflow);
+  // Step 2: Generate the diagrams and data model from the workflow
+  const {
+    mermaid_diagram: mermaidDiagram,
+    data_model: dataModel,
+    data_model_lint: lint,
+    analysis_report: analysisReport,
+    diagrams
+  } = deriveArtifacts(aiResponse.workflow, description, timings);
+  timings.total = elapsedSince(startedAt);
 
-  // Step 3: Generate a data model based on the workflow
-  const dataModel = generateDataModel(aiResponse.workflow, description);
+  if (onEvent) {
+    onEvent('diagram', { mermaid_diagram: mermaidDiagram, diagrams });
+    onEvent('data_model', { data_model: dataModel, data_model_lint: lint });
+    onEvent('summary', { summary: aiResponse.summary });
+  }
 
-  // Step 4: Compile and return the complete result
+  // Step 3: Compile and return the complete result
   return {
     workflow: aiResponse.workflow,
     mermaid_diagram: mermaidDiagram,
     data_model: dataModel,
-    summary: aiResponse.summary
+    data_model_lint: lint,
+    analysis_report: analysisReport,
+    summary: aiResponse.summary,
+    diagrams,
+    meta: buildMeta(provider, response.metadata || {}, { timings, repairs: aiResponse.repairs, requestId })
+  };
+}
+
+/**
+ * Apply a plain-English change to an existing workflow
+ *
+ * @param {Array} workflow - Current workflow steps
+ * @param {string} instruction - e.g. "add a fraud check before payment"
+ * @param {Object} [options]
+ * @param {string} [options.description=''] - Scenario description, used for the data model
+ * @param {string} [options.summary] - Current summary, passed to the provider as context
+ * @param {Object} [options.provider] - AI provider to use instead of the configured one
+ * @returns {Object} Updated scenario breakdown plus the list of changes the provider reported
+ */
+async function refineWorkflow(workflow, instruction, { description = '', summary, provider = getProvider() } = {}) {
+  const response = await provider.refine(workflow, instruction, { summary });
+  const aiResponse = assertValidWorkflowResponse(response);
+
+  return {
+    workflow: aiResponse.workflow,
+    ...deriveArtifacts(aiResponse.workflow, description),
+    summary: aiResponse.summary,
+    changes: response.metadata?.changes || []
+  };
+}
+
+/**
+ * Re-derive the diagrams and data model of a hand-edited workflow,
+ * without calling the AI. The workflow is validated and repaired like a
+ * provider answer, so edits may leave ids unordered or edges dangling.
+ *
+ * A hand-edited data model can be passed along; it is validated and
+ * kept instead of generating a new one, and the diagrams are drawn
+ * from it.
+ *
+ * @param {Array} workflow - Edited workflow steps
+ * @param {Object} [options]
+ * @param {string} [options.description=''] - Scenario description, used for the data model
+ * @param {string} [options.summary] - Current summary, filled in when missing
+ * @param {Object} [options.dataModel] - Curated data model to keep
+ * @returns {Object} { workflow, mermaid_diagram, data_model, data_model_lint, analysis_report, diagrams, summary, repairs }
+ * @throws {ValidationError} When the workflow cannot be repaired or the data model is invalid
+ */
+function deriveWorkflow(workflow, { description = '', summary, dataModel } = {}) {
+  const { value, repairs, problems } = validateWorkflowResponse({ workflow, summary });
+  if (problems.length > 0) {
+    throw new ValidationError('The edited workflow is not usable', problems);
+  }
+
+  let artifacts;
+  if (dataModel !== undefined) {
+    const curated = assertValidDataModel(dataModel);
+    const diagrams = generateDiagrams(value.workflow, curated);
+    artifacts = {
+      mermaid_diagram: diagrams.flowchart,
+      data_model: curated,
+      data_model_lint: lintDataModel(curated),
+      analysis_report: analyzeScenario(value.workflow, curated),
+      diagrams
+    };
+  } else {
+    artifacts = deriveArtifacts(value.workflow, description);
+  }
+
+  return {
+    workflow: value.workflow,
+    ...artifacts,
+    summary: value.summary,
+    repairs
   };
 }
 
 module.exports = {
-  generateWorkflow
+  generateWorkflow,
+  refineWorkflow,
+  deriveWorkflow,
+  deriveArtifacts
 };
@@ -0,0 +1,88 @@
+/**
+ * File Storage
+ *
+ * Persists scenario records to a single JSON file. Records are loaded
+ * once into a memory store; every change rewrites the file atomically
+ * (write to a temp file, then rename). Writes are queued so concurrent
+ * requests never interleave.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { createMemoryStorage } = require('./memoryStorage');
+
+/**
+ * Create a JSON-file storage driver
+ *
+ * @param {string} filePath - Location of the JSON file (created on first write)
+ * @returns {Object} Storage driver
+ */
+function createFileStorage(filePath) {
+  let memory = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  async function read() {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      memory = createMemoryStorage(JSON.parse(content).scenarios || []);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      memory = createMemoryStorage();
+    }
+    return memory;
+  }
+
+  function load() {
+    // Concurrent first calls share one read, so none replaces records another added;
+    // a failed read is retried by the next call
+    loading = loading || read().catch(error => {
+      loading = null;
+      throw error;
+    });
+    return loading;
+  }
+
+  function persist() {
+    // A failed write must not block the ones queued after it
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ scenarios: memory.all() }, null, 2));
+      await fs.rename(tempPath, filePath);
+    });
+    return writeQueue;
+  }
+
+  return {
+    async create(record) {
+      await (await load()).create(record);
+      await persist();
+      return record;
+    },
+
+    async get(id) {
+      return (await load()).get(id);
+    },
+
+    async update(id, record) {
+      const updated = await (await load()).update(id, record);
+      if (updated) await persist();
+      return updated;
+    },
+
+    async remove(id) {
+      const removed = await (await load()).remove(id);
+      if (removed) await persist();
+      return removed;
+    },
+
+    async list(options) {
+      return (await load()).list(options);
+    }
+  };
+}
+
+module.exports = {
+  createFileStorage
+};
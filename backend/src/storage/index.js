@@ -0,0 +1,59 @@
+/**
+ * Scenario Storage
+ *
+ * Selects the storage driver for saved scenarios. Every driver exposes
+ * the same async interface:
+ *
+ *   create(record), get(id), update(id, record), remove(id),
+ *   list({ offset, limit, query }) => { items, total }
+ *
+ * Configuration comes from environment variables:
+ *   SCENARIO_STORAGE       file | memory (default: file)
+ *   SCENARIO_STORAGE_PATH  JSON file used by the file driver
+ *                          (default: backend/data/scenarios.json)
+ */
+
+const path = require('path');
+const { createFileStorage } = require('./fileStorage');
+const { createMemoryStorage } = require('./memoryStorage');
+
+const DEFAULT_STORAGE_PATH = path.join(__dirname, '..', '..', 'data', 'scenarios.json');
+
+/**
+ * Create a storage driver from environment variables
+ *
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Object} Storage driver
+ */
+function createStorage(env = process.env) {
+  const driver = (env.SCENARIO_STORAGE || 'file').toLowerCase();
+
+  if (driver === 'memory') {
+    return createMemoryStorage();
+  }
+  if (driver === 'file') {
+    return createFileStorage(env.SCENARIO_STORAGE_PATH || DEFAULT_STORAGE_PATH);
+  }
+
+  throw new Error(`Unknown SCENARIO_STORAGE "${driver}". Expected "file" or "memory"`);
+}
+
+let storage = null;
+
+/**
+ * Get the storage driver configured by the environment.
+ * Created once and reused for the lifetime of the process.
+ *
+ * @returns {Object} Storage driver
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+module.exports = {
+  getStorage,
+  createStorage
+};
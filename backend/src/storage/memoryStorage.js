@@ -0,0 +1,86 @@
+/**
+ * Memory Storage
+ *
+ * Keeps scenario records in a Map. Used in tests and as the in-process
+ * cache behind the file storage driver.
+ */
+
+/**
+ * Check whether a record matches every term of a text query
+ * @param {Object} record - Stored scenario record
+ * @param {string} query - Free-text query
+ * @returns {boolean} True when all terms appear in the record's text
+ */
+function matchesQuery(record, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+
+  const haystack = [
+    record.title,
+    record.description,
+    record.summary,
+    ...(record.workflow || []).map(step => step.name)
+  ].join(' ').toLowerCase();
+
+  return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Create an in-memory storage driver
+ *
+ * @param {Array} [initialRecords=[]] - Records to start with
+ * @returns {Object} Storage driver
+ */
+function createMemoryStorage(initialRecords = []) {
+  const records = new Map(initialRecords.map(record => [record.id, record]));
+
+  return {
+    async create(record) {
+      records.set(record.id, record);
+      return record;
+    },
+
+    async get(id) {
+      return records.get(id) || null;
+    },
+
+    async update(id, record) {
+      if (!records.has(id)) return null;
+      records.set(id, record);
+      return record;
+    },
+
+    async remove(id) {
+      return records.delete(id);
+    },
+
+    /**
+     * List records, most recently updated first
+     * @param {{ offset: number, limit: number, query?: string }} options
+     * @returns {Promise<{ items: Array, total: number }>}
+     */
+    async list({ offset = 0, limit = 20, query = '' } = {}) {
+      const matching = Array.from(records.values())
+        .filter(record => matchesQuery(record, query))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+
+      return {
+        items: matching.slice(offset, offset + limit),
+        total: matching.length
+      };
+    },
+
+    /**
+     * All records, in insertion order
+     * @returns {Array} Stored records
+     */
+    all() {
+      return Array.from(records.values());
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStorage,
+  matchesQuery
+};
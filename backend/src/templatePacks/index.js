@@ -0,0 +1,121 @@
+/**
+ * Template Packs
+ *
+ * Keeps the template packs of the configured directory loaded for the
+ * mock provider and the schema generator (see ./packLoader.js for the
+ * file format). Invalid files are skipped and reported with their
+ * problems; a pack id used twice keeps the first file in name order.
+ *
+ * Configuration comes from environment variables:
+ *   TEMPLATE_PACKS_DIR    directory of .yaml, .yml and .json packs
+ *                         (default: backend/template-packs)
+ *   TEMPLATE_PACKS_WATCH  true | false, reload packs when the directory
+ *                         changes (default: true unless NODE_ENV=production)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PACK_EXTENSIONS, loadPackFile } = require('./packLoader');
+
+const DEFAULT_PACKS_DIR = path.join(__dirname, '..', '..', 'template-packs');
+const RELOAD_DELAY_MS = 100;
+
+/**
+ * Load every pack of a directory
+ *
+ * @param {string} directory - Directory to read
+ * @returns {{ directory: string, packs: Array<Object>, errors: Array<{ file: string, problems: Array }> }}
+ */
+function loadTemplatePacks(directory) {
+  const packs = [];
+  const errors = [];
+
+  let files;
+  try {
+    files = fs.readdirSync(directory)
+      .filter(file => PACK_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return { directory, packs, errors };
+  }
+
+  files.forEach(file => {
+    const { pack, problems } = loadPackFile(path.join(directory, file));
+    if (pack && packs.some(existing => existing.id === pack.id)) {
+      errors.push({ file, problems: [{ path: '$.id', message: `Pack id "${pack.id}" is already used` }] });
+    } else if (pack) {
+      packs.push(pack);
+    } else {
+      errors.push({ file, problems });
+    }
+  });
+
+  errors.forEach(({ file, problems }) => {
+    console.warn(`Skipped template pack ${file}: ${problems.map(problem => `${problem.path} ${problem.message}`).join('; ')}`);
+  });
+
+  return { directory, packs, errors };
+}
+
+let loaded = null;
+let watcher = null;
+
+/**
+ * Reload the packs whenever the directory changes
+ * @param {string} directory - Directory to watch
+ */
+function watchTemplatePacks(directory) {
+  let timer = null;
+  try {
+    watcher = fs.watch(directory, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        loaded = loadTemplatePacks(directory);
+        console.log(`Reloaded ${loaded.packs.length} template pack(s) from ${directory}`);
+      }, RELOAD_DELAY_MS);
+      timer.unref();
+    });
+    // Watching must not keep the process alive
+    watcher.unref();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Get the packs of the directory configured by the environment.
+ * Loaded on first use, and kept up to date when watching is enabled.
+ *
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {{ directory: string, packs: Array<Object>, errors: Array }}
+ */
+function getTemplatePacks(env = process.env) {
+  if (!loaded) {
+    const directory = path.resolve(env.TEMPLATE_PACKS_DIR || DEFAULT_PACKS_DIR);
+    loaded = loadTemplatePacks(directory);
+
+    const watch = env.TEMPLATE_PACKS_WATCH
+      ? env.TEMPLATE_PACKS_WATCH === 'true'
+      : env.NODE_ENV !== 'production';
+    if (watch && !watcher) {
+      watchTemplatePacks(directory);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Find a loaded pack by id
+ * @param {string} id - Pack id
+ * @returns {Object|undefined} Pack
+ */
+function findTemplatePack(id) {
+  return getTemplatePacks().packs.find(pack => pack.id === id);
+}
+
+module.exports = {
+  getTemplatePacks,
+  findTemplatePack,
+  loadTemplatePacks
+};
@@ -0,0 +1,245 @@
+/**
+ * Template Pack Loader
+ *
+ * Reads and validates one template pack: a YAML or JSON file that adds a
+ * scenario domain to the offline (mock) generator without touching the
+ * code. A pack declares
+ *
+ *   id, name, description  how the domain is identified and listed
+ *   keywords               words that select it, as a list (weight 2 each)
+ *                          or a map of keyword to weight (1 hints, 2 names it)
+ *   steps                  the workflow template, in the provider answer format
+ *   summary                the summary of generated scenarios
+ *   fragment               optional { label, steps } spliced into the workflow of
+ *                          another domain when a description covers both
+ *   entities               optional entity schemas, with the `synonyms` that name them
+ *   relationships          optional relationships between its entities and the
+ *                          built-in ones
+ *
+ * Steps go through the same validation and repair as a provider answer,
+ * and entities through the data model validator.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { validateSchema } = require('../utils/jsonSchema');
+const { validateWorkflowResponse } = require('../utils/workflowValidator');
+const { validateDataModel, CARDINALITIES } = require('../utils/dataModelValidator');
+const { KNOWN_ENTITIES } = require('../utils/entityInference');
+
+const PACK_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const PACK_ID = /^[a-z][a-z0-9_-]*$/;
+
+// Scenario types built into the mock provider (see ../utils/mockAI.js)
+const RESERVED_IDS = ['ecommerce', 'auth', 'booking', 'support', 'content', 'workflow', 'data', 'notification', 'general'];
+
+/**
+ * Shape of a pack file
+ */
+const PACK_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'keywords', 'steps', 'summary'],
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 40 },
+    name: { type: 'string', minLength: 1, maxLength: 80 },
+    description: { type: 'string', maxLength: 500 },
+    keywords: { type: ['array', 'object'] },
+    steps: { type: 'array', minItems: 1, maxItems: 50 },
+    summary: { type: 'string', minLength: 1 },
+    fragment: {
+      type: 'object',
+      required: ['label', 'steps'],
+      properties: {
+        label: { type: 'string', minLength: 1 },
+        steps: { type: 'array', minItems: 1, maxItems: 20 }
+      }
+    },
+    entities: { type: 'object' },
+    relationships: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'to', 'type'],
+        properties: {
+          from: { type: 'string', minLength: 1 },
+          to: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: CARDINALITIES },
+          description: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const ENTITY_SCHEMA = {
+  type: 'object',
+  required: ['properties'],
+  properties: {
+    synonyms: { type: 'array', items: { type: 'string', minLength: 1 } },
+    description: { type: 'string' },
+    properties: { type: 'object' },
+    required: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+/**
+ * Parse a pack file by its extension
+ * @param {string} file - Path of the file
+ * @returns {*} Parsed content
+ */
+function parsePackFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+}
+
+/**
+ * Normalize pack keywords to a map of keyword to weight
+ * @param {Array|Object} keywords - Keyword list or map
+ * @param {Array} problems - Receives problems found
+ * @returns {Object} Lower-cased keyword -> weight (1 or 2)
+ */
+function normalizeKeywords(keywords, problems) {
+  const entries = Array.isArray(keywords)
+    ? keywords.map(keyword => [keyword, 2])
+    : Object.entries(keywords);
+
+  if (entries.length === 0) {
+    problems.push({ path: '$.keywords', message: 'Must contain at least 1 keyword' });
+  }
+  entries.forEach(([keyword, weight], index) => {
+    if (typeof keyword !== 'string' || keyword.trim() === '') {
+      problems.push({ path: `$.keywords[${index}]`, message: 'Expected a non-empty string' });
+    }
+    if (weight !== 1 && weight !== 2) {
+      problems.push({ path: `$.keywords.${keyword}`, message: 'Weight must be 1 or 2' });
+    }
+  });
+
+  return Object.fromEntries(entries
+    .filter(([keyword]) => typeof keyword === 'string' && keyword.trim() !== '')
+    .map(([keyword, weight]) => [keyword.trim().toLowerCase(), weight]));
+}
+
+/**
+ * Validate and repair workflow steps like a provider answer
+ *
+ * @param {Array} steps - Steps of the pack
+ * @param {string} path - Path used in problem reports
+ * @param {Array} problems - Receives problems found
+ * @param {boolean} [openEnded=false] - Allow edges to the step after the last one,
+ *   which continue the workflow a fragment is spliced into
+ * @returns {Array} Repaired steps
+ */
+function validateSteps(steps, path, problems, openEnded = false) {
+  const continuation = { id: steps.length + 1, name: 'Continue', description: 'Continue', type: 'end', next: [] };
+  const { value, problems: stepProblems } = validateWorkflowResponse({
+    workflow: openEnded ? [...steps, continuation] : steps,
+    summary: 'template'
+  });
+
+  problems.push(...stepProblems.map(problem => ({ ...problem, path: problem.path.replace('$.workflow', path) })));
+  if (stepProblems.length > 0) return [];
+  return openEnded ? value.workflow.slice(0, -1) : value.workflow;
+}
+
+/**
+ * Validate the entities and relationships of a pack
+ *
+ * @param {Object} pack - Parsed pack
+ * @param {Array} problems - Receives problems found
+ * @returns {{ entities: Object, synonyms: Object, relationships: Array }}
+ */
+function validateEntities(pack, problems) {
+  const entities = {};
+  const synonyms = {};
+
+  Object.entries(pack.entities || {}).forEach(([name, definition]) => {
+    if (KNOWN_ENTITIES[name]) {
+      problems.push({ path: `$.entities.${name}`, message: `"${name}" is a built-in entity` });
+      return;
+    }
+    const entityProblems = validateSchema(definition, ENTITY_SCHEMA, `$.entities.${name}`);
+    problems.push(...entityProblems);
+    if (entityProblems.length > 0) return;
+
+    entities[name] = {
+      type: 'object',
+      ...(definition.description ? { description: definition.description } : {}),
+      properties: definition.properties,
+      required: definition.required || []
+    };
+    synonyms[name] = (definition.synonyms || []).map(synonym => synonym.trim().toLowerCase());
+  });
+
+  problems.push(...validateDataModel({ entities, relationships: [] }));
+
+  const names = [...Object.keys(entities), ...Object.keys(KNOWN_ENTITIES)];
+  const relationships = pack.relationships || [];
+  relationships.forEach((relationship, index) => {
+    ['from', 'to'].forEach(end => {
+      if (!names.includes(relationship[end])) {
+        problems.push({ path: `$.relationships[${index}].${end}`, message: `Unknown entity "${relationship[end]}"` });
+      }
+    });
+  });
+
+  return { entities, synonyms, relationships };
+}
+
+/**
+ * Load and validate a template pack file
+ *
+ * @param {string} file - Path of a .yaml, .yml or .json file
+ * @returns {{ pack: Object|null, problems: Array<{ path: string, message: string }> }}
+ *   The normalized pack, or null with the problems that make it unusable
+ */
+function loadPackFile(file) {
+  let raw;
+  try {
+    raw = parsePackFile(file);
+  } catch (error) {
+    return { pack: null, problems: [{ path: '$', message: `Cannot be parsed: ${error.message}` }] };
+  }
+
+  const problems = validateSchema(raw, PACK_SCHEMA);
+  if (problems.length > 0) return { pack: null, problems };
+
+  if (!PACK_ID.test(raw.id)) {
+    problems.push({ path: '$.id', message: 'Use lower-case letters, digits, "-" and "_", starting with a letter' });
+  } else if (RESERVED_IDS.includes(raw.id)) {
+    problems.push({ path: '$.id', message: `"${raw.id}" is a built-in scenario type` });
+  }
+
+  const keywords = normalizeKeywords(raw.keywords, problems);
+  const steps = validateSteps(raw.steps, '$.steps', problems);
+  const fragment = raw.fragment
+    ? { label: raw.fragment.label, steps: validateSteps(raw.fragment.steps, '$.fragment.steps', problems, true) }
+    : null;
+  const { entities, synonyms, relationships } = validateEntities(raw, problems);
+
+  if (problems.length > 0) return { pack: null, problems };
+
+  return {
+    pack: {
+      id: raw.id,
+      name: raw.name,
+      description: raw.description || '',
+      file: path.basename(file),
+      keywords,
+      steps,
+      summary: raw.summary.trim(),
+      fragment,
+      entities,
+      synonyms,
+      relationships
+    },
+    problems: []
+  };
+}
+
+module.exports = {
+  PACK_EXTENSIONS,
+  RESERVED_IDS,
+  loadPackFile
+};
@@ -0,0 +1,322 @@
+/**
+ * BPMN Generator
+ *
+ * Serializes a workflow as BPMN 2.0 XML, for process analysts who work in
+ * BPMN modelers rather than Mermaid. Step types map onto BPMN elements
+ * (see getBpmnElement) and edges become sequence flows named after their
+ * branch labels.
+ *
+ * The file includes diagram interchange (DI) so modelers open it with a
+ * layout: steps are placed in columns by their longest distance from the
+ * start, branches stack vertically, and loops are routed below the diagram.
+ */
+
+const { normalizeGraph, getEdges, findStartStep, isBackEdge } = require('./workflowGraph');
+
+/**
+ * Shape sizes per element kind, in BPMN units
+ */
+const SIZES = {
+  event: { width: 36, height: 36 },
+  gateway: { width: 50, height: 50 },
+  task: { width: 100, height: 80 }
+};
+
+const COLUMN_WIDTH = 160;
+const ROW_HEIGHT = 120;
+const ORIGIN = { x: 80, y: 80 };
+const LOOP_GAP = 40;
+const START_EVENT_ID = 'StartEvent_1';
+
+/**
+ * Get the BPMN element for a step type
+ *
+ * @param {string} type - The step type
+ * @returns {{ tag: string, kind: string }} BPMN tag and shape kind
+ */
+function getBpmnElement(type) {
+  const elements = {
+    trigger: { tag: 'startEvent', kind: 'event' },
+    end: { tag: 'endEvent', kind: 'event' },
+    decision: { tag: 'exclusiveGateway', kind: 'gateway' },
+    conditional: { tag: 'exclusiveGateway', kind: 'gateway' },
+    error_handling: { tag: 'exclusiveGateway', kind: 'gateway' },
+    parallel: { tag: 'parallelGateway', kind: 'gateway' },
+    join: { tag: 'parallelGateway', kind: 'gateway' },
+    user_action: { tag: 'userTask', kind: 'task' },
+    user_input: { tag: 'userTask', kind: 'task' },
+    navigation: { tag: 'userTask', kind: 'task' },
+    display: { tag: 'userTask', kind: 'task' },
+    review: { tag: 'userTask', kind: 'task' },
+    system_action: { tag: 'serviceTask', kind: 'task' },
+    system_check: { tag: 'serviceTask', kind: 'task' },
+    database_query: { tag: 'serviceTask', kind: 'task' },
+    database_write: { tag: 'serviceTask', kind: 'task' },
+    integration: { tag: 'serviceTask', kind: 'task' },
+    ai_process: { tag: 'serviceTask', kind: 'task' },
+    data_operation: { tag: 'serviceTask', kind: 'task' },
+    workflow_action: { tag: 'serviceTask', kind: 'task' },
+    logging: { tag: 'scriptTask', kind: 'task' },
+    notification: { tag: 'sendTask', kind: 'task' }
+  };
+
+  return elements[type] || { tag: 'task', kind: 'task' };
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Generate an element id from step id
+ * @param {number} id - Step ID
+ * @returns {string} Element identifier
+ */
+function elementId(id) {
+  return `Step_${id}`;
+}
+
+/**
+ * Shorten an element id for use in a flow id ("Step_3" -> "3")
+ * @param {string} id - Element id
+ * @returns {string} Flow id part
+ */
+function flowEnd(id) {
+  return id === START_EVENT_ID ? 'Start' : id.replace(/^Step_/, '');
+}
+
+/**
+ * Pick the element of every step
+ *
+ * Start events cannot have incoming flows and end events cannot have
+ * outgoing ones, so triggers and ends in the middle of the graph become
+ * intermediate events. When the start step is not a clean start event a
+ * separate start event is added in front of it.
+ *
+ * @param {Array} graph - Normalized workflow steps
+ * @param {Array} edges - Workflow edges
+ * @returns {Map<number, Object>} Step id to { tag, kind }
+ */
+function assignElements(graph, edges) {
+  const elements = new Map();
+
+  graph.forEach(step => {
+    const element = getBpmnElement(step.type);
+    const hasIncoming = edges.some(edge => edge.to === step.id);
+    const hasOutgoing = edges.some(edge => edge.from === step.id);
+
+    if ((element.tag === 'startEvent' && hasIncoming) || (element.tag === 'endEvent' && hasOutgoing)) {
+      elements.set(step.id, { tag: 'intermediateThrowEvent', kind: 'event' });
+    } else {
+      elements.set(step.id, element);
+    }
+  });
+
+  return elements;
+}
+
+/**
+ * Place every node on a grid
+ *
+ * The column is the longest distance from the start following forward
+ * edges only, so loops do not push steps to the right. Rows are handed out
+ * per column in workflow order.
+ *
+ * @param {Array} nodes - Nodes in workflow order, { id, kind }
+ * @param {Array} edges - Edges between node ids
+ * @param {Function} isForward - Whether an edge points forward
+ * @returns {Map<string, Object>} Node id to { x, y, width, height }
+ */
+function layoutNodes(nodes, edges, isForward) {
+  const columns = new Map(nodes.map(node => [node.id, 0]));
+
+  // Longest path over forward edges; nodes are already in a topological order
+  nodes.forEach(node => {
+    edges
+      .filter(edge => edge.from === node.id && isForward(edge))
+      .forEach(edge => {
+        columns.set(edge.to, Math.max(columns.get(edge.to), columns.get(node.id) + 1));
+      });
+  });
+
+  const rowsUsed = new Map();
+  const bounds = new Map();
+  nodes.forEach(node => {
+    const column = columns.get(node.id);
+    const row = rowsUsed.get(column) || 0;
+    rowsUsed.set(column, row + 1);
+
+    const size = SIZES[node.kind];
+    const centerX = ORIGIN.x + column * COLUMN_WIDTH + SIZES.task.width / 2;
+    const centerY = ORIGIN.y + row * ROW_HEIGHT + SIZES.task.height / 2;
+    bounds.set(node.id, {
+      x: centerX - size.width / 2,
+      y: centerY - size.height / 2,
+      width: size.width,
+      height: size.height
+    });
+  });
+
+  return bounds;
+}
+
+/**
+ * Route a sequence flow between two shapes
+ *
+ * Forward flows leave on the right and enter on the left, with an elbow
+ * when the rows differ. Loops leave and enter at the bottom and run along
+ * a lane below the diagram.
+ *
+ * @param {Object} source - Source bounds
+ * @param {Object} target - Target bounds
+ * @param {boolean} forward - Whether the flow points forward
+ * @param {number} loopY - Y of the lane for loops
+ * @returns {Array<{ x: number, y: number }>} Waypoints
+ */
+function routeFlow(source, target, forward, loopY) {
+  const sourceCenterY = source.y + source.height / 2;
+  const targetCenterY = target.y + target.height / 2;
+
+  if (!forward) {
+    const sourceCenterX = source.x + source.width / 2;
+    const targetCenterX = target.x + target.width / 2;
+    return [
+      { x: sourceCenterX, y: source.y + source.height },
+      { x: sourceCenterX, y: loopY },
+      { x: targetCenterX, y: loopY },
+      { x: targetCenterX, y: target.y + target.height }
+    ];
+  }
+
+  const start = { x: source.x + source.width, y: sourceCenterY };
+  const end = { x: target.x, y: targetCenterY };
+  if (start.y === end.y) return [start, end];
+
+  const middleX = Math.round((start.x + end.x) / 2);
+  return [start, { x: middleX, y: start.y }, { x: middleX, y: end.y }, end];
+}
+
+/**
+ * Generate BPMN 2.0 XML from workflow steps
+ *
+ * @param {Array} workflow - Array of workflow step objects
+ * @param {Object} [options]
+ * @param {string} [options.name='Scenario'] - Process name
+ * @returns {string} BPMN 2.0 XML document
+ */
+function generateBPMN(workflow, { name = 'Scenario' } = {}) {
+  const graph = normalizeGraph(workflow || []);
+  const stepEdges = getEdges(graph).filter(edge => graph.some(step => step.id === edge.to));
+  const elements = assignElements(graph, stepEdges);
+
+  const nodes = graph.map(step => ({
+    id: elementId(step.id),
+    kind: elements.get(step.id).kind,
+    tag: elements.get(step.id).tag,
+    step
+  }));
+  const edges = stepEdges.map(edge => ({
+    from: elementId(edge.from),
+    to: elementId(edge.to),
+    label: edge.label,
+    forward: !isBackEdge(edge, graph)
+  }));
+
+  // Give the process a proper start event when the first step is not one
+  const start = findStartStep(graph);
+  if (start && elements.get(start.id).tag !== 'startEvent') {
+    nodes.unshift({ id: START_EVENT_ID, kind: 'event', tag: 'startEvent' });
+    edges.unshift({ from: START_EVENT_ID, to: elementId(start.id), forward: true });
+  }
+
+  // Number the flows, keeping ids unique when a step links to the same target twice
+  const flowIds = new Map();
+  edges.forEach(edge => {
+    const base = `Flow_${flowEnd(edge.from)}_${flowEnd(edge.to)}`;
+    const count = flowIds.get(base) || 0;
+    flowIds.set(base, count + 1);
+    edge.id = count === 0 ? base : `${base}_${count + 1}`;
+  });
+
+  const bounds = layoutNodes(nodes, edges, edge => edge.forward);
+  const bottom = Math.max(ORIGIN.y, ...[...bounds.values()].map(box => box.y + box.height));
+
+  // Semantic model
+  const processLines = nodes.map(node => {
+    const attributes = [`id="${node.id}"`];
+    if (node.step) attributes.push(`name="${escapeXml(node.step.name)}"`);
+    const children = [];
+    if (node.step?.description) {
+      children.push(`      <bpmn:documentation>${escapeXml(node.step.description)}</bpmn:documentation>`);
+    }
+    edges.filter(edge => edge.to === node.id).forEach(edge => children.push(`      <bpmn:incoming>${edge.id}</bpmn:incoming>`));
+    edges.filter(edge => edge.from === node.id).forEach(edge => children.push(`      <bpmn:outgoing>${edge.id}</bpmn:outgoing>`));
+
+    const open = `    <bpmn:${node.tag} ${attributes.join(' ')}`;
+    return children.length === 0
+      ? `${open} />`
+      : `${open}>\n${children.join('\n')}\n    </bpmn:${node.tag}>`;
+  });
+
+  edges.forEach(edge => {
+    const label = edge.label ? ` name="${escapeXml(edge.label)}"` : '';
+    processLines.push(`    <bpmn:sequenceFlow id="${edge.id}"${label} sourceRef="${edge.from}" targetRef="${edge.to}" />`);
+  });
+
+  // Diagram interchange
+  const diagramLines = nodes.map(node => {
+    const box = bounds.get(node.id);
+    const marker = node.kind === 'gateway' ? ' isMarkerVisible="true"' : '';
+    return [
+      `      <bpmndi:BPMNShape id="${node.id}_di" bpmnElement="${node.id}"${marker}>`,
+      `        <dc:Bounds x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" />`,
+      '      </bpmndi:BPMNShape>'
+    ].join('\n');
+  });
+
+  let loops = 0;
+  edges.forEach(edge => {
+    const loopY = bottom + LOOP_GAP * (edge.forward ? 1 : ++loops);
+    const waypoints = routeFlow(bounds.get(edge.from), bounds.get(edge.to), edge.forward, loopY);
+    diagramLines.push([
+      `      <bpmndi:BPMNEdge id="${edge.id}_di" bpmnElement="${edge.id}">`,
+      ...waypoints.map(point => `        <di:waypoint x="${point.x}" y="${point.y}" />`),
+      '      </bpmndi:BPMNEdge>'
+    ].join('\n'));
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL"'
+      + ' xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI"'
+      + ' xmlns:dc="http://www.omg.org/spec/DD/20100524/DC"'
+      + ' xmlns:di="http://www.omg.org/spec/DD/20100524/DI"'
+      + ' id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn" exporter="AI Scenario Builder">',
+    `  <bpmn:process id="Process_1" name="${escapeXml(name)}" isExecutable="false">`,
+    ...processLines,
+    '  </bpmn:process>',
+    '  <bpmndi:BPMNDiagram id="BPMNDiagram_1">',
+    '    <bpmndi:BPMNPlane id="BPMNPlane_1" bpmnElement="Process_1">',
+    ...diagramLines,
+    '    </bpmndi:BPMNPlane>',
+    '  </bpmndi:BPMNDiagram>',
+    '</bpmn:definitions>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  generateBPMN,
+  getBpmnElement,
+  escapeXml
+};
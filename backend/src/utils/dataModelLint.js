@@ -0,0 +1,164 @@
+/**
+ * Data Model Lint
+ *
+ * Reports smells in a data model that is valid JSON Schema but would
+ * export badly: relationships to missing entities, reference fields with
+ * no relationship behind them, required fields that are not defined,
+ * arrays of untyped objects and entities without timestamps.
+ *
+ * Findings are tagged with a severity:
+ *   error   - the exporters will produce broken output
+ *   warning - the output works but is probably not what was meant
+ *   info    - a convention is not followed
+ */
+
+const { toSnakeCase } = require('../exporters/naming');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const TIMESTAMPS = ['created_at', 'updated_at'];
+
+/**
+ * Build a finding
+ * @param {string} severity - One of SEVERITIES
+ * @param {string} code - Stable identifier of the check
+ * @param {string} path - Path of the offending part of the model
+ * @param {string} message - Human readable description
+ * @param {string} [entity] - Entity the finding is about
+ * @returns {Object} Finding
+ */
+function finding(severity, code, path, message, entity) {
+  return { severity, code, ...(entity ? { entity } : {}), path, message };
+}
+
+/**
+ * @param {string} name - Property name
+ * @param {Object} schema - Property schema
+ * @returns {boolean} True for properties holding the id of another entity
+ */
+function isReference(name, schema) {
+  return name !== 'id' && (/_id$/.test(name) || (schema?.type === 'string' && schema.format === 'uuid'));
+}
+
+/**
+ * Report arrays of objects without an item schema, including nested ones
+ *
+ * @param {Object} properties - Map of property name to schema
+ * @param {string} path - Path of the properties
+ * @param {string} entity - Entity the properties belong to
+ * @returns {Array<Object>} Findings
+ */
+function lintItems(properties, path, entity) {
+  return Object.entries(properties || {}).flatMap(([name, schema]) => {
+    const propertyPath = `${path}.${name}`;
+    const findings = [];
+
+    if (schema?.type === 'array' && (!schema.items || (schema.items.type === 'object' && !schema.items.properties))) {
+      findings.push(finding(
+        'warning',
+        'untyped-items',
+        `${propertyPath}.items`,
+        `${entity}.${name} is an array of objects with no item schema, so exports cannot type its items`,
+        entity
+      ));
+    }
+    if (schema?.items?.properties) {
+      findings.push(...lintItems(schema.items.properties, `${propertyPath}.items.properties`, entity));
+    }
+    if (schema?.properties) {
+      findings.push(...lintItems(schema.properties, `${propertyPath}.properties`, entity));
+    }
+
+    return findings;
+  });
+}
+
+/**
+ * Lint a data model
+ *
+ * @param {Object} dataModel - Data model ({ entities, relationships })
+ * @returns {Array<{ severity: string, code: string, entity?: string, path: string, message: string }>}
+ *   Findings, errors first
+ */
+function lintDataModel(dataModel) {
+  const entities = dataModel?.entities || {};
+  const relationships = dataModel?.relationships || [];
+  const names = Object.keys(entities);
+  const bySnakeName = new Map(names.map(name => [toSnakeCase(name), name]));
+  const findings = [];
+
+  const related = (a, b) => relationships.some(({ from, to }) => (from === a && to === b) || (from === b && to === a));
+
+  relationships.forEach((relationship, index) => {
+    ['from', 'to'].forEach(end => {
+      if (!names.includes(relationship[end])) {
+        findings.push(finding(
+          'error',
+          'dangling-relationship',
+          `$.relationships[${index}].${end}`,
+          `Relationship ${relationship.from} → ${relationship.to} points to "${relationship[end]}", which is not an entity`
+        ));
+      }
+    });
+  });
+
+  names.forEach(entity => {
+    const schema = entities[entity] || {};
+    const properties = schema.properties || {};
+    const path = `$.entities.${entity}`;
+
+    (schema.required || []).forEach((field, index) => {
+      if (!properties[field]) {
+        findings.push(finding(
+          'error',
+          'unknown-required',
+          `${path}.required[${index}]`,
+          `${entity} requires "${field}", which is not one of its properties`,
+          entity
+        ));
+      }
+    });
+
+    Object.entries(properties).forEach(([name, propertySchema]) => {
+      if (!isReference(name, propertySchema)) return;
+
+      const target = /_id$/.test(name) ? bySnakeName.get(name.slice(0, -3)) : undefined;
+      if (target && target !== entity && !related(entity, target)) {
+        findings.push(finding(
+          'warning',
+          'unlinked-reference',
+          `${path}.properties.${name}`,
+          `${entity}.${name} refers to ${target}, but no relationship connects ${entity} and ${target}`,
+          entity
+        ));
+      } else if (!target) {
+        findings.push(finding(
+          'warning',
+          'unlinked-reference',
+          `${path}.properties.${name}`,
+          `${entity}.${name} looks like a reference, but no entity matches its name, so exports will not link it`,
+          entity
+        ));
+      }
+    });
+
+    findings.push(...lintItems(properties, `${path}.properties`, entity));
+
+    const missing = TIMESTAMPS.filter(field => !properties[field]);
+    if (missing.length > 0) {
+      findings.push(finding(
+        'info',
+        'missing-timestamps',
+        `${path}.properties`,
+        `${entity} has no ${missing.join(' or ')} timestamp`,
+        entity
+      ));
+    }
+  });
+
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+module.exports = {
+  SEVERITIES,
+  lintDataModel
+};
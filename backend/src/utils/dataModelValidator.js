@@ -0,0 +1,240 @@
+/**
+ * Data Model Validator
+ *
+ * Checks a data model edited by hand (or sent with a saved scenario)
+ * before it reaches the diagram generators and exporters. Every entity
+ * must be a JSON Schema object whose properties use the types, formats
+ * and keywords listed below, and relationships must connect existing
+ * entities with a known cardinality.
+ *
+ * Only structural problems are rejected here; quality findings such as
+ * missing timestamps are left to the data model lint (dataModelLint.js).
+ */
+
+const { validateSchema } = require('./jsonSchema');
+const { ValidationError } = require('./errors');
+
+const SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+const PROPERTY_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+const STRING_FORMATS = ['date-time', 'date', 'time', 'email', 'uri', 'uuid', 'hostname', 'ipv4', 'ipv6'];
+const CARDINALITIES = ['one-to-one', 'one-to-many', 'many-to-one', 'many-to-many'];
+const MAX_ENTITIES = 50;
+const MAX_PROPERTIES = 100;
+
+// Names end up as table, column and type names in the exporters
+const ENTITY_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+const PROPERTY_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Top level of a data model
+ */
+const DATA_MODEL_SCHEMA = {
+  type: 'object',
+  required: ['entities'],
+  properties: {
+    $schema: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    entities: { type: 'object' },
+    relationships: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'to', 'type'],
+        properties: {
+          from: { type: 'string', minLength: 1 },
+          to: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: CARDINALITIES },
+          description: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * An entity: an object schema with named properties
+ */
+const ENTITY_SCHEMA = {
+  type: 'object',
+  required: ['type', 'properties'],
+  properties: {
+    type: { type: 'string', enum: ['object'] },
+    description: { type: 'string' },
+    properties: { type: 'object' },
+    required: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+/**
+ * A property, or the item schema of an array property
+ */
+const PROPERTY_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: PROPERTY_TYPES },
+    description: { type: 'string' },
+    format: { type: 'string', enum: STRING_FORMATS },
+    enum: { type: 'array', minItems: 1 },
+    minimum: { type: 'number' },
+    maximum: { type: 'number' },
+    minLength: { type: 'integer', minimum: 0 },
+    maxLength: { type: 'integer', minimum: 0 },
+    items: { type: 'object' },
+    properties: { type: 'object' },
+    required: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// Keywords that only make sense for some property types
+const KEYWORD_TYPES = {
+  format: ['string'],
+  minLength: ['string'],
+  maxLength: ['string'],
+  minimum: ['number', 'integer'],
+  maximum: ['number', 'integer'],
+  items: ['array'],
+  properties: ['object'],
+  required: ['object']
+};
+
+/**
+ * Check a property schema, including nested item and object schemas
+ *
+ * @param {Object} schema - Property schema
+ * @param {string} path - Path used in problem reports
+ * @returns {Array<{ path: string, message: string }>} Problems found
+ */
+function checkProperty(schema, path) {
+  const problems = validateSchema(schema, PROPERTY_SCHEMA, path);
+  if (problems.length > 0) return problems;
+
+  Object.entries(KEYWORD_TYPES).forEach(([keyword, types]) => {
+    if (schema[keyword] !== undefined && !types.includes(schema.type)) {
+      problems.push({ path: `${path}.${keyword}`, message: `Does not apply to ${schema.type} properties` });
+    }
+  });
+
+  if (schema.enum) {
+    schema.enum.forEach((value, index) => {
+      problems.push(...validateSchema(value, { type: schema.type }, `${path}.enum[${index}]`));
+    });
+    if (new Set(schema.enum).size !== schema.enum.length) {
+      problems.push({ path: `${path}.enum`, message: 'Contains duplicate values' });
+    }
+  }
+
+  if (schema.minimum !== undefined && schema.maximum !== undefined && schema.minimum > schema.maximum) {
+    problems.push({ path: `${path}.minimum`, message: 'Must not be greater than maximum' });
+  }
+  if (schema.minLength !== undefined && schema.maxLength !== undefined && schema.minLength > schema.maxLength) {
+    problems.push({ path: `${path}.minLength`, message: 'Must not be greater than maxLength' });
+  }
+
+  if (schema.items) {
+    problems.push(...checkProperty(schema.items, `${path}.items`));
+  }
+  if (schema.properties) {
+    problems.push(...checkProperties(schema.properties, `${path}.properties`));
+  }
+
+  return problems;
+}
+
+/**
+ * Check the named properties of an entity or nested object
+ *
+ * @param {Object} properties - Map of property name to schema
+ * @param {string} path - Path used in problem reports
+ * @returns {Array<{ path: string, message: string }>} Problems found
+ */
+function checkProperties(properties, path) {
+  const entries = Object.entries(properties);
+  const problems = [];
+
+  if (entries.length > MAX_PROPERTIES) {
+    problems.push({ path, message: `Must contain at most ${MAX_PROPERTIES} properties` });
+  }
+  entries.forEach(([name, schema]) => {
+    if (!PROPERTY_NAME.test(name)) {
+      problems.push({ path: `${path}.${name}`, message: 'Property names must start with a letter or underscore and contain only letters, digits and underscores' });
+    }
+    problems.push(...checkProperty(schema, `${path}.${name}`));
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a data model
+ *
+ * @param {Object} dataModel - Data model ({ entities, relationships, ... })
+ * @returns {Array<{ path: string, message: string }>} Problems found (empty when valid)
+ */
+function validateDataModel(dataModel) {
+  const problems = validateSchema(dataModel, DATA_MODEL_SCHEMA);
+  if (problems.length > 0) return problems;
+
+  const names = Object.keys(dataModel.entities);
+  if (names.length > MAX_ENTITIES) {
+    problems.push({ path: '$.entities', message: `Must contain at most ${MAX_ENTITIES} entities` });
+  }
+
+  names.forEach(name => {
+    const path = `$.entities.${name}`;
+    const entity = dataModel.entities[name];
+
+    if (!ENTITY_NAME.test(name)) {
+      problems.push({ path, message: 'Entity names must start with a letter and contain only letters, digits and underscores' });
+    }
+    const entityProblems = validateSchema(entity, ENTITY_SCHEMA, path);
+    if (entityProblems.length > 0) {
+      problems.push(...entityProblems);
+      return;
+    }
+    problems.push(...checkProperties(entity.properties, `${path}.properties`));
+  });
+
+  (dataModel.relationships || []).forEach((relationship, index) => {
+    ['from', 'to'].forEach(end => {
+      if (!names.includes(relationship[end])) {
+        problems.push({
+          path: `$.relationships[${index}].${end}`,
+          message: `Unknown entity "${relationship[end]}"`
+        });
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a data model, throwing when it is not usable
+ *
+ * @param {Object} dataModel - Data model
+ * @returns {Object} The data model with `$schema` and `relationships` filled in
+ * @throws {ValidationError} When problems are found
+ */
+function assertValidDataModel(dataModel) {
+  const problems = validateDataModel(dataModel);
+
+  if (problems.length > 0) {
+    throw new ValidationError('The data model is not valid JSON Schema', problems);
+  }
+
+  return {
+    $schema: SCHEMA_DRAFT,
+    ...dataModel,
+    relationships: dataModel.relationships || []
+  };
+}
+
+module.exports = {
+  PROPERTY_TYPES,
+  STRING_FORMATS,
+  CARDINALITIES,
+  validateDataModel,
+  assertValidDataModel
+};
@@ -3,8 +3,16 @@
  * 
  * Converts workflow steps into Mermaid diagram syntax.
  * Creates visual flowcharts that can be rendered in the frontend.
+ * Edges come from each step's next/branches (see workflowGraph.js).
+ *
+ * Besides the flowchart it produces an ER diagram of the data model,
+ * a state diagram per entity with a `status` enum and a sequence
+ * diagram between the actors the step types imply.
  */
 
+const { normalizeGraph, getEdges, getOutgoingEdges, isBackEdge } = require('./workflowGraph');
+const { buildRelationalModel } = require('../exporters/relationalModel');
+
 /**
  * Get node shape based on step type
  * Mermaid syntax: [] = rectangle, {} = rhombus (diamond), () = rounded, (()) = circle
@@ -33,7 +41,9 @@ function getNodeShape(type) {
     conditional: { open: '{', close: '}' },         // Diamond
     ai_process: { open: '[[', close: ']]' },        // Subroutine
     data_operation: { open: '[[', close: ']]' },    // Subroutine
-    error_handling: { open: '{', close: '}' }       // Diamond
+    error_handling: { open: '{', close: '}' },      // Diamond
+    parallel: { open: '((', close: '))' },          // Circle for forks
+    join: { open: '((', close: '))' }               // Circle for joins
   };
 
   return shapes[type] || { open: '[', close: ']' };
@@ -95,34 +105,27 @@ function generateMermaidDiagram(workflow) {
   lines.push('');
   lines.push('  %% Connections');
 
-  // Generate connections
-  for (let i = 0; i < workflow.length - 1; i++) {
-    const current = workflow[i];
-    const next = workflow[i + 1];
-    
-    // Add special handling for decision nodes
-    if (current.type === 'decision' || current.type === 'conditional') {
-      lines.push(`  ${nodeId(current.id)} -->|Yes| ${nodeId(next.id)}`);
-      // If there's a step after next, add a "No" path that skips
-      if (i + 2 < workflow.length) {
-        lines.push(`  ${nodeId(current.id)} -.->|No| ${nodeId(workflow[i + 2].id)}`);
-      }
-    } else {
-      lines.push(`  ${nodeId(current.id)} --> ${nodeId(next.id)}`);
-    }
-  }
+  // Generate connections from the explicit graph.
+  // Loops back to earlier steps are drawn dotted so retries stand out.
+  const graph = normalizeGraph(workflow);
+  getEdges(graph).forEach(edge => {
+    const arrow = isBackEdge(edge, graph) ? '-.->' : '-->';
+    const label = edge.label ? `|${escapeLabel(edge.label).replace(/\|/g, '/')}|` : '';
+    lines.push(`  ${nodeId(edge.from)} ${arrow}${label} ${nodeId(edge.to)}`);
+  });
 
   lines.push('');
   lines.push('  %% Apply styles');
   
   // Apply styles based on step types
   workflow.forEach(step => {
+    const type = step.type || '';
     let styleClass = 'action';
-    if (step.type === 'trigger' || step.type === 'end') styleClass = 'trigger';
-    else if (step.type === 'decision' || step.type === 'conditional') styleClass = 'decision';
-    else if (step.type === 'notification') styleClass = 'notification';
-    else if (step.type.includes('database')) styleClass = 'database';
-    else if (step.type.includes('system')) styleClass = 'system';
+    if (type === 'trigger' || type === 'end') styleClass = 'trigger';
+    else if (type === 'decision' || type === 'conditional' || type === 'parallel' || type === 'join') styleClass = 'decision';
+    else if (type === 'notification') styleClass = 'notification';
+    else if (type.includes('database')) styleClass = 'database';
+    else if (type.includes('system')) styleClass = 'system';
     
     lines.push(`  class ${nodeId(step.id)} ${styleClass}`);
   });
@@ -130,8 +133,333 @@ function generateMermaidDiagram(workflow) {
   return lines.join('\n');
 }
 
+// ============================================
+// ER DIAGRAM
+// ============================================
+
+/**
+ * Mermaid cardinality markers per relationship type
+ */
+const ER_CARDINALITY = {
+  'one-to-one': '||--||',
+  'one-to-many': '||--o{',
+  'many-to-one': '}o--||',
+  'many-to-many': '}o--o{'
+};
+
+/**
+ * Name an ER attribute type after a property schema
+ * @param {Object} schema - Property schema
+ * @returns {string} Single-word type
+ */
+function erAttributeType(schema) {
+  if (schema.format === 'uuid') return 'uuid';
+  if (schema.format === 'date-time') return 'datetime';
+  if (schema.format === 'date') return 'date';
+  if (Array.isArray(schema.enum)) return 'enum';
+  return schema.type || 'string';
+}
+
+/**
+ * Generate a Mermaid erDiagram from a data model.
+ * Entities list their columns, including the foreign keys implied by
+ * the relationships.
+ *
+ * @param {Object} dataModel - Data model with entities and relationships
+ * @returns {string} Mermaid diagram syntax
+ */
+function generateERDiagram(dataModel) {
+  const { tables } = buildRelationalModel(dataModel);
+  if (tables.length === 0) {
+    return 'erDiagram\n  EMPTY {\n    string none\n  }';
+  }
+
+  const lines = ['erDiagram'];
+
+  (dataModel.relationships || []).forEach(rel => {
+    const cardinality = ER_CARDINALITY[rel.type];
+    if (!cardinality || !dataModel.entities[rel.from] || !dataModel.entities[rel.to]) return;
+    const label = escapeLabel(rel.description || rel.type);
+    lines.push(`  ${rel.from} ${cardinality} ${rel.to} : "${label}"`);
+  });
+
+  tables.forEach(table => {
+    lines.push(`  ${table.entity} {`);
+    table.columns.forEach(column => {
+      const keys = [column.primaryKey && 'PK', column.references && 'FK', column.unique && 'UK'].filter(Boolean);
+      lines.push(`    ${erAttributeType(column.schema)} ${column.name}${keys.length ? ` ${keys.join(', ')}` : ''}`);
+    });
+    lines.push('  }');
+  });
+
+  return lines.join('\n');
+}
+
+// ============================================
+// STATE DIAGRAMS
+// ============================================
+
+/**
+ * Status values that start a lifecycle
+ */
+const INITIAL_STATES = ['draft', 'new', 'open', 'pending'];
+
+/**
+ * Status values that leave the normal lifecycle, and where they can be reached from
+ *   early: only from the first state
+ *   any:   from every state but the last one
+ *   late:  from every state after the first one
+ */
+const EXCEPTION_STATES = {
+  failed: 'early',
+  rejected: 'early',
+  expired: 'early',
+  cancelled: 'any',
+  canceled: 'any',
+  refunded: 'late'
+};
+
+/**
+ * Make a status value usable as a state id
+ * @param {string} value - Status value
+ * @returns {string} State id
+ */
+function stateId(value) {
+  return String(value).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Work out the transitions of one entity's status lifecycle.
+ * Regular statuses follow each other in order, starting with the
+ * initial one (pending, draft, ...); exception statuses such as
+ * cancelled or failed branch off the lifecycle and end it.
+ *
+ * @param {Array<string>} statuses - Values of the status enum
+ * @returns {Array<{ from: string|null, to: string|null }>} Transitions in
+ *   diagram order; a null end stands for the start or the end of the lifecycle
+ */
+function getStatusTransitions(statuses) {
+  const regular = statuses.filter(value => !EXCEPTION_STATES[value]);
+  const exceptions = statuses.filter(value => EXCEPTION_STATES[value]);
+  const initial = regular.filter(value => INITIAL_STATES.includes(value));
+  const lifecycle = [...initial, ...regular.filter(value => !INITIAL_STATES.includes(value))];
+
+  const transitions = [];
+  if (lifecycle.length > 0) {
+    transitions.push({ from: null, to: lifecycle[0] });
+  }
+  lifecycle.slice(1).forEach((value, index) => {
+    transitions.push({ from: lifecycle[index], to: value });
+  });
+  if (lifecycle.length > 0) {
+    transitions.push({ from: lifecycle[lifecycle.length - 1], to: null });
+  }
+
+  exceptions.forEach(value => {
+    const reach = EXCEPTION_STATES[value];
+    const sources = {
+      early: lifecycle.slice(0, 1),
+      any: lifecycle.slice(0, -1),
+      late: lifecycle.slice(1)
+    }[reach];
+    // With a single regular state, reach it from that state
+    (sources.length > 0 ? sources : lifecycle.slice(0, 1)).forEach(source => {
+      transitions.push({ from: source, to: value });
+    });
+    if (lifecycle.length === 0) {
+      transitions.push({ from: null, to: value });
+    }
+    transitions.push({ from: value, to: null });
+  });
+
+  return transitions;
+}
+
+/**
+ * Generate a stateDiagram-v2 for one entity's status lifecycle
+ * (see getStatusTransitions)
+ *
+ * @param {Array<string>} statuses - Values of the status enum
+ * @returns {string} Mermaid diagram syntax
+ */
+function generateStateDiagram(statuses) {
+  const node = value => (value === null ? '[*]' : stateId(value));
+  return ['stateDiagram-v2', ...getStatusTransitions(statuses).map(({ from, to }) => `  ${node(from)} --> ${node(to)}`)]
+    .join('\n');
+}
+
+/**
+ * Generate a state diagram for every entity with a `status` enum
+ *
+ * @param {Object} dataModel - Data model with entities
+ * @returns {Object} Mermaid diagram per entity name
+ */
+function generateStateDiagrams(dataModel) {
+  const diagrams = {};
+  Object.entries(dataModel?.entities || {}).forEach(([entity, schema]) => {
+    const statuses = schema.properties?.status?.enum;
+    if (Array.isArray(statuses) && statuses.length > 0) {
+      diagrams[entity] = generateStateDiagram(statuses);
+    }
+  });
+  return diagrams;
+}
+
+// ============================================
+// SEQUENCE DIAGRAM
+// ============================================
+
+/**
+ * Sequence diagram participants, in display order
+ */
+const ACTORS = {
+  user: { id: 'User', declaration: 'actor User' },
+  system: { id: 'System', declaration: 'participant System' },
+  database: { id: 'Database', declaration: 'participant Database' },
+  notification: { id: 'Notification', declaration: 'participant Notification as Notification Service' }
+};
+
+/**
+ * Infer the actor that performs a step from its type
+ * @param {string} type - Step type
+ * @returns {string} Key of ACTORS
+ */
+function getActorCategory(type) {
+  if (['trigger', 'user_action', 'user_input', 'navigation', 'review'].includes(type)) return 'user';
+  if (['database_query', 'database_write', 'logging', 'data_operation'].includes(type)) return 'database';
+  if (type === 'notification') return 'notification';
+  return 'system';
+}
+
+/**
+ * Escape a sequence diagram message
+ * @param {string} text - Message text
+ * @returns {string} Safe message
+ */
+function escapeMessage(text) {
+  return escapeLabel(String(text)).replace(/[;#]/g, ',');
+}
+
+/**
+ * Render a message between two participants, recording both as used
+ * @param {Set<string>} used - Ids of the participants taking part
+ * @param {string} from - Sending participant id
+ * @param {string} arrow - Mermaid arrow
+ * @param {string} to - Receiving participant id
+ * @param {string} text - Escaped message text
+ * @returns {string} Diagram line
+ */
+function message(used, from, arrow, to, text) {
+  used.add(from);
+  used.add(to);
+  return `  ${from}${arrow}${to}: ${text}`;
+}
+
+/**
+ * Render the messages of one step
+ * @param {Object} step - Workflow step
+ * @param {Set<string>} used - Ids of the participants taking part, updated in place
+ * @returns {Array<string>} Diagram lines
+ */
+function stepMessages(step, used) {
+  const name = escapeMessage(step.name);
+
+  switch (getActorCategory(step.type)) {
+    case 'user':
+      return [message(used, 'User', '->>', 'System', name)];
+    case 'database':
+      return step.type === 'database_query'
+        ? [message(used, 'System', '->>', 'Database', name), message(used, 'Database', '-->>', 'System', 'Results')]
+        : [message(used, 'System', '->>', 'Database', name)];
+    case 'notification':
+      return [message(used, 'System', '->>', 'Notification', name), message(used, 'Notification', '--)', 'User', name)];
+    default:
+      if (step.type === 'display') return [message(used, 'System', '-->>', 'User', name)];
+      if (step.type === 'end') {
+        used.add('User');
+        return [`  Note over User,System: ${name}`];
+      }
+      return [message(used, 'System', '->>', 'System', name)];
+  }
+}
+
+/**
+ * Generate a Mermaid sequenceDiagram from the workflow.
+ * Each step becomes a message between the actors its type implies
+ * (user, system, database, notification); decisions become alt blocks
+ * naming the step each branch leads to.
+ *
+ * @param {Array} workflow - Workflow steps
+ * @returns {string} Mermaid diagram syntax
+ */
+function generateSequenceDiagram(workflow) {
+  if (!workflow || workflow.length === 0) {
+    return 'sequenceDiagram\n  Note over System: No workflow steps';
+  }
+
+  const graph = normalizeGraph(workflow);
+  const names = new Map(graph.map(step => [step.id, step.name]));
+  const body = [];
+  // Participants are recorded as messages are rendered, always including System
+  const used = new Set(['System']);
+
+  graph.forEach(step => {
+    if (step.type === 'parallel' || step.type === 'join') {
+      body.push(`  Note over System: ${escapeMessage(step.name)}`);
+      return;
+    }
+
+    const branches = Array.isArray(step.branches) ? getOutgoingEdges(step, graph) : [];
+    if (branches.length === 0) {
+      body.push(...stepMessages(step, used));
+      return;
+    }
+
+    body.push(`  System->>System: ${escapeMessage(step.name)}`);
+    branches.forEach((edge, index) => {
+      body.push(`  ${index === 0 ? 'alt' : 'else'} ${escapeMessage(edge.label || 'Otherwise')}`);
+      body.push(`    System->>System: Go to ${escapeMessage(names.get(edge.to) || `step ${edge.to}`)}`);
+    });
+    body.push('  end');
+  });
+
+  // Declare only the participants that take part
+  const declarations = Object.values(ACTORS)
+    .filter(actor => used.has(actor.id))
+    .map(actor => `  ${actor.declaration}`);
+
+  return ['sequenceDiagram', ...declarations, ...body].join('\n');
+}
+
+// ============================================
+// ALL DIAGRAMS
+// ============================================
+
+/**
+ * Generate every diagram type for a scenario
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {Object} dataModel - Data model
+ * @returns {{ flowchart: string, er: string, sequence: string, state: Object }}
+ */
+function generateDiagrams(workflow, dataModel) {
+  return {
+    flowchart: generateMermaidDiagram(workflow),
+    er: generateERDiagram(dataModel || {}),
+    sequence: generateSequenceDiagram(workflow),
+    state: generateStateDiagrams(dataModel)
+  };
+}
+
 module.exports = {
   generateMermaidDiagram,
+  generateERDiagram,
+  generateStateDiagram,
+  generateStateDiagrams,
+  getStatusTransitions,
+  generateSequenceDiagram,
+  generateDiagrams,
+  getActorCategory,
   getNodeShape,
   escapeLabel
 };
@@ -0,0 +1,645 @@
+/**
+ * Entity Inference
+ *
+ * Finds the entities a scenario talks about, and how they relate, from
+ * the description and the text of the workflow steps, without an AI.
+ *
+ * Texts are split into words and scanned for noun phrases where nouns
+ * appear: after articles and other determiners, after prepositions, as
+ * the object of a verb, in lists and at the start of a sentence. The last
+ * word of a phrase (its head) names the entity, and so does a person
+ * named before it ("student assignments"). Synonyms of the template
+ * entities map onto them ("credential" -> User, "appointment" -> Booking);
+ * other nouns become new entities when the description names them or
+ * more than one step mentions them. Units of time and generic nouns
+ * ("deadline", "card") never do.
+ *
+ * Relationships are read from the words between two mentions in the
+ * same sentence: "has", "with" or "contains" make the first entity the
+ * owner, "of", "for" or "to" the second, and so does a possessive or a
+ * person named before a thing ("student assignments"). A person owns what
+ * they make ("authors write articles") and records of what they did
+ * ("patients book appointments"); other things they act on are shared,
+ * many-to-many ("customers buy products"). A thing "with" a person
+ * ("appointments with doctors") is the person's.
+ *
+ * Everything here is rule based, so the same text always gives the same
+ * entities and relationships.
+ */
+
+const { pluralize, singularize, toPascalCase, toSnakeCase } = require('../exporters/naming');
+
+const MAX_INFERRED_ENTITIES = 8;
+const MAX_LINK_WORDS = 4;
+const MAX_STATUSES = 4;
+
+/**
+ * Words that name the template entities of the schema generator
+ */
+const KNOWN_ENTITIES = {
+  User: ['user', 'credential'],
+  Product: ['product', 'item'],
+  Order: ['order', 'purchase'],
+  Cart: ['cart'],
+  Payment: ['payment'],
+  Ticket: ['ticket', 'issue'],
+  Booking: ['booking', 'reservation', 'appointment'],
+  Content: ['content', 'post', 'article'],
+  Notification: ['notification', 'alert'],
+  Session: ['session', 'token'],
+  Task: ['task']
+};
+
+/**
+ * Turn a map of entity names to the phrases naming them into a vocabulary
+ *
+ * @param {Object} known - Entity name -> phrases, e.g. { LabResult: ['lab result'] }
+ * @returns {Array<{ entity: string, words: Array<string> }>} One entry per phrase
+ */
+function buildVocabulary(known) {
+  return Object.entries(known).flatMap(([entity, phrases]) => (
+    phrases.map(phrase => ({ entity, words: phrase.toLowerCase().split(/\s+/).filter(Boolean) }))
+  ));
+}
+
+const DEFAULT_VOCABULARY = buildVocabulary(KNOWN_ENTITIES);
+
+/**
+ * Find the vocabulary entries a noun phrase contains
+ *
+ * @param {Array<string>} words - Noun phrase
+ * @param {Array<Object>} vocabulary - Vocabulary from buildVocabulary()
+ * @returns {Array<{ entity: string, last: boolean }>} Matches, `last` when the entry ends the phrase
+ */
+function matchVocabulary(words, vocabulary) {
+  const singular = words.map(singularize);
+  return vocabulary.flatMap(entry => {
+    const size = entry.words.length;
+    for (let start = 0; start + size <= words.length; start++) {
+      const matches = entry.words.every((word, offset) => (
+        offset < size - 1 ? words[start + offset] === word : singular[start + offset] === word
+      ));
+      if (matches) return [{ entity: entry.entity, last: start + size === words.length }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Nouns for people, who own what they act on
+ */
+const ACTORS = new Set([
+  'user', 'customer', 'client', 'employee', 'manager', 'driver', 'mechanic', 'technician',
+  'doctor', 'dentist', 'nurse', 'patient', 'student', 'teacher', 'instructor', 'agent', 'admin',
+  'administrator', 'member', 'guest', 'owner', 'vendor', 'supplier', 'buyer', 'seller',
+  'author', 'editor', 'reviewer', 'approver', 'applicant', 'candidate', 'volunteer', 'tenant',
+  'landlord', 'operator', 'courier', 'passenger', 'visitor', 'subscriber', 'librarian',
+  'recruiter', 'worker', 'staff', 'player', 'coach', 'trainer', 'contractor', 'partner',
+  'participant', 'attendee', 'organizer', 'host', 'rider', 'shopper', 'borrower', 'lender',
+  'parent', 'guardian'
+]);
+
+const DETERMINERS = new Set([
+  'a', 'an', 'the', 'each', 'every', 'their', 'its', 'his', 'her', 'our', 'your', 'my', 'this',
+  'that', 'these', 'those', 'all', 'any', 'some', 'many', 'multiple', 'several', 'one', 'two',
+  'three', 'new', 'existing', 'other', 'another', 'various', 'same', 'such', 'no'
+]);
+
+const PREPOSITIONS = new Set([
+  'with', 'of', 'for', 'to', 'from', 'by', 'about', 'on', 'in', 'into', 'onto', 'at', 'between',
+  'across', 'via', 'without', 'within', 'under', 'over', 'through', 'per', 'against', 'among',
+  'around', 'after', 'before', 'during', 'upon', 'until', 'like'
+]);
+
+const CONJUNCTIONS = new Set(['and', 'or', 'nor', 'plus']);
+
+// Words that open a clause, after which a new subject can follow
+const CLAUSE_WORDS = new Set(['where', 'when', 'whenever', 'while', 'if', 'once', 'because', 'unless']);
+
+// Pronouns, auxiliaries and other words that never start or continue a noun phrase
+const FUNCTION_WORDS = new Set([
+  'i', 'you', 'he', 'she', 'it', 'we', 'they', 'them', 'him', 'us', 'me', 'who', 'whom', 'which',
+  'what', 'whose', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'am', 'do', 'does', 'did',
+  'has', 'have', 'had', 'having', 'can', 'could', 'will', 'would', 'shall', 'should', 'may',
+  'might', 'must', 'not', 'then', 'else', 'also', 'only', 'just', 'as', 'so', 'than', 'there',
+  'here', 'again', 'very', 'too', 'both', 'either', 'neither', 'how', 'why', 'whether', 'up', 'out', 'off', 'down', 'away', 'back', 'via', 'etc'
+]);
+
+// Words that are not entities on their own: process nouns, UI and data words
+const GENERIC_NOUNS = new Set([
+  'system', 'process', 'flow', 'workflow', 'step', 'input', 'output', 'request', 'response',
+  'result', 'outcome', 'information', 'info', 'data', 'detail', 'logic', 'format', 'condition',
+  'availability', 'option', 'success', 'failure', 'error', 'check', 'update', 'change', 'status',
+  'level', 'type', 'way', 'time', 'point', 'trail', 'party', 'parties', 'action', 'decision',
+  'verification', 'validation', 'confirmation', 'creation', 'completion', 'approval', 'rejection',
+  'review', 'feedback', 'thing', 'everything', 'something', 'anything', 'place', 'case', 'use',
+  'app', 'application', 'platform', 'tool', 'feature', 'page', 'screen', 'form', 'button',
+  'field', 'list', 'number', 'amount', 'date', 'name', 'email', 'address', 'password', 'code',
+  'message', 'text', 'value', 'rule', 'mode', 'context', 'scenario', 'solution', 'management',
+  'database', 'record', 'entry', 'log', 'report', 'history', 'note', 'plan', 'schedule', 'stakeholder',
+  'e-commerce', 'ecommerce', 'checkout', 'login', 'signup', 'authentication', 'support', 'access',
+  'account', 'security', 'integration', 'method', 'transaction', 'inventory', 'progress', 'state',
+  'csv', 'json', 'xml', 'pdf', 'api', 'sms', 'something', 'anything', 'everything', 'nothing',
+  'card', 'deadline', 'work', 'end', 'start', 'beginning', 'reason', 'kind', 'sort', 'lot'
+]);
+
+// Units of time, which measure when things happen rather than name them ("within three days")
+const TIME_UNITS = new Set([
+  'second', 'minute', 'hour', 'day', 'week', 'weekday', 'weekend', 'fortnight', 'month', 'quarter',
+  'semester', 'term', 'year', 'decade', 'morning', 'afternoon', 'evening', 'night', 'today',
+  'tomorrow', 'yesterday', 'moment', 'while'
+]);
+
+// Generic heads that name an entity together with the word before them ("leave request")
+const COMPOUND_HEADS = new Set(['request', 'record', 'entry', 'log', 'report', 'plan', 'schedule', 'history', 'note']);
+
+// Modifiers that describe rather than name ("available products", "selected items")
+const ADJECTIVES = new Set([
+  'available', 'relevant', 'appropriate', 'current', 'final', 'initial', 'main', 'primary',
+  'secondary', 'optional', 'valid', 'invalid', 'pending', 'active', 'inactive', 'simple',
+  'basic', 'online', 'offline', 'external', 'internal', 'automatic', 'manual', 'daily', 'weekly',
+  'monthly', 'annual', 'public', 'private', 'complete', 'full', 'partial', 'total', 'first', 'last',
+  'next', 'previous', 'recent', 'upcoming', 'specific', 'general', 'custom', 'default', 'generic'
+]);
+
+/**
+ * Verbs, including those that double as nouns ("order", "book"). Their
+ * inflected forms are recognised too.
+ */
+const VERBS = [
+  'accept', 'access', 'add', 'allow', 'analyze', 'apply', 'approve', 'archive', 'arrive', 'ask',
+  'assign', 'attach', 'authenticate', 'authorize', 'book', 'borrow', 'browse', 'build', 'buy',
+  'calculate', 'call', 'cancel', 'capture', 'charge', 'check', 'choose', 'claim', 'clean', 'close',
+  'collect', 'complete', 'configure', 'confirm', 'connect', 'contact', 'convert', 'create',
+  'deliver', 'delete', 'deploy', 'describe', 'detect', 'display', 'download', 'drive', 'edit',
+  'email', 'enable', 'enroll', 'enter', 'escalate', 'evaluate', 'examine', 'execute', 'expire',
+  'export', 'fetch', 'file', 'fill', 'finalize', 'find', 'finish', 'fix', 'follow', 'gather',
+  'generate', 'get', 'give', 'handle', 'help', 'hire', 'hold', 'import', 'inform', 'initialize',
+  'inspect', 'install', 'invite', 'invoice', 'issue', 'join', 'keep', 'launch', 'lend', 'list',
+  'load', 'lock', 'log', 'login', 'look', 'maintain', 'make', 'manage', 'mark', 'match', 'merge',
+  'monitor', 'move', 'need', 'notify', 'offer', 'open', 'order', 'pay', 'perform', 'pick',
+  'place', 'plan', 'post', 'prepare', 'present', 'print', 'process', 'provide', 'publish',
+  'purchase', 'put', 'rate', 'read', 'receive', 'record', 'redirect', 'refund', 'register',
+  'reject', 'release', 'remind', 'remove', 'rent', 'repair', 'replace', 'reply', 'report',
+  'request', 'require', 'reserve', 'reset', 'resolve', 'respond', 'return', 'review', 'route',
+  'run', 'save', 'scan', 'schedule', 'search', 'select', 'sell', 'send', 'serve', 'service', 'set',
+  'share', 'ship', 'shop', 'show', 'sign', 'start', 'store', 'submit', 'subscribe', 'support',
+  'sync', 'take', 'test', 'track', 'train', 'transfer', 'update', 'upload', 'use', 'validate',
+  'verify', 'view', 'visit', 'want', 'write'
+];
+
+// Verbs that double their last consonant ("ship" -> "shipped", "shipping")
+const DOUBLED = new Set(['ship', 'shop', 'plan', 'log', 'scan', 'submit', 'transfer', 'stop', 'drop', 'tag']);
+
+const IRREGULAR_PARTICIPLES = {
+  pay: 'paid', send: 'sent', buy: 'bought', build: 'built', make: 'made', write: 'written',
+  take: 'taken', give: 'given', get: 'received', set: 'set', put: 'put', run: 'run', lend: 'lent',
+  sell: 'sold', hold: 'held', find: 'found', keep: 'kept', choose: 'chosen', drive: 'driven',
+  read: 'read', show: 'shown'
+};
+
+/**
+ * Past participle of a verb, used as a status ("inspect" -> "inspected")
+ * @param {string} verb - Base form
+ * @returns {string} Past participle
+ */
+function participle(verb) {
+  if (IRREGULAR_PARTICIPLES[verb]) return IRREGULAR_PARTICIPLES[verb];
+  if (/e$/.test(verb)) return `${verb}d`;
+  if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ied`;
+  if (DOUBLED.has(verb)) return `${verb}${verb.slice(-1)}ed`;
+  return `${verb}ed`;
+}
+
+/**
+ * Inflected forms of a verb
+ * @param {string} verb - Base form
+ * @returns {Array<string>} Base, third person, past and -ing forms
+ */
+function verbForms(verb) {
+  const third = /[^aeiou]y$/.test(verb) ? `${verb.slice(0, -1)}ies` : /(s|x|z|ch|sh)$/.test(verb) ? `${verb}es` : `${verb}s`;
+  const ing = DOUBLED.has(verb) ? `${verb}${verb.slice(-1)}ing` : /[^e]e$/.test(verb) ? `${verb.slice(0, -1)}ing` : `${verb}ing`;
+  return [verb, third, participle(verb), ing];
+}
+
+// Every verb form mapped to its base form
+const VERB_FORMS = new Map(VERBS.flatMap(verb => verbForms(verb).map(form => [form, verb])));
+
+/**
+ * Split a text into lower-case word and punctuation tokens.
+ * Possessives are marked and stripped ("customer's" -> customer).
+ *
+ * @param {string} text - Free text
+ * @returns {Array<{ word?: string, punct?: string, possessive?: boolean }>} Tokens
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z][a-z0-9-]*(?:'s|')?|[.,;:!?()]/g) || []).map(raw => {
+    if (/^[.,;:!?()]$/.test(raw)) return { punct: raw };
+    const possessive = /'s?$/.test(raw);
+    return { word: raw.replace(/'s?$/, ''), possessive };
+  });
+}
+
+/**
+ * @param {string} word - Lower-case word
+ * @returns {boolean} True for words that look like a plural noun
+ */
+function isPluralForm(word) {
+  return /s$/.test(word) && !/(ss|us|is)$/.test(word);
+}
+
+/**
+ * Verbs that make what they act on, so the person doing it owns it
+ * ("authors write articles")
+ */
+const CREATING_VERBS = new Set([
+  'create', 'write', 'submit', 'post', 'publish', 'upload', 'register', 'file', 'open', 'make',
+  'build', 'generate', 'request', 'issue', 'prepare', 'start', 'set', 'assign'
+]);
+
+// Template entities that record what a person did, so the person owns them ("patients book appointments")
+const RECORD_ENTITIES = new Set(['Order', 'Cart', 'Payment', 'Ticket', 'Booking', 'Content', 'Notification', 'Session', 'Task']);
+
+/**
+ * Verbs for looking at or checking something, which do not make the
+ * person doing it its owner ("user browses products")
+ */
+const NON_OWNING_VERBS = new Set([
+  'browse', 'view', 'search', 'select', 'find', 'look', 'check', 'enter', 'visit', 'use', 'verify',
+  'validate', 'review', 'read', 'display', 'show', 'choose', 'pick', 'scan', 'inspect', 'examine',
+  'evaluate', 'analyze', 'monitor', 'want', 'need', 'match', 'load', 'fetch', 'get', 'add'
+]);
+
+/**
+ * @param {string} word - Lower-case word
+ * @returns {boolean} True for articles, prepositions, conjunctions and other function words
+ */
+function isFunctionWord(word) {
+  return DETERMINERS.has(word) || PREPOSITIONS.has(word) || CONJUNCTIONS.has(word) || FUNCTION_WORDS.has(word);
+}
+
+/**
+ * Find the noun phrases of a text
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {Array<Object>} [vocabulary] - Known entity names, which may double as verbs ("blog post")
+ * @returns {Array<Array<string>>} Phrases as lists of words, in text order
+ */
+function findNounPhrases(tokens, vocabulary = DEFAULT_VOCABULARY) {
+  const knownWords = new Set(vocabulary.flatMap(entry => entry.words));
+  const phrases = [];
+  // What the previous token allows the next word to be: start | determiner | possessive | preposition | verb | list
+  let allow = 'start';
+  let lastPhraseEnd = -2;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { word, punct } = tokens[i];
+
+    if (punct) {
+      allow = punct === ',' ? (lastPhraseEnd === i - 1 ? 'list' : null) : 'start';
+      continue;
+    }
+    if (DETERMINERS.has(word)) { allow = 'determiner'; continue; }
+    if (PREPOSITIONS.has(word)) { allow = 'preposition'; continue; }
+    if (CONJUNCTIONS.has(word)) { allow = lastPhraseEnd === i - 1 ? 'list' : null; continue; }
+    if (CLAUSE_WORDS.has(word)) { allow = 'start'; continue; }
+    if (FUNCTION_WORDS.has(word)) { allow = null; continue; }
+
+    const isVerb = VERB_FORMS.has(word);
+    const next = tokens[i + 1];
+    // A verb form can still be a noun after an article or possessive, or after
+    // a verb or preposition when it reads as a plural or ends the sentence
+    const canStart = allow === 'determiner' || allow === 'possessive' || !isVerb
+      || ((allow === 'verb' || allow === 'preposition') && (isPluralForm(word) || !next || next.punct))
+      || (allow === 'start' && isPluralForm(word) && Boolean(next?.word) && (VERB_FORMS.has(next.word) || FUNCTION_WORDS.has(next.word)));
+
+    if (!allow || !canStart) {
+      // A word right after a subject that is not a noun is its verb ("teachers grade ...")
+      allow = isVerb || lastPhraseEnd === i - 1 ? 'verb' : null;
+      continue;
+    }
+
+    const words = [word];
+    let end = i;
+    while (
+      words.length < 3
+      && !tokens[end].possessive
+      && !isPluralForm(tokens[end].word)
+      && tokens[end + 1]?.word
+      && !isFunctionWord(tokens[end + 1].word)
+      && (!VERB_FORMS.has(tokens[end + 1].word) || knownWords.has(tokens[end + 1].word) || COMPOUND_HEADS.has(tokens[end + 1].word))
+    ) {
+      end += 1;
+      words.push(tokens[end].word);
+    }
+
+    phrases.push(words);
+    lastPhraseEnd = end;
+    allow = tokens[end].possessive ? 'possessive' : null;
+    i = end;
+  }
+
+  return phrases;
+}
+
+/**
+ * Name the new entity a noun phrase refers to
+ *
+ * @param {Array<string>} phrase - Noun phrase
+ * @param {Array<Object>} vocabulary - Known entity names
+ * @returns {{ name: string, words: Array<string> } | null} Entity, or null for generic phrases
+ *   and phrases naming a known entity
+ */
+function entityForPhrase(phrase, vocabulary) {
+  // "document approval process" is about a document
+  let words = phrase;
+  const isFiller = word => /ing$/.test(word) || (GENERIC_NOUNS.has(singularize(word)) && !COMPOUND_HEADS.has(singularize(word)));
+  while (words.length > 1 && isFiller(words[words.length - 1])) {
+    words = words.slice(0, -1);
+  }
+  if (matchVocabulary(words, vocabulary).some(match => match.last)) return null;
+  const head = singularize(words[words.length - 1]);
+
+  const modifier = words.length > 1 ? words[words.length - 2] : null;
+  if (COMPOUND_HEADS.has(head) && modifier && /^[a-z]+$/.test(modifier)
+    && !ADJECTIVES.has(modifier) && !VERB_FORMS.has(modifier) && !/(ed|ing)$/.test(modifier)) {
+    return { name: toPascalCase(`${modifier} ${head}`), words: [modifier, head] };
+  }
+
+  if (head.length < 3 || !/^[a-z]+$/.test(head) || GENERIC_NOUNS.has(head) || TIME_UNITS.has(head) || ADJECTIVES.has(head)
+    || /(ing|ly)$/.test(head) || (VERB_FORMS.get(head) === head && !isPluralForm(words[words.length - 1]))) {
+    return null;
+  }
+  return { name: toPascalCase(head), words: [head] };
+}
+
+/**
+ * Name the people a noun phrase is about besides its head ("student assignments")
+ *
+ * @param {Array<string>} phrase - Noun phrase
+ * @param {Array<Object>} vocabulary - Known entity names
+ * @returns {Array<{ name: string, words: Array<string> }>} Entities, without known ones
+ */
+function modifierEntities(phrase, vocabulary) {
+  return phrase.slice(0, -1)
+    .map(singularize)
+    .filter(word => ACTORS.has(word) && matchVocabulary([word], vocabulary).length === 0)
+    .map(word => ({ name: toPascalCase(word), words: [word] }));
+}
+
+/**
+ * Find the mentions of the entities in a text
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {Array<Object>} entities - Entities with the word lists that name them
+ * @returns {Array<Object>} { entity, start, end, plural, possessive, single } in text order
+ */
+function findMentions(tokens, entities) {
+  // Longest names first, so "maintenance log" wins over "log"
+  const names = entities
+    .flatMap(entity => entity.names.map(words => ({ entity: entity.name, words })))
+    .sort((a, b) => b.words.length - a.words.length);
+  const mentions = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!tokens[i].word) continue;
+    const match = names.find(({ words }) => words.every((word, offset) => {
+      const token = tokens[i + offset]?.word;
+      if (!token) return false;
+      return offset < words.length - 1 ? token === word : singularize(token) === word;
+    }));
+    if (!match) continue;
+
+    const end = i + match.words.length - 1;
+    const before = tokens[i - 1]?.word;
+    mentions.push({
+      entity: match.entity,
+      start: i,
+      end,
+      plural: isPluralForm(tokens[end].word) && singularize(tokens[end].word) !== tokens[end].word,
+      possessive: Boolean(tokens[end].possessive),
+      single: ['a', 'an', 'one', 'its', 'single'].includes(before)
+    });
+    i = end;
+  }
+
+  return mentions;
+}
+
+/**
+ * Find the entities of a scenario
+ *
+ * @param {Array<string>} texts - Description first, then one text per step
+ * @param {Array<Object>} [vocabulary] - Known entities, from buildVocabulary()
+ * @returns {Array<Object>} Entities in order of first mention:
+ *   { name, known, actor, statuses, names } where `names` are the word lists naming it
+ */
+function inferEntities(texts, vocabulary = DEFAULT_VOCABULARY) {
+  const found = new Map();
+
+  texts.forEach((text, unit) => {
+    const tokens = tokenize(text);
+
+    findNounPhrases(tokens, vocabulary).forEach(words => {
+      const position = tokens.findIndex(token => token.word === words[0]);
+
+      // Known entities are recognised by their names anywhere in a phrase ("cart items")
+      matchVocabulary(words, vocabulary).forEach(({ entity }) => {
+        if (!found.has(entity)) {
+          found.set(entity, { name: entity, known: true, units: new Set([unit]), order: [unit, position] });
+        }
+      });
+
+      const head = entityForPhrase(words, vocabulary);
+      [...modifierEntities(words, vocabulary), ...(head ? [head] : [])].forEach(entity => {
+        const current = found.get(entity.name);
+        if (current) {
+          current.units.add(unit);
+          return;
+        }
+        found.set(entity.name, {
+          name: entity.name,
+          known: false,
+          words: entity.words,
+          units: new Set([unit]),
+          order: [unit, position]
+        });
+      });
+    });
+  });
+
+  const byOrder = (a, b) => a.order[0] - b.order[0] || a.order[1] - b.order[1];
+  const known = [...found.values()].filter(entity => entity.known);
+  // New entities need the description to name them or more than one step to mention them
+  const inferred = [...found.values()]
+    .filter(entity => !entity.known && (entity.units.has(0) || entity.units.size > 1))
+    .sort((a, b) => b.units.size - a.units.size || byOrder(a, b))
+    .slice(0, MAX_INFERRED_ENTITIES);
+
+  const entities = [...known, ...inferred].sort(byOrder).map(entity => ({
+    name: entity.name,
+    known: entity.known,
+    actor: ACTORS.has(toSnakeCase(entity.name).split('_').pop()),
+    statuses: [],
+    names: entity.known
+      ? vocabulary.filter(entry => entry.entity === entity.name).map(entry => entry.words)
+      : [entity.words]
+  }));
+
+  // Statuses of new things come from the verbs applied to them ("inspect vehicle" -> inspected)
+  texts.forEach(text => {
+    const tokens = tokenize(text);
+    findMentions(tokens, entities).forEach(mention => {
+      const entity = entities.find(candidate => candidate.name === mention.entity);
+      let index = mention.start - 1;
+      while (index >= 0 && tokens[index].word && (DETERMINERS.has(tokens[index].word) || ADJECTIVES.has(tokens[index].word))) index--;
+      const verb = VERB_FORMS.get(tokens[index]?.word);
+      const status = verb && participle(verb);
+      if (!entity.known && !entity.actor && status && !entity.statuses.includes(status) && entity.statuses.length < MAX_STATUSES) {
+        entity.statuses.push(status);
+      }
+    });
+  });
+
+  return entities;
+}
+
+/**
+ * Words linking the owner to what it has ("vehicle has parts")
+ */
+const OWNS = new Set(['has', 'have', 'having', 'with', 'contains', 'contain', 'containing', 'includes', 'include', 'including', 'owns', 'own', 'holds', 'hold', 'consists', 'lists']);
+
+/**
+ * Words linking a thing to its owner ("parts for vehicles")
+ */
+const BELONGS = new Set(['of', 'for', 'on', 'to', 'in', 'into', 'per', 'under', 'within', 'at']);
+
+/**
+ * @param {Object} entity - Entity from inferEntities()
+ * @returns {boolean} True for entities that record something done, such as a booking or a leave request
+ */
+function isRecord(entity) {
+  return RECORD_ENTITIES.has(entity.name) || (!entity.known && COMPOUND_HEADS.has(entity.names[0][entity.names[0].length - 1]));
+}
+
+/**
+ * Work out which of two consecutive mentions owns the other
+ *
+ * @param {Object} first - Earlier mention
+ * @param {Object} second - Later mention
+ * @param {Array<string>} words - Words between them, without articles and list separators
+ * @param {Object} entities - Entities by name
+ * @returns {{ owner: Object, owned: Object, verb?: string, link: boolean, reversed?: boolean, type?: string } | null}
+ *   Ownership, `reversed` when the later mention owns the earlier one and `type` many-to-many when
+ *   neither owns the other; null when unrelated
+ */
+function readLink(first, second, words, entities) {
+  if (words.length > MAX_LINK_WORDS) return null;
+  if (words.length === 0) {
+    // "the customer's orders", or a person naming whose thing it is ("student assignments")
+    const modifier = second.start === first.end + 1 && !first.plural
+      && entities[first.entity].actor && !entities[second.entity].actor;
+    return first.possessive || modifier ? { owner: first, owned: second, link: true } : null;
+  }
+
+  const verb = words.find(word => VERB_FORMS.has(word));
+  if (entities[first.entity].actor && verb && !entities[second.entity].actor) {
+    const base = VERB_FORMS.get(verb);
+    if (NON_OWNING_VERBS.has(base)) return null;
+    // Buying, repairing or renting a thing does not make it the person's: each
+    // person deals with many things and each thing with many people
+    const owns = CREATING_VERBS.has(base) || isRecord(entities[second.entity]);
+    return { owner: first, owned: second, verb: verbForms(base)[1], link: false, ...(owns ? {} : { type: 'many-to-many' }) };
+  }
+  if (OWNS.has(words[0])) {
+    // "appointments with doctors": a thing with a person is theirs
+    if (words[0] === 'with' && entities[second.entity].actor && !entities[first.entity].actor) {
+      return { owner: second, owned: first, link: true, reversed: true };
+    }
+    return { owner: first, owned: second, link: true };
+  }
+  if (BELONGS.has(words[words.length - 1])) return { owner: second, owned: first, link: true };
+  return null;
+}
+
+/**
+ * Infer the relationships between entities from the texts that mention them
+ *
+ * @param {Array<string>} texts - Description and step texts
+ * @param {Array<Object>} entities - Entities from inferEntities()
+ * @returns {Array<Object>} Relationships: { from, to, type, description }
+ */
+function inferRelationships(texts, entities) {
+  const byName = Object.fromEntries(entities.map(entity => [entity.name, entity]));
+  const relationships = [];
+
+  const relate = (owner, owned, verb, type) => {
+    if (owner.entity === owned.entity) return;
+    const existing = relationships.find(relationship => (
+      [relationship.from, relationship.to].includes(owner.entity) && [relationship.from, relationship.to].includes(owned.entity)
+    ));
+    if (existing) {
+      // Seen from both sides, each has many of the other
+      if (existing.from === owned.entity && existing.type !== 'many-to-many') existing.type = 'many-to-many';
+      return;
+    }
+    const target = toSnakeCase(owned.entity).replace(/_/g, ' ');
+    relationships.push({
+      from: owner.entity,
+      to: owned.entity,
+      type: type || (owned.single && !verb ? 'one-to-one' : 'one-to-many'),
+      description: `${owner.entity} ${verb || 'has'} ${owned.single && !verb ? target : pluralize(target)}`
+    });
+  };
+
+  texts.forEach(text => {
+    const tokens = tokenize(text);
+    const mentions = findMentions(tokens, entities);
+    let previous = null;
+
+    mentions.forEach((mention, index) => {
+      const before = mentions[index - 1];
+      if (!before) return;
+
+      const between = tokens.slice(before.end + 1, mention.start);
+      if (between.some(token => token.punct && token.punct !== ',')) {
+        previous = null;
+        return;
+      }
+      const words = between
+        .map(token => token.word)
+        .filter(word => word && !DETERMINERS.has(word) && !CONJUNCTIONS.has(word) && !ADJECTIVES.has(word));
+      // Modifiers of the second mention are not part of the link ("to shopping cart")
+      while (words.length > 0 && /(ed|ing)$/.test(words[words.length - 1]) && VERB_FORMS.has(words[words.length - 1])) {
+        words.pop();
+      }
+
+      // "with vehicles, mechanics and parts": list items share the owner
+      // ("with doctors and nurses": the owned thing), unless the item is the
+      // subject of a new clause ("and mechanics repair")
+      const startsClause = VERB_FORMS.has(tokens[mention.end + 1]?.word);
+      const listed = previous?.reversed ? previous.owner : previous?.owned;
+      if (words.length === 0 && !before.possessive && !startsClause && previous?.link && listed === before) {
+        previous = previous.reversed ? { ...previous, owner: mention } : { ...previous, owned: mention };
+        relate(previous.owner, previous.owned);
+        return;
+      }
+
+      previous = readLink(before, mention, words, byName);
+      if (previous) {
+        relate(previous.owner, previous.owned, previous.verb, previous.type);
+      }
+    });
+  });
+
+  return relationships;
+}
+
+module.exports = {
+  KNOWN_ENTITIES,
+  buildVocabulary,
+  tokenize,
+  findNounPhrases,
+  inferEntities,
+  inferRelationships
+};
@@ -0,0 +1,98 @@
+/**
+ * Application Errors
+ *
+ * Error classes that carry an HTTP status so controllers can turn
+ * failures into structured JSON responses.
+ */
+
+/**
+ * Base class for errors that map onto an HTTP response
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - HTTP status code
+   * @param {string} [options.code] - Short machine-readable error label
+   * @param {*} [options.details] - Extra data returned to the client
+   */
+  constructor(message, { status = 500, code = 'Internal error', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Raised when an AI provider cannot be reached or returns an unusable answer
+ */
+class ProviderError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 502, code: 'AI provider error', details });
+  }
+}
+
+/**
+ * Raised when data fails validation and cannot be repaired.
+ * `details.problems` lists every issue found.
+ */
+class ValidationError extends AppError {
+  constructor(message, problems) {
+    super(message, { status: 422, code: 'Validation failed', details: { problems } });
+  }
+}
+
+/**
+ * Raised when a requested resource does not exist
+ */
+class NotFoundError extends AppError {
+  constructor(message) {
+    super(message, { status: 404, code: 'Not found' });
+  }
+}
+
+/**
+ * Describe an error as a status and JSON body.
+ * AppErrors keep their status and details; anything else becomes a 500.
+ *
+ * @param {Error} error - The error to report
+ * @param {{ error: string, message: string }} fallback - Body used for unexpected errors
+ * @returns {{ status: number, body: Object }}
+ */
+function describeError(error, fallback) {
+  if (error instanceof AppError) {
+    return {
+      status: error.status,
+      body: {
+        error: error.code,
+        message: error.message,
+        details: error.details
+      }
+    };
+  }
+
+  return { status: 500, body: fallback };
+}
+
+/**
+ * Send an error as a JSON response
+ *
+ * @param {Response} res - Express response object
+ * @param {Error} error - The error to report
+ * @param {{ error: string, message: string }} fallback - Body used for unexpected errors
+ */
+function sendError(res, error, fallback) {
+  const { status, body } = describeError(error, fallback);
+  return res.status(status).json(body);
+}
+
+module.exports = {
+  AppError,
+  ProviderError,
+  ValidationError,
+  NotFoundError,
+  describeError,
+  sendError
+};
@@ -0,0 +1,106 @@
+/**
+ * JSON Schema Checker
+ *
+ * A small validator for the subset of JSON Schema used by this project:
+ * type, enum, required, properties, items, minItems, maxItems,
+ * minLength, maxLength, minimum and maximum.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Expected type name
+ * @returns {boolean} True when the value matches
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} [path='$'] - Path of the value, used in problem reports
+ * @returns {Array<{ path: string, message: string }>} Problems found (empty when valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  const problems = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      problems.push({ path, message: `Expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return problems;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path, message: `Must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push({ path, message: `Must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push({ path, message: `Must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    problems.push({ path, message: `Must be at least ${schema.minimum}` });
+  }
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    problems.push({ path, message: `Must be at most ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push({ path, message: `Must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push({ path, message: `Must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        problems.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        problems.push({ path: `${path}.${key}`, message: 'Is required' });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        problems.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return problems;
+}
+
+module.exports = {
+  validateSchema,
+  typeOf
+};
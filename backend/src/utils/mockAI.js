@@ -2,76 +2,147 @@
  * Mock AI Generator
  * 
  * This module simulates an LLM's response for workflow generation.
- * In production, this would be replaced with calls to OpenAI, Claude, etc.
- * 
- * ============================================
- * HOW TO INTEGRATE A REAL LLM:
- * ============================================
- * 
- * 1. Install the OpenAI SDK: npm install openai
- * 
- * 2. Replace mockAIGenerate with:
- * 
- *    const OpenAI = require('openai');
- *    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
- * 
- *    async function generateWithLLM(description) {
- *      const response = await openai.chat.completions.create({
- *        model: "gpt-4",
- *        messages: [
- *          { role: "system", content: SYSTEM_PROMPT },
- *          { role: "user", content: description }
- *        ],
- *        response_format: { type: "json_object" }
- *      });
- *      return JSON.parse(response.choices[0].message.content);
- *    }
- * 
- * 3. The SYSTEM_PROMPT should instruct the LLM to return JSON with:
- *    - workflow: array of step objects
- *    - summary: string description
- * 
- * ============================================
+ * It is exposed to the rest of the app as the "mock" provider
+ * (see ../providers/mockProvider.js); real LLMs plug in as sibling providers.
+ */
+
+const { normalizeGraph, getOutgoingEdges, insertStep, removeStep } = require('./workflowGraph');
+const { normalizeStepType } = require('./workflowValidator');
+const { ValidationError } = require('./errors');
+const { getTemplatePacks, findTemplatePack } = require('../templatePacks');
+
+// ============================================
+// CLASSIFICATION
+// ============================================
+
+/**
+ * Keywords per scenario type and their weight. Strong keywords (2) name
+ * the domain; weak ones (1) only hint at it. Keywords match whole words,
+ * with common inflections ("book" matches "booking" but not "Facebook").
+ */
+const TYPE_KEYWORDS = {
+  ecommerce: { shop: 2, cart: 2, buy: 2, bought: 2, purchase: 2, checkout: 2, pay: 2, paid: 2, 'e-commerce': 2, ecommerce: 2, order: 1, product: 1 },
+  auth: { login: 2, 'log in': 2, 'sign in': 2, signup: 2, 'sign up': 2, password: 2, authentication: 2, authenticate: 2, '2fa': 2, register: 1, 'user account': 1, session: 1 },
+  booking: { book: 2, reserve: 2, reservation: 2, appointment: 2, schedule: 1, scheduling: 1, calendar: 1 },
+  support: { ticket: 2, 'customer support': 2, 'help desk': 2, helpdesk: 2, complaint: 2, 'customer service': 2, support: 1, issue: 1 },
+  content: { blog: 2, article: 2, publish: 2, cms: 2, post: 1, content: 1, draft: 1 },
+  workflow: { approval: 2, approve: 2, approving: 2, 'sign off': 2, review: 1, workflow: 1, task: 1, assign: 1, escalate: 1 },
+  data: { import: 2, export: 2, sync: 2, synchronize: 2, migrate: 2, migration: 2, etl: 2, csv: 2, transfer: 1, data: 1, pipeline: 1 },
+  notification: { notify: 2, notified: 2, notification: 2, alert: 2, remind: 2, reminder: 2, sms: 2, email: 1 }
+};
+
+// A second domain must score at least this much, and half of the top score
+const MIN_SECONDARY_SCORE = 2;
+const SECONDARY_RATIO = 0.5;
+const MAX_TYPES = 3;
+
+/**
+ * Build the whole-word pattern of a keyword
+ * @param {string} keyword - Keyword or phrase
+ * @returns {RegExp} Pattern matching the keyword and its inflections
+ */
+function keywordPattern(keyword) {
+  const escaped = keyword
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/ /g, '[\\s-]+');
+  return new RegExp(`\\b${escaped}(?:s|es|e?d|ing|ping|ment|ments)?\\b`);
+}
+
+/**
+ * Build the keyword patterns of a keyword table
+ * @param {Object} keywords - Keyword -> weight
+ * @returns {Array<{ pattern: RegExp, weight: number }>} Patterns
+ */
+function keywordPatterns(keywords) {
+  return Object.entries(keywords).map(([keyword, weight]) => ({ pattern: keywordPattern(keyword), weight }));
+}
+
+const KEYWORD_PATTERNS = Object.fromEntries(Object.entries(TYPE_KEYWORDS).map(([type, keywords]) => [
+  type,
+  keywordPatterns(keywords)
+]));
+
+// Patterns of template packs, rebuilt when a pack is reloaded
+const packPatterns = new WeakMap();
+
+/**
+ * Get the keyword patterns of a built-in type or template pack
+ * @param {string} type - Scenario type or pack id
+ * @returns {Array<{ pattern: RegExp, weight: number }>|undefined} Patterns, undefined for unknown types
  */
+function patternsOf(type) {
+  if (KEYWORD_PATTERNS[type]) return KEYWORD_PATTERNS[type];
+  const pack = findTemplatePack(type);
+  if (!pack) return undefined;
+  if (!packPatterns.has(pack)) {
+    packPatterns.set(pack, keywordPatterns(pack.keywords));
+  }
+  return packPatterns.get(pack);
+}
+
+/**
+ * Score one scenario type against a description
+ * @param {string} type - Scenario type
+ * @param {string} lowerDesc - Lower-cased description
+ * @returns {{ score: number, position: number }} Summed keyword weights and the first mention
+ */
+function scoreType(type, lowerDesc) {
+  return patternsOf(type).reduce((result, { pattern, weight }) => {
+    const match = pattern.exec(lowerDesc);
+    if (!match) return result;
+    return { score: result.score + weight, position: Math.min(result.position, match.index) };
+  }, { score: 0, position: Infinity });
+}
 
 /**
- * Analyzes a description and extracts key entities and actions
+ * Analyzes a description and ranks the scenario types it describes
+ *
+ * Every type is scored by the weights of its keywords found in the
+ * description. The best type is always kept; other types are kept when
+ * they score well enough to be a second domain of the same scenario
+ * ("book an appointment and pay online" is booking and e-commerce).
+ *
  * @param {string} description - User's scenario description
- * @returns {Object} Extracted keywords and context
+ * @returns {Object} { type, types, scores, description } where `type` is the best
+ *   type, `types` the kept types by rank and `scores` every matching type with
+ *   its score and confidence (its share of all scores)
  */
 function analyzeDescription(description) {
   const lowerDesc = description.toLowerCase();
-  
-  // Detect scenario type
-  const types = {
-    ecommerce: ['shop', 'cart', 'buy', 'purchase', 'order', 'payment', 'checkout', 'product'],
-    auth: ['login', 'signup', 'register', 'password', 'authentication', 'user account'],
-    booking: ['book', 'reserve', 'appointment', 'schedule', 'calendar'],
-    support: ['ticket', 'support', 'help', 'issue', 'complaint', 'customer service'],
-    content: ['post', 'blog', 'article', 'publish', 'content', 'write'],
-    workflow: ['approval', 'review', 'process', 'workflow', 'task', 'assign'],
-    data: ['import', 'export', 'sync', 'migrate', 'transfer', 'data'],
-    notification: ['notify', 'alert', 'email', 'sms', 'notification', 'remind']
-  };
 
-  let detectedType = 'general';
-  for (const [type, keywords] of Object.entries(types)) {
-    if (keywords.some(kw => lowerDesc.includes(kw))) {
-      detectedType = type;
-      break;
-    }
-  }
+  const ranked = [...Object.keys(TYPE_KEYWORDS), ...getTemplatePacks().packs.map(pack => pack.id)]
+    .map(type => ({ type, ...scoreType(type, lowerDesc) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.position - b.position);
 
-  return { type: detectedType, description: lowerDesc };
+  const total = ranked.reduce((sum, entry) => sum + entry.score, 0);
+  const scores = ranked.map(({ type, score }) => ({
+    type,
+    score,
+    confidence: Math.round((score / total) * 100) / 100
+  }));
+
+  const top = ranked[0];
+  const types = top
+    ? ranked
+      .filter(entry => entry === top || (entry.score >= MIN_SECONDARY_SCORE && entry.score >= top.score * SECONDARY_RATIO))
+      .slice(0, MAX_TYPES)
+      .map(entry => entry.type)
+    : ['general'];
+
+  return { type: types[0], types, scores, description: lowerDesc };
 }
 
+// ============================================
+// WORKFLOW TEMPLATES
+// ============================================
+
 /**
- * Generate workflow steps based on scenario type
- * @param {string} type - Detected scenario type
- * @param {string} description - Original description
+ * Get the full workflow template of a scenario type
+ * @param {string} type - Scenario type
  * @returns {Array} Array of workflow step objects
  */
-function generateStepsForType(type, description) {
+function getTemplate(type) {
   const templates = {
     ecommerce: [
       { id: 1, name: 'Browse Products', description: 'User browses available products', type: 'user_action' },
@@ -80,7 +151,7 @@ function generateStepsForType(type, description) {
       { id: 4, name: 'Enter Shipping Info', description: 'User provides shipping address', type: 'user_input' },
       { id: 5, name: 'Select Payment Method', description: 'User chooses payment option', type: 'user_action' },
       { id: 6, name: 'Process Payment', description: 'System processes the payment transaction', type: 'system_action' },
-      { id: 7, name: 'Payment Verification', description: 'Verify payment success or failure', type: 'decision' },
+      { id: 7, name: 'Payment Verification', description: 'Verify payment success or failure', type: 'decision', branches: [{ label: 'Success', to: 8 }, { label: 'Failed', to: 5 }] },
       { id: 8, name: 'Generate Order', description: 'System creates order record', type: 'system_action' },
       { id: 9, name: 'Send Confirmation', description: 'Email confirmation sent to user', type: 'notification' },
       { id: 10, name: 'Update Inventory', description: 'System updates product inventory', type: 'system_action' }
@@ -90,7 +161,7 @@ function generateStepsForType(type, description) {
       { id: 2, name: 'Validate Input', description: 'System validates input format', type: 'system_check' },
       { id: 3, name: 'Check User Exists', description: 'Database lookup for user record', type: 'database_query' },
       { id: 4, name: 'Verify Password', description: 'Compare password hash', type: 'system_check' },
-      { id: 5, name: 'Authentication Decision', description: 'Determine if credentials are valid', type: 'decision' },
+      { id: 5, name: 'Authentication Decision', description: 'Determine if credentials are valid', type: 'decision', branches: [{ label: 'Valid', to: 6 }, { label: 'Invalid', to: 1 }] },
       { id: 6, name: 'Generate Session', description: 'Create session token or JWT', type: 'system_action' },
       { id: 7, name: 'Log Authentication', description: 'Record login attempt for security', type: 'logging' },
       { id: 8, name: 'Redirect User', description: 'Send user to dashboard or home', type: 'navigation' }
@@ -101,9 +172,9 @@ function generateStepsForType(type, description) {
       { id: 3, name: 'Display Slots', description: 'Show available dates and times', type: 'display' },
       { id: 4, name: 'Select Time Slot', description: 'User picks preferred date and time', type: 'user_action' },
       { id: 5, name: 'Enter Details', description: 'User provides contact and booking details', type: 'user_input' },
-      { id: 6, name: 'Validate Booking', description: 'System validates the booking request', type: 'system_check' },
-      { id: 7, name: 'Create Reservation', description: 'System creates the booking record', type: 'database_write' },
-      { id: 8, name: 'Send Confirmation', description: 'Email/SMS confirmation sent', type: 'notification' },
+      { id: 6, name: 'Validate Booking', description: 'System validates the booking request', type: 'system_check', branches: [{ label: 'Valid', to: 7 }, { label: 'Slot taken', to: 3 }] },
+      { id: 7, name: 'Create Reservation', description: 'System creates the booking record', type: 'database_write', next: [8, 9] },
+      { id: 8, name: 'Send Confirmation', description: 'Email/SMS confirmation sent', type: 'notification', next: [] },
       { id: 9, name: 'Add to Calendar', description: 'Optional calendar integration', type: 'integration' }
     ],
     support: [
@@ -125,7 +196,7 @@ function generateStepsForType(type, description) {
       { id: 5, name: 'Preview Content', description: 'System renders preview', type: 'display' },
       { id: 6, name: 'Content Validation', description: 'System checks for required fields', type: 'system_check' },
       { id: 7, name: 'Submit for Review', description: 'Content sent for approval', type: 'workflow_action' },
-      { id: 8, name: 'Review Decision', description: 'Reviewer approves or requests changes', type: 'decision' },
+      { id: 8, name: 'Review Decision', description: 'Reviewer approves or requests changes', type: 'decision', branches: [{ label: 'Approved', to: 9 }, { label: 'Changes requested', to: 2 }] },
       { id: 9, name: 'Publish Content', description: 'Content goes live', type: 'system_action' },
       { id: 10, name: 'Notify Subscribers', description: 'Followers notified of new content', type: 'notification' }
     ],
@@ -135,8 +206,8 @@ function generateStepsForType(type, description) {
       { id: 3, name: 'Completeness Check', description: 'Verify all required info is present', type: 'system_check' },
       { id: 4, name: 'Assign Reviewer', description: 'Route to appropriate reviewer', type: 'system_action' },
       { id: 5, name: 'Review Process', description: 'Reviewer examines the request', type: 'user_action' },
-      { id: 6, name: 'Approval Decision', description: 'Approve, reject, or request changes', type: 'decision' },
-      { id: 7, name: 'Handle Rejection', description: 'Process rejection with feedback', type: 'conditional' },
+      { id: 6, name: 'Approval Decision', description: 'Approve, reject, or request changes', type: 'decision', branches: [{ label: 'Approved', to: 8 }, { label: 'Rejected', to: 7 }] },
+      { id: 7, name: 'Handle Rejection', description: 'Process rejection with feedback', type: 'conditional', branches: [{ label: 'Resubmit', to: 2 }, { label: 'Close', to: 9 }] },
       { id: 8, name: 'Execute Approval', description: 'Perform the approved action', type: 'system_action' },
       { id: 9, name: 'Audit Log', description: 'Record the complete workflow trail', type: 'logging' },
       { id: 10, name: 'Notify Stakeholders', description: 'Inform all parties of outcome', type: 'notification' }
@@ -149,7 +220,7 @@ function generateStepsForType(type, description) {
       { id: 5, name: 'Confirm Operation', description: 'User confirms to proceed', type: 'user_action' },
       { id: 6, name: 'Extract Data', description: 'Read data from source', type: 'data_operation' },
       { id: 7, name: 'Transform Data', description: 'Apply transformations and mappings', type: 'data_operation' },
-      { id: 8, name: 'Validate Data', description: 'Check data integrity and format', type: 'system_check' },
+      { id: 8, name: 'Validate Data', description: 'Check data integrity and format', type: 'system_check', branches: [{ label: 'Valid', to: 9 }, { label: 'Invalid', to: 2 }] },
       { id: 9, name: 'Load Data', description: 'Write data to destination', type: 'data_operation' },
       { id: 10, name: 'Generate Report', description: 'Create operation summary report', type: 'system_action' }
     ],
@@ -158,7 +229,7 @@ function generateStepsForType(type, description) {
       { id: 2, name: 'Fetch Recipients', description: 'Query notification preferences', type: 'database_query' },
       { id: 3, name: 'Filter Recipients', description: 'Apply opt-out and preferences', type: 'system_check' },
       { id: 4, name: 'Prepare Content', description: 'Generate notification content', type: 'system_action' },
-      { id: 5, name: 'Channel Selection', description: 'Determine delivery channel', type: 'decision' },
+      { id: 5, name: 'Channel Selection', description: 'Determine delivery channel', type: 'decision', branches: [{ label: 'Channel available', to: 6 }, { label: 'All channels opted out', to: 8 }] },
       { id: 6, name: 'Queue Notification', description: 'Add to notification queue', type: 'system_action' },
       { id: 7, name: 'Send Notification', description: 'Dispatch via selected channel', type: 'integration' },
       { id: 8, name: 'Track Delivery', description: 'Monitor delivery status', type: 'logging' },
@@ -169,7 +240,7 @@ function generateStepsForType(type, description) {
       { id: 2, name: 'Gather Input', description: 'Collect required information', type: 'user_input' },
       { id: 3, name: 'Validate Input', description: 'Check input completeness and format', type: 'system_check' },
       { id: 4, name: 'Process Request', description: 'Execute main business logic', type: 'system_action' },
-      { id: 5, name: 'Decision Point', description: 'Evaluate conditions for next step', type: 'decision' },
+      { id: 5, name: 'Decision Point', description: 'Evaluate conditions for next step', type: 'decision', branches: [{ label: 'Conditions met', to: 6 }, { label: 'Conditions not met', to: 8 }] },
       { id: 6, name: 'Execute Action', description: 'Perform the required action', type: 'system_action' },
       { id: 7, name: 'Store Results', description: 'Save outcome to database', type: 'database_write' },
       { id: 8, name: 'Generate Response', description: 'Prepare response for user', type: 'system_action' },
@@ -178,7 +249,231 @@ function generateStepsForType(type, description) {
     ]
   };
 
-  return templates[type] || templates.general;
+  if (templates[type]) return templates[type];
+  const pack = findTemplatePack(type);
+  return pack ? structuredClone(pack.steps) : templates.general;
+}
+
+// ============================================
+// COMPOSITE WORKFLOWS
+// ============================================
+
+/**
+ * The part of each scenario type that is spliced into another type's
+ * workflow when a description covers several domains. Step ids are local
+ * to the fragment; an edge past the last step continues the workflow.
+ */
+const FRAGMENTS = {
+  ecommerce: {
+    label: 'payment',
+    steps: [
+      { id: 1, name: 'Select Payment Method', description: 'User chooses how to pay', type: 'user_action' },
+      { id: 2, name: 'Process Payment', description: 'Charge the selected payment method', type: 'system_action' },
+      { id: 3, name: 'Payment Verification', description: 'Check if payment succeeded', type: 'decision', branches: [{ label: 'Success', to: 4 }, { label: 'Failed', to: 1 }] },
+      { id: 4, name: 'Record Payment', description: 'Save the payment and its receipt', type: 'database_write' }
+    ]
+  },
+  auth: {
+    label: 'sign-in',
+    steps: [
+      { id: 1, name: 'Enter Credentials', description: 'User enters email and password', type: 'user_input' },
+      { id: 2, name: 'Verify Credentials', description: 'Check credentials against the user store', type: 'system_check' },
+      { id: 3, name: 'Authentication Decision', description: 'Check if the user is authenticated', type: 'decision', branches: [{ label: 'Valid', to: 4 }, { label: 'Invalid', to: 1 }] },
+      { id: 4, name: 'Create Session', description: 'Start an authenticated session', type: 'system_action' }
+    ]
+  },
+  booking: {
+    label: 'booking',
+    steps: [
+      { id: 1, name: 'Check Availability', description: 'Query available time slots', type: 'system_check' },
+      { id: 2, name: 'Select Time Slot', description: 'User picks a preferred slot', type: 'user_action' },
+      { id: 3, name: 'Create Reservation', description: 'Save the reservation', type: 'database_write' }
+    ]
+  },
+  support: {
+    label: 'support ticket',
+    steps: [
+      { id: 1, name: 'Describe Issue', description: 'User describes the problem', type: 'user_input' },
+      { id: 2, name: 'Create Ticket', description: 'Save the ticket with its details', type: 'database_write' },
+      { id: 3, name: 'Route to Agent', description: 'Assign the ticket to the right team', type: 'system_action' }
+    ]
+  },
+  content: {
+    label: 'publishing',
+    steps: [
+      { id: 1, name: 'Write Content', description: 'Author drafts the content', type: 'user_input' },
+      { id: 2, name: 'Review Decision', description: 'Editor approves or requests changes', type: 'decision', branches: [{ label: 'Approved', to: 3 }, { label: 'Changes requested', to: 1 }] },
+      { id: 3, name: 'Publish Content', description: 'Make the content live', type: 'system_action' }
+    ]
+  },
+  workflow: {
+    label: 'approval',
+    steps: [
+      { id: 1, name: 'Submit for Approval', description: 'Send the request to the approver', type: 'workflow_action' },
+      { id: 2, name: 'Approval Decision', description: 'Approver accepts or rejects', type: 'decision', branches: [{ label: 'Approved', to: 3 }, { label: 'Rejected', to: 4 }] },
+      { id: 3, name: 'Record Approval', description: 'Save the decision for the audit trail', type: 'database_write', next: [5] },
+      { id: 4, name: 'Notify Rejection', description: 'Tell the requester why it was rejected', type: 'notification', next: [] }
+    ]
+  },
+  data: {
+    label: 'data transfer',
+    steps: [
+      { id: 1, name: 'Extract Data', description: 'Read records from the source', type: 'data_operation' },
+      { id: 2, name: 'Transform Data', description: 'Map records to the target format', type: 'data_operation' },
+      { id: 3, name: 'Load Data', description: 'Write records to the destination', type: 'data_operation' }
+    ]
+  },
+  notification: {
+    label: 'notification',
+    steps: [
+      { id: 1, name: 'Prepare Notification', description: 'Build the message from a template', type: 'system_action' },
+      { id: 2, name: 'Send Notification', description: 'Deliver the message to the recipient', type: 'notification' }
+    ]
+  }
+};
+
+/**
+ * Get the fragment of a built-in type or template pack
+ * @param {string} type - Scenario type or pack id
+ * @returns {{ label: string, steps: Array }|undefined} Fragment, undefined when the type has none
+ */
+function fragmentOf(type) {
+  return FRAGMENTS[type] || findTemplatePack(type)?.fragment || undefined;
+}
+
+// Closing steps of a template that stay at the end of a composite workflow
+const TAIL_TYPES = new Set(['notification', 'integration', 'logging', 'navigation', 'end']);
+
+/**
+ * Make every edge of a segment explicit. A last step without edges falls
+ * through to whatever follows the segment; `next: []` stays an end.
+ *
+ * @param {Array} steps - Segment steps with local ids
+ * @returns {Array} Steps with next or branches set
+ */
+function withExplicitEdges(steps) {
+  const last = steps[steps.length - 1];
+  const fallThrough = !Array.isArray(last.next) && !Array.isArray(last.branches) && last.type !== 'end';
+  const explicit = fallThrough ? [...steps.slice(0, -1), { ...last, next: [last.id + 1] }] : steps;
+  return normalizeGraph(explicit);
+}
+
+/**
+ * Split a template into its body and its closing steps
+ * @param {Array} steps - Template steps with explicit edges
+ * @returns {{ body: Array, tail: Array }}
+ */
+function splitTail(steps) {
+  let start = steps.length;
+  while (start > 1 && TAIL_TYPES.has(steps[start - 1].type)) start--;
+  return { body: steps.slice(0, start), tail: steps.slice(start) };
+}
+
+/**
+ * Where the description first mentions a scenario type
+ * @param {string} type - Scenario type
+ * @param {string} description - Original description
+ * @returns {number} Character index, Infinity when never mentioned
+ */
+function firstMention(type, description) {
+  return patternsOf(type) ? scoreType(type, description.toLowerCase()).position : Infinity;
+}
+
+/**
+ * Chain segments into one workflow. Edges leaving a segment are pointed
+ * at the entry steps of the next one, or dropped after the last segment;
+ * ids are renumbered in order.
+ *
+ * @param {Array<{ steps: Array, entries?: Array<number> }>} segments - Segments with local ids
+ * @returns {Array} Workflow steps
+ */
+function chainSegments(segments) {
+  let offset = 0;
+  const idMaps = segments.map(({ steps }) => {
+    const ids = new Map(steps.map((step, index) => [step.id, offset + index + 1]));
+    offset += steps.length;
+    return ids;
+  });
+  const entryIds = segments.map(({ steps, entries }, index) => (
+    (entries || [steps[0].id]).map(id => idMaps[index].get(id))
+  ));
+
+  return segments.flatMap(({ steps }, index) => {
+    const ids = idMaps[index];
+    const following = entryIds[index + 1] || [];
+    const resolve = to => (ids.has(to) ? [ids.get(to)] : following);
+
+    return steps.map(step => {
+      const { next, branches, ...rest } = step;
+      const remapped = { ...rest, id: ids.get(step.id) };
+      if (Array.isArray(branches) && branches.length > 0) {
+        remapped.branches = branches
+          .map(branch => ({ ...branch, to: resolve(branch.to)[0] }))
+          .filter(branch => branch.to !== undefined);
+      } else {
+        remapped.next = [...new Set(next.flatMap(resolve))];
+      }
+      return remapped;
+    });
+  });
+}
+
+/**
+ * Build one workflow covering several scenario types
+ *
+ * The primary type contributes its whole template; every other type
+ * contributes its fragment, placed before or after the primary body in
+ * the order the description mentions them. The template's closing steps
+ * (notifications, logging, the end) stay at the very end.
+ *
+ * @param {Array<string>} types - Scenario types, primary first
+ * @param {string} description - Original description
+ * @returns {Array} Workflow steps
+ */
+function composeWorkflow(types, description) {
+  const [primary] = types;
+  const { body, tail } = splitTail(withExplicitEdges(getTemplate(primary)));
+  const tailIds = new Set(tail.map(step => step.id));
+  const tailEntries = [...new Set(body.flatMap(step => getOutgoingEdges(step, body).map(edge => edge.to)))]
+    .filter(id => tailIds.has(id))
+    .sort((a, b) => a - b);
+
+  const ordered = [...types].sort((a, b) => firstMention(a, description) - firstMention(b, description));
+  const segments = ordered.map(type => (
+    type === primary ? { steps: body } : { steps: withExplicitEdges(fragmentOf(type).steps) }
+  ));
+  if (tail.length > 0) {
+    segments.push({ steps: tail, entries: tailEntries.length > 0 ? tailEntries : [tail[0].id] });
+  }
+
+  return chainSegments(segments);
+}
+
+/**
+ * Generate workflow steps for one or more scenario types
+ * @param {string|Array<string>} types - Detected scenario type(s), primary first
+ * @param {string} description - Original description
+ * @returns {Array} Array of workflow step objects
+ */
+function generateStepsForType(types, description) {
+  const [primary, ...others] = Array.isArray(types) ? types : [types];
+  const selected = [primary, ...others.filter(type => fragmentOf(type))];
+  if (selected.length === 1) {
+    return getTemplate(primary);
+  }
+  return composeWorkflow(selected, description);
+}
+
+/**
+ * Describe the extra domains of a composite workflow
+ * @param {Array<string>} types - Scenario types, primary first
+ * @returns {string} e.g. "It also covers booking and payment." or ''
+ */
+function describeComposition(types) {
+  const labels = types.slice(1).map(type => fragmentOf(type)?.label).filter(Boolean);
+  if (labels.length === 0) return '';
+  const list = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+  return `It also covers ${list}.`;
 }
 
 /**
@@ -200,7 +495,35 @@ function generateSummary(type, description) {
     general: 'This workflow outlines a structured process to accomplish the described scenario. It includes input handling, processing logic, and appropriate notifications.'
   };
 
-  return summaries[type] || summaries.general;
+  return summaries[type] || findTemplatePack(type)?.summary || summaries.general;
+}
+
+/**
+ * Build the mock answer for an analysed description
+ * @param {Object} analysis - Result of analyzeDescription
+ * @param {string} description - The scenario description
+ * @returns {Object} Generated workflow, summary and metadata
+ */
+function buildResponse(analysis, description) {
+  // Generate appropriate workflow steps, composed when several domains are detected
+  const workflow = generateStepsForType(analysis.types, description);
+
+  // Generate contextual summary
+  const summary = [generateSummary(analysis.type, description), describeComposition(analysis.types)]
+    .filter(Boolean)
+    .join(' ');
+
+  return {
+    workflow,
+    summary,
+    metadata: {
+      detectedType: analysis.type,
+      detectedTypes: analysis.types,
+      classification: analysis.scores,
+      generatedAt: new Date().toISOString(),
+      aiProvider: 'mock'
+    }
+  };
 }
 
 /**
@@ -214,28 +537,256 @@ async function mockAIGenerate(description) {
   await new Promise(resolve => setTimeout(resolve, 50 + Math.random() * 100));
 
   // Analyze the description to determine scenario type
+  return buildResponse(analyzeDescription(description), description);
+}
+
+/**
+ * Mock AI function that simulates a streaming LLM: the analysis is
+ * reported first, then the steps one at a time as if they were being
+ * written by the model.
+ *
+ * @param {string} description - The scenario description
+ * @param {Function} onEvent - Called with ('analysis', { detectedType, detectedTypes, classification })
+ *   and ('step', step)
+ * @returns {Promise<Object>} Generated workflow and summary, as mockAIGenerate
+ */
+async function mockAIStream(description, onEvent) {
   const analysis = analyzeDescription(description);
+  const response = buildResponse(analysis, description);
 
-  // Generate appropriate workflow steps
-  const workflow = generateStepsForType(analysis.type, description);
+  onEvent('analysis', {
+    detectedType: analysis.type,
+    detectedTypes: analysis.types,
+    classification: analysis.scores
+  });
 
-  // Generate contextual summary
-  const summary = generateSummary(analysis.type, description);
+  for (const step of response.workflow) {
+    // Simulate the model writing the next step (10-30ms)
+    await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 20));
+    onEvent('step', step);
+  }
+
+  return response;
+}
+
+// ============================================
+// REFINEMENT
+// ============================================
+
+const SUPPORTED_INSTRUCTIONS = 'Try "add <step> before|after <step>", "remove <step>" or "rename <step> to <name>"';
+const FILLER_WORDS = new Set(['a', 'an', 'the', 'step', 'steps', 'of', 'to', 'for']);
+
+/**
+ * Split text into comparable words, dropping filler and plural "s"
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+function toWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .map(word => (word.length > 3 ? word.replace(/s$/, '') : word));
+}
+
+/**
+ * Find the step a phrase such as "payment" or "the calendar step" refers to.
+ * Names are matched before descriptions; among equally good matches the
+ * step with the shortest name wins, then the earliest one.
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {string} phrase - Phrase from the instruction
+ * @returns {Object} Matching step
+ * @throws {ValidationError} When no step matches
+ */
+function findStep(workflow, phrase) {
+  const wanted = toWords(phrase);
+  let best = null;
+
+  workflow.forEach(step => {
+    const nameWords = toWords(step.name);
+    const descriptionWords = toWords(step.description);
+    const score = wanted.filter(word => nameWords.includes(word)).length * 2
+      + wanted.filter(word => descriptionWords.includes(word)).length;
+    if (score === 0) return;
+
+    const better = !best
+      || score > best.score
+      || (score === best.score && nameWords.length < best.length);
+    if (better) {
+      best = { step, score, length: nameWords.length };
+    }
+  });
+
+  if (!best) {
+    throw new ValidationError(`No step matches "${phrase}"`, [
+      { path: '$.instruction', message: `No step matches "${phrase}"` }
+    ]);
+  }
+  return best.step;
+}
+
+/**
+ * Turn a phrase such as "fraud check" into a step name
+ * @param {string} phrase - Phrase from the instruction
+ * @returns {string} Title-cased name
+ */
+function toStepName(phrase) {
+  return phrase
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Apply a plain-English change to a workflow, offline.
+ * Understands adding, removing and renaming a step.
+ *
+ * @param {Array} workflow - Current workflow steps
+ * @param {string} instruction - e.g. "add a fraud check before payment"
+ * @returns {{ workflow: Array, changes: Array<string> }} Updated workflow and what changed
+ * @throws {ValidationError} When the instruction is not understood
+ */
+function applyInstruction(workflow, instruction) {
+  const text = instruction.trim().replace(/[.!]+$/, '').replace(/^please\s+/i, '');
+
+  const rename = text.match(/^rename\s+(?:the\s+)?(.+?)\s+(?:step\s+)?(?:to|as)\s+["']?(.+?)["']?$/i);
+  if (rename) {
+    const step = findStep(workflow, rename[1]);
+    const name = rename[2].trim().replace(/^\S/, letter => letter.toUpperCase());
+    return {
+      workflow: workflow.map(existing => (existing.id === step.id ? { ...existing, name } : existing)),
+      changes: [`Renamed "${step.name}" to "${name}"`]
+    };
+  }
+
+  const remove = text.match(/^(?:remove|delete|drop|skip)\s+(?:the\s+)?(.+?)$/i);
+  if (remove) {
+    const step = findStep(workflow, remove[1]);
+    return {
+      workflow: removeStep(workflow, step.id),
+      changes: [`Removed "${step.name}"`]
+    };
+  }
+
+  const add = text.match(/^(?:add|insert|include)\s+(?:an?\s+|the\s+|another\s+)?(.+?)(?:\s+step)?(?:\s+(before|after)\s+(?:the\s+)?(.+?))?$/i);
+  if (add) {
+    const name = toStepName(add[1]);
+    const newStep = {
+      name,
+      description: `${name} requested during refinement`,
+      type: normalizeStepType(add[1])
+    };
+
+    if (workflow.length === 0) {
+      return {
+        workflow: normalizeGraph([{ ...newStep, id: 1, next: [] }]),
+        changes: [`Added "${name}" as the first step`]
+      };
+    }
+    if (!add[2]) {
+      const last = workflow[workflow.length - 1];
+      return {
+        workflow: insertStep(workflow, newStep, { after: last.id }),
+        changes: [`Added "${name}" at the end`]
+      };
+    }
+
+    const anchor = findStep(workflow, add[3]);
+    const position = add[2].toLowerCase();
+    return {
+      workflow: insertStep(workflow, newStep, { [position]: anchor.id }),
+      changes: [`Added "${name}" ${position} "${anchor.name}"`]
+    };
+  }
+
+  throw new ValidationError('The mock provider did not understand this instruction', [
+    { path: '$.instruction', message: SUPPORTED_INSTRUCTIONS }
+  ]);
+}
+
+/**
+ * Mock AI function that simulates LLM-based workflow refinement
+ *
+ * @param {Array} workflow - Current workflow steps
+ * @param {string} instruction - Requested change
+ * @param {Object} [context]
+ * @param {string} [context.summary] - Current summary, kept as is
+ * @returns {Promise<Object>} Updated workflow and summary
+ */
+async function mockAIRefine(workflow, instruction, { summary } = {}) {
+  await new Promise(resolve => setTimeout(resolve, 50 + Math.random() * 100));
+
+  const result = applyInstruction(workflow, instruction);
 
   return {
-    workflow,
-    summary,
+    workflow: result.workflow,
+    summary: summary || generateSummary('general', instruction),
     metadata: {
-      detectedType: analysis.type,
+      changes: result.changes,
       generatedAt: new Date().toISOString(),
       aiProvider: 'mock'
     }
   };
 }
 
+// ============================================
+// TEMPLATE CATALOG
+// ============================================
+
+// Display names of the built-in scenario types
+const TYPE_NAMES = {
+  ecommerce: 'E-commerce purchase',
+  auth: 'Authentication',
+  booking: 'Booking',
+  support: 'Customer support',
+  content: 'Content publishing',
+  workflow: 'Approval workflow',
+  data: 'Data import',
+  notification: 'Notification delivery',
+  general: 'General'
+};
+
+/**
+ * List the scenario types the mock provider can generate: the built-in
+ * ones, then those of the loaded template packs
+ *
+ * @returns {Array<Object>} { id, name, description, source, file?, keywords, step_count, fragment, entities }
+ */
+function listScenarioTypes() {
+  const builtIn = Object.keys(TYPE_NAMES).map(type => ({
+    id: type,
+    name: TYPE_NAMES[type],
+    description: generateSummary(type),
+    source: 'built-in',
+    keywords: Object.keys(TYPE_KEYWORDS[type] || {}),
+    step_count: getTemplate(type).length,
+    fragment: FRAGMENTS[type]?.label || null,
+    entities: []
+  }));
+
+  const packs = getTemplatePacks().packs.map(pack => ({
+    id: pack.id,
+    name: pack.name,
+    description: pack.description || pack.summary,
+    source: 'pack',
+    file: pack.file,
+    keywords: Object.keys(pack.keywords),
+    step_count: pack.steps.length,
+    fragment: pack.fragment?.label || null,
+    entities: Object.keys(pack.entities)
+  }));
+
+  return [...builtIn, ...packs];
+}
+
 module.exports = {
   mockAIGenerate,
+  mockAIStream,
+  mockAIRefine,
+  applyInstruction,
   analyzeDescription,
   generateStepsForType,
-  generateSummary
+  generateSummary,
+  listScenarioTypes
 };
@@ -0,0 +1,221 @@
+/**
+ * Scenario Diff
+ *
+ * Compares two versions of a scenario: workflow steps added, removed or
+ * changed, entities and properties added or removed, and relationship
+ * changes. Steps are matched by name first and by id second, since ids
+ * shift whenever steps are inserted or removed.
+ */
+
+const { getOutgoingEdges } = require('./workflowGraph');
+
+/**
+ * Normalize a step name for matching
+ * @param {string} name - Step name
+ * @returns {string} Lower-cased, whitespace-collapsed name
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describe a step's outgoing edges by target name, for display
+ *
+ * @param {Object} step - Workflow step
+ * @param {Array} workflow - Workflow the step belongs to
+ * @returns {Array<string>} Sorted edge descriptions
+ */
+function describeEdges(step, workflow) {
+  const names = new Map(workflow.map(other => [other.id, other.name]));
+  return getOutgoingEdges(step, workflow)
+    .map(edge => `${edge.label ? `${edge.label}: ` : ''}${names.get(edge.to) ?? `#${edge.to}`}`)
+    .sort();
+}
+
+/**
+ * Pair the steps of two workflows
+ *
+ * @param {Array} before - Old workflow
+ * @param {Array} after - New workflow
+ * @returns {{ pairs: Array<[Object, Object]>, removed: Array, added: Array }}
+ */
+function matchSteps(before, after) {
+  const unmatchedAfter = new Set(after);
+  const pairs = [];
+  const leftovers = [];
+
+  before.forEach(step => {
+    const match = after.find(candidate => (
+      unmatchedAfter.has(candidate) && normalizeName(candidate.name) === normalizeName(step.name)
+    ));
+    if (match) {
+      unmatchedAfter.delete(match);
+      pairs.push([step, match]);
+    } else {
+      leftovers.push(step);
+    }
+  });
+
+  const removed = [];
+  leftovers.forEach(step => {
+    const match = after.find(candidate => unmatchedAfter.has(candidate) && candidate.id === step.id);
+    if (match) {
+      unmatchedAfter.delete(match);
+      pairs.push([step, match]);
+    } else {
+      removed.push(step);
+    }
+  });
+
+  return { pairs, removed, added: Array.from(unmatchedAfter) };
+}
+
+/**
+ * Diff two workflows
+ *
+ * @param {Array} before - Old workflow
+ * @param {Array} after - New workflow
+ * @returns {Object} { added, removed, changed, unchanged }
+ */
+function diffWorkflows(before = [], after = []) {
+  const { pairs, removed, added } = matchSteps(before, after);
+  const changed = [];
+  let unchanged = 0;
+
+  // Compare edges through the step pairing, so renaming or renumbering
+  // a target does not count as a change of the steps pointing at it
+  const newIdOf = new Map(pairs.map(([oldStep, newStep]) => [oldStep.id, newStep.id]));
+  const edgeKeys = (step, workflow, mapId) => getOutgoingEdges(step, workflow)
+    .map(edge => `${edge.label || ''}->${mapId(edge.to)}`)
+    .sort()
+    .join('\n');
+
+  pairs.forEach(([oldStep, newStep]) => {
+    const fields = ['name', 'description', 'type'].filter(field => oldStep[field] !== newStep[field]);
+
+    const oldKeys = edgeKeys(oldStep, before, id => (newIdOf.has(id) ? newIdOf.get(id) : `removed:${id}`));
+    const newKeys = edgeKeys(newStep, after, id => id);
+    if (oldKeys !== newKeys) {
+      fields.push('edges');
+    }
+
+    const oldEdges = describeEdges(oldStep, before);
+    const newEdges = describeEdges(newStep, after);
+
+    if (fields.length > 0) {
+      changed.push({ before: oldStep, after: newStep, fields, edges: { before: oldEdges, after: newEdges } });
+    } else {
+      unchanged++;
+    }
+  });
+
+  return { added, removed, changed, unchanged };
+}
+
+/**
+ * Diff the properties of an entity present in both data models
+ *
+ * @param {Object} before - Old entity schema
+ * @param {Object} after - New entity schema
+ * @returns {Object} { properties_added, properties_removed, properties_changed }
+ */
+function diffEntity(before, after) {
+  const oldProps = before.properties || {};
+  const newProps = after.properties || {};
+
+  const propertiesAdded = Object.keys(newProps).filter(name => !(name in oldProps));
+  const propertiesRemoved = Object.keys(oldProps).filter(name => !(name in newProps));
+  const propertiesChanged = Object.keys(newProps)
+    .filter(name => name in oldProps && JSON.stringify(oldProps[name]) !== JSON.stringify(newProps[name]))
+    .map(name => ({ property: name, before: oldProps[name], after: newProps[name] }));
+
+  return {
+    properties_added: propertiesAdded,
+    properties_removed: propertiesRemoved,
+    properties_changed: propertiesChanged
+  };
+}
+
+/**
+ * Diff two data models
+ *
+ * @param {Object} before - Old data model
+ * @param {Object} after - New data model
+ * @returns {Object} { entities: { added, removed, changed }, relationships: { added, removed, changed } }
+ */
+function diffDataModels(before = {}, after = {}) {
+  const oldEntities = before.entities || {};
+  const newEntities = after.entities || {};
+
+  const entities = {
+    added: Object.keys(newEntities).filter(name => !(name in oldEntities)),
+    removed: Object.keys(oldEntities).filter(name => !(name in newEntities)),
+    changed: []
+  };
+
+  Object.keys(newEntities)
+    .filter(name => name in oldEntities)
+    .forEach(name => {
+      const entityDiff = diffEntity(oldEntities[name], newEntities[name]);
+      const hasChanges = entityDiff.properties_added.length > 0
+        || entityDiff.properties_removed.length > 0
+        || entityDiff.properties_changed.length > 0;
+      if (hasChanges) {
+        entities.changed.push({ entity: name, ...entityDiff });
+      }
+    });
+
+  // Relationships are keyed by the (unordered) pair of entities they connect
+  const keyOf = rel => [rel.from, rel.to].sort().join('<->');
+  const oldRels = new Map((before.relationships || []).map(rel => [keyOf(rel), rel]));
+  const newRels = new Map((after.relationships || []).map(rel => [keyOf(rel), rel]));
+
+  const relationships = {
+    added: Array.from(newRels.entries()).filter(([key]) => !oldRels.has(key)).map(([, rel]) => rel),
+    removed: Array.from(oldRels.entries()).filter(([key]) => !newRels.has(key)).map(([, rel]) => rel),
+    changed: Array.from(newRels.entries())
+      .filter(([key, rel]) => oldRels.has(key) && (
+        oldRels.get(key).type !== rel.type || oldRels.get(key).from !== rel.from
+      ))
+      .map(([key, rel]) => ({ before: oldRels.get(key), after: rel }))
+  };
+
+  return { entities, relationships };
+}
+
+/**
+ * Diff two scenario versions
+ *
+ * @param {Object} before - Old version ({ version, workflow, data_model, summary })
+ * @param {Object} after - New version
+ * @returns {Object} Complete diff with per-section details and totals
+ */
+function diffScenarios(before, after) {
+  const workflow = diffWorkflows(before.workflow, after.workflow);
+  const dataModel = diffDataModels(before.data_model, after.data_model);
+
+  return {
+    from: before.version,
+    to: after.version,
+    workflow,
+    data_model: dataModel,
+    summary_changed: before.summary !== after.summary,
+    stats: {
+      steps_added: workflow.added.length,
+      steps_removed: workflow.removed.length,
+      steps_changed: workflow.changed.length,
+      entities_added: dataModel.entities.added.length,
+      entities_removed: dataModel.entities.removed.length,
+      entities_changed: dataModel.entities.changed.length,
+      relationships_changed: dataModel.relationships.added.length
+        + dataModel.relationships.removed.length
+        + dataModel.relationships.changed.length
+    }
+  };
+}
+
+module.exports = {
+  diffScenarios,
+  diffWorkflows,
+  diffDataModels
+};
@@ -3,32 +3,77 @@
  * 
  * Generates data models based on workflow analysis.
  * Creates a JSON schema that represents the data structure behind the workflow.
+ * Entities the templates below do not cover are inferred from the scenario
+ * text (see entityInference.js), and so are the relationships of entities
+ * the relationship table leaves out. Template packs add entities and
+ * relationships of their own (see ../templatePacks).
  */
 
+const { KNOWN_ENTITIES, buildVocabulary, inferEntities, inferRelationships } = require('./entityInference');
+const { toSnakeCase } = require('../exporters/naming');
+const { getTemplatePacks } = require('../templatePacks');
+
+/**
+ * Vocabulary of the built-in entities and those of the loaded template packs.
+ * A pack entity without synonyms is named by its own words.
+ * @returns {Array<{ entity: string, words: Array<string> }>} Vocabulary
+ */
+function entityVocabulary() {
+  const known = { ...KNOWN_ENTITIES };
+  getTemplatePacks().packs.forEach(pack => {
+    Object.entries(pack.synonyms).forEach(([entity, synonyms]) => {
+      const phrases = synonyms.length > 0 ? synonyms : [toSnakeCase(entity).replace(/_/g, ' ')];
+      known[entity] = [...(known[entity] || []), ...phrases];
+    });
+  });
+  return buildVocabulary(known);
+}
+
+/**
+ * Find the schema a template pack gives an entity
+ * @param {string} entity - Entity name
+ * @returns {Object|undefined} JSON schema object
+ */
+function packEntitySchema(entity) {
+  const pack = getTemplatePacks().packs.find(candidate => candidate.entities[entity]);
+  return pack && structuredClone(pack.entities[entity]);
+}
+
 /**
- * Extract entities from workflow steps
+ * Relationships between the template entities, used whenever both ends are
+ * in the model
+ */
+const KNOWN_RELATIONSHIPS = [
+  { from: 'User', to: 'Order', type: 'one-to-many', description: 'User places orders' },
+  { from: 'User', to: 'Cart', type: 'one-to-one', description: 'User has a cart' },
+  { from: 'User', to: 'Ticket', type: 'one-to-many', description: 'User creates tickets' },
+  { from: 'User', to: 'Booking', type: 'one-to-many', description: 'User makes bookings' },
+  { from: 'User', to: 'Content', type: 'one-to-many', description: 'User creates content' },
+  { from: 'User', to: 'Session', type: 'one-to-many', description: 'User has sessions' },
+  { from: 'User', to: 'Notification', type: 'one-to-many', description: 'User receives notifications' },
+  { from: 'Order', to: 'Payment', type: 'one-to-one', description: 'Order has payment' },
+  { from: 'Order', to: 'Product', type: 'many-to-many', description: 'Order contains products' },
+  { from: 'Cart', to: 'Product', type: 'many-to-many', description: 'Cart contains products' }
+];
+
+/**
+ * Texts the entities are read from: the description, then each step
+ * @param {Array} workflow - Workflow steps
+ * @param {string} description - Scenario description
+ * @returns {Array<string>} Texts
+ */
+function scenarioTexts(workflow, description = '') {
+  return [description, ...workflow.map(step => `${step.name}. ${step.description || ''}`)];
+}
+
+/**
+ * Extract entities from workflow steps and the scenario description
  * @param {Array} workflow - Workflow steps
+ * @param {string} [description] - Scenario description
  * @returns {Set} Set of detected entities
  */
-function extractEntities(workflow) {
-  const entities = new Set();
-  
-  workflow.forEach(step => {
-    // Extract potential entities from step names and descriptions
-    const text = `${step.name} ${step.description}`.toLowerCase();
-    
-    if (text.includes('user') || text.includes('credential')) entities.add('User');
-    if (text.includes('product') || text.includes('item')) entities.add('Product');
-    if (text.includes('order') || text.includes('purchase')) entities.add('Order');
-    if (text.includes('cart')) entities.add('Cart');
-    if (text.includes('payment')) entities.add('Payment');
-    if (text.includes('ticket') || text.includes('issue')) entities.add('Ticket');
-    if (text.includes('booking') || text.includes('reservation') || text.includes('appointment')) entities.add('Booking');
-    if (text.includes('content') || text.includes('post') || text.includes('article')) entities.add('Content');
-    if (text.includes('notification') || text.includes('alert')) entities.add('Notification');
-    if (text.includes('session') || text.includes('token')) entities.add('Session');
-    if (text.includes('task') || text.includes('workflow')) entities.add('Task');
-  });
+function extractEntities(workflow, description = '') {
+  const entities = new Set(inferEntities(scenarioTexts(workflow, description), entityVocabulary()).map(entity => entity.name));
 
   // Always include a base entity for the scenario
   if (entities.size === 0) {
@@ -197,7 +242,40 @@ function generateEntitySchema(entity) {
     }
   };
 
-  return schemas[entity] || schemas.Record;
+  return schemas[entity] || packEntitySchema(entity) || schemas.Record;
+}
+
+/**
+ * Build the schema of an entity inferred from the scenario text
+ *
+ * @param {Object} entity - Inferred entity ({ name, actor, statuses })
+ * @param {Array<string>} owners - Entities that own it, each becoming a foreign key
+ * @returns {Object} JSON schema object
+ */
+function synthesizeEntitySchema(entity, owners = []) {
+  const label = toSnakeCase(entity.name).replace(/_/g, ' ');
+  const properties = {
+    id: { type: 'string', format: 'uuid', description: `Unique ${label} identifier` },
+    name: { type: 'string', description: `${entity.name} name` }
+  };
+
+  if (entity.actor) {
+    properties.email = { type: 'string', format: 'email', description: `${entity.name} email address` };
+  }
+  owners.forEach(owner => {
+    properties[`${toSnakeCase(owner)}_id`] = { type: 'string', format: 'uuid', description: `${owner} reference` };
+  });
+
+  const statuses = entity.statuses.length > 0 ? ['pending', ...entity.statuses.filter(status => status !== 'pending')] : ['active', 'inactive'];
+  properties.status = { type: 'string', enum: statuses, description: `${entity.name} status` };
+  properties.created_at = { type: 'string', format: 'date-time', description: 'Creation timestamp' };
+  properties.updated_at = { type: 'string', format: 'date-time', description: 'Last update timestamp' };
+
+  return {
+    type: 'object',
+    properties,
+    required: ['id', 'name', 'status']
+  };
 }
 
 /**
@@ -208,8 +286,29 @@ function generateEntitySchema(entity) {
  * @returns {Object} Complete data model with entities and relationships
  */
 function generateDataModel(workflow, description) {
-  const entities = extractEntities(workflow);
-  const entityArray = Array.from(entities);
+  const texts = scenarioTexts(workflow, description);
+  const entities = inferEntities(texts, entityVocabulary());
+  const names = entities.map(entity => entity.name);
+  const relates = (relationship, a, b) => (
+    (relationship.from === a && relationship.to === b) || (relationship.from === b && relationship.to === a)
+  );
+
+  // The built-in and pack relationship tables come first
+  const relationships = [];
+  [...KNOWN_RELATIONSHIPS, ...getTemplatePacks().packs.flatMap(pack => pack.relationships)].forEach(relationship => {
+    const related = relationships.some(existing => relates(existing, relationship.from, relationship.to));
+    if (names.includes(relationship.from) && names.includes(relationship.to) && !related) {
+      relationships.push({ ...relationship });
+    }
+  });
+
+  // The text relates the entities the tables leave without a relationship
+  const covered = new Set(relationships.flatMap(relationship => [relationship.from, relationship.to]));
+  inferRelationships(texts, entities).forEach(relationship => {
+    if (!covered.has(relationship.from) || !covered.has(relationship.to)) {
+      relationships.push(relationship);
+    }
+  });
 
   // Build the data model
   const dataModel = {
@@ -217,40 +316,22 @@ function generateDataModel(workflow, description) {
     title: 'Scenario Data Model',
     description: `Data model generated for: ${description.substring(0, 100)}...`,
     entities: {},
-    relationships: []
+    relationships
   };
 
-  // Add entity schemas
-  entityArray.forEach(entity => {
-    dataModel.entities[entity] = generateEntitySchema(entity);
+  // Template entities keep their schemas; the others are built from the text
+  entities.forEach(entity => {
+    const owners = relationships
+      .filter(relationship => relationship.to === entity.name && relationship.type !== 'many-to-many')
+      .map(relationship => relationship.from);
+    dataModel.entities[entity.name] = entity.known
+      ? generateEntitySchema(entity.name)
+      : synthesizeEntitySchema(entity, owners);
   });
 
-  // Generate relationships between entities
-  const relationshipMap = {
-    'User-Order': { from: 'User', to: 'Order', type: 'one-to-many', description: 'User places orders' },
-    'User-Cart': { from: 'User', to: 'Cart', type: 'one-to-one', description: 'User has a cart' },
-    'User-Ticket': { from: 'User', to: 'Ticket', type: 'one-to-many', description: 'User creates tickets' },
-    'User-Booking': { from: 'User', to: 'Booking', type: 'one-to-many', description: 'User makes bookings' },
-    'User-Content': { from: 'User', to: 'Content', type: 'one-to-many', description: 'User creates content' },
-    'User-Session': { from: 'User', to: 'Session', type: 'one-to-many', description: 'User has sessions' },
-    'User-Notification': { from: 'User', to: 'Notification', type: 'one-to-many', description: 'User receives notifications' },
-    'Order-Payment': { from: 'Order', to: 'Payment', type: 'one-to-one', description: 'Order has payment' },
-    'Order-Product': { from: 'Order', to: 'Product', type: 'many-to-many', description: 'Order contains products' },
-    'Cart-Product': { from: 'Cart', to: 'Product', type: 'many-to-many', description: 'Cart contains products' }
-  };
-
-  // Add relevant relationships
-  for (let i = 0; i < entityArray.length; i++) {
-    for (let j = i + 1; j < entityArray.length; j++) {
-      const key1 = `${entityArray[i]}-${entityArray[j]}`;
-      const key2 = `${entityArray[j]}-${entityArray[i]}`;
-      
-      if (relationshipMap[key1]) {
-        dataModel.relationships.push(relationshipMap[key1]);
-      } else if (relationshipMap[key2]) {
-        dataModel.relationships.push(relationshipMap[key2]);
-      }
-    }
+  // Always include a base entity for the scenario
+  if (entities.length === 0) {
+    dataModel.entities.Record = generateEntitySchema('Record');
   }
 
   return dataModel;
@@ -259,5 +340,6 @@ function generateDataModel(workflow, description) {
 module.exports = {
   generateDataModel,
   extractEntities,
-  generateEntitySchema
+  generateEntitySchema,
+  synthesizeEntitySchema
 };
@@ -0,0 +1,55 @@
+/**
+ * Server-Sent Events
+ *
+ * Minimal helper for streaming named events to the browser over a
+ * kept-open HTTP response (text/event-stream).
+ */
+
+/**
+ * Start an event stream on a response
+ *
+ * Events sent after the client disconnected are dropped, so a long
+ * generation can finish without writing to a closed socket.
+ *
+ * @param {Response} res - Express response object
+ * @returns {{ send: Function, close: Function }}
+ */
+function openEventStream(res) {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keep reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  return {
+    /**
+     * Send one event
+     * @param {string} event - Event name
+     * @param {*} data - JSON-serialisable payload
+     */
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * End the stream
+     */
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,35 @@
+/**
+ * Step Types
+ *
+ * The vocabulary of workflow step types understood by the diagram
+ * generator and the frontend. AI providers are asked to use only these.
+ */
+
+const STEP_TYPES = [
+  'trigger',
+  'end',
+  'user_action',
+  'user_input',
+  'system_action',
+  'system_check',
+  'database_query',
+  'database_write',
+  'decision',
+  'conditional',
+  'notification',
+  'navigation',
+  'display',
+  'logging',
+  'integration',
+  'review',
+  'workflow_action',
+  'ai_process',
+  'data_operation',
+  'error_handling',
+  'parallel',
+  'join'
+];
+
+module.exports = {
+  STEP_TYPES
+};
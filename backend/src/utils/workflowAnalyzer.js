@@ -0,0 +1,232 @@
+/**
+ * Workflow Analyzer
+ *
+ * Measures how complex a scenario is and flags concerns reviewers would
+ * otherwise check by hand:
+ *
+ *   metrics   step count per type, user-facing vs system steps, external
+ *             touchpoints, decision points and the cyclomatic complexity
+ *             of the workflow graph (edges - steps + 2 x connected parts)
+ *   findings  payment steps with no error handling after them, auth flows
+ *             without a logging step, personal data with no audit trail
+ *             and workflows too branched to test comfortably
+ *
+ * Findings have the shape and severities of the data model lint
+ * (see dataModelLint.js); the report adds an overall risk level.
+ */
+
+const { getEdges } = require('./workflowGraph');
+const { SEVERITIES } = require('./dataModelLint');
+const { toSnakeCase } = require('../exporters/naming');
+
+// Steps users see or act on; every other step is done by the system
+const USER_FACING_TYPES = ['trigger', 'user_action', 'user_input', 'navigation', 'display', 'review'];
+
+// Steps that reach outside the application
+const EXTERNAL_TYPES = ['integration', 'notification', 'ai_process'];
+
+const DECISION_TYPES = ['decision', 'conditional'];
+
+// Steps that move money, by their name and type, and need a failure path
+const PAYMENT_PATTERN = /\b(pay|payment|payments|charge|refund|checkout|billing)\b/i;
+const PAYMENT_TYPES = ['system_action', 'integration', 'workflow_action'];
+
+// Wording of authentication flows
+const AUTH_PATTERN = /\b(log ?in|sign[ -]?(in|up)|authenticat\w*|password|credentials|2fa|mfa|two[ -]factor|otp)\b/i;
+
+// Property names holding personal data (snake_case)
+const PII_PATTERN = /(^|_)(email|phone|mobile|address|street|postcode|postal_code|zip_code|ssn|social_security|date_of_birth|dob|birth_date|passport|national_id|tax_id|ip_address|first_name|last_name|full_name)($|_)/;
+
+// Entity names that keep an audit trail
+const AUDIT_PATTERN = /(audit|history|activity|event_log|change_log)/;
+
+// Above this, a workflow has more independent paths than anyone tests by hand
+const COMPLEXITY_THRESHOLD = 10;
+
+/**
+ * Build a finding
+ * @param {string} severity - One of SEVERITIES
+ * @param {string} code - Stable identifier of the check
+ * @param {string} path - Path of the offending part of the scenario
+ * @param {string} message - Human readable description
+ * @param {Object} [subject] - { step } or { entity } the finding is about
+ * @returns {Object} Finding
+ */
+function finding(severity, code, path, message, subject = {}) {
+  return { severity, code, ...subject, path, message };
+}
+
+/**
+ * Count the connected parts of the graph, ignoring edge direction
+ * @param {Array<number>} ids - Step ids
+ * @param {Array<Object>} edges - Edges between them
+ * @returns {number} Number of connected parts
+ */
+function countComponents(ids, edges) {
+  const parent = new Map(ids.map(id => [id, id]));
+  const root = id => (parent.get(id) === id ? id : root(parent.get(id)));
+  edges.forEach(({ from, to }) => parent.set(root(from), root(to)));
+  return new Set(ids.map(root)).size;
+}
+
+/**
+ * Find the steps reachable from a step, not counting the step itself
+ * unless a loop leads back to it
+ * @param {number} id - Start step id
+ * @param {Array<Object>} edges - Graph edges
+ * @returns {Set<number>} Reachable step ids
+ */
+function descendants(id, edges) {
+  const seen = new Set();
+  const queue = [id];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    edges.filter(edge => edge.from === current && !seen.has(edge.to)).forEach(edge => {
+      seen.add(edge.to);
+      queue.push(edge.to);
+    });
+  }
+  return seen;
+}
+
+/**
+ * Compute the complexity metrics of a workflow
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {Array<Object>} edges - Edges between known steps
+ * @returns {Object} Metrics
+ */
+function measure(workflow, edges) {
+  const byType = {};
+  workflow.forEach(step => {
+    byType[step.type] = (byType[step.type] || 0) + 1;
+  });
+  const count = types => workflow.filter(step => types.includes(step.type)).length;
+  const components = workflow.length > 0 ? countComponents(workflow.map(step => step.id), edges) : 0;
+
+  return {
+    step_count: workflow.length,
+    steps_by_type: byType,
+    user_facing_steps: count(USER_FACING_TYPES),
+    system_steps: workflow.length - count(USER_FACING_TYPES),
+    external_touchpoints: count(EXTERNAL_TYPES),
+    // Forks (several `next` steps) run every branch, so they are no decision
+    decision_points: workflow.filter(step => DECISION_TYPES.includes(step.type) || step.branches?.length > 1).length,
+    cyclomatic_complexity: workflow.length > 0 ? Math.max(edges.length - workflow.length + 2 * components, 1) : 0
+  };
+}
+
+/**
+ * Flag payment steps that nothing handles the failure of
+ * @param {Array} workflow - Workflow steps
+ * @param {Array<Object>} edges - Graph edges
+ * @returns {Array<Object>} Findings
+ */
+function checkPaymentErrorHandling(workflow, edges) {
+  const byId = new Map(workflow.map(step => [step.id, step]));
+
+  return workflow.flatMap((step, index) => {
+    if (!PAYMENT_TYPES.includes(step.type) || !PAYMENT_PATTERN.test(step.name)) return [];
+
+    const handled = [...descendants(step.id, edges)].some(id => byId.get(id)?.type === 'error_handling');
+    return handled ? [] : [finding(
+      'warning',
+      'payment-without-error-handling',
+      `$.workflow[${index}]`,
+      `"${step.name}" has no error_handling step after it, so a failed or timed-out payment has nowhere to go`,
+      { step: step.id }
+    )];
+  });
+}
+
+/**
+ * Flag authentication flows that leave no log of attempts
+ * @param {Array} workflow - Workflow steps
+ * @returns {Array<Object>} Findings
+ */
+function checkAuthLogging(workflow) {
+  const index = workflow.findIndex(step => AUTH_PATTERN.test(`${step.name} ${step.description || ''}`));
+  if (index === -1 || workflow.some(step => step.type === 'logging')) return [];
+
+  return [finding(
+    'warning',
+    'auth-without-logging',
+    `$.workflow[${index}]`,
+    `"${workflow[index].name}" is part of an authentication flow, but no logging step records sign-in attempts`,
+    { step: workflow[index].id }
+  )];
+}
+
+/**
+ * Flag entities with personal data when nothing keeps an audit trail
+ * @param {Object} dataModel - Data model with entities
+ * @returns {Array<Object>} Findings
+ */
+function checkPiiAudit(dataModel) {
+  const entities = dataModel?.entities || {};
+  if (Object.keys(entities).some(name => AUDIT_PATTERN.test(toSnakeCase(name)))) return [];
+
+  return Object.entries(entities).flatMap(([entity, schema]) => {
+    const fields = Object.entries(schema?.properties || {})
+      .filter(([name, property]) => property?.type !== 'boolean' && (PII_PATTERN.test(toSnakeCase(name)) || property?.format === 'email'))
+      .map(([name]) => name);
+    if (fields.length === 0) return [];
+
+    return [finding(
+      'warning',
+      'pii-without-audit',
+      `$.entities.${entity}.properties.${fields[0]}`,
+      `${entity} holds personal data (${fields.join(', ')}), but no audit entity records who read or changed it`,
+      { entity }
+    )];
+  });
+}
+
+/**
+ * Rate the overall risk of a scenario
+ * @param {Object} metrics - Complexity metrics
+ * @param {Array<Object>} findings - Findings
+ * @returns {string} low | medium | high
+ */
+function riskLevel(metrics, findings) {
+  const warnings = findings.filter(item => item.severity !== 'info').length;
+  if (warnings >= 2 || metrics.cyclomatic_complexity > COMPLEXITY_THRESHOLD) return 'high';
+  if (warnings === 1 || metrics.cyclomatic_complexity > COMPLEXITY_THRESHOLD / 2) return 'medium';
+  return 'low';
+}
+
+/**
+ * Analyze the complexity and risks of a scenario
+ *
+ * @param {Array} workflow - Validated workflow steps
+ * @param {Object} dataModel - Data model ({ entities, relationships })
+ * @returns {{ risk: string, metrics: Object, findings: Array<Object> }}
+ *   Risk level, metrics and findings, most severe first
+ */
+function analyzeScenario(workflow, dataModel) {
+  const ids = new Set(workflow.map(step => step.id));
+  const edges = getEdges(workflow).filter(edge => ids.has(edge.from) && ids.has(edge.to));
+  const metrics = measure(workflow, edges);
+
+  const findings = [
+    ...checkPaymentErrorHandling(workflow, edges),
+    ...checkAuthLogging(workflow),
+    ...checkPiiAudit(dataModel)
+  ];
+  if (metrics.cyclomatic_complexity > COMPLEXITY_THRESHOLD) {
+    findings.push(finding(
+      'info',
+      'high-complexity',
+      '$.workflow',
+      `The workflow has ${metrics.cyclomatic_complexity} independent paths; consider splitting it into sub-workflows`
+    ));
+  }
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  return { risk: riskLevel(metrics, findings), metrics, findings };
+}
+
+module.exports = {
+  COMPLEXITY_THRESHOLD,
+  analyzeScenario
+};
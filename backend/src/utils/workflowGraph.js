@@ -0,0 +1,234 @@
+/**
+ * Workflow Graph
+ *
+ * Helpers for treating a workflow as a directed graph. Each step may carry:
+ *   - next:     array of step ids that follow it (several ids = parallel fork)
+ *   - branches: labelled outgoing edges, e.g. [{ label: 'Approved', to: 8 }]
+ *
+ * When a step has branches they define its outgoing edges, otherwise `next`
+ * does. Steps without either continue to the following step in the array,
+ * except `end` steps, which are terminal. An empty `next` also marks a
+ * terminal step.
+ */
+
+/**
+ * Fill in implicit edges so every step carries an explicit `next` array
+ *
+ * @param {Array} workflow - Workflow steps
+ * @returns {Array} New array of steps with explicit `next` arrays
+ */
+function normalizeGraph(workflow) {
+  return workflow.map((step, index) => {
+    if (Array.isArray(step.next)) return { ...step };
+
+    const hasBranches = Array.isArray(step.branches) && step.branches.length > 0;
+    const following = workflow[index + 1];
+    const next = hasBranches || step.type === 'end' || !following ? [] : [following.id];
+
+    return { ...step, next };
+  });
+}
+
+/**
+ * Get the outgoing edges of a step
+ *
+ * @param {Object} step - Workflow step (normalized or not)
+ * @param {Array} [workflow] - Full workflow, used to resolve implicit edges
+ * @returns {Array<{ from: number, to: number, label?: string }>} Outgoing edges
+ */
+function getOutgoingEdges(step, workflow = []) {
+  if (Array.isArray(step.branches) && step.branches.length > 0) {
+    return step.branches.map(branch => ({ from: step.id, to: branch.to, label: branch.label }));
+  }
+
+  if (Array.isArray(step.next)) {
+    return step.next.map(to => ({ from: step.id, to }));
+  }
+
+  if (step.type === 'end') return [];
+
+  const index = workflow.findIndex(other => other.id === step.id);
+  const following = index === -1 ? undefined : workflow[index + 1];
+  return following ? [{ from: step.id, to: following.id }] : [];
+}
+
+/**
+ * List every edge of the workflow graph
+ *
+ * @param {Array} workflow - Workflow steps
+ * @returns {Array<{ from: number, to: number, label?: string }>} All edges
+ */
+function getEdges(workflow) {
+  return workflow.flatMap(step => getOutgoingEdges(step, workflow));
+}
+
+/**
+ * Rewrite the step ids referenced by next/branches
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {Map<number, number>} idMap - Old id to new id
+ * @returns {Array} New array of steps with remapped references
+ */
+function remapReferences(workflow, idMap) {
+  const remap = id => (idMap.has(id) ? idMap.get(id) : id);
+
+  return workflow.map(step => {
+    const updated = { ...step };
+    if (Array.isArray(step.next)) updated.next = step.next.map(remap);
+    if (Array.isArray(step.branches)) {
+      updated.branches = step.branches.map(branch => ({ ...branch, to: remap(branch.to) }));
+    }
+    return updated;
+  });
+}
+
+/**
+ * Find the entry step of the workflow: the first trigger, otherwise the first step
+ *
+ * @param {Array} workflow - Workflow steps
+ * @returns {Object|undefined} Entry step
+ */
+function findStartStep(workflow) {
+  return workflow.find(step => step.type === 'trigger') || workflow[0];
+}
+
+/**
+ * Check whether an edge points back to an earlier step (a loop)
+ *
+ * @param {Object} edge - Edge with from/to step ids
+ * @param {Array} workflow - Workflow steps
+ * @returns {boolean} True for loop-back edges
+ */
+function isBackEdge(edge, workflow) {
+  const fromIndex = workflow.findIndex(step => step.id === edge.from);
+  const toIndex = workflow.findIndex(step => step.id === edge.to);
+  return toIndex !== -1 && toIndex <= fromIndex;
+}
+
+/**
+ * Renumber steps 1..n in array order, updating every reference
+ *
+ * @param {Array} workflow - Workflow steps
+ * @returns {Array} Renumbered workflow
+ */
+function renumberSteps(workflow) {
+  const idMap = new Map(workflow.map((step, index) => [step.id, index + 1]));
+  return remapReferences(workflow, idMap).map((step, index) => ({ ...step, id: index + 1 }));
+}
+
+/**
+ * Get the ids of the steps a step leads to
+ * @param {Object} step - Normalized workflow step
+ * @returns {Array<number>} Successor ids
+ */
+function successorIds(step) {
+  return getOutgoingEdges(step).map(edge => edge.to);
+}
+
+/**
+ * Insert a step before or after an existing one, rewiring edges so the
+ * new step sits on the path. Inserting before a step redirects every
+ * edge into it; inserting after a step takes over its outgoing edges.
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {Object} step - New step ({ name, description, type })
+ * @param {Object} position
+ * @param {number} [position.before] - Id of the step to insert before
+ * @param {number} [position.after] - Id of the step to insert after
+ * @returns {Array} Renumbered workflow including the new step
+ */
+function insertStep(workflow, step, { before, after }) {
+  const graph = normalizeGraph(workflow);
+  // Temporary id that cannot clash with existing ones
+  const newId = Math.max(0, ...graph.map(existing => existing.id)) + 1;
+  const targetId = before ?? after;
+  const targetIndex = graph.findIndex(existing => existing.id === targetId);
+
+  if (targetIndex === -1) {
+    throw new Error(`Step ${targetId} not found`);
+  }
+
+  const target = graph[targetIndex];
+  let inserted;
+  let updated;
+
+  if (before !== undefined) {
+    inserted = { ...step, id: newId, next: [target.id] };
+    delete inserted.branches;
+    updated = graph.map(existing => {
+      const copy = { ...existing };
+      copy.next = existing.next.map(to => (to === target.id ? newId : to));
+      if (Array.isArray(existing.branches)) {
+        copy.branches = existing.branches.map(branch => (
+          branch.to === target.id ? { ...branch, to: newId } : branch
+        ));
+      }
+      return copy;
+    });
+    updated.splice(targetIndex, 0, inserted);
+  } else {
+    const hasBranches = Array.isArray(target.branches) && target.branches.length > 0;
+    inserted = {
+      ...step,
+      id: newId,
+      next: hasBranches ? [target.branches[0].to] : [...target.next]
+    };
+    delete inserted.branches;
+    updated = graph.map(existing => {
+      if (existing.id !== target.id) return existing;
+      return hasBranches
+        ? { ...existing, branches: existing.branches.map((branch, index) => (index === 0 ? { ...branch, to: newId } : branch)) }
+        : { ...existing, next: [newId] };
+    });
+    updated.splice(targetIndex + 1, 0, inserted);
+  }
+
+  return renumberSteps(updated);
+}
+
+/**
+ * Remove a step, connecting its predecessors to its successors
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {number} id - Id of the step to remove
+ * @returns {Array} Renumbered workflow without the step
+ */
+function removeStep(workflow, id) {
+  const graph = normalizeGraph(workflow);
+  const removed = graph.find(step => step.id === id);
+
+  if (!removed) {
+    throw new Error(`Step ${id} not found`);
+  }
+
+  const successors = successorIds(removed).filter(to => to !== id);
+
+  const updated = graph
+    .filter(step => step.id !== id)
+    .map(step => {
+      const copy = { ...step };
+      copy.next = Array.from(new Set(step.next.flatMap(to => (to === id ? successors : [to]))));
+      if (Array.isArray(step.branches)) {
+        // A branch can only point at one step: follow the first successor,
+        // or drop the branch when the removed step ended the flow
+        copy.branches = step.branches
+          .map(branch => (branch.to === id ? { ...branch, to: successors[0] } : branch))
+          .filter(branch => branch.to !== undefined);
+      }
+      return copy;
+    });
+
+  return renumberSteps(updated);
+}
+
+module.exports = {
+  normalizeGraph,
+  getOutgoingEdges,
+  getEdges,
+  remapReferences,
+  findStartStep,
+  isBackEdge,
+  renumberSteps,
+  insertStep,
+  removeStep
+};
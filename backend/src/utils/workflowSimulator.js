@@ -0,0 +1,329 @@
+/**
+ * Workflow Simulator
+ *
+ * Dry-runs a workflow: walks the steps from the start, takes one branch
+ * at every decision, follows every branch of a parallel fork, and records
+ * the steps that ran. Choices come from a script of branch labels or step
+ * ids, then from a seeded random generator, so every run can be replayed
+ * from its seed. Interactive runs stop at the first unscripted choice
+ * instead, so a client can ask the user and run again with the answer.
+ *
+ * Across many random runs the simulator reports what the diagram does not
+ * show: steps no path reaches, steps a run can never get out of, and
+ * reachable steps or branches no run took. It can also list every path
+ * through the decisions, e.g. to write one test scenario per path.
+ */
+
+const { normalizeGraph, getOutgoingEdges, findStartStep } = require('./workflowGraph');
+const { validateSchema } = require('./jsonSchema');
+const { ValidationError } = require('./errors');
+
+// Step types that take one of their branches; other steps with several edges fork
+const CHOICE_TYPES = ['decision', 'conditional'];
+const DEFAULT_RUNS = 20;
+const MAX_RUNS = 1000;
+// A run stops after this many steps per workflow step, which only loops reach
+const STEP_LIMIT_FACTOR = 10;
+const MAX_PATHS = 25;
+
+const OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    runs: { type: 'integer', minimum: 1, maximum: MAX_RUNS },
+    seed: { type: 'integer', minimum: 0 },
+    choices: { type: 'array', maxItems: 500, items: { type: ['string', 'integer'] } },
+    interactive: { type: 'boolean' }
+  }
+};
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Describe a step for a report
+ * @param {Object} step - Workflow step
+ * @returns {{ id: number, name: string }}
+ */
+function stepRef(step) {
+  return { id: step.id, name: step.name };
+}
+
+/**
+ * Get the edges of a step that lead to existing steps
+ * @param {Object} step - Normalized workflow step
+ * @param {Map<number, Object>} steps - Steps by id
+ * @returns {Array<{ from: number, to: number, label?: string }>} Edges
+ */
+function edgesOf(step, steps) {
+  return getOutgoingEdges(step).filter(edge => steps.has(edge.to));
+}
+
+/**
+ * @param {Object} step - Workflow step
+ * @param {Array} edges - Its outgoing edges
+ * @returns {boolean} True when a run has to pick one of the edges
+ */
+function isChoice(step, edges) {
+  return CHOICE_TYPES.includes(step.type) && edges.length > 1;
+}
+
+/**
+ * Find the branch a scripted choice names: a branch label (any case) or a target step id
+ * @param {Array} edges - Branches of the decision
+ * @param {string|number} choice - Scripted choice
+ * @returns {Object|undefined} Matching edge
+ */
+function matchChoice(edges, choice) {
+  return typeof choice === 'number'
+    ? edges.find(edge => edge.to === choice)
+    : edges.find(edge => edge.label?.toLowerCase() === choice.trim().toLowerCase());
+}
+
+/**
+ * Walk a normalized workflow once
+ *
+ * @param {Array} workflow - Normalized workflow steps
+ * @param {Object} options
+ * @param {Array<string|number>} options.choices - Scripted choices, used in order
+ * @param {Function} options.random - Picks unscripted choices
+ * @param {boolean} options.interactive - Stop at the first unscripted choice
+ * @returns {{ path: Array<number>, choices: Array, outcome: string, pending?: Object }}
+ *   Steps in the order they ran, the branches taken, and how the run ended:
+ *   completed, step_limit or awaiting_choice (with the pending decision)
+ * @throws {ValidationError} When a scripted choice names no branch of its decision
+ */
+function runOnce(workflow, { choices, random, interactive }) {
+  const steps = new Map(workflow.map(step => [step.id, step]));
+  const maxSteps = workflow.length * STEP_LIMIT_FACTOR;
+  const queue = [findStartStep(workflow).id];
+  const path = [];
+  const taken = [];
+  let scripted = 0;
+
+  while (queue.length > 0) {
+    if (path.length >= maxSteps) {
+      return { path, choices: taken, outcome: 'step_limit' };
+    }
+
+    const step = steps.get(queue.shift());
+    const edges = edgesOf(step, steps);
+    path.push(step.id);
+
+    let next = edges;
+    if (isChoice(step, edges)) {
+      let edge;
+      if (scripted < choices.length) {
+        edge = matchChoice(edges, choices[scripted]);
+        if (!edge) {
+          throw new ValidationError(`"${choices[scripted]}" is not a branch of step ${step.id} (${step.name})`, [{
+            path: `$.choices[${scripted}]`,
+            message: `Must be one of: ${edges.map(option => option.label ?? option.to).join(', ')}`
+          }]);
+        }
+        scripted += 1;
+      } else if (interactive) {
+        const options = edges.map(({ label, to }) => ({ ...(label ? { label } : {}), to }));
+        return { path, choices: taken, outcome: 'awaiting_choice', pending: { step: step.id, options } };
+      } else {
+        edge = edges[Math.floor(random() * edges.length)];
+      }
+      taken.push({ step: step.id, ...(edge.label ? { label: edge.label } : {}), to: edge.to });
+      next = [edge];
+    }
+
+    // Branches of a fork that meet again run the joining step once
+    next.forEach(edge => {
+      if (!queue.includes(edge.to)) queue.push(edge.to);
+    });
+  }
+
+  return { path, choices: taken, outcome: 'completed' };
+}
+
+/**
+ * Collect the ids reachable from some steps
+ * @param {Array<number>} from - Ids to start from
+ * @param {Function} neighbours - Id -> ids it leads to
+ * @returns {Set<number>} Reached ids, including the starting ones
+ */
+function reach(from, neighbours) {
+  const reached = new Set(from);
+  const queue = [...from];
+  while (queue.length > 0) {
+    neighbours(queue.shift()).forEach(id => {
+      if (!reached.has(id)) {
+        reached.add(id);
+        queue.push(id);
+      }
+    });
+  }
+  return reached;
+}
+
+/**
+ * Find the structural problems of a normalized workflow
+ *
+ * @param {Array} workflow - Normalized workflow steps
+ * @returns {{ reachable: Set<number>, unreachable: Array, deadEnds: Array }}
+ *   Steps reachable from the start, steps that are not, and steps a run
+ *   cannot get past: decisions without branches and steps from which no
+ *   path leads to a final step
+ */
+function analyzeStructure(workflow) {
+  const steps = new Map(workflow.map(step => [step.id, step]));
+  const successors = new Map(workflow.map(step => [step.id, edgesOf(step, steps).map(edge => edge.to)]));
+  const predecessors = new Map(workflow.map(step => [step.id, []]));
+  successors.forEach((targets, id) => targets.forEach(to => predecessors.get(to).push(id)));
+
+  const reachable = reach([findStartStep(workflow).id], id => successors.get(id));
+  const finals = workflow.filter(step => successors.get(step.id).length === 0).map(step => step.id);
+  const canFinish = reach(finals, id => predecessors.get(id));
+
+  const deadEnds = [];
+  workflow.filter(step => reachable.has(step.id)).forEach(step => {
+    if (CHOICE_TYPES.includes(step.type) && successors.get(step.id).length === 0) {
+      deadEnds.push({ ...stepRef(step), reason: 'Decision without branches' });
+    } else if (!canFinish.has(step.id)) {
+      deadEnds.push({ ...stepRef(step), reason: 'No path from this step reaches the end' });
+    }
+  });
+
+  return {
+    reachable,
+    unreachable: workflow.filter(step => !reachable.has(step.id)).map(stepRef),
+    deadEnds
+  };
+}
+
+/**
+ * Simulate a workflow
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {Object} [options]
+ * @param {number} [options.runs=20] - Number of runs (1 when interactive)
+ * @param {number} [options.seed] - Seed of the first run; run n uses seed + n (random when omitted)
+ * @param {Array<string|number>} [options.choices] - Branch labels or target step ids
+ *   taken at the first decisions of every run
+ * @param {boolean} [options.interactive=false] - Stop at the first unscripted choice
+ * @returns {Object} { seed, runs, run, outcomes, visits, branches, unreachable, dead_ends, never_visited }
+ *   where `run` details the first run
+ * @throws {ValidationError} When the options are invalid
+ */
+function simulateWorkflow(workflow, options = {}) {
+  const problems = validateSchema(options, OPTIONS_SCHEMA, '$');
+  if (!Array.isArray(workflow) || workflow.length === 0) {
+    problems.push({ path: '$.workflow', message: 'Must contain at least 1 step' });
+  }
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid simulation options', problems);
+  }
+
+  const { choices = [], interactive = false } = options;
+  const runs = interactive ? 1 : options.runs ?? DEFAULT_RUNS;
+  const seed = options.seed ?? Math.floor(Math.random() * 2 ** 31);
+  const graph = normalizeGraph(workflow);
+
+  const results = Array.from({ length: runs }, (_, index) => (
+    runOnce(graph, { choices, random: seededRandom(seed + index), interactive })
+  ));
+
+  const visits = new Map(graph.map(step => [step.id, 0]));
+  const outcomes = { completed: 0, step_limit: 0, awaiting_choice: 0 };
+  const branchKey = (step, to) => `${step}->${to}`;
+  const branchRuns = new Map();
+  results.forEach(result => {
+    outcomes[result.outcome] += 1;
+    new Set(result.path).forEach(id => visits.set(id, visits.get(id) + 1));
+    new Set(result.choices.map(choice => branchKey(choice.step, choice.to))).forEach(key => {
+      branchRuns.set(key, (branchRuns.get(key) || 0) + 1);
+    });
+  });
+
+  const steps = new Map(graph.map(step => [step.id, step]));
+  const { reachable, unreachable, deadEnds } = analyzeStructure(graph);
+  const branches = graph
+    .filter(step => isChoice(step, edgesOf(step, steps)))
+    .flatMap(step => edgesOf(step, steps).map(({ label, to }) => ({
+      step: step.id,
+      ...(label ? { label } : {}),
+      to,
+      runs: branchRuns.get(branchKey(step.id, to)) || 0
+    })));
+
+  return {
+    seed,
+    runs,
+    run: { seed, ...results[0] },
+    outcomes,
+    visits: graph.map(step => ({ step: step.id, runs: visits.get(step.id) })),
+    branches,
+    unreachable,
+    dead_ends: deadEnds,
+    never_visited: graph.filter(step => reachable.has(step.id) && visits.get(step.id) === 0).map(stepRef)
+  };
+}
+
+/**
+ * List the paths through the decisions of a workflow, depth first with
+ * the branches in their order. A path takes each branch of a decision at
+ * most once, so it goes around a loop at most once per branch; a path
+ * that comes back to a decision whose branches it has all taken stops
+ * there with the step_limit outcome.
+ *
+ * @param {Array} workflow - Workflow steps
+ * @param {Object} [options]
+ * @param {number} [options.limit=25] - Most paths to list
+ * @returns {{ paths: Array<{ path: Array<number>, choices: Array, outcome: string }>, truncated: boolean }}
+ *   Paths as simulated runs, and whether more paths exist than were listed
+ */
+function enumeratePaths(workflow, { limit = MAX_PATHS } = {}) {
+  const graph = normalizeGraph(workflow);
+  const paths = [];
+  let truncated = false;
+
+  const explore = (choices) => {
+    if (paths.length >= limit) {
+      truncated = true;
+      return;
+    }
+
+    const run = runOnce(graph, { choices, interactive: true });
+    if (run.outcome !== 'awaiting_choice') {
+      paths.push(run);
+      return;
+    }
+
+    const { step, options } = run.pending;
+    const taken = new Set(run.choices.filter(choice => choice.step === step).map(choice => choice.to));
+    const open = options.filter(option => !taken.has(option.to));
+    if (open.length === 0) {
+      paths.push({ path: run.path, choices: run.choices, outcome: 'step_limit' });
+      return;
+    }
+    open.forEach(option => explore([...choices, option.to]));
+  };
+
+  explore([]);
+  return { paths, truncated };
+}
+
+module.exports = {
+  CHOICE_TYPES,
+  MAX_RUNS,
+  seededRandom,
+  simulateWorkflow,
+  enumeratePaths
+};
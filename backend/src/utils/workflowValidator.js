@@ -0,0 +1,337 @@
+/**
+ * Workflow Validator
+ *
+ * Checks AI provider output against the workflow response contract
+ * before it reaches the diagram and schema generators. Problems that
+ * can be fixed safely are repaired (and reported as repairs); anything
+ * else is reported as a problem.
+ */
+
+const { STEP_TYPES } = require('./stepTypes');
+const { validateSchema, typeOf } = require('./jsonSchema');
+const { ValidationError } = require('./errors');
+const { normalizeGraph, remapReferences } = require('./workflowGraph');
+
+const MAX_LABEL_LENGTH = 60;
+const MAX_STEPS = 50;
+
+/**
+ * Contract every provider response must satisfy after repair
+ */
+const WORKFLOW_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['workflow', 'summary'],
+  properties: {
+    workflow: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_STEPS,
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'description', 'type'],
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: { type: 'string', minLength: 1, maxLength: MAX_LABEL_LENGTH },
+          description: { type: 'string' },
+          type: { type: 'string', enum: STEP_TYPES },
+          next: { type: 'array', items: { type: 'integer' } },
+          branches: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['label', 'to'],
+              properties: {
+                label: { type: 'string', minLength: 1 },
+                to: { type: 'integer' }
+              }
+            }
+          }
+        }
+      }
+    },
+    summary: { type: 'string' }
+  }
+};
+
+/**
+ * Rules used to map unknown step types onto the known vocabulary.
+ * Each pattern is tested against the words of the type (split on "_");
+ * rules are evaluated in order and the first match wins.
+ */
+const TYPE_ALIASES = [
+  [/^(end|finish|stop|done|terminat|complet|close)/, 'end'],
+  [/^(start|begin|init|event|receive)/, 'trigger'],
+  [/^(parallel|fork|concurrent)/, 'parallel'],
+  [/^(join|merge|synchroni)/, 'join'],
+  [/^(gateway|branch|choice|condition|switch|if|decide|decision)/, 'decision'],
+  [/^(error|retry|exception|fail|fallback|compensat)/, 'error_handling'],
+  [/^(notif|e?mail|sms|message|alert|remind|push|send)/, 'notification'],
+  [/^(input|form|enter|upload|login|signup)/, 'user_input'],
+  [/^(valid|check|verif|inspect)/, 'system_check'],
+  [/^(query|read|lookup|fetch|search|get)$/, 'database_query'],
+  [/^(write|save|store|insert|persist|database|db|update)/, 'database_write'],
+  [/^(api|webhook|external|integrat|third|call|http)/, 'integration'],
+  [/^(log|logs|logging|audit|track|monitor)$/, 'logging'],
+  [/^(ai|llm|ml|model|classif|predict)/, 'ai_process'],
+  [/^(approv|review)/, 'review'],
+  [/^(display|show|render|view|screen|ui|page)$/, 'display'],
+  [/^(navigat|redirect|route)/, 'navigation'],
+  [/^(etl|transform|import|export|sync|migrat)/, 'data_operation'],
+  [/^(service|system|script|process|comput|automat|calculat)/, 'system_action'],
+  [/^(user|manual|human|click|select|task|action)/, 'user_action']
+];
+
+/**
+ * Map a step type onto the known vocabulary
+ *
+ * @param {*} rawType - Type as returned by the provider
+ * @returns {string} A type from STEP_TYPES (system_action when nothing matches)
+ */
+function normalizeStepType(rawType) {
+  const type = String(rawType ?? '')
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  if (STEP_TYPES.includes(type)) return type;
+
+  const words = type.split('_');
+  const alias = TYPE_ALIASES.find(([pattern]) => words.some(word => pattern.test(word)));
+  return alias ? alias[1] : 'system_action';
+}
+
+/**
+ * Shorten a label to the maximum length, cutting at a word boundary when possible
+ * @param {string} text - Label text
+ * @returns {string} Label of at most MAX_LABEL_LENGTH characters
+ */
+function trimLabel(text) {
+  if (text.length <= MAX_LABEL_LENGTH) return text;
+
+  const cut = text.substring(0, MAX_LABEL_LENGTH - 3);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > MAX_LABEL_LENGTH / 2 ? cut.substring(0, lastSpace) : cut).trimEnd()}...`;
+}
+
+/**
+ * Coerce the workflow field into an array where the intent is clear
+ * @param {Object} payload - Provider response
+ * @param {Array} repairs - Collected repairs
+ * @returns {*} The workflow, as an array when it could be coerced
+ */
+function coerceWorkflow(payload, repairs) {
+  const { workflow } = payload;
+
+  if (Array.isArray(workflow)) return workflow;
+
+  if (workflow === undefined && Array.isArray(payload.steps)) {
+    repairs.push({ path: '$.workflow', message: 'Used "steps" as the workflow' });
+    return payload.steps;
+  }
+
+  if (typeOf(workflow) === 'object' && Array.isArray(workflow.steps)) {
+    repairs.push({ path: '$.workflow', message: 'Unwrapped workflow.steps' });
+    return workflow.steps;
+  }
+
+  return workflow;
+}
+
+/**
+ * Coerce a step reference (number or numeric string) to an integer id
+ * @param {*} value - Reference as returned by the provider
+ * @returns {*} Integer id, or the value unchanged when it is not numeric
+ */
+function coerceReference(value) {
+  if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Repair the shape of a step's next/branches fields
+ * @param {Object} step - Workflow step (mutated)
+ * @param {string} path - Path of the step
+ * @param {Array} repairs - Collected repairs
+ */
+function repairEdges(step, path, repairs) {
+  if (step.next === null) {
+    step.next = [];
+  } else if (step.next !== undefined && !Array.isArray(step.next)) {
+    step.next = [step.next];
+    repairs.push({ path: `${path}.next`, message: 'Wrapped single next reference in an array' });
+  }
+  if (Array.isArray(step.next)) {
+    step.next = step.next.map(coerceReference);
+  }
+
+  if (step.branches === null) {
+    delete step.branches;
+  } else if (Array.isArray(step.branches)) {
+    step.branches = step.branches.map(branch => {
+      if (typeOf(branch) !== 'object') return branch;
+      const label = branch.label ?? branch.condition ?? branch.name;
+      const to = branch.to ?? branch.target ?? branch.next;
+      return { label: label === undefined ? label : String(label), to: coerceReference(to) };
+    });
+  }
+}
+
+/**
+ * Drop edges pointing at step ids that do not exist
+ * @param {Array} workflow - Workflow steps with sequential ids
+ * @param {Array} repairs - Collected repairs
+ * @returns {Array} Workflow without dangling edges
+ */
+function dropDanglingEdges(workflow, repairs) {
+  const ids = new Set(workflow.map(step => step?.id));
+
+  return workflow.map((step, index) => {
+    if (typeOf(step) !== 'object') return step;
+    const updated = { ...step };
+
+    if (Array.isArray(step.next)) {
+      updated.next = step.next.filter(to => ids.has(to) || !Number.isInteger(to));
+      if (updated.next.length < step.next.length) {
+        repairs.push({ path: `$.workflow[${index}].next`, message: 'Removed references to unknown steps' });
+      }
+    }
+    if (Array.isArray(step.branches)) {
+      updated.branches = step.branches.filter(branch => typeOf(branch) !== 'object' || ids.has(branch.to) || !Number.isInteger(branch.to));
+      if (updated.branches.length < step.branches.length) {
+        repairs.push({ path: `$.workflow[${index}].branches`, message: 'Removed branches to unknown steps' });
+      }
+    }
+    return updated;
+  });
+}
+
+/**
+ * Repair the fields of a single step where possible
+ * @param {Object} step - Workflow step
+ * @param {string} path - Path of the step
+ * @param {Array} repairs - Collected repairs
+ * @returns {Object} Repaired copy of the step
+ */
+function repairStep(step, path, repairs) {
+  const repaired = { ...step };
+
+  if (typeof repaired.name !== 'string' || repaired.name.trim() === '') {
+    const source = [repaired.title, repaired.label, repaired.description]
+      .find(value => typeof value === 'string' && value.trim() !== '');
+    if (source) {
+      repaired.name = source;
+      repairs.push({ path: `${path}.name`, message: 'Derived missing name from other step fields' });
+    }
+  }
+
+  if (typeof repaired.name === 'string') {
+    const name = repaired.name.trim();
+    repaired.name = trimLabel(name);
+    if (repaired.name.length < name.length) {
+      repairs.push({ path: `${path}.name`, message: `Trimmed name to ${MAX_LABEL_LENGTH} characters` });
+    }
+  }
+
+  if (typeof repaired.description !== 'string') {
+    repaired.description = typeof repaired.name === 'string' ? repaired.name : '';
+    repairs.push({ path: `${path}.description`, message: 'Filled missing description' });
+  }
+
+  const type = normalizeStepType(repaired.type);
+  if (type !== repaired.type) {
+    repairs.push({ path: `${path}.type`, message: `Mapped type "${repaired.type ?? ''}" to "${type}"` });
+    repaired.type = type;
+  }
+
+  repairEdges(repaired, path, repairs);
+
+  return repaired;
+}
+
+/**
+ * Validate and repair a provider response
+ *
+ * @param {Object} payload - Raw provider response ({ workflow, summary, ... })
+ * @returns {{ value: { workflow: Array, summary: string }, repairs: Array, problems: Array }}
+ */
+function validateWorkflowResponse(payload) {
+  const repairs = [];
+
+  if (typeOf(payload) !== 'object') {
+    return {
+      value: null,
+      repairs,
+      problems: [{ path: '$', message: `Expected object, got ${typeOf(payload)}` }]
+    };
+  }
+
+  let workflow = coerceWorkflow(payload, repairs);
+
+  if (Array.isArray(workflow)) {
+    workflow = workflow.map((step, index) => (
+      typeOf(step) === 'object' ? repairStep(step, `$.workflow[${index}]`, repairs) : step
+    ));
+
+    const ids = workflow.map(step => step?.id);
+    const sequential = ids.every((id, index) => id === index + 1);
+    if (!sequential) {
+      // Map each original id to its new position (first occurrence wins)
+      const idMap = new Map();
+      ids.forEach((id, index) => {
+        const key = coerceReference(id);
+        if (key !== undefined && !idMap.has(key)) idMap.set(key, index + 1);
+      });
+
+      workflow = workflow.map((step, index) => (
+        typeOf(step) === 'object' ? { ...step, id: index + 1 } : step
+      ));
+      if (workflow.every(step => typeOf(step) === 'object')) {
+        workflow = remapReferences(workflow, idMap);
+      }
+      repairs.push({ path: '$.workflow', message: 'Renumbered step ids sequentially' });
+    }
+
+    workflow = dropDanglingEdges(workflow, repairs);
+
+    if (workflow.every(step => typeOf(step) === 'object')) {
+      workflow = normalizeGraph(workflow);
+    }
+  }
+
+  let { summary } = payload;
+  if ((summary === undefined || summary === null || summary === '') && Array.isArray(workflow)) {
+    summary = `This workflow consists of ${workflow.length} steps.`;
+    repairs.push({ path: '$.summary', message: 'Filled missing summary' });
+  }
+
+  const value = { workflow, summary };
+  const problems = validateSchema(value, WORKFLOW_RESPONSE_SCHEMA);
+
+  return { value, repairs, problems };
+}
+
+/**
+ * Validate and repair a provider response, throwing when it cannot be used
+ *
+ * @param {Object} payload - Raw provider response
+ * @returns {{ workflow: Array, summary: string, repairs: Array }} Repaired response
+ * @throws {ValidationError} When problems remain after repair
+ */
+function assertValidWorkflowResponse(payload) {
+  const { value, repairs, problems } = validateWorkflowResponse(payload);
+
+  if (problems.length > 0) {
+    throw new ValidationError('The AI response does not describe a usable workflow', problems);
+  }
+
+  return { ...value, repairs };
+}
+
+module.exports = {
+  WORKFLOW_RESPONSE_SCHEMA,
+  MAX_LABEL_LENGTH,
+  normalizeStepType,
+  validateWorkflowResponse,
+  assertValidWorkflowResponse
+};
@@ -0,0 +1,152 @@
+/**
+ * Tests for Workflow Analysis
+ *
+ * Tests the complexity metrics, the risk findings and the analysis
+ * report returned with generated and saved scenarios.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../src/index');
+const { analyzeScenario } = require('../src/utils/workflowAnalyzer');
+const { startServer, request } = require('./helpers');
+
+let server;
+let baseUrl;
+
+const CHECKOUT = [
+  { id: 1, name: 'Open Checkout', description: 'Customer opens the checkout', type: 'trigger', next: [2] },
+  { id: 2, name: 'Enter Card', description: 'Customer enters card details', type: 'user_input', next: [3] },
+  { id: 3, name: 'Process Payment', description: 'Charge the card', type: 'system_action', next: [4] },
+  { id: 4, name: 'Paid?', description: 'Check the payment', type: 'decision', branches: [{ label: 'Yes', to: 5 }, { label: 'No', to: 2 }] },
+  { id: 5, name: 'Send Receipt', description: 'Email the receipt', type: 'notification', next: [6, 7] },
+  { id: 6, name: 'Sync CRM', description: 'Push the order to the CRM', type: 'integration', next: [] },
+  { id: 7, name: 'Show Receipt', description: 'Show the receipt', type: 'display', next: [] }
+];
+
+const LOGIN = [
+  { id: 1, name: 'Enter Credentials', description: 'User types email and password', type: 'user_input', next: [2] },
+  { id: 2, name: 'Verify Password', description: 'Compare the password hash', type: 'system_check', next: [3] },
+  { id: 3, name: 'Open Dashboard', description: 'Show the dashboard', type: 'navigation', next: [] }
+];
+
+const CUSTOMERS = {
+  entities: {
+    Customer: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        contact: { type: 'string', format: 'email' },
+        phone_number: { type: 'string' },
+        email_verified: { type: 'boolean' }
+      }
+    }
+  },
+  relationships: []
+};
+
+describe('Workflow Analyzer', () => {
+  it('should count steps, decisions and independent paths', () => {
+    const { metrics } = analyzeScenario(CHECKOUT, { entities: {} });
+
+    assert.strictEqual(metrics.step_count, 7);
+    assert.deepStrictEqual(metrics.steps_by_type, {
+      trigger: 1, user_input: 1, system_action: 1, decision: 1, notification: 1, integration: 1, display: 1
+    });
+    assert.strictEqual(metrics.user_facing_steps, 3);
+    assert.strictEqual(metrics.system_steps, 4);
+    assert.strictEqual(metrics.external_touchpoints, 2);
+    // The fork after the receipt runs both steps, so it is no decision
+    assert.strictEqual(metrics.decision_points, 1);
+    // 7 edges - 7 steps + 2
+    assert.strictEqual(metrics.cyclomatic_complexity, 2);
+  });
+
+  it('should flag a payment step with no error handling after it', () => {
+    const { findings, risk } = analyzeScenario(CHECKOUT, { entities: {} });
+
+    assert.deepStrictEqual(findings.map(item => [item.code, item.step, item.path]), [
+      ['payment-without-error-handling', 3, '$.workflow[2]']
+    ]);
+    assert.strictEqual(risk, 'medium');
+
+    const handled = CHECKOUT.map(step => (step.id === 4
+      ? { ...step, branches: [{ label: 'Yes', to: 5 }, { label: 'No', to: 8 }] }
+      : step));
+    handled.push({ id: 8, name: 'Payment Failed', description: 'Tell the customer', type: 'error_handling', next: [2] });
+    assert.deepStrictEqual(analyzeScenario(handled, { entities: {} }).findings, []);
+  });
+
+  it('should flag an auth flow without a logging step', () => {
+    const { findings } = analyzeScenario(LOGIN, { entities: {} });
+    assert.deepStrictEqual(findings.map(item => [item.code, item.step]), [['auth-without-logging', 1]]);
+
+    const logged = [...LOGIN, { id: 4, name: 'Log Attempt', description: 'Record the attempt', type: 'logging', next: [] }];
+    assert.deepStrictEqual(analyzeScenario(logged, { entities: {} }).findings, []);
+  });
+
+  it('should flag personal data unless an entity keeps an audit trail', () => {
+    const { findings, risk } = analyzeScenario([], CUSTOMERS);
+
+    assert.strictEqual(findings.length, 1);
+    assert.strictEqual(findings[0].code, 'pii-without-audit');
+    assert.strictEqual(findings[0].entity, 'Customer');
+    assert.ok(findings[0].message.includes('(contact, phone_number)'));
+    assert.strictEqual(risk, 'medium');
+
+    const audited = { ...CUSTOMERS, entities: { ...CUSTOMERS.entities, AuditLog: { type: 'object', properties: {} } } };
+    assert.deepStrictEqual(analyzeScenario([], audited).findings, []);
+  });
+
+  it('should rate a long chain of decisions as high risk', () => {
+    const workflow = [];
+    for (let id = 1; id <= 12; id++) {
+      workflow.push({ id, name: `Check ${id}`, description: '', type: 'decision', branches: [{ label: 'Yes', to: id + 1 }, { label: 'No', to: 13 }] });
+    }
+    workflow.push({ id: 13, name: 'Done', description: '', type: 'end', next: [] });
+
+    const { metrics, findings, risk } = analyzeScenario(workflow, { entities: {} });
+    assert.strictEqual(metrics.cyclomatic_complexity, 13);
+    assert.deepStrictEqual(findings.map(item => [item.severity, item.code]), [['info', 'high-complexity']]);
+    assert.strictEqual(risk, 'high');
+  });
+});
+
+describe('Analysis API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should return an analysis report with a generated scenario', async () => {
+    const { status, body } = await request(baseUrl, 'POST', '/api/scenario', {
+      description: 'Hotel room booking with payment'
+    });
+
+    assert.strictEqual(status, 200);
+    const report = body.data.analysis_report;
+    assert.ok(['low', 'medium', 'high'].includes(report.risk));
+    assert.strictEqual(report.metrics.step_count, body.data.workflow.length);
+    assert.ok(report.findings.some(item => item.code === 'payment-without-error-handling'));
+  });
+
+  it('should keep the analysis report of a saved scenario', async () => {
+    const saved = await request(baseUrl, 'POST', '/api/scenarios', {
+      description: 'Sign in',
+      workflow: LOGIN,
+      summary: 'Users sign in.'
+    });
+    assert.strictEqual(saved.status, 201);
+
+    const { body } = await request(baseUrl, 'GET', `/api/scenarios/${saved.body.data.id}`);
+    assert.deepStrictEqual(body.data.analysis_report.findings.map(item => item.code), ['auth-without-logging', 'pii-without-audit']);
+  });
+});
@@ -16,7 +16,7 @@ let baseUrl;
 /**
  * Helper function to make HTTP requests
  */
-function makeRequest(method, path, body = null) {
+function makeRequest(method, path, body = null, headers = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, baseUrl);
     const options = {
@@ -25,7 +25,8 @@ function makeRequest(method, path, body = null) {
       port: url.port,
       path: url.pathname,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...headers
       }
     };
 
@@ -36,11 +37,13 @@ function makeRequest(method, path, body = null) {
         try {
           resolve({
             status: res.statusCode,
+            headers: res.headers,
             body: JSON.parse(data)
           });
         } catch {
           resolve({
             status: res.statusCode,
+            headers: res.headers,
             body: data
           });
         }
@@ -97,6 +100,34 @@ describe('API Endpoints', () => {
       assert.ok(response.body.data.summary);
     });
 
+    it('should describe the generation in a meta section', async () => {
+      const response = await makeRequest('POST', '/api/scenario', {
+        description: 'Book an appointment and pay online'
+      });
+      const { meta } = response.body.data;
+
+      assert.strictEqual(meta.requestId, response.headers['x-request-id']);
+      assert.strictEqual(meta.provider, 'mock');
+      assert.strictEqual(meta.model, 'template');
+      assert.deepStrictEqual(meta.detectedTypes, ['booking', 'ecommerce']);
+      ['ai', 'schema', 'diagram', 'total'].forEach(stage => {
+        assert.strictEqual(typeof meta.timings[stage], 'number');
+      });
+      assert.ok(meta.timings.total >= meta.timings.ai);
+      assert.deepStrictEqual(meta.repairs, []);
+      assert.strictEqual(meta.usage, undefined);
+    });
+
+    it('should reuse a well-formed request id', async () => {
+      const reused = await makeRequest('POST', '/api/scenario', {
+        description: 'User login and signup flow'
+      }, { 'X-Request-Id': 'trace-123' });
+      assert.strictEqual(reused.body.data.meta.requestId, 'trace-123');
+
+      const replaced = await makeRequest('GET', '/health', null, { 'X-Request-Id': 'bad id with spaces' });
+      assert.match(replaced.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+    });
+
     it('should return error for missing description', async () => {
       const response = await makeRequest('POST', '/api/scenario', {});
 
@@ -0,0 +1,217 @@
+/**
+ * Tests for Batch Generation
+ *
+ * Tests the batch service, the batch endpoints with their job mode,
+ * and the command-line interface.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const app = require('../src/index');
+const { MAX_BATCH_SIZE, generateBatch, mapConcurrent } = require('../src/services/batchService');
+const { parseArgs, readDescriptions, run } = require('../bin/scenario-builder');
+const { startServer, request } = require('./helpers');
+
+let server;
+let baseUrl;
+
+const STORIES = [
+  'Customers buy products from an online shop',
+  'Users log in with email and password',
+  'too short'
+];
+
+/**
+ * Collect what the CLI writes to a stream
+ */
+function captureStream() {
+  const chunks = [];
+  return { write: chunk => chunks.push(chunk), text: () => chunks.join('') };
+}
+
+describe('Batch Service', () => {
+  it('should keep at most the given number of calls in flight', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapConcurrent([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      active--;
+      return index;
+    });
+
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+  });
+
+  it('should report success or error per item, in input order', async () => {
+    const batch = await generateBatch(STORIES, { concurrency: 2 });
+
+    assert.strictEqual(batch.total, 3);
+    assert.strictEqual(batch.succeeded, 2);
+    assert.strictEqual(batch.failed, 1);
+    assert.deepStrictEqual(batch.results.map(result => result.index), [0, 1, 2]);
+    assert.ok(batch.results[0].data.data_model.entities.Product);
+    assert.strictEqual(batch.results[2].success, false);
+    assert.strictEqual(batch.results[2].error.error, 'Validation failed');
+  });
+
+  it('should capture provider failures without failing the batch', async () => {
+    const provider = {
+      name: 'flaky',
+      model: 'flaky-1',
+      generate: async (description) => {
+        if (description.includes('fail')) throw new Error('boom');
+        return {
+          workflow: [{ id: 1, name: 'Only Step', description: 'Does it all', type: 'system_action' }],
+          summary: 'One step.'
+        };
+      }
+    };
+    const batch = await generateBatch(['This one should fail', 'This one should pass'], { provider });
+
+    assert.deepStrictEqual(batch.results.map(result => result.success), [false, true]);
+    assert.strictEqual(batch.results[0].error.error, 'Generation failed');
+  });
+
+  it('should reject invalid batches', async () => {
+    await assert.rejects(() => generateBatch([]), /Invalid batch/);
+    await assert.rejects(() => generateBatch(['A valid description', 42]), error => {
+      assert.strictEqual(error.details.problems[0].path, '$.descriptions[1]');
+      return true;
+    });
+    await assert.rejects(() => generateBatch(new Array(101).fill('A valid description')), /Invalid batch/);
+  });
+});
+
+describe('Batch API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should generate a batch in one request', async () => {
+    const { status, body } = await request(baseUrl, 'POST', '/api/scenarios/batch', { descriptions: STORIES });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.succeeded, 2);
+    assert.strictEqual(body.data.results[1].data.meta.provider, 'mock');
+  });
+
+  it('should run a batch as a job that can be polled', async () => {
+    const started = await request(baseUrl, 'POST', '/api/scenarios/batch', { descriptions: STORIES, async: true });
+
+    assert.strictEqual(started.status, 202);
+    assert.strictEqual(started.body.data.status, 'running');
+    assert.strictEqual(started.headers.location, `/api/scenarios/batch/${started.body.data.id}`);
+
+    let job = started.body.data;
+    for (let attempt = 0; attempt < 50 && job.status !== 'completed'; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      job = (await request(baseUrl, 'GET', started.headers.location)).body.data;
+    }
+
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.completed, 3);
+    assert.strictEqual(job.failed, 1);
+    assert.ok(job.finished_at);
+  });
+
+  it('should validate batch requests', async () => {
+    const empty = await request(baseUrl, 'POST', '/api/scenarios/batch', { descriptions: [] });
+    assert.strictEqual(empty.status, 422);
+
+    const badMode = await request(baseUrl, 'POST', '/api/scenarios/batch', { descriptions: STORIES, async: 'yes' });
+    assert.strictEqual(badMode.status, 400);
+
+    const missing = await request(baseUrl, 'GET', '/api/scenarios/batch/nope');
+    assert.strictEqual(missing.status, 404);
+  });
+});
+
+describe('Scenario Builder CLI', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'scenario-builder-'));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should parse arguments and story files', () => {
+    assert.deepStrictEqual(parseArgs(['generate', '-i', 'stories.txt', '--output', 'out', '-c', '2']), {
+      help: false,
+      command: 'generate',
+      input: 'stories.txt',
+      output: 'out',
+      concurrency: 2
+    });
+    assert.throws(() => parseArgs(['generate', '--verbose']), /Unknown argument/);
+    assert.deepStrictEqual(readDescriptions('# Backlog\nFirst story\n\n  Second story  \r\n'), ['First story', 'Second story']);
+  });
+
+  it('should write JSON, Mermaid and schema files per scenario', async () => {
+    const input = path.join(directory, 'stories.txt');
+    const output = path.join(directory, 'out');
+    await fs.writeFile(input, STORIES.join('\n'));
+
+    const stdout = captureStream();
+    const stderr = captureStream();
+    const code = await run(['generate', '-i', input, '-o', output], { stdout, stderr });
+
+    assert.strictEqual(code, 1);
+    assert.match(stdout.text(), /2 of 3 scenarios written/);
+    assert.match(stderr.text(), /✗ 3-too-short: Description too short/);
+
+    const files = (await fs.readdir(output)).sort();
+    assert.deepStrictEqual(files, [
+      '1-customers-buy-products-from-an-online-shop.json',
+      '1-customers-buy-products-from-an-online-shop.mmd',
+      '1-customers-buy-products-from-an-online-shop.schema.json',
+      '2-users-log-in-with-email-and-password.json',
+      '2-users-log-in-with-email-and-password.mmd',
+      '2-users-log-in-with-email-and-password.schema.json'
+    ]);
+
+    const diagram = await fs.readFile(path.join(output, files[1]), 'utf8');
+    assert.ok(diagram.startsWith('graph TD'));
+    const schema = JSON.parse(await fs.readFile(path.join(output, files[2]), 'utf8'));
+    assert.ok(schema.entities.Product);
+  });
+
+  it('should generate story files longer than one batch', async () => {
+    const input = path.join(directory, 'backlog.txt');
+    const output = path.join(directory, 'backlog');
+    const stories = Array.from({ length: MAX_BATCH_SIZE }, (_, index) => `Story ${index + 1}`);
+    await fs.writeFile(input, [...stories, STORIES[0]].join('\n'));
+
+    const stdout = captureStream();
+    const stderr = captureStream();
+    const code = await run(['generate', '-i', input, '-o', output, '-c', '10'], { stdout, stderr });
+
+    assert.strictEqual(code, 1);
+    assert.match(stdout.text(), /1 of 101 scenarios written/);
+    assert.match(stdout.text(), /✓ 101-customers-buy-products-from-an-online-shop/);
+    assert.match(stderr.text(), /✗ 100-story-100: Description too short/);
+  });
+
+  it('should print usage for missing arguments', async () => {
+    const stderr = captureStream();
+    assert.strictEqual(await run(['generate', '-i', 'stories.txt'], { stderr }), 2);
+    assert.match(stderr.text(), /^Usage: scenario-builder generate/);
+  });
+});
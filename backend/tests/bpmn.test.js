@@ -0,0 +1,121 @@
+/**
+ * Tests for the BPMN Generator
+ *
+ * Tests the step type mapping, the sequence flows and the diagram
+ * interchange layout of the BPMN 2.0 serializer.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { generateBPMN, getBpmnElement, escapeXml } = require('../src/utils/bpmnGenerator');
+
+const WORKFLOW = [
+  { id: 1, name: 'Order Placed', description: 'Customer submits the order', type: 'trigger' },
+  { id: 2, name: 'Enter Card', description: 'Customer enters card details', type: 'user_input' },
+  { id: 3, name: 'Process Payment', description: 'Charge the card', type: 'system_action' },
+  {
+    id: 4,
+    name: 'Payment OK?',
+    description: '',
+    type: 'decision',
+    branches: [{ label: 'Yes', to: 5 }, { label: 'No', to: 2 }]
+  },
+  { id: 5, name: 'Send Receipt', description: 'Email the receipt', type: 'notification' },
+  { id: 6, name: 'Done', description: '', type: 'end' }
+];
+
+/**
+ * Read the bounds of a shape from the DI section
+ * @param {string} xml - BPMN document
+ * @param {string} id - Element id
+ * @returns {Object} { x, y, width, height }
+ */
+function shapeBounds(xml, id) {
+  const match = xml.match(new RegExp(`bpmnElement="${id}"[^>]*>\\s*<dc:Bounds x="([\\d.]+)" y="([\\d.]+)" width="(\\d+)" height="(\\d+)"`));
+  assert.ok(match, `No shape for ${id}`);
+  const [x, y, width, height] = match.slice(1).map(Number);
+  return { x, y, width, height };
+}
+
+describe('BPMN Generator', () => {
+  it('should map step types onto BPMN elements', () => {
+    assert.strictEqual(getBpmnElement('trigger').tag, 'startEvent');
+    assert.strictEqual(getBpmnElement('decision').tag, 'exclusiveGateway');
+    assert.strictEqual(getBpmnElement('conditional').tag, 'exclusiveGateway');
+    assert.strictEqual(getBpmnElement('user_action').tag, 'userTask');
+    assert.strictEqual(getBpmnElement('user_input').tag, 'userTask');
+    assert.strictEqual(getBpmnElement('system_action').tag, 'serviceTask');
+    assert.strictEqual(getBpmnElement('notification').tag, 'sendTask');
+    assert.strictEqual(getBpmnElement('unknown_type').tag, 'task');
+  });
+
+  it('should serialize steps and labelled sequence flows', () => {
+    const xml = generateBPMN(WORKFLOW, { name: 'Checkout' });
+
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.ok(xml.includes('<bpmn:process id="Process_1" name="Checkout" isExecutable="false">'));
+    assert.ok(xml.includes('<bpmn:startEvent id="Step_1" name="Order Placed">'));
+    assert.ok(xml.includes('<bpmn:userTask id="Step_2" name="Enter Card">'));
+    assert.ok(xml.includes('<bpmn:serviceTask id="Step_3" name="Process Payment">'));
+    assert.ok(xml.includes('<bpmn:exclusiveGateway id="Step_4" name="Payment OK?">'));
+    assert.ok(xml.includes('<bpmn:sendTask id="Step_5" name="Send Receipt">'));
+    assert.ok(xml.includes('<bpmn:endEvent id="Step_6" name="Done">'));
+    assert.ok(xml.includes('<bpmn:documentation>Charge the card</bpmn:documentation>'));
+    assert.ok(xml.includes('<bpmn:sequenceFlow id="Flow_4_5" name="Yes" sourceRef="Step_4" targetRef="Step_5" />'));
+    assert.ok(xml.includes('<bpmn:sequenceFlow id="Flow_4_2" name="No" sourceRef="Step_4" targetRef="Step_2" />'));
+    assert.ok(xml.includes('<bpmn:incoming>Flow_4_2</bpmn:incoming>'));
+  });
+
+  it('should include a shape per element and an edge per flow', () => {
+    const xml = generateBPMN(WORKFLOW);
+
+    assert.strictEqual((xml.match(/<bpmndi:BPMNShape /g) || []).length, WORKFLOW.length);
+    assert.strictEqual((xml.match(/<bpmndi:BPMNEdge /g) || []).length, 6);
+    assert.ok(xml.includes('<bpmndi:BPMNShape id="Step_4_di" bpmnElement="Step_4" isMarkerVisible="true">'));
+  });
+
+  it('should lay steps out left to right and route loops below', () => {
+    const xml = generateBPMN(WORKFLOW);
+    const trigger = shapeBounds(xml, 'Step_1');
+    const payment = shapeBounds(xml, 'Step_3');
+    const gateway = shapeBounds(xml, 'Step_4');
+
+    assert.ok(payment.x > trigger.x);
+    assert.ok(gateway.x > payment.x);
+    assert.deepStrictEqual([gateway.width, gateway.height], [50, 50]);
+    // Centers share a row
+    assert.strictEqual(trigger.y + trigger.height / 2, payment.y + payment.height / 2);
+
+    const loop = xml.match(/bpmnElement="Flow_4_2">([\s\S]*?)<\/bpmndi:BPMNEdge>/)[1];
+    const ys = [...loop.matchAll(/y="([\d.]+)"/g)].map(match => Number(match[1]));
+    assert.ok(Math.max(...ys) > payment.y + payment.height);
+  });
+
+  it('should add a start event when the workflow has no clean one', () => {
+    const xml = generateBPMN([
+      { id: 1, name: 'Open Form', description: '', type: 'user_action' },
+      { id: 2, name: 'Retry?', description: '', type: 'decision', branches: [{ label: 'Again', to: 1 }] }
+    ]);
+
+    assert.ok(xml.includes('<bpmn:startEvent id="StartEvent_1">'));
+    assert.ok(xml.includes('sourceRef="StartEvent_1" targetRef="Step_1"'));
+  });
+
+  it('should turn a trigger with incoming flows into an intermediate event', () => {
+    const xml = generateBPMN([
+      { id: 1, name: 'Timer Fires', description: '', type: 'trigger' },
+      { id: 2, name: 'Check Queue', description: '', type: 'system_check', next: [1] }
+    ]);
+
+    assert.ok(xml.includes('<bpmn:intermediateThrowEvent id="Step_1" name="Timer Fires">'));
+    assert.ok(xml.includes('<bpmn:startEvent id="StartEvent_1">'));
+  });
+
+  it('should escape XML special characters', () => {
+    assert.strictEqual(escapeXml('Q&A <"draft">'), 'Q&amp;A &lt;&quot;draft&quot;&gt;');
+
+    const xml = generateBPMN([{ id: 1, name: 'Terms & Conditions', description: '', type: 'display' }]);
+    assert.ok(xml.includes('name="Terms &amp; Conditions"'));
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Tests for Data Model Editing
+ *
+ * Tests the data model validator and lint, and the endpoints that accept
+ * a hand-edited data model: derive and the saved scenario library.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../src/index');
+const { validateDataModel, assertValidDataModel } = require('../src/utils/dataModelValidator');
+const { lintDataModel } = require('../src/utils/dataModelLint');
+const { generateDataModel } = require('../src/utils/schemaGenerator');
+const { startServer, request } = require('./helpers');
+
+let server;
+let baseUrl;
+
+const WORKFLOW = [
+  { id: 1, name: 'Open Invoice', description: 'Clerk opens the invoice', type: 'trigger' },
+  { id: 2, name: 'Approve Invoice', description: 'Manager approves it', type: 'user_action' },
+  { id: 3, name: 'Done', description: 'Invoice is approved', type: 'end' }
+];
+
+const CURATED = {
+  entities: {
+    Invoice: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        total: { type: 'number', minimum: 0 },
+        status: { type: 'string', enum: ['draft', 'approved', 'paid'] },
+        lines: { type: 'array', items: { type: 'object', properties: { sku: { type: 'string' } } } }
+      },
+      required: ['id', 'total']
+    },
+    Approver: {
+      type: 'object',
+      properties: { id: { type: 'string', format: 'uuid' }, email: { type: 'string', format: 'email' } }
+    }
+  },
+  relationships: [
+    { from: 'Approver', to: 'Invoice', type: 'one-to-many', description: 'Approver signs off invoices' }
+  ]
+};
+
+describe('Data Model Validator', () => {
+  it('should accept generated and curated data models', () => {
+    assert.deepStrictEqual(validateDataModel(generateDataModel(WORKFLOW, 'Invoice approval')), []);
+    assert.deepStrictEqual(validateDataModel(CURATED), []);
+  });
+
+  it('should fill in the schema draft and relationships', () => {
+    const model = assertValidDataModel({ entities: CURATED.entities });
+    assert.strictEqual(model.$schema, 'http://json-schema.org/draft-07/schema#');
+    assert.deepStrictEqual(model.relationships, []);
+  });
+
+  it('should report invalid names, types and keywords', () => {
+    const problems = validateDataModel({
+      entities: {
+        'Line Item': { type: 'object', properties: {} },
+        Invoice: {
+          type: 'object',
+          properties: {
+            'due date': { type: 'string', format: 'date' },
+            total: { type: 'money' },
+            paid: { type: 'boolean', format: 'email' },
+            status: { type: 'string', enum: ['open', 'open', 3] },
+            lines: { type: 'array', items: { type: 'string', minimum: 1 } }
+          }
+        }
+      }
+    });
+
+    assert.deepStrictEqual(problems.map(problem => problem.path), [
+      '$.entities.Line Item',
+      '$.entities.Invoice.properties.due date',
+      '$.entities.Invoice.properties.total.type',
+      '$.entities.Invoice.properties.paid.format',
+      '$.entities.Invoice.properties.status.enum[2]',
+      '$.entities.Invoice.properties.status.enum',
+      '$.entities.Invoice.properties.lines.items.minimum'
+    ]);
+  });
+
+  it('should report relationships between unknown entities or with unknown cardinality', () => {
+    const problems = validateDataModel({
+      entities: CURATED.entities,
+      relationships: [{ from: 'Invoice', to: 'Customer', type: 'one-to-many' }, { from: 'Invoice', to: 'Approver', type: 'some' }]
+    });
+
+    assert.deepStrictEqual(problems, [
+      { path: '$.relationships[1].type', message: 'Must be one of: one-to-one, one-to-many, many-to-one, many-to-many' }
+    ]);
+
+    const dangling = validateDataModel({ entities: CURATED.entities, relationships: [{ from: 'Invoice', to: 'Customer', type: 'one-to-many' }] });
+    assert.deepStrictEqual(dangling, [{ path: '$.relationships[0].to', message: 'Unknown entity "Customer"' }]);
+  });
+
+  it('should throw a validation error listing the problems', () => {
+    assert.throws(() => assertValidDataModel({ entities: { Invoice: { type: 'array' } } }), error => {
+      assert.strictEqual(error.status, 422);
+      assert.ok(error.details.problems.length > 0);
+      return true;
+    });
+  });
+});
+
+describe('Data Model Lint', () => {
+  it('should report smells with a severity, errors first', () => {
+    const findings = lintDataModel({
+      entities: {
+        Order: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            items: { type: 'array', items: { type: 'object' } },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          },
+          required: ['id', 'total']
+        },
+        Payment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            order_id: { type: 'string', format: 'uuid' },
+            approved_by: { type: 'string', format: 'uuid' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      relationships: [{ from: 'Customer', to: 'Order', type: 'one-to-many' }]
+    });
+
+    assert.deepStrictEqual(findings.map(({ severity, code, path }) => [severity, code, path]), [
+      ['error', 'dangling-relationship', '$.relationships[0].from'],
+      ['error', 'unknown-required', '$.entities.Order.required[1]'],
+      ['warning', 'untyped-items', '$.entities.Order.properties.items.items'],
+      ['warning', 'unlinked-reference', '$.entities.Payment.properties.order_id'],
+      ['warning', 'unlinked-reference', '$.entities.Payment.properties.approved_by'],
+      ['info', 'missing-timestamps', '$.entities.Payment.properties']
+    ]);
+    assert.strictEqual(findings[3].entity, 'Payment');
+    assert.match(findings[3].message, /no relationship connects Payment and Order/);
+  });
+
+  it('should accept references backed by a relationship', () => {
+    const linked = lintDataModel({
+      entities: {
+        Order: { type: 'object', properties: { id: { type: 'string' } } },
+        Payment: { type: 'object', properties: { id: { type: 'string' }, order_id: { type: 'string', format: 'uuid' } } }
+      },
+      relationships: [{ from: 'Order', to: 'Payment', type: 'one-to-one' }]
+    });
+    assert.ok(!linked.some(({ code }) => code === 'unlinked-reference'));
+  });
+});
+
+describe('Data Model API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should keep a curated data model when deriving and draw the ER diagram from it', async () => {
+    const { status, body } = await request(baseUrl, 'POST', '/api/derive', {
+      workflow: WORKFLOW,
+      summary: 'Invoices are approved.',
+      data_model: CURATED
+    });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(Object.keys(body.data.data_model.entities), ['Invoice', 'Approver']);
+    assert.deepStrictEqual(body.data.data_model.relationships, CURATED.relationships);
+    assert.match(body.data.diagrams.er, /APPROVER/i);
+    assert.ok(body.data.diagrams.state.Invoice);
+    assert.deepStrictEqual(body.data.data_model_lint.map(finding => finding.code), ['missing-timestamps', 'missing-timestamps']);
+  });
+
+  it('should reject an invalid data model', async () => {
+    const notObject = await request(baseUrl, 'POST', '/api/derive', { workflow: WORKFLOW, data_model: [] });
+    assert.strictEqual(notObject.status, 400);
+
+    const invalid = await request(baseUrl, 'POST', '/api/derive', {
+      workflow: WORKFLOW,
+      data_model: { entities: { Invoice: { type: 'object', properties: { total: { type: 'money' } } } } }
+    });
+    assert.strictEqual(invalid.status, 422);
+    assert.strictEqual(invalid.body.message, 'The data model is not valid JSON Schema');
+    assert.strictEqual(invalid.body.details.problems[0].path, '$.entities.Invoice.properties.total.type');
+  });
+
+  it('should validate data models saved with a scenario', async () => {
+    const scenario = { description: 'Invoice approval', workflow: WORKFLOW, summary: 'Invoices are approved.' };
+
+    const saved = await request(baseUrl, 'POST', '/api/scenarios', { ...scenario, data_model: CURATED });
+    assert.strictEqual(saved.status, 201);
+    assert.deepStrictEqual(Object.keys(saved.body.data.data_model.entities), ['Invoice', 'Approver']);
+
+    const rejected = await request(baseUrl, 'PUT', `/api/scenarios/${saved.body.data.id}`, {
+      data_model: { entities: { Invoice: { type: 'object', properties: {} } }, relationships: [{ from: 'Invoice', to: 'Ghost', type: 'one-to-one' }] }
+    });
+    assert.strictEqual(rejected.status, 422);
+  });
+});
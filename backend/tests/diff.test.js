@@ -0,0 +1,103 @@
+/**
+ * Tests for Scenario Diffing
+ *
+ * Tests the comparison of workflows and data models between versions.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { diffWorkflows, diffDataModels, diffScenarios } = require('../src/utils/scenarioDiff');
+
+const baseWorkflow = [
+  { id: 1, name: 'Start', description: 'Begin', type: 'trigger', next: [2] },
+  { id: 2, name: 'Pay', description: 'Take payment', type: 'system_action', next: [3] },
+  { id: 3, name: 'Notify', description: 'Send email', type: 'notification', next: [] }
+];
+
+describe('Workflow Diff', () => {
+  it('should report no changes for identical workflows', () => {
+    const diff = diffWorkflows(baseWorkflow, baseWorkflow);
+    assert.strictEqual(diff.added.length, 0);
+    assert.strictEqual(diff.removed.length, 0);
+    assert.strictEqual(diff.changed.length, 0);
+    assert.strictEqual(diff.unchanged, 3);
+  });
+
+  it('should match steps by name when ids shift', () => {
+    const after = [
+      { id: 1, name: 'Start', description: 'Begin', type: 'trigger', next: [2] },
+      { id: 2, name: 'Fraud Check', description: 'Screen the order', type: 'system_check', next: [3] },
+      { id: 3, name: 'Pay', description: 'Take payment', type: 'system_action', next: [4] },
+      { id: 4, name: 'Notify', description: 'Send email', type: 'notification', next: [] }
+    ];
+    const diff = diffWorkflows(baseWorkflow, after);
+
+    assert.deepStrictEqual(diff.added.map(step => step.name), ['Fraud Check']);
+    assert.strictEqual(diff.removed.length, 0);
+    // Start now leads to Fraud Check instead of Pay
+    assert.deepStrictEqual(diff.changed.map(change => change.after.name), ['Start']);
+    assert.deepStrictEqual(diff.changed[0].fields, ['edges']);
+  });
+
+  it('should report renamed and retyped steps as changed', () => {
+    const after = baseWorkflow.map(step => (
+      step.id === 3 ? { ...step, name: 'Send Receipt', type: 'integration' } : step
+    ));
+    const diff = diffWorkflows(baseWorkflow, after);
+
+    assert.strictEqual(diff.changed.length, 1);
+    assert.deepStrictEqual(diff.changed[0].fields, ['name', 'type']);
+  });
+
+  it('should report removed steps', () => {
+    const diff = diffWorkflows(baseWorkflow, baseWorkflow.slice(0, 2));
+    assert.deepStrictEqual(diff.removed.map(step => step.name), ['Notify']);
+  });
+});
+
+describe('Data Model Diff', () => {
+  const before = {
+    entities: {
+      User: { properties: { id: { type: 'string' }, email: { type: 'string' } } },
+      Order: { properties: { id: { type: 'string' }, total: { type: 'number' } } }
+    },
+    relationships: [{ from: 'User', to: 'Order', type: 'one-to-many' }]
+  };
+
+  it('should report entity, property and relationship changes', () => {
+    const after = {
+      entities: {
+        User: { properties: { id: { type: 'string' }, name: { type: 'string' } } },
+        Order: { properties: { id: { type: 'string' }, total: { type: 'integer' } } },
+        Payment: { properties: { id: { type: 'string' } } }
+      },
+      relationships: [
+        { from: 'User', to: 'Order', type: 'many-to-many' },
+        { from: 'Order', to: 'Payment', type: 'one-to-one' }
+      ]
+    };
+    const diff = diffDataModels(before, after);
+
+    assert.deepStrictEqual(diff.entities.added, ['Payment']);
+    const user = diff.entities.changed.find(change => change.entity === 'User');
+    assert.deepStrictEqual(user.properties_added, ['name']);
+    assert.deepStrictEqual(user.properties_removed, ['email']);
+    const order = diff.entities.changed.find(change => change.entity === 'Order');
+    assert.strictEqual(order.properties_changed[0].property, 'total');
+    assert.strictEqual(diff.relationships.added.length, 1);
+    assert.strictEqual(diff.relationships.changed[0].after.type, 'many-to-many');
+  });
+
+  it('should summarize a scenario diff', () => {
+    const diff = diffScenarios(
+      { version: 1, workflow: baseWorkflow, data_model: before, summary: 'a' },
+      { version: 2, workflow: baseWorkflow.slice(0, 2), data_model: before, summary: 'b' }
+    );
+
+    assert.strictEqual(diff.from, 1);
+    assert.strictEqual(diff.to, 2);
+    assert.strictEqual(diff.stats.steps_removed, 1);
+    assert.strictEqual(diff.summary_changed, true);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for Entity Inference
+ *
+ * Tests how entities, their statuses and relationships are read from
+ * the scenario text, and the schemas synthesized for new entities.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { inferEntities, inferRelationships, findNounPhrases, tokenize } = require('../src/utils/entityInference');
+const { generateDataModel } = require('../src/utils/schemaGenerator');
+const { validateDataModel } = require('../src/utils/dataModelValidator');
+const { lintDataModel } = require('../src/utils/dataModelLint');
+const { generateStepsForType } = require('../src/utils/mockAI');
+const { generateSQL } = require('../src/exporters/sqlExporter');
+
+const FLEET = [
+  { id: 1, name: 'Report Fault', description: 'Driver reports a fault on the vehicle' },
+  { id: 2, name: 'Inspect Vehicle', description: 'Mechanic inspects the vehicle and orders parts' },
+  { id: 3, name: 'Repair Vehicle', description: 'Mechanic repairs the vehicle with the parts' },
+  { id: 4, name: 'Sign Off', description: 'Manager signs off the maintenance log' }
+];
+
+const FLEET_DESCRIPTION = 'Fleet maintenance: each vehicle has a maintenance log, and mechanics repair vehicles';
+
+const CLASSROOM = [
+  { id: 1, name: 'Open Semester', description: 'Teacher opens the semester in the first week of the month' },
+  { id: 2, name: 'Post Assignment', description: 'Teacher posts the assignment for the week with a deadline' },
+  { id: 3, name: 'Submit Work', description: 'Student hands in the work before the deadline, within two days' },
+  { id: 4, name: 'Grade Work', description: 'Teacher grades the work within a day and updates the report card' },
+  { id: 5, name: 'Close Semester', description: 'Teacher closes the semester at the end of the month and sends the report card' }
+];
+
+const CLASSROOM_DESCRIPTION = 'Teachers set assignments for students every week of the semester and send a report card at the end of each month';
+
+/**
+ * @param {Object} model - Data model
+ * @returns {Array<string>} Its relationships as "From type To"
+ */
+function describeRelationships(model) {
+  return model.relationships.map(({ from, to, type }) => `${from} ${type} ${to}`);
+}
+
+describe('Entity Inference', () => {
+  it('should find noun phrases after articles, verbs, prepositions and in lists', () => {
+    const phrases = findNounPhrases(tokenize('Members borrow books and librarians track loans for the city library.'));
+    assert.deepStrictEqual(phrases, [['members'], ['books'], ['librarians'], ['loans'], ['city', 'library']]);
+  });
+
+  it('should infer entities outside the template vocabulary', () => {
+    const entities = inferEntities(['Fleet maintenance with vehicles, mechanics and parts']);
+    assert.deepStrictEqual(entities.map(entity => entity.name), ['Maintenance', 'Vehicle', 'Mechanic', 'Part']);
+    assert.strictEqual(entities.find(entity => entity.name === 'Mechanic').actor, true);
+  });
+
+  it('should map synonyms onto the template entities', () => {
+    const entities = inferEntities(['Patients book an appointment', 'Clinic sends an alert']);
+    const known = entities.filter(entity => entity.known).map(entity => entity.name);
+    assert.deepStrictEqual(known, ['Booking', 'Notification']);
+  });
+
+  it('should name compound entities after their modifier', () => {
+    const entities = inferEntities(['Employees submit a leave request to their manager']);
+    assert.ok(entities.some(entity => entity.name === 'LeaveRequest'));
+  });
+
+  it('should ignore nouns only a single step mentions', () => {
+    const entities = inferEntities(['Library loans', 'Scan the barcode', 'Record the loan']);
+    assert.ok(!entities.some(entity => entity.name === 'Barcode'));
+    assert.ok(entities.some(entity => entity.name === 'Loan'));
+  });
+
+  it('should infer relationships from the words between mentions', () => {
+    const texts = ['Each vehicle has parts', 'Mechanics repair vehicles', 'Notes for the vehicle'];
+    const entities = inferEntities(['Vehicles, parts, mechanics and vehicle notes', ...texts]);
+    const relationships = inferRelationships(texts, entities);
+
+    assert.deepStrictEqual(relationships.map(({ from, to, type }) => `${from} ${type} ${to}`), [
+      'Vehicle one-to-many Part',
+      'Mechanic many-to-many Vehicle'
+    ]);
+    assert.strictEqual(relationships[1].description, 'Mechanic repairs vehicles');
+  });
+
+  it('should not turn units of time into entities', () => {
+    const texts = ['Customers must confirm the order within three days'];
+    const entities = inferEntities(texts);
+
+    assert.deepStrictEqual(entities.map(entity => entity.name), ['Customer', 'Order']);
+    assert.deepStrictEqual(inferRelationships(texts, entities).map(({ from, to }) => `${from} ${to}`), ['Customer Order']);
+  });
+
+  it('should relate people to what they buy or repair without owning it', () => {
+    const texts = ['Customers buy products. Authors write articles.'];
+    const relationships = inferRelationships(texts, inferEntities(texts));
+
+    assert.deepStrictEqual(relationships.map(({ from, to, type }) => `${from} ${type} ${to}`), [
+      'Customer many-to-many Product',
+      'Author one-to-many Content'
+    ]);
+  });
+
+  it('should find the people named as modifiers and the verbs it does not know', () => {
+    const texts = ['Teachers grade student assignments and share the grades with parents'];
+    const entities = inferEntities(texts);
+
+    assert.deepStrictEqual(entities.map(entity => entity.name), ['Teacher', 'Student', 'Assignment', 'Grade', 'Parent']);
+    assert.ok(inferRelationships(texts, entities).some(({ from, to, type }) => (
+      from === 'Student' && to === 'Assignment' && type === 'one-to-many'
+    )));
+  });
+
+  it('should make the person a thing is with its owner', () => {
+    const texts = ['Patients book appointments with doctors and nurses'];
+    const relationships = inferRelationships(texts, inferEntities(texts));
+
+    assert.deepStrictEqual(relationships.map(({ from, to, type }) => `${from} ${type} ${to}`), [
+      'Patient one-to-many Booking',
+      'Doctor one-to-many Booking',
+      'Nurse one-to-many Booking'
+    ]);
+  });
+});
+
+describe('Inferred Data Model', () => {
+  it('should synthesize schemas with statuses and foreign keys', () => {
+    const model = generateDataModel(FLEET, FLEET_DESCRIPTION);
+    const { Vehicle, Mechanic, MaintenanceLog } = model.entities;
+
+    // Mechanics repair many vehicles, so Vehicle has no mechanic_id
+    assert.deepStrictEqual(Object.keys(Vehicle.properties), ['id', 'name', 'status', 'created_at', 'updated_at']);
+    assert.deepStrictEqual(Vehicle.properties.status.enum, ['pending', 'repaired', 'inspected']);
+    assert.strictEqual(Mechanic.properties.email.format, 'email');
+    assert.deepStrictEqual(Mechanic.properties.status.enum, ['active', 'inactive']);
+    assert.strictEqual(MaintenanceLog.properties.vehicle_id.format, 'uuid');
+    assert.ok(model.relationships.some(({ from, to, type }) => from === 'Vehicle' && to === 'MaintenanceLog' && type === 'one-to-one'));
+    assert.deepStrictEqual(validateDataModel(model), []);
+  });
+
+  it('should keep the people and things of a scenario over times and generic nouns', () => {
+    const model = generateDataModel(CLASSROOM, CLASSROOM_DESCRIPTION);
+
+    assert.deepStrictEqual(Object.keys(model.entities), ['Teacher', 'Assignment', 'Student']);
+    assert.deepStrictEqual(describeRelationships(model), ['Teacher one-to-many Assignment', 'Student one-to-many Assignment']);
+  });
+
+  it('should join buyers and products instead of giving products a buyer key', () => {
+    const model = generateDataModel([{ id: 1, name: 'Buy Products', description: 'Customer buys the products' }], 'Customers buy products');
+    const sql = generateSQL(model);
+
+    assert.strictEqual(model.entities.Product.properties.customer_id, undefined);
+    assert.ok(sql.includes('CREATE TABLE customer_products ('));
+    assert.ok(!/CREATE TABLE products \([^;]*customer_id/.test(sql));
+  });
+
+  it('should keep the template relationships of the built-in scenarios', () => {
+    const expected = {
+      ecommerce: [
+        'User one-to-many Order',
+        'User one-to-one Cart',
+        'Order one-to-one Payment',
+        'Order many-to-many Product',
+        'Cart many-to-many Product'
+      ],
+      auth: ['User one-to-many Session'],
+      support: [
+        'User one-to-many Ticket',
+        'User one-to-many Notification',
+        'Customer one-to-many Ticket',
+        'Agent one-to-many Ticket'
+      ],
+      booking: ['User one-to-many Booking', 'Booking one-to-many Payment'],
+      content: ['User one-to-many Content']
+    };
+    const descriptions = {
+      ecommerce: 'Online shopping with cart and checkout',
+      auth: 'User login with two-factor authentication',
+      support: 'Customer support ticket system',
+      booking: 'Hotel room booking with payment',
+      content: 'Blog content publishing with review'
+    };
+
+    Object.entries(expected).forEach(([type, relationships]) => {
+      const model = generateDataModel(generateStepsForType([type], descriptions[type]), descriptions[type]);
+      assert.deepStrictEqual(describeRelationships(model), relationships, type);
+    });
+  });
+
+  it('should back the foreign keys of the e-commerce templates with relationships', () => {
+    const description = 'Online shopping with cart and checkout';
+    const model = generateDataModel(generateStepsForType(['ecommerce'], description), description);
+
+    assert.deepStrictEqual(lintDataModel(model).filter(item => item.code === 'unlinked-reference'), []);
+  });
+
+  it('should be deterministic', () => {
+    assert.deepStrictEqual(generateDataModel(FLEET, FLEET_DESCRIPTION), generateDataModel(FLEET, FLEET_DESCRIPTION));
+  });
+
+  it('should fall back to a Record entity', () => {
+    const model = generateDataModel([{ id: 1, name: 'Start', description: 'Begin the process' }], 'Something generic');
+    assert.deepStrictEqual(Object.keys(model.entities), ['Record']);
+  });
+});
@@ -0,0 +1,402 @@
+/**
+ * Tests for Data Model Exporters
+ *
+ * Tests the SQL, Prisma, TypeScript, Zod and OpenAPI generators and
+ * the export endpoints.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+
+const app = require('../src/index');
+const { buildRelationalModel } = require('../src/exporters/relationalModel');
+const { generateSQL } = require('../src/exporters/sqlExporter');
+const { generatePrismaSchema } = require('../src/exporters/prismaExporter');
+const { generateTypeScript, generateZod } = require('../src/exporters/typescriptExporter');
+const { generateOpenAPI } = require('../src/exporters/openapiExporter');
+const { generateGherkin } = require('../src/exporters/gherkinExporter');
+const { generateScaffold } = require('../src/exporters/scaffoldExporter');
+const { createZip, crc32 } = require('../src/utils/zip');
+const { generateWorkflow } = require('../src/services/workflowService');
+const { startServer, request, unzip } = require('./helpers');
+
+let server;
+let baseUrl;
+
+const DATA_MODEL = {
+  entities: {
+    User: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        email: { type: 'string', format: 'email' },
+        role: { type: 'string', enum: ['user', 'admin'] }
+      },
+      required: ['id', 'email']
+    },
+    Order: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        total: { type: 'number', minimum: 0 },
+        paid: { type: 'boolean', default: false }
+      },
+      required: ['id', 'total']
+    },
+    Product: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['id']
+    }
+  },
+  relationships: [
+    { from: 'User', to: 'Order', type: 'one-to-many' },
+    { from: 'Order', to: 'Product', type: 'many-to-many' }
+  ]
+};
+
+describe('Relational Model', () => {
+  it('should add foreign keys and join tables from relationships', () => {
+    const { tables, joinTables } = buildRelationalModel(DATA_MODEL);
+    const orders = tables.find(table => table.entity === 'Order');
+    const userId = orders.columns.find(column => column.name === 'user_id');
+
+    assert.deepStrictEqual(userId.references, { entity: 'User', table: 'users', column: 'id' });
+    assert.strictEqual(joinTables[0].name, 'order_products');
+    assert.ok(tables.findIndex(table => table.entity === 'User') < tables.indexOf(orders));
+  });
+
+  it('should reuse a foreign key property the schema already declares', () => {
+    const model = JSON.parse(JSON.stringify(DATA_MODEL));
+    model.entities.Order.properties.user_id = { type: 'string', format: 'uuid' };
+    model.entities.Order.required.push('user_id');
+
+    const orders = buildRelationalModel(model).tables.find(table => table.entity === 'Order');
+    const userIds = orders.columns.filter(column => column.name === 'user_id');
+    assert.strictEqual(userIds.length, 1);
+    assert.strictEqual(userIds[0].required, true);
+  });
+});
+
+describe('SQL Exporter', () => {
+  it('should generate PostgreSQL tables with constraints', () => {
+    const sql = generateSQL(DATA_MODEL, 'postgresql');
+
+    assert.ok(sql.includes('CREATE TABLE users ('));
+    assert.ok(sql.includes('id UUID PRIMARY KEY'));
+    assert.ok(sql.includes("role TEXT CHECK (role IN ('user', 'admin'))"));
+    assert.ok(sql.includes('total NUMERIC NOT NULL CHECK (total >= 0)'));
+    assert.ok(sql.includes('paid BOOLEAN DEFAULT FALSE'));
+    assert.ok(sql.includes('user_id UUID REFERENCES users(id)'));
+    assert.ok(sql.includes('PRIMARY KEY (order_id, product_id)'));
+    assert.ok(sql.includes('tags JSONB'));
+  });
+
+  it('should use SQLite types', () => {
+    const sql = generateSQL(DATA_MODEL, 'sqlite');
+
+    assert.ok(sql.startsWith('PRAGMA foreign_keys = ON;'));
+    assert.ok(sql.includes('id TEXT PRIMARY KEY'));
+    assert.ok(sql.includes('paid INTEGER DEFAULT 0'));
+  });
+});
+
+describe('Prisma Exporter', () => {
+  it('should generate models, enums and relations', () => {
+    const schema = generatePrismaSchema(DATA_MODEL);
+
+    assert.ok(schema.includes('model User {'));
+    assert.ok(/role\s+UserRole\?/.test(schema));
+    assert.ok(schema.includes('enum UserRole {'));
+    assert.ok(/orders\s+Order\[\]/.test(schema));
+    assert.ok(schema.includes('@relation(fields: [user_id], references: [id])'));
+    assert.ok(/products\s+Product\[\]/.test(schema));
+    assert.ok(/tags\s+String\[\]/.test(schema));
+    assert.ok(schema.includes('@@map("orders")'));
+  });
+});
+
+describe('TypeScript Exporters', () => {
+  it('should generate interfaces with optional properties', () => {
+    const source = generateTypeScript(DATA_MODEL);
+
+    assert.ok(source.includes('export interface User {'));
+    assert.ok(source.includes('  email: string;'));
+    assert.ok(source.includes('  role?: "user" | "admin";'));
+    assert.ok(source.includes('  user_id?: string;'));
+    assert.ok(source.includes('  tags?: string[];'));
+  });
+
+  it('should generate Zod schemas', () => {
+    const source = generateZod(DATA_MODEL);
+
+    assert.ok(source.startsWith("import { z } from 'zod';"));
+    assert.ok(source.includes('email: z.string().email(),'));
+    assert.ok(source.includes('total: z.number().min(0),'));
+    assert.ok(source.includes('paid: z.boolean().default(false),'));
+    assert.ok(source.includes('export type Order = z.infer<typeof OrderSchema>;'));
+  });
+});
+
+describe('OpenAPI Exporter', () => {
+  const workflow = [
+    { id: 1, name: 'Browse Orders', description: 'User looks at past orders', type: 'display' },
+    { id: 2, name: 'Create Order', description: 'Store the order', type: 'database_write' },
+    { id: 3, name: 'Process Order', description: 'Charge the order', type: 'system_action' }
+  ];
+
+  it('should generate CRUD paths with reused schemas', () => {
+    const document = generateOpenAPI({ title: 'Shop', summary: 'A shop.', workflow: [], data_model: DATA_MODEL });
+
+    assert.strictEqual(document.openapi, '3.1.0');
+    assert.strictEqual(document.info.description, 'A shop.');
+    assert.deepStrictEqual(Object.keys(document.paths['/orders']), ['get', 'post']);
+    assert.deepStrictEqual(Object.keys(document.paths['/orders/{id}']), ['parameters', 'get', 'put', 'delete']);
+    assert.deepStrictEqual(
+      document.paths['/orders'].post.requestBody.content['application/json'].schema,
+      { $ref: '#/components/schemas/Order' }
+    );
+    assert.ok(document.components.schemas.Order.properties.user_id);
+    assert.strictEqual(document.components.schemas.Order.properties.id.readOnly, true);
+  });
+
+  it('should resolve every reference', () => {
+    const document = generateOpenAPI({ workflow, data_model: DATA_MODEL });
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g);
+
+    refs.forEach(ref => {
+      const target = ref.slice(8, -1).replace('#/', '').split('/')
+        .reduce((node, key) => node?.[key], document);
+      assert.ok(target, `${ref} does not resolve`);
+    });
+  });
+
+  it('should attach workflow steps to the operations they hint at', () => {
+    const document = generateOpenAPI({ workflow, data_model: DATA_MODEL });
+
+    assert.deepStrictEqual(document.paths['/orders'].get['x-workflow-steps'].map(step => step.id), [1]);
+    assert.deepStrictEqual(document.paths['/orders'].post['x-workflow-steps'].map(step => step.id), [2]);
+    const action = document.paths['/orders/{id}/process'].post;
+    assert.strictEqual(action.operationId, 'processOrder');
+    assert.strictEqual(action.summary, 'Process Order');
+  });
+});
+
+describe('Gherkin Exporter', () => {
+  const WORKFLOW = [
+    { id: 1, name: 'Checkout Started', description: 'Customer opens the checkout', type: 'trigger', next: [2] },
+    { id: 2, name: 'Enter Card', description: 'Customer enters card details', type: 'user_input', next: [3] },
+    { id: 3, name: 'Validate Card', description: 'System validates the card.', type: 'system_check', next: [4] },
+    { id: 4, name: 'Payment OK?', description: 'Check the payment', type: 'decision', branches: [{ label: 'Yes', to: 5 }, { label: 'No', to: 2 }] },
+    { id: 5, name: 'Send Receipt', description: 'Email the receipt', type: 'notification', next: [6] },
+    { id: 6, name: 'SMS Sent', description: 'SMS confirms the order', type: 'notification', next: [] }
+  ];
+
+  it('should write one scenario per path through the decisions', () => {
+    const feature = generateGherkin(WORKFLOW, { title: 'Checkout', summary: 'Takes payments. Sends receipts.' });
+
+    assert.ok(feature.startsWith('Feature: Checkout\n  Takes payments.\n  Sends receipts.\n'));
+    assert.ok(feature.includes('  Scenario: Payment OK?: Yes\n'));
+    assert.ok(feature.includes('  Scenario: Payment OK?: No, then Payment OK?: Yes\n'));
+    assert.strictEqual(feature.match(/Scenario:/g).length, 2);
+  });
+
+  it('should map step types onto Given, When and Then', () => {
+    const feature = generateGherkin(WORKFLOW, { title: 'Checkout' });
+    const scenario = feature.split('\n\n')[1].split('\n');
+
+    assert.deepStrictEqual(scenario.slice(1), [
+      '    Given customer opens the checkout',
+      '    When customer enters card details',
+      '    Then system validates the card',
+      '    And the "Payment OK?" outcome is "Yes"',
+      '    And an email is sent: email the receipt',
+      '    And an SMS is sent: SMS confirms the order'
+    ]);
+  });
+});
+
+describe('Scaffold Exporter', () => {
+  const SCENARIO = {
+    title: 'Shop Checkout',
+    summary: 'Takes payments.',
+    workflow: [
+      { id: 1, name: 'Checkout Started', description: 'Customer opens the checkout', type: 'trigger' },
+      { id: 2, name: 'Validate Cart', description: 'System checks stock', type: 'system_check' },
+      { id: 3, name: 'Process Payment', description: 'System charges the card', type: 'system_action' },
+      { id: 4, name: 'Send Receipt', description: 'Email the receipt', type: 'notification' }
+    ],
+    data_model: {
+      entities: {
+        ...DATA_MODEL.entities,
+        Shipment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: ['pending', 'shipped', 'delivered', 'cancelled'] }
+          },
+          required: ['id', 'status']
+        }
+      },
+      relationships: DATA_MODEL.relationships
+    }
+  };
+
+  it('should lay out routes, machines, services and tests in a project folder', () => {
+    const paths = generateScaffold(SCENARIO).map(file => file.path);
+
+    assert.ok(paths.every(path => path.startsWith('shop-checkout/')));
+    ['package.json', 'src/index.js', 'src/routes/orders.js', 'src/routes/shipments.js', 'src/services/workflowService.js',
+      'src/machines/shipmentMachine.js', 'tests/orders.test.js', 'tests/machines.test.js', 'tests/workflowService.test.js']
+      .forEach(path => assert.ok(paths.includes(`shop-checkout/${path}`), path));
+    // Only entities with a status enum get a machine
+    assert.ok(!paths.includes('shop-checkout/src/machines/orderMachine.js'));
+  });
+
+  it('should write JavaScript that parses', () => {
+    generateScaffold(SCENARIO)
+      .filter(file => file.path.endsWith('.js'))
+      .forEach(file => assert.doesNotThrow(() => new vm.Script(file.content, { filename: file.path }), file.path));
+  });
+
+  it('should follow the state diagram in the status machines', () => {
+    const machine = generateScaffold(SCENARIO).find(file => file.path.endsWith('shipmentMachine.js')).content;
+
+    assert.ok(machine.includes("initial: 'pending'"));
+    assert.ok(machine.includes("SHIPPED: 'shipped',\n        CANCELLED: 'cancelled'"));
+    assert.ok(machine.includes("delivered: {\n      type: 'final'\n    }"));
+  });
+
+  it('should write a service function and a todo test per system step', () => {
+    const files = generateScaffold(SCENARIO);
+    const service = files.find(file => file.path.endsWith('src/services/workflowService.js')).content;
+    const tests = files.find(file => file.path.endsWith('tests/workflowService.test.js')).content;
+
+    assert.deepStrictEqual(service.match(/^async function \w+/gm), ['async function validateCart', 'async function processPayment']);
+    assert.strictEqual(tests.match(/\{ todo: /g).length, 2);
+  });
+
+  it('should pack files into a zip archive', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+
+    const zip = createZip([{ path: 'a/readme.txt', content: 'héllo' }, { path: 'a/empty.txt', content: '' }]);
+    assert.strictEqual(zip.readUInt32LE(0), 0x04034b50);
+    assert.deepStrictEqual(unzip(zip), { 'a/readme.txt': 'héllo', 'a/empty.txt': '' });
+  });
+});
+
+describe('Export API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should list the export formats', async () => {
+    const { body } = await request(baseUrl, 'GET', '/api/exports');
+    assert.deepStrictEqual(body.data.map(format => format.id), ['postgresql', 'sqlite', 'prisma', 'typescript', 'zod', 'openapi', 'bpmn', 'gherkin', 'scaffold']);
+  });
+
+  it('should export unsaved content as a download', async () => {
+    const { status, headers, body } = await request(baseUrl, 'POST', '/api/export/prisma', {
+      title: 'Shop Checkout',
+      data_model: DATA_MODEL
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers['content-disposition'], 'attachment; filename="shop-checkout.prisma"');
+    assert.ok(body.includes('model Order {'));
+  });
+
+  it('should reject a malformed data model with the paths of its problems', async () => {
+    const { status, body } = await request(baseUrl, 'POST', '/api/export/postgresql', {
+      data_model: {
+        entities: { Order: { type: 'object', properties: { total: 'number' } } },
+        relationships: [{ from: 'Order', to: 'Customer', type: 'one-to-many' }]
+      }
+    });
+
+    assert.strictEqual(status, 422);
+    const paths = body.details.problems.map(problem => problem.path);
+    assert.ok(paths.includes('$.entities.Order.properties.total'));
+    assert.ok(paths.includes('$.relationships[0].to'));
+  });
+
+  it('should export a saved scenario', async () => {
+    const description = 'Customer checkout with cart and payment';
+    const generated = await generateWorkflow(description);
+    const saved = await request(baseUrl, 'POST', '/api/scenarios', { description, ...generated });
+
+    const { status, body } = await request(baseUrl, 'GET', `/api/scenarios/${saved.body.data.id}/export/postgresql`);
+    assert.strictEqual(status, 200);
+    assert.ok(body.includes('CREATE TABLE payments'));
+
+    const openapi = await request(baseUrl, 'GET', `/api/scenarios/${saved.body.data.id}/openapi`);
+    assert.strictEqual(openapi.status, 200);
+    assert.strictEqual(openapi.body.openapi, '3.1.0');
+    assert.ok(openapi.body.paths['/payments/{id}/process']);
+  });
+
+  it('should export a workflow as BPMN without a data model', async () => {
+    const { status, headers, body } = await request(baseUrl, 'POST', '/api/export/bpmn', {
+      title: 'Shop Checkout',
+      workflow: [
+        { id: 1, name: 'Order Placed', description: '', type: 'trigger' },
+        { id: 2, name: 'Ship Order', description: '', type: 'system_action' }
+      ]
+    });
+
+    assert.strictEqual(status, 200);
+    assert.ok(headers['content-type'].startsWith('application/xml'));
+    assert.strictEqual(headers['content-disposition'], 'attachment; filename="shop-checkout.bpmn"');
+    assert.ok(body.includes('<bpmn:startEvent id="Step_1" name="Order Placed">'));
+
+    const missing = await request(baseUrl, 'POST', '/api/export/bpmn', { data_model: DATA_MODEL });
+    assert.strictEqual(missing.status, 422);
+  });
+
+  it('should export a workflow as a Gherkin feature', async () => {
+    const description = 'Customer checkout with cart and payment';
+    const generated = await generateWorkflow(description);
+    const saved = await request(baseUrl, 'POST', '/api/scenarios', { description, ...generated });
+
+    const { status, headers, body } = await request(baseUrl, 'GET', `/api/scenarios/${saved.body.data.id}/export/gherkin`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers['content-disposition'], 'attachment; filename="customer-checkout-with-cart-and-payment.feature"');
+    assert.ok(body.startsWith('Feature: Customer checkout with cart and payment\n'));
+    assert.ok(body.includes('Scenario: Payment Verification: Failed, then Payment Verification: Success'));
+  });
+
+  it('should export a code scaffold as a zip archive', async () => {
+    const { status, headers, raw } = await request(baseUrl, 'POST', '/api/export/scaffold', {
+      title: 'Shop Checkout',
+      data_model: DATA_MODEL
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers['content-type'], 'application/zip');
+    assert.strictEqual(headers['content-disposition'], 'attachment; filename="shop-checkout.scaffold.zip"');
+
+    const files = unzip(raw);
+    assert.strictEqual(JSON.parse(files['shop-checkout/package.json']).scripts.test, 'node --test tests/*.test.js');
+    assert.ok(files['shop-checkout/src/index.js'].includes("app.use('/api/users', require('./routes/users'));"));
+  });
+
+  it('should reject unknown formats and missing data models', async () => {
+    const unknown = await request(baseUrl, 'POST', '/api/export/cobol', { data_model: DATA_MODEL });
+    assert.strictEqual(unknown.status, 404);
+
+    const missing = await request(baseUrl, 'POST', '/api/export/sqlite', {});
+    assert.strictEqual(missing.status, 422);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Test Helpers
+ *
+ * Shared utilities for API tests: starting the app on a random port,
+ * making JSON requests against it and reading zip downloads.
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+
+/**
+ * Start an Express app on a random port
+ *
+ * @param {Object} app - Express application
+ * @returns {Promise<{ server: Object, baseUrl: string }>}
+ */
+function startServer(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      resolve({ server, baseUrl: `http://localhost:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Make an HTTP request with an optional JSON body.
+ * The response body is parsed as JSON when possible; `raw` keeps its bytes.
+ *
+ * @param {string} baseUrl - Server base URL
+ * @param {string} method - HTTP method
+ * @param {string} path - Path, including any query string
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{ status: number, headers: Object, body: *, raw: Buffer }>}
+ */
+function request(baseUrl, method, path, body = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const req = http.request({
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: `${url.pathname}${url.search}`,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks);
+        const data = raw.toString();
+        let parsed = data;
+        try {
+          parsed = JSON.parse(data);
+        } catch {
+          // Not JSON: keep the raw text
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed, raw });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (body) {
+      req.write(JSON.stringify(body));
+    }
+    req.end();
+  });
+}
+
+/**
+ * Read the entries of a zip archive written by src/utils/zip.js
+ *
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Object} File content (UTF-8 text) by path
+ */
+function unzip(buffer) {
+  const files = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let entry = 0; entry < buffer.readUInt16LE(end + 10); entry++) {
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = buffer.readUInt32LE(offset + 42);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return files;
+}
+
+module.exports = {
+  startServer,
+  request,
+  unzip
+};
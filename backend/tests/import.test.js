@@ -0,0 +1,215 @@
+/**
+ * Tests for Diagram Import
+ *
+ * Tests the Mermaid and BPMN importers, the workflow they build and
+ * the import endpoint.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../src/index');
+const { parseMermaid, typeForShape } = require('../src/importers/mermaidImporter');
+const { parseBPMN } = require('../src/importers/bpmnImporter');
+const { importDiagram } = require('../src/importers');
+const { importScenario } = require('../src/services/importService');
+const { generateWorkflow } = require('../src/services/workflowService');
+const { generateMermaidDiagram, getNodeShape } = require('../src/utils/diagramGenerator');
+const { generateBPMN } = require('../src/utils/bpmnGenerator');
+const { startServer, request } = require('./helpers');
+
+let server;
+let baseUrl;
+
+const FLOWCHART = `flowchart LR
+  %% Legacy checkout doc
+  A([Start]) --> B[/Enter card/]
+  B --> C{Card valid?}
+  C -->|Yes| D[(Save payment)]
+  C -- No --> B
+  D -.-> E>Email receipt] & F[[Update ledger]]
+  E --> G([Done]); F --> G
+  classDef highlight fill:#fff
+  class A highlight`;
+
+const BPMN = `<?xml version="1.0" encoding="UTF-8"?>
+<definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" id="defs">
+  <process id="hiring" name="Hiring &amp; Onboarding">
+    <endEvent id="end" name="Hired" />
+    <startEvent id="start" name="Application Received" />
+    <userTask id="screen" name="Screen Candidate">
+      <documentation>HR screens the CV</documentation>
+    </userTask>
+    <exclusiveGateway id="fit" name="Good fit?" />
+    <sendTask id="offer" name="Send Offer" />
+    <sendTask id="reject" name="Send Rejection" />
+    <boundaryEvent id="timeout" name="No reply" attachedToRef="offer" />
+    <sequenceFlow id="f1" sourceRef="start" targetRef="screen" />
+    <sequenceFlow id="f2" sourceRef="screen" targetRef="fit" />
+    <sequenceFlow id="f3" sourceRef="fit" targetRef="offer">
+      <conditionExpression>score &gt;= 7</conditionExpression>
+    </sequenceFlow>
+    <sequenceFlow id="f4" name="No" sourceRef="fit" targetRef="reject" />
+    <sequenceFlow id="f5" sourceRef="offer" targetRef="end" />
+  </process>
+</definitions>`;
+
+describe('Mermaid Importer', () => {
+  it('should map shapes back onto step types with the inverse of getNodeShape', () => {
+    ['trigger', 'decision', 'user_input', 'system_action', 'system_check', 'notification', 'parallel'].forEach(type => {
+      assert.strictEqual(typeForShape(getNodeShape(type)), type);
+    });
+    assert.strictEqual(typeForShape({ open: '(', close: ')' }), 'user_action');
+  });
+
+  it('should read nodes, labelled edges, chains and groups', () => {
+    const { nodes, edges } = parseMermaid(FLOWCHART);
+
+    assert.deepStrictEqual(nodes.map(node => [node.key, node.name, node.type]), [
+      ['A', 'Start', 'trigger'],
+      ['B', 'Enter card', 'user_input'],
+      ['C', 'Card valid?', 'decision'],
+      ['D', 'Save payment', 'database_write'],
+      ['E', 'Email receipt', 'notification'],
+      ['F', 'Update ledger', 'system_action'],
+      ['G', 'Done', 'end']
+    ]);
+    assert.deepStrictEqual(edges.filter(edge => edge.label).map(edge => [edge.from, edge.to, edge.label]), [
+      ['C', 'D', 'Yes'],
+      ['C', 'B', 'No']
+    ]);
+    assert.strictEqual(edges.length, 8);
+  });
+
+  it('should decode entity codes and keep quoted semicolons', () => {
+    const { nodes } = parseMermaid('graph TD\n  A["Say #quot;hi#quot;; wave"] --> B');
+    assert.strictEqual(nodes[0].name, 'Say "hi"; wave');
+    assert.strictEqual(nodes[1].name, 'B');
+  });
+
+  it('should report unreadable lines and other diagram types', () => {
+    assert.throws(() => parseMermaid('sequenceDiagram\n  A->>B: hi'), /graph and flowchart/);
+
+    assert.throws(() => parseMermaid('graph TD\n  A --> B\n  A --> [broken'), error => {
+      assert.strictEqual(error.status, 422);
+      assert.match(error.details.problems[0].message, /^Line 3:/);
+      return true;
+    });
+  });
+
+  it('should round-trip the flowcharts this tool generates', async () => {
+    const generated = await generateWorkflow('A document approval process with manager review');
+    const { workflow } = importDiagram(generateMermaidDiagram(generated.workflow));
+
+    assert.deepStrictEqual(workflow.map(step => step.name), generated.workflow.map(step => step.name));
+    workflow.forEach((step, index) => {
+      const original = generated.workflow[index];
+      assert.deepStrictEqual(step.next, original.next);
+      assert.deepStrictEqual(step.branches, original.branches);
+    });
+  });
+});
+
+describe('BPMN Importer', () => {
+  it('should read flow elements and sequence flows', () => {
+    const { nodes, edges, title } = parseBPMN(BPMN);
+
+    assert.strictEqual(title, 'Hiring & Onboarding');
+    assert.deepStrictEqual(nodes.find(node => node.key === 'screen'), {
+      key: 'screen',
+      name: 'Screen Candidate',
+      description: 'HR screens the CV',
+      type: 'user_action'
+    });
+    assert.strictEqual(nodes.find(node => node.key === 'fit').type, 'decision');
+    assert.strictEqual(nodes.find(node => node.key === 'timeout').type, 'error_handling');
+    assert.deepStrictEqual(edges.find(edge => edge.to === 'offer' && edge.from === 'fit').label, 'score >= 7');
+    assert.ok(edges.some(edge => edge.from === 'offer' && edge.to === 'timeout' && edge.label === 'No reply'));
+  });
+
+  it('should order the steps from the start event', () => {
+    const { workflow } = importDiagram(BPMN);
+
+    assert.strictEqual(workflow[0].name, 'Application Received');
+    assert.strictEqual(workflow[0].type, 'trigger');
+    const gateway = workflow.find(step => step.name === 'Good fit?');
+    assert.deepStrictEqual(gateway.branches.map(branch => branch.label), ['score >= 7', 'No']);
+    gateway.branches.forEach(branch => assert.ok(branch.to > gateway.id));
+  });
+
+  it('should round-trip the BPMN files this tool generates', async () => {
+    const generated = await generateWorkflow('Customer places an order and pays');
+    const { workflow } = importDiagram(generateBPMN(generated.workflow));
+
+    // The generator adds a start event in front of the first step
+    assert.strictEqual(workflow[0].type, 'trigger');
+    assert.deepStrictEqual(workflow.slice(1).map(step => step.name), generated.workflow.map(step => step.name));
+  });
+
+  it('should reject malformed XML and files without a process', () => {
+    assert.throws(() => parseBPMN('<definitions><process id="p"></definitions>'), /not well-formed/);
+    assert.throws(() => parseBPMN('<definitions id="d" />'), /no process/);
+  });
+});
+
+describe('Import Service', () => {
+  it('should add a data model, diagrams and a summary', () => {
+    const result = importScenario({ content: FLOWCHART, title: 'Checkout' });
+
+    assert.strictEqual(result.title, 'Checkout');
+    assert.strictEqual(result.format, 'mermaid');
+    assert.strictEqual(result.workflow.length, 7);
+    assert.ok(result.data_model.entities.Payment);
+    assert.ok(result.mermaid_diagram.startsWith('graph TD'));
+    assert.ok(result.diagrams.er.startsWith('erDiagram'));
+    assert.strictEqual(
+      result.summary,
+      'This workflow was imported from a Mermaid flowchart and has 7 steps, starting with "Start". It branches at "Card valid?". It ends at "Done".'
+    );
+  });
+
+  it('should default the title to the BPMN process name', () => {
+    assert.strictEqual(importScenario({ content: BPMN }).title, 'Hiring & Onboarding');
+  });
+
+  it('should reject unrecognised content', () => {
+    assert.throws(() => importScenario({ content: 'just some notes' }), /Unrecognised diagram format/);
+    assert.throws(() => importScenario({ content: 'graph TD' }), /usable workflow/);
+  });
+});
+
+describe('Import API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should import a diagram', async () => {
+    const { status, body } = await request(baseUrl, 'POST', '/api/import', { content: BPMN, format: 'bpmn' });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.data.format, 'bpmn');
+    assert.ok(Array.isArray(body.data.workflow));
+    assert.ok(body.data.data_model.entities);
+  });
+
+  it('should validate the request', async () => {
+    const missing = await request(baseUrl, 'POST', '/api/import', {});
+    assert.strictEqual(missing.status, 400);
+
+    const unknown = await request(baseUrl, 'POST', '/api/import', { content: FLOWCHART, format: 'visio' });
+    assert.strictEqual(unknown.status, 404);
+
+    const unreadable = await request(baseUrl, 'POST', '/api/import', { content: 'graph TD\n  A --> (' });
+    assert.strictEqual(unreadable.status, 422);
+    assert.ok(unreadable.body.details.problems.length > 0);
+  });
+});
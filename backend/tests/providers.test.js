@@ -0,0 +1,194 @@
+/**
+ * Tests for AI Providers
+ *
+ * Runs each HTTP provider against a local stub server that imitates
+ * the OpenAI, Anthropic and Ollama APIs.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { createProvider, loadProviderConfig } = require('../src/providers');
+const { extractJSON, parseModelResponse } = require('../src/providers/prompt');
+const { generateWorkflow } = require('../src/services/workflowService');
+const { ProviderError } = require('../src/utils/errors');
+
+const MODEL_ANSWER = JSON.stringify({
+  workflow: [
+    { id: 1, name: 'Receive Request', description: 'A request arrives', type: 'trigger' },
+    { id: 2, name: 'Check Request', description: 'Validate the request', type: 'system_check' },
+    { id: 3, name: 'Done', description: 'Finish', type: 'end' }
+  ],
+  summary: 'A stubbed workflow.'
+});
+
+// An answer listing the workflow under "steps", which the validator repairs
+const STEPS_ANSWER = JSON.stringify({
+  steps: JSON.parse(MODEL_ANSWER).workflow,
+  summary: 'A workflow under another key.'
+});
+
+let server;
+let baseUrl;
+const received = [];
+
+/**
+ * Stub server answering in the format of whichever API was called
+ */
+function handleStubRequest(req, res) {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.url === '/v1/chat/completions') {
+      res.end(JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: MODEL_ANSWER } }],
+        usage: { prompt_tokens: 120, completion_tokens: 80, total_tokens: 200 }
+      }));
+    } else if (req.url === '/v1/messages') {
+      res.end(JSON.stringify({
+        content: [{ type: 'text', text: '```json\n' + MODEL_ANSWER + '\n```' }],
+        usage: { input_tokens: 150, output_tokens: 90 }
+      }));
+    } else if (req.url === '/steps/chat/completions') {
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: STEPS_ANSWER } }] }));
+    } else if (req.url === '/api/chat') {
+      res.end(JSON.stringify({ message: { role: 'assistant', content: MODEL_ANSWER } }));
+    } else {
+      res.statusCode = 500;
+      res.end(JSON.stringify({ error: 'boom' }));
+    }
+  });
+}
+
+describe('AI Providers', () => {
+  before(() => {
+    return new Promise((resolve) => {
+      server = http.createServer(handleStubRequest).listen(0, () => {
+        baseUrl = `http://localhost:${server.address().port}`;
+        resolve();
+      });
+    });
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should default to the mock provider', () => {
+    const config = loadProviderConfig({});
+    assert.strictEqual(config.name, 'mock');
+  });
+
+  it('should reject unknown provider names', () => {
+    assert.throws(() => loadProviderConfig({ AI_PROVIDER: 'nope' }), /Unknown AI_PROVIDER/);
+  });
+
+  it('should resolve defaults and api key fallbacks', () => {
+    const config = loadProviderConfig({ AI_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' });
+    assert.strictEqual(config.baseUrl, 'https://api.openai.com/v1');
+    assert.strictEqual(config.apiKey, 'sk-test');
+    assert.ok(config.model);
+  });
+
+  it('should generate with an OpenAI-compatible server', async () => {
+    const provider = createProvider({ name: 'openai', baseUrl: `${baseUrl}/v1`, model: 'stub', apiKey: 'key' });
+    const result = await provider.generate('Handle an incoming request');
+
+    assert.strictEqual(result.workflow.length, 3);
+    assert.strictEqual(result.summary, 'A stubbed workflow.');
+    assert.strictEqual(result.metadata.aiProvider, 'openai');
+    assert.deepStrictEqual(result.metadata.usage, { inputTokens: 120, outputTokens: 80, totalTokens: 200 });
+
+    const request = received.at(-1);
+    assert.strictEqual(request.headers.authorization, 'Bearer key');
+    assert.strictEqual(request.body.messages[0].role, 'system');
+  });
+
+  it('should generate with an Anthropic-compatible server', async () => {
+    const provider = createProvider({ name: 'anthropic', baseUrl, model: 'stub', apiKey: 'key' });
+    const result = await provider.generate('Handle an incoming request');
+
+    assert.strictEqual(result.workflow.length, 3);
+    assert.strictEqual(result.metadata.aiProvider, 'anthropic');
+    assert.deepStrictEqual(result.metadata.usage, { inputTokens: 150, outputTokens: 90, totalTokens: 240 });
+    assert.strictEqual(received.at(-1).headers['x-api-key'], 'key');
+    assert.ok(received.at(-1).body.system);
+  });
+
+  it('should generate with an Ollama-style server', async () => {
+    const provider = createProvider({ name: 'ollama', baseUrl, model: 'stub' });
+    const result = await provider.generate('Handle an incoming request');
+
+    assert.strictEqual(result.workflow[0].name, 'Receive Request');
+    assert.strictEqual(received.at(-1).body.stream, false);
+  });
+
+  it('should send the current workflow and instruction when refining', async () => {
+    const provider = createProvider({ name: 'openai', baseUrl: `${baseUrl}/v1`, model: 'stub' });
+    const current = [{ id: 1, name: 'Receive Request', description: 'A request arrives', type: 'trigger' }];
+    const result = await provider.refine(current, 'add a check step', { summary: 'Old summary' });
+
+    assert.strictEqual(result.workflow.length, 3);
+    const prompt = received.at(-1).body.messages[1].content;
+    assert.ok(prompt.includes('Change request: add a check step'));
+    assert.ok(prompt.includes('Old summary'));
+  });
+
+  it('should raise a ProviderError on HTTP failures', async () => {
+    const provider = createProvider({ name: 'openai', baseUrl: `${baseUrl}/broken`, model: 'stub' });
+    await assert.rejects(() => provider.generate('Handle an incoming request'), ProviderError);
+  });
+
+  it('should run the workflow service through an injected provider', async () => {
+    const provider = createProvider({ name: 'ollama', baseUrl, model: 'stub' });
+    const result = await generateWorkflow('Handle an incoming request', { provider });
+
+    assert.strictEqual(result.workflow.length, 3);
+    assert.ok(result.mermaid_diagram.includes('Receive Request'));
+    assert.strictEqual(result.meta.provider, 'ollama');
+    assert.strictEqual(result.meta.model, 'stub');
+    assert.strictEqual(result.meta.usage, undefined);
+  });
+
+  it('should report token usage in the meta section', async () => {
+    const provider = createProvider({ name: 'openai', baseUrl: `${baseUrl}/v1`, model: 'stub' });
+    const result = await generateWorkflow('Handle an incoming request', { provider });
+
+    assert.strictEqual(result.meta.usage.totalTokens, 200);
+    assert.strictEqual(result.meta.detectedTypes, undefined);
+  });
+
+  it('should repair a model answer listing its workflow under "steps"', async () => {
+    const provider = createProvider({ name: 'openai', baseUrl: `${baseUrl}/steps`, model: 'stub' });
+    const result = await generateWorkflow('Handle an incoming request', { provider });
+
+    assert.strictEqual(result.workflow.length, 3);
+    assert.strictEqual(result.summary, 'A workflow under another key.');
+    assert.ok(result.meta.repairs.some(repair => repair.message === 'Used "steps" as the workflow'));
+  });
+});
+
+describe('Response Contract', () => {
+  it('should extract JSON wrapped in prose and code fences', () => {
+    const parsed = extractJSON('Here you go:\n```json\n{"summary": "ok"}\n```\nThanks!');
+    assert.deepStrictEqual(parsed, { summary: 'ok' });
+  });
+
+  it('should reject answers without JSON', () => {
+    assert.throws(() => extractJSON('I cannot help with that.'), ProviderError);
+  });
+
+  it('should keep every key of the answer for the validator', () => {
+    const parsed = parseModelResponse({ text: STEPS_ANSWER }, { aiProvider: 'openai', model: 'stub' });
+
+    assert.strictEqual(parsed.steps.length, 3);
+    assert.strictEqual(parsed.workflow, undefined);
+    assert.strictEqual(parsed.metadata.aiProvider, 'openai');
+  });
+});
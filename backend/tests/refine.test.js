@@ -0,0 +1,231 @@
+/**
+ * Tests for Scenario Refinement
+ *
+ * Tests the graph edit helpers, the mock provider's offline instruction
+ * handling, the /api/scenario/:id/refine endpoint and the /api/derive
+ * endpoint used after hand edits.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../src/index');
+const { generateWorkflow } = require('../src/services/workflowService');
+const { applyInstruction, generateStepsForType } = require('../src/utils/mockAI');
+const { normalizeGraph, insertStep, removeStep } = require('../src/utils/workflowGraph');
+const { ValidationError } = require('../src/utils/errors');
+const { startServer, request } = require('./helpers');
+
+let server;
+let baseUrl;
+
+const LINEAR = [
+  { id: 1, name: 'Start', description: 'Begin', type: 'trigger', next: [2] },
+  { id: 2, name: 'Check', description: 'Decide', type: 'decision', branches: [{ label: 'Yes', to: 3 }, { label: 'No', to: 1 }] },
+  { id: 3, name: 'Finish', description: 'Done', type: 'end', next: [] }
+];
+
+describe('Graph Editing', () => {
+  it('should redirect incoming edges when inserting before a step', () => {
+    const result = insertStep(LINEAR, { name: 'Prepare', description: '', type: 'system_action' }, { before: 3 });
+
+    assert.deepStrictEqual(result.map(step => step.id), [1, 2, 3, 4]);
+    assert.strictEqual(result[2].name, 'Prepare');
+    assert.deepStrictEqual(result[1].branches, [{ label: 'Yes', to: 3 }, { label: 'No', to: 1 }]);
+    assert.deepStrictEqual(result[2].next, [4]);
+  });
+
+  it('should take over outgoing edges when inserting after a step', () => {
+    const result = insertStep(LINEAR, { name: 'Log', description: '', type: 'logging' }, { after: 1 });
+
+    assert.deepStrictEqual(result[0].next, [2]);
+    assert.strictEqual(result[1].name, 'Log');
+    assert.deepStrictEqual(result[1].next, [3]);
+    assert.deepStrictEqual(result[2].branches.map(branch => branch.to), [4, 1]);
+  });
+
+  it('should connect predecessors to successors when removing a step', () => {
+    const workflow = normalizeGraph([
+      { id: 1, name: 'A', description: '', type: 'trigger' },
+      { id: 2, name: 'B', description: '', type: 'system_action' },
+      { id: 3, name: 'C', description: '', type: 'end' }
+    ]);
+    const result = removeStep(workflow, 2);
+
+    assert.deepStrictEqual(result.map(step => step.name), ['A', 'C']);
+    assert.deepStrictEqual(result[0].next, [2]);
+  });
+});
+
+describe('Mock Refinement', () => {
+  const ecommerce = normalizeGraph(generateStepsForType('ecommerce', ''));
+
+  it('should add a step before the best matching step', () => {
+    const { workflow, changes } = applyInstruction(ecommerce, 'Add a fraud check before payment');
+    const index = workflow.findIndex(step => step.name === 'Fraud Check');
+
+    assert.strictEqual(workflow.length, ecommerce.length + 1);
+    assert.strictEqual(workflow[index].type, 'system_check');
+    assert.strictEqual(workflow[index + 1].name, 'Process Payment');
+    assert.deepStrictEqual(workflow[index - 1].next, [workflow[index].id]);
+    assert.deepStrictEqual(changes, ['Added "Fraud Check" before "Process Payment"']);
+  });
+
+  it('should remove a step and keep the flow connected', () => {
+    const booking = normalizeGraph(generateStepsForType('booking', ''));
+    const { workflow } = applyInstruction(booking, 'remove the calendar step');
+
+    assert.ok(!workflow.some(step => /calendar/i.test(step.name)));
+    workflow.forEach(step => {
+      (step.next || []).forEach(to => assert.ok(workflow.some(other => other.id === to)));
+    });
+  });
+
+  it('should rename a step', () => {
+    const { workflow } = applyInstruction(ecommerce, 'rename the browse products step to Explore catalog');
+    assert.strictEqual(workflow[0].name, 'Explore catalog');
+  });
+
+  it('should add the first step to an empty workflow', () => {
+    const { workflow, changes } = applyInstruction([], 'add a fraud check');
+
+    assert.deepStrictEqual(workflow.map(step => [step.id, step.name]), [[1, 'Fraud Check']]);
+    assert.deepStrictEqual(changes, ['Added "Fraud Check" as the first step']);
+  });
+
+  it('should reject instructions it does not understand', () => {
+    assert.throws(() => applyInstruction(ecommerce, 'make it better'), ValidationError);
+    assert.throws(() => applyInstruction(ecommerce, 'remove the spaceship step'), /No step matches/);
+  });
+});
+
+describe('Refine API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  async function saveGenerated(description) {
+    const generated = await generateWorkflow(description);
+    const { body } = await request(baseUrl, 'POST', '/api/scenarios', { description, ...generated });
+    return body.data;
+  }
+
+  it('should refine a saved scenario and store a new version', async () => {
+    const saved = await saveGenerated('Customer checkout with cart and payment');
+    const { status, body } = await request(baseUrl, 'POST', `/api/scenario/${saved.id}/refine`, {
+      instruction: 'add a fraud check before payment'
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.version, 2);
+    assert.ok(body.data.workflow.some(step => step.name === 'Fraud Check'));
+    assert.ok(body.data.mermaid_diagram.includes('Fraud Check'));
+    assert.ok(body.data.data_model.entities);
+    assert.strictEqual(body.data.changes.length, 1);
+
+    const versions = await request(baseUrl, 'GET', `/api/scenarios/${saved.id}/versions`);
+    assert.strictEqual(versions.body.data.at(-1).source, 'refine');
+  });
+
+  it('should refine the workflow sent by the client', async () => {
+    const saved = await saveGenerated('Customer checkout with cart and payment');
+    const { body } = await request(baseUrl, 'POST', `/api/scenario/${saved.id}/refine`, {
+      instruction: 'remove finish',
+      workflow: LINEAR
+    });
+
+    assert.deepStrictEqual(body.data.workflow.map(step => step.name), ['Start', 'Check']);
+  });
+
+  it('should return 400 without an instruction', async () => {
+    const saved = await saveGenerated('Customer checkout with cart and payment');
+    const { status } = await request(baseUrl, 'POST', `/api/scenario/${saved.id}/refine`, {});
+    assert.strictEqual(status, 400);
+  });
+
+  it('should return 422 for instructions the mock cannot apply', async () => {
+    const saved = await saveGenerated('Customer checkout with cart and payment');
+    const { status, body } = await request(baseUrl, 'POST', `/api/scenario/${saved.id}/refine`, {
+      instruction: 'make it better'
+    });
+    assert.strictEqual(status, 422);
+    assert.strictEqual(body.details.problems[0].path, '$.instruction');
+  });
+
+  it('should return 422 for an empty workflow and keep the saved one', async () => {
+    const saved = await saveGenerated('Customer checkout with cart and payment');
+    const { status, body } = await request(baseUrl, 'POST', `/api/scenario/${saved.id}/refine`, {
+      instruction: 'add a fraud check',
+      workflow: []
+    });
+
+    assert.strictEqual(status, 422);
+    assert.strictEqual(body.details.problems[0].path, '$.workflow');
+    const loaded = await request(baseUrl, 'GET', `/api/scenarios/${saved.id}`);
+    assert.deepStrictEqual(loaded.body.data.workflow, saved.workflow);
+  });
+
+  it('should return 404 for unknown scenarios', async () => {
+    const { status } = await request(baseUrl, 'POST', '/api/scenario/missing/refine', { instruction: 'remove payment' });
+    assert.strictEqual(status, 404);
+  });
+});
+
+describe('Derive API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should redraw the diagram and data model of an edited workflow', async () => {
+    const edited = [
+      ...LINEAR.slice(0, 2),
+      { id: 3, name: 'Process Payment', description: 'Charge the card', type: 'system_action', next: [4] },
+      { ...LINEAR[2], id: 4 }
+    ];
+    const { status, body } = await request(baseUrl, 'POST', '/api/derive', {
+      workflow: edited,
+      description: 'Invoice approval',
+      summary: 'Edited by hand.'
+    });
+
+    assert.strictEqual(status, 200);
+    assert.ok(body.data.mermaid_diagram.includes('Process Payment'));
+    assert.ok(body.data.diagrams.er.startsWith('erDiagram'));
+    assert.ok(body.data.data_model.entities.Payment);
+    assert.strictEqual(body.data.summary, 'Edited by hand.');
+    assert.deepStrictEqual(body.data.repairs, []);
+  });
+
+  it('should repair dangling edges left by edits', async () => {
+    const { body } = await request(baseUrl, 'POST', '/api/derive', {
+      workflow: [LINEAR[0], { ...LINEAR[1], branches: [{ label: 'Yes', to: 9 }, { label: 'No', to: 1 }] }],
+      summary: 'Edited by hand.'
+    });
+
+    assert.deepStrictEqual(body.data.workflow[1].branches, [{ label: 'No', to: 1 }]);
+    assert.ok(body.data.repairs.length > 0);
+  });
+
+  it('should reject unusable workflows', async () => {
+    const missing = await request(baseUrl, 'POST', '/api/derive', {});
+    assert.strictEqual(missing.status, 400);
+
+    const unusable = await request(baseUrl, 'POST', '/api/derive', { workflow: [] });
+    assert.strictEqual(unusable.status, 422);
+    assert.strictEqual(unusable.body.message, 'The edited workflow is not usable');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for the Saved Scenario Library
+ *
+ * Tests the storage drivers, the /api/scenarios CRUD endpoints
+ * and version history.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const app = require('../src/index');
+const { createFileStorage } = require('../src/storage/fileStorage');
+const { generateWorkflow } = require('../src/services/workflowService');
+const scenarioService = require('../src/services/scenarioService');
+const { startServer, request } = require('./helpers');
+
+let server;
+let baseUrl;
+
+/**
+ * Generate a scenario and save it through the API
+ */
+async function saveGenerated(description) {
+  const generated = await generateWorkflow(description);
+  return request(baseUrl, 'POST', '/api/scenarios', { description, ...generated });
+}
+
+describe('File Storage', () => {
+  it('should persist records across driver instances', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+    const filePath = path.join(dir, 'nested', 'scenarios.json');
+
+    const first = createFileStorage(filePath);
+    await first.create({ id: 'a', title: 'First', updated_at: '2024-01-01T00:00:00.000Z' });
+    await first.create({ id: 'b', title: 'Second', updated_at: '2024-01-02T00:00:00.000Z' });
+    await first.remove('a');
+
+    const second = createFileStorage(filePath);
+    assert.strictEqual(await second.get('a'), null);
+    assert.strictEqual((await second.get('b')).title, 'Second');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep every record created before the file is first read', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+    const filePath = path.join(dir, 'scenarios.json');
+    fs.writeFileSync(filePath, JSON.stringify({ scenarios: [{ id: 'a', title: 'Existing', updated_at: '2024-01-01T00:00:00.000Z' }] }));
+
+    const storage = createFileStorage(filePath);
+    await Promise.all([
+      storage.create({ id: 'b', title: 'Second', updated_at: '2024-01-02T00:00:00.000Z' }),
+      storage.create({ id: 'c', title: 'Third', updated_at: '2024-01-03T00:00:00.000Z' })
+    ]);
+
+    const reloaded = createFileStorage(filePath);
+    for (const id of ['a', 'b', 'c']) {
+      assert.ok(await reloaded.get(id), `record ${id} is missing`);
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('Scenario Library API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should save a generated scenario', async () => {
+    const response = await saveGenerated('Online store checkout with cart and payment');
+
+    assert.strictEqual(response.status, 201);
+    assert.ok(response.body.data.id);
+    assert.ok(response.body.data.title);
+    assert.ok(response.body.data.mermaid_diagram.startsWith('graph TD'));
+    assert.ok(response.body.data.created_at);
+  });
+
+  it('should reject a scenario without workflow', async () => {
+    const response = await request(baseUrl, 'POST', '/api/scenarios', { description: 'Missing workflow' });
+
+    assert.strictEqual(response.status, 422);
+    assert.ok(response.body.details.problems.length > 0);
+  });
+
+  it('should get, update and delete a scenario', async () => {
+    const created = (await saveGenerated('User login flow with password check')).body.data;
+
+    const loaded = await request(baseUrl, 'GET', `/api/scenarios/${created.id}`);
+    assert.strictEqual(loaded.status, 200);
+    assert.deepStrictEqual(loaded.body.data.workflow, created.workflow);
+
+    const updated = await request(baseUrl, 'PUT', `/api/scenarios/${created.id}`, {
+      title: 'Renamed',
+      workflow: created.workflow.slice(0, 3)
+    });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.data.title, 'Renamed');
+    assert.strictEqual(updated.body.data.workflow.length, 3);
+    assert.strictEqual(updated.body.data.created_at, created.created_at);
+
+    const deleted = await request(baseUrl, 'DELETE', `/api/scenarios/${created.id}`);
+    assert.strictEqual(deleted.status, 204);
+
+    const missing = await request(baseUrl, 'GET', `/api/scenarios/${created.id}`);
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('should page and search saved scenarios', async () => {
+    await saveGenerated('Doctor appointment booking with reminders');
+    await saveGenerated('Support ticket triage for customer complaints');
+
+    const page = await request(baseUrl, 'GET', '/api/scenarios?page=1&limit=1');
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(page.body.data.items.length, 1);
+    assert.ok(page.body.data.total >= 3);
+    assert.strictEqual(page.body.data.total_pages, page.body.data.total);
+
+    const search = await request(baseUrl, 'GET', '/api/scenarios?q=appointment');
+    assert.strictEqual(search.body.data.items.length, 1);
+    assert.ok(search.body.data.items[0].title.includes('appointment'));
+    assert.ok(search.body.data.items[0].step_count > 0);
+  });
+
+  it('should keep every content change as a new version', async () => {
+    const created = (await saveGenerated('Blog publishing workflow with review')).body.data;
+    assert.strictEqual(created.current_version, 1);
+
+    const renamed = await request(baseUrl, 'PUT', `/api/scenarios/${created.id}`, { title: 'Blog flow' });
+    assert.strictEqual(renamed.body.data.current_version, 1);
+
+    const edited = await request(baseUrl, 'PUT', `/api/scenarios/${created.id}`, {
+      workflow: created.workflow.slice(0, -1),
+      source: 'edit'
+    });
+    assert.strictEqual(edited.body.data.current_version, 2);
+
+    const versions = await request(baseUrl, 'GET', `/api/scenarios/${created.id}/versions`);
+    assert.deepStrictEqual(versions.body.data.map(entry => entry.version), [1, 2]);
+    assert.strictEqual(versions.body.data[0].step_count, created.workflow.length);
+
+    const first = await request(baseUrl, 'GET', `/api/scenarios/${created.id}/versions/1`);
+    assert.deepStrictEqual(first.body.data.workflow, created.workflow);
+  });
+
+  it('should number concurrent updates one after the other', async () => {
+    const created = (await saveGenerated('Customer checkout with cart and payment')).body.data;
+    const updates = [1, 2, 3, 4].map(cut => request(baseUrl, 'PUT', `/api/scenarios/${created.id}`, {
+      workflow: created.workflow.slice(0, -cut)
+    }));
+
+    const responses = await Promise.all(updates);
+    assert.deepStrictEqual(responses.map(response => response.body.data.current_version).sort(), [2, 3, 4, 5]);
+
+    // Straight through the service, the reads and writes would otherwise interleave
+    const updated = await Promise.all([5, 6].map(cut => scenarioService.updateScenario(created.id, {
+      workflow: created.workflow.slice(0, -cut)
+    })));
+    assert.deepStrictEqual(updated.map(scenario => scenario.current_version), [6, 7]);
+
+    const versions = await request(baseUrl, 'GET', `/api/scenarios/${created.id}/versions`);
+    assert.deepStrictEqual(versions.body.data.map(entry => entry.version), [1, 2, 3, 4, 5, 6, 7]);
+    const loaded = await request(baseUrl, 'GET', `/api/scenarios/${created.id}`);
+    assert.strictEqual(loaded.body.data.current_version, 7);
+  });
+
+  it('should diff two versions', async () => {
+    const created = (await saveGenerated('Approval workflow for expense reports')).body.data;
+    await request(baseUrl, 'PUT', `/api/scenarios/${created.id}`, { workflow: created.workflow.slice(0, -1) });
+
+    const diff = await request(baseUrl, 'GET', `/api/scenarios/${created.id}/diff?from=1&to=2`);
+    assert.strictEqual(diff.status, 200);
+    assert.strictEqual(diff.body.data.stats.steps_removed, 1);
+    assert.strictEqual(diff.body.data.workflow.removed[0].name, created.workflow.at(-1).name);
+
+    const missing = await request(baseUrl, 'GET', `/api/scenarios/${created.id}/diff?from=1&to=9`);
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('should reject unknown version sources', async () => {
+    const created = (await saveGenerated('Data import from CSV files')).body.data;
+    const response = await request(baseUrl, 'PUT', `/api/scenarios/${created.id}`, { source: 'magic' });
+    assert.strictEqual(response.status, 422);
+  });
+
+  it('should return 404 when deleting an unknown scenario', async () => {
+    const response = await request(baseUrl, 'DELETE', '/api/scenarios/does-not-exist');
+    assert.strictEqual(response.status, 404);
+  });
+});
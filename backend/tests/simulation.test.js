@@ -0,0 +1,183 @@
+/**
+ * Tests for Workflow Simulation
+ *
+ * Tests the simulator's runs, scripted and interactive choices, the
+ * structural report and the /api/scenarios/:id/simulate endpoint.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../src/index');
+const { generateWorkflow } = require('../src/services/workflowService');
+const { simulateWorkflow, seededRandom, enumeratePaths } = require('../src/utils/workflowSimulator');
+const { ValidationError } = require('../src/utils/errors');
+const { startServer, request } = require('./helpers');
+
+let server;
+let baseUrl;
+
+const RETRY = [
+  { id: 1, name: 'Start', description: 'Start', type: 'trigger', next: [2] },
+  { id: 2, name: 'Pay', description: 'Take the payment', type: 'system_action', next: [3] },
+  { id: 3, name: 'Paid?', description: 'Check the payment', type: 'decision', branches: [{ label: 'Yes', to: 4 }, { label: 'No', to: 2 }] },
+  { id: 4, name: 'Done', description: 'Done', type: 'end', next: [] }
+];
+
+const BROKEN = [
+  { id: 1, name: 'Start', description: 'Start', type: 'trigger', next: [2] },
+  { id: 2, name: 'Check', description: 'Check', type: 'decision', branches: [{ label: 'Yes', to: 3 }, { label: 'No', to: 4 }] },
+  { id: 3, name: 'Spin', description: 'Loops forever', type: 'system_action', next: [3] },
+  { id: 4, name: 'Done', description: 'Done', type: 'end', next: [] },
+  { id: 5, name: 'Orphan', description: 'Nothing leads here', type: 'system_action', next: [] }
+];
+
+describe('Workflow Simulator', () => {
+  it('should generate the same numbers for the same seed', () => {
+    const first = seededRandom(42);
+    const second = seededRandom(42);
+    assert.deepStrictEqual([first(), first(), first()], [second(), second(), second()]);
+  });
+
+  it('should follow scripted choices by label or step id', () => {
+    const byLabel = simulateWorkflow(RETRY, { runs: 1, choices: ['no', 'Yes'] });
+    assert.deepStrictEqual(byLabel.run.path, [1, 2, 3, 2, 3, 4]);
+    assert.deepStrictEqual(byLabel.run.choices, [{ step: 3, label: 'No', to: 2 }, { step: 3, label: 'Yes', to: 4 }]);
+    assert.strictEqual(byLabel.run.outcome, 'completed');
+
+    const byId = simulateWorkflow(RETRY, { runs: 1, choices: [4] });
+    assert.deepStrictEqual(byId.run.path, [1, 2, 3, 4]);
+  });
+
+  it('should replay random runs from their seed', () => {
+    const first = simulateWorkflow(RETRY, { runs: 5, seed: 9 });
+    const again = simulateWorkflow(RETRY, { runs: 5, seed: 9 });
+    assert.deepStrictEqual(first, again);
+    assert.strictEqual(first.outcomes.completed + first.outcomes.step_limit, 5);
+  });
+
+  it('should stop interactive runs at the first unscripted choice', () => {
+    const result = simulateWorkflow(RETRY, { interactive: true, choices: ['No'] });
+    assert.strictEqual(result.runs, 1);
+    assert.strictEqual(result.run.outcome, 'awaiting_choice');
+    assert.deepStrictEqual(result.run.path, [1, 2, 3, 2, 3]);
+    assert.deepStrictEqual(result.run.pending, { step: 3, options: [{ label: 'Yes', to: 4 }, { label: 'No', to: 2 }] });
+  });
+
+  it('should run every branch of a parallel fork once', () => {
+    const workflow = [
+      { id: 1, name: 'Start', description: 'Start', type: 'trigger', next: [2, 3] },
+      { id: 2, name: 'Email', description: 'Email', type: 'notification', next: [4] },
+      { id: 3, name: 'SMS', description: 'SMS', type: 'notification', next: [4] },
+      { id: 4, name: 'Join', description: 'Join', type: 'end', next: [] }
+    ];
+    assert.deepStrictEqual(simulateWorkflow(workflow, { runs: 1 }).run.path, [1, 2, 3, 4]);
+  });
+
+  it('should report unreachable steps, dead ends and steps never visited', () => {
+    const result = simulateWorkflow(BROKEN, { runs: 3, choices: ['No'] });
+
+    assert.deepStrictEqual(result.unreachable, [{ id: 5, name: 'Orphan' }]);
+    assert.deepStrictEqual(result.dead_ends, [{ id: 3, name: 'Spin', reason: 'No path from this step reaches the end' }]);
+    assert.deepStrictEqual(result.never_visited, [{ id: 3, name: 'Spin' }]);
+    assert.deepStrictEqual(result.branches, [
+      { step: 2, label: 'Yes', to: 3, runs: 0 },
+      { step: 2, label: 'No', to: 4, runs: 3 }
+    ]);
+  });
+
+  it('should stop runs caught in a loop', () => {
+    const result = simulateWorkflow(BROKEN, { runs: 1, choices: ['Yes'] });
+    assert.strictEqual(result.run.outcome, 'step_limit');
+    assert.strictEqual(result.run.path.length, BROKEN.length * 10);
+  });
+
+  it('should reject unknown choices and invalid options', () => {
+    assert.throws(() => simulateWorkflow(RETRY, { choices: ['Maybe'] }), (error) => (
+      error instanceof ValidationError && error.details.problems[0].path === '$.choices[0]'
+    ));
+    assert.throws(() => simulateWorkflow(RETRY, { runs: 5000, seed: 'x' }), (error) => (
+      error instanceof ValidationError && error.details.problems.length === 2
+    ));
+  });
+});
+
+describe('Path Enumeration', () => {
+  it('should list every path through the decisions, going around loops once', () => {
+    const { paths, truncated } = enumeratePaths(RETRY);
+    assert.strictEqual(truncated, false);
+    assert.deepStrictEqual(paths.map(path => path.path), [[1, 2, 3, 4], [1, 2, 3, 2, 3, 4]]);
+  });
+
+  it('should stop a path at a decision whose branches it has all taken', () => {
+    const workflow = [
+      { id: 1, name: 'Start', description: 'Start', type: 'trigger', next: [2] },
+      { id: 2, name: 'Again?', description: 'Again?', type: 'decision', branches: [{ label: 'Restart', to: 1 }, { label: 'Retry', to: 3 }] },
+      { id: 3, name: 'Wait', description: 'Wait', type: 'system_action', next: [2] }
+    ];
+    const { paths } = enumeratePaths(workflow);
+    assert.ok(paths.every(path => path.outcome === 'step_limit'));
+    assert.deepStrictEqual(paths.map(path => path.path), [[1, 2, 1, 2, 3, 2], [1, 2, 3, 2, 1, 2]]);
+  });
+
+  it('should stop listing at the limit', () => {
+    const { paths, truncated } = enumeratePaths(RETRY, { limit: 1 });
+    assert.strictEqual(paths.length, 1);
+    assert.strictEqual(truncated, true);
+  });
+});
+
+describe('Simulation API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should simulate a saved scenario', async () => {
+    const description = 'Customer checkout with cart and payment';
+    const generated = await generateWorkflow(description);
+    const saved = await request(baseUrl, 'POST', '/api/scenarios', { description, ...generated });
+
+    const { status, body } = await request(baseUrl, 'POST', `/api/scenarios/${saved.body.data.id}/simulate`, { runs: 10, seed: 3 });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.runs, 10);
+    assert.strictEqual(body.data.run.seed, 3);
+    assert.strictEqual(body.data.run.path[0], 1);
+    assert.deepStrictEqual(body.data.unreachable, []);
+    assert.deepStrictEqual(body.data.dead_ends, []);
+  });
+
+  it('should simulate an edited workflow instead of the stored one', async () => {
+    const description = 'Customer checkout with cart and payment';
+    const generated = await generateWorkflow(description);
+    const saved = await request(baseUrl, 'POST', '/api/scenarios', { description, ...generated });
+
+    const { body } = await request(baseUrl, 'POST', `/api/scenarios/${saved.body.data.id}/simulate`, {
+      workflow: BROKEN,
+      runs: 1,
+      choices: ['No']
+    });
+    assert.deepStrictEqual(body.data.run.path, [1, 2, 4]);
+    assert.deepStrictEqual(body.data.unreachable, [{ id: 5, name: 'Orphan' }]);
+  });
+
+  it('should answer 422 for unknown choices and 404 for unknown scenarios', async () => {
+    const description = 'Customer checkout with cart and payment';
+    const generated = await generateWorkflow(description);
+    const saved = await request(baseUrl, 'POST', '/api/scenarios', { description, ...generated });
+
+    const invalid = await request(baseUrl, 'POST', `/api/scenarios/${saved.body.data.id}/simulate`, { choices: ['Nowhere'] });
+    assert.strictEqual(invalid.status, 422);
+    assert.strictEqual(invalid.body.details.problems[0].path, '$.choices[0]');
+
+    const missing = await request(baseUrl, 'POST', '/api/scenarios/missing/simulate', {});
+    assert.strictEqual(missing.status, 404);
+  });
+});
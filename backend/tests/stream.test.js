@@ -0,0 +1,144 @@
+/**
+ * Tests for Streaming Generation
+ *
+ * Tests the progress events of the workflow service and the
+ * Server-Sent Events endpoint built on them.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../src/index');
+const { getProvider } = require('../src/providers');
+const { generateWorkflow } = require('../src/services/workflowService');
+const { ProviderError } = require('../src/utils/errors');
+const { startServer, request } = require('./helpers');
+
+let server;
+let baseUrl;
+
+/**
+ * Split a text/event-stream body into its events
+ * @param {string} text - Raw stream
+ * @returns {Array<{ event: string, data: * }>}
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const separator = line.indexOf(': ');
+      return [line.slice(0, separator), line.slice(separator + 2)];
+    }));
+    return { event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+describe('Workflow Service Progress', () => {
+  it('should report the analysis, each step and the derived artifacts', async () => {
+    const events = [];
+    const result = await generateWorkflow('Book an appointment and pay online', {
+      onEvent: (event, data) => events.push({ event, data })
+    });
+
+    const names = events.map(entry => entry.event);
+    assert.strictEqual(names[0], 'analysis');
+    assert.deepStrictEqual(names.slice(-3), ['diagram', 'data_model', 'summary']);
+    assert.strictEqual(names.filter(name => name === 'step').length, result.workflow.length);
+
+    const analysis = events[0].data;
+    assert.strictEqual(analysis.provider, 'mock');
+    assert.deepStrictEqual(analysis.detectedTypes, ['booking', 'ecommerce']);
+
+    const steps = events.filter(entry => entry.event === 'step').map(entry => entry.data);
+    assert.deepStrictEqual(steps.map(step => step.index), result.workflow.map((step, index) => index));
+    assert.strictEqual(steps[0].mermaid_diagram.split('\n').filter(line => line.includes('["')).length, 1);
+    assert.strictEqual(steps.at(-1).mermaid_diagram, result.mermaid_diagram);
+  });
+
+  it('should report every step at once for providers that cannot stream', async () => {
+    const provider = {
+      name: 'stub',
+      model: 'stub-1',
+      generate: async () => ({
+        workflow: [
+          { id: 1, name: 'Receive Request', description: 'A request arrives', type: 'trigger' },
+          { id: 2, name: 'Done', description: 'Finish', type: 'end' }
+        ],
+        summary: 'A stubbed workflow.'
+      })
+    };
+    const events = [];
+    await generateWorkflow('Handle an incoming request', { provider, onEvent: (event, data) => events.push({ event, data }) });
+
+    assert.deepStrictEqual(events[0], { event: 'analysis', data: { provider: 'stub', model: 'stub-1' } });
+    assert.deepStrictEqual(events.slice(1, 3).map(entry => entry.data.step.name), ['Receive Request', 'Done']);
+  });
+});
+
+describe('Streaming API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('should stream a generation over POST', async () => {
+    const { status, headers, body } = await request(baseUrl, 'POST', '/api/scenario/stream', {
+      description: 'User login and signup flow with password reset'
+    });
+
+    assert.strictEqual(status, 200);
+    assert.match(headers['content-type'], /^text\/event-stream/);
+
+    const events = parseEvents(body);
+    assert.strictEqual(events[0].event, 'analysis');
+    const done = events.at(-1);
+    assert.strictEqual(done.event, 'done');
+    assert.strictEqual(done.data.meta.requestId, headers['x-request-id']);
+    assert.strictEqual(events.filter(entry => entry.event === 'step').length, done.data.workflow.length);
+    assert.ok(done.data.data_model.entities.User);
+  });
+
+  it('should stream a generation over GET for EventSource', async () => {
+    const description = encodeURIComponent('Create a customer support ticket system');
+    const { status, body } = await request(baseUrl, 'GET', `/api/scenario/stream?description=${description}`);
+
+    assert.strictEqual(status, 200);
+    const summary = parseEvents(body).find(entry => entry.event === 'summary');
+    assert.match(summary.data.summary, /customer support/);
+  });
+
+  it('should reject invalid input before opening the stream', async () => {
+    const { status, body } = await request(baseUrl, 'GET', '/api/scenario/stream?description=short');
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Description too short');
+  });
+
+  it('should end with an error event when generation fails', async () => {
+    const provider = getProvider();
+    const original = provider.stream;
+    provider.stream = async () => {
+      throw new ProviderError('The model is unavailable');
+    };
+
+    try {
+      const { status, body } = await request(baseUrl, 'POST', '/api/scenario/stream', {
+        description: 'User login and signup flow'
+      });
+
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(parseEvents(body).at(-1), {
+        event: 'error',
+        data: { error: 'AI provider error', message: 'The model is unavailable' }
+      });
+    } finally {
+      provider.stream = original;
+    }
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for Template Packs
+ *
+ * Tests loading and validating pack files, generating scenarios from the
+ * bundled packs and the templates endpoint.
+ */
+
+process.env.SCENARIO_STORAGE = 'memory';
+process.env.TEMPLATE_PACKS_WATCH = 'false';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const app = require('../src/index');
+const { loadTemplatePacks } = require('../src/templatePacks');
+const { analyzeDescription, mockAIGenerate } = require('../src/utils/mockAI');
+const { generateDataModel } = require('../src/utils/schemaGenerator');
+const { startServer, request } = require('./helpers');
+
+let server;
+let baseUrl;
+
+const VALID_PACK = `
+id: library
+name: Library loans
+keywords:
+  loan: 2
+  library: 1
+steps:
+  - { id: 1, name: Scan Card, description: Member scans their library card, type: trigger }
+  - { id: 2, name: Record Loan, description: Save the loan, type: database_write }
+summary: Lends books to members.
+entities:
+  Loan:
+    properties:
+      id: { type: string, format: uuid }
+    required: [id]
+relationships:
+  - { from: User, to: Loan, type: one-to-many }
+`;
+
+describe('Template Packs', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'template-packs-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should load and normalize valid packs', () => {
+    fs.writeFileSync(path.join(directory, 'library.yaml'), VALID_PACK);
+    const { packs, errors } = loadTemplatePacks(directory);
+
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(packs.length, 1);
+    assert.deepStrictEqual(packs[0].keywords, { loan: 2, library: 1 });
+    assert.deepStrictEqual(packs[0].synonyms, { Loan: [] });
+    assert.deepStrictEqual(packs[0].steps[0].next, [2]);
+    assert.deepStrictEqual(packs[0].steps[1].next, []);
+  });
+
+  it('should skip invalid packs and report their problems', () => {
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{ "id": ');
+    fs.writeFileSync(path.join(directory, 'reserved.yaml'), VALID_PACK.replace('id: library', 'id: booking'));
+    fs.writeFileSync(path.join(directory, 'steps.yaml'), VALID_PACK
+      .replace('id: library', 'id: steps')
+      .replace('  - { id: 2, name: Record Loan, description: Save the loan, type: database_write }', '  - Record the loan'));
+    fs.writeFileSync(path.join(directory, 'twice.yml'), VALID_PACK);
+
+    const { packs, errors } = loadTemplatePacks(directory);
+    const problemsOf = file => errors.find(error => error.file === file).problems;
+
+    assert.deepStrictEqual(packs.map(pack => pack.id), ['library']);
+    assert.match(problemsOf('broken.json')[0].message, /Cannot be parsed/);
+    assert.match(problemsOf('reserved.yaml')[0].message, /built-in scenario type/);
+    assert.ok(problemsOf('steps.yaml').some(problem => problem.path.startsWith('$.steps[1]')));
+    assert.match(problemsOf('twice.yml')[0].message, /already used/);
+  });
+
+  it('should pick up changed files when reloaded', () => {
+    fs.writeFileSync(path.join(directory, 'library.yaml'), VALID_PACK.replace('name: Library loans', 'name: Lending'));
+    const { packs } = loadTemplatePacks(directory);
+    assert.strictEqual(packs.find(pack => pack.id === 'library').name, 'Lending');
+  });
+
+  it('should return no packs for a missing directory', () => {
+    const result = loadTemplatePacks(path.join(directory, 'missing'));
+    assert.deepStrictEqual(result.packs, []);
+    assert.deepStrictEqual(result.errors, []);
+  });
+});
+
+describe('Bundled Template Packs', () => {
+  const description = 'Shipment tracking from the warehouse to the customer';
+
+  it('should classify descriptions by pack keywords', () => {
+    const analysis = analyzeDescription(description);
+    assert.strictEqual(analysis.type, 'logistics');
+  });
+
+  it('should generate the pack steps and summary', async () => {
+    const result = await mockAIGenerate(description);
+    assert.strictEqual(result.workflow[0].name, 'Shipment Requested');
+    assert.match(result.summary, /logistics workflow/);
+  });
+
+  it('should use the pack entities and relationships in the data model', async () => {
+    const { workflow } = await mockAIGenerate(description);
+    const dataModel = generateDataModel(workflow, description);
+
+    assert.ok(dataModel.entities.Shipment.properties.tracking_number);
+    assert.ok(dataModel.entities.Warehouse.properties.address);
+    assert.ok(dataModel.relationships.some(({ from, to }) => from === 'Warehouse' && to === 'Shipment'));
+  });
+});
+
+describe('Templates API', () => {
+  before(async () => {
+    ({ server, baseUrl } = await startServer(app));
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('should list built-in types and packs', async () => {
+    const res = await request(baseUrl, 'GET', '/api/templates');
+    assert.strictEqual(res.status, 200);
+
+    const { templates, errors } = res.body.data;
+    assert.deepStrictEqual(errors, []);
+    assert.ok(templates.some(template => template.id === 'ecommerce' && template.source === 'built-in'));
+
+    const logistics = templates.find(template => template.id === 'logistics');
+    assert.strictEqual(logistics.source, 'pack');
+    assert.strictEqual(logistics.file, 'logistics.json');
+    assert.strictEqual(logistics.fragment, 'shipping');
+    assert.deepStrictEqual(logistics.entities, ['Shipment', 'Warehouse']);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for Workflow Validation
+ *
+ * Tests the repair and validation of AI provider output, and the
+ * structured 422 response returned when a payload cannot be repaired.
+ */
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  normalizeStepType,
+  validateWorkflowResponse,
+  assertValidWorkflowResponse
+} = require('../src/utils/workflowValidator');
+const { ValidationError } = require('../src/utils/errors');
+const workflowService = require('../src/services/workflowService');
+const scenarioController = require('../src/controllers/scenarioController');
+
+/**
+ * Minimal Express response double that records status and body
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('Workflow Validator', () => {
+  it('should accept a well-formed response unchanged', () => {
+    const payload = {
+      workflow: [
+        { id: 1, name: 'Start', description: 'Begin', type: 'trigger', next: [2] },
+        { id: 2, name: 'Finish', description: 'Done', type: 'end', next: [] }
+      ],
+      summary: 'Simple flow'
+    };
+    const { value, repairs, problems } = validateWorkflowResponse(payload);
+
+    assert.deepStrictEqual(problems, []);
+    assert.deepStrictEqual(repairs, []);
+    assert.deepStrictEqual(value.workflow, payload.workflow);
+  });
+
+  it('should renumber missing and duplicate ids', () => {
+    const { value, repairs } = validateWorkflowResponse({
+      workflow: [
+        { name: 'A', description: 'a', type: 'trigger' },
+        { id: 7, name: 'B', description: 'b', type: 'system_action' },
+        { id: 7, name: 'C', description: 'c', type: 'end' }
+      ],
+      summary: 'ids'
+    });
+
+    assert.deepStrictEqual(value.workflow.map(step => step.id), [1, 2, 3]);
+    assert.ok(repairs.some(repair => repair.message.includes('Renumbered')));
+  });
+
+  it('should map unknown step types to known ones', () => {
+    assert.strictEqual(normalizeStepType('exclusiveGateway'), 'decision');
+    assert.strictEqual(normalizeStepType('send_email'), 'notification');
+    assert.strictEqual(normalizeStepType('Service Task'), 'system_action');
+    assert.strictEqual(normalizeStepType('user_input'), 'user_input');
+    assert.strictEqual(normalizeStepType(undefined), 'system_action');
+  });
+
+  it('should trim long labels and fill missing fields', () => {
+    const { value, problems } = validateWorkflowResponse({
+      workflow: [
+        { id: 1, name: 'A very long step name that keeps going well past the sixty character limit', type: 'weird' },
+        { id: 2, description: 'Only a description', type: 'end' }
+      ]
+    });
+
+    assert.deepStrictEqual(problems, []);
+    assert.ok(value.workflow[0].name.length <= 60);
+    assert.ok(value.workflow[0].name.endsWith('...'));
+    assert.strictEqual(value.workflow[1].name, 'Only a description');
+    assert.ok(value.summary);
+  });
+
+  it('should unwrap a workflow nested under steps', () => {
+    const { value, problems } = validateWorkflowResponse({
+      workflow: { steps: [{ id: 1, name: 'Only', description: 'x', type: 'trigger' }] },
+      summary: 'nested'
+    });
+
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(value.workflow.length, 1);
+  });
+
+  it('should report problems it cannot repair', () => {
+    const { problems } = validateWorkflowResponse({
+      workflow: ['not a step', { id: 2, type: 'end' }],
+      summary: 'broken'
+    });
+
+    assert.ok(problems.some(problem => problem.path === '$.workflow[0]'));
+    assert.ok(problems.some(problem => problem.path === '$.workflow[1].name'));
+  });
+
+  it('should remap next and branches when renumbering ids', () => {
+    const { value, problems } = validateWorkflowResponse({
+      workflow: [
+        { id: 10, name: 'Start', description: 's', type: 'trigger', next: 20 },
+        { id: 20, name: 'Check', description: 'c', type: 'decision', branches: [{ condition: 'ok', target: '30' }, { label: 'retry', to: 10 }] },
+        { id: 30, name: 'Done', description: 'd', type: 'end' }
+      ],
+      summary: 'graph'
+    });
+
+    assert.deepStrictEqual(problems, []);
+    assert.deepStrictEqual(value.workflow[0].next, [2]);
+    assert.deepStrictEqual(value.workflow[1].branches, [{ label: 'ok', to: 3 }, { label: 'retry', to: 1 }]);
+    assert.deepStrictEqual(value.workflow[2].next, []);
+  });
+
+  it('should drop edges to unknown steps', () => {
+    const { value, repairs } = validateWorkflowResponse({
+      workflow: [
+        { id: 1, name: 'Start', description: 's', type: 'trigger', next: [2, 99] },
+        { id: 2, name: 'Done', description: 'd', type: 'end' }
+      ],
+      summary: 'graph'
+    });
+
+    assert.deepStrictEqual(value.workflow[0].next, [2]);
+    assert.ok(repairs.some(repair => repair.path === '$.workflow[0].next'));
+  });
+
+  it('should throw a ValidationError for a non-array workflow', () => {
+    assert.throws(
+      () => assertValidWorkflowResponse({ workflow: 'step one, step two', summary: 'x' }),
+      (error) => error instanceof ValidationError && error.status === 422
+    );
+  });
+});
+
+describe('Validation in the pipeline', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('should reject unusable provider output in the workflow service', async () => {
+    const provider = { generate: async () => ({ workflow: [], summary: 'empty' }) };
+
+    await assert.rejects(
+      () => workflowService.generateWorkflow('A scenario description', { provider }),
+      ValidationError
+    );
+  });
+
+  it('should return a structured 422 from the controller', async () => {
+    mock.method(workflowService, 'generateWorkflow', async () => {
+      throw new ValidationError('The AI response does not describe a usable workflow', [
+        { path: '$.workflow', message: 'Expected array, got string' }
+      ]);
+    });
+    mock.method(console, 'error', () => {});
+
+    const res = createResponse();
+    await scenarioController.generateScenario({ body: { description: 'A scenario description' } }, res);
+
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.body.details.problems[0].path, '$.workflow');
+  });
+});
@@ -11,7 +11,14 @@ const { describe, it } = require('node:test');
 const assert = require('node:assert');
 
 const { mockAIGenerate, analyzeDescription, generateStepsForType } = require('../src/utils/mockAI');
-const { generateMermaidDiagram, escapeLabel } = require('../src/utils/diagramGenerator');
+const {
+  generateMermaidDiagram,
+  generateERDiagram,
+  generateStateDiagram,
+  generateStateDiagrams,
+  generateSequenceDiagram,
+  escapeLabel
+} = require('../src/utils/diagramGenerator');
 const { generateDataModel, extractEntities } = require('../src/utils/schemaGenerator');
 const { generateWorkflow } = require('../src/services/workflowService');
 
@@ -45,6 +52,52 @@ describe('Mock AI Generator', () => {
     assert.strictEqual(analysis.type, 'general');
   });
 
+  it('should match keywords as whole words', () => {
+    assert.strictEqual(analyzeDescription('Process customer refunds').type, 'general');
+    assert.strictEqual(analyzeDescription('Help users reset their password').type, 'auth');
+    assert.strictEqual(analyzeDescription('Log in with Facebook').type, 'auth');
+  });
+
+  it('should detect several domains with a confidence each', () => {
+    const analysis = analyzeDescription('Book an appointment and pay online');
+
+    assert.strictEqual(analysis.type, 'booking');
+    assert.deepStrictEqual(analysis.types, ['booking', 'ecommerce']);
+    assert.deepStrictEqual(analysis.scores, [
+      { type: 'booking', score: 4, confidence: 0.67 },
+      { type: 'ecommerce', score: 2, confidence: 0.33 }
+    ]);
+  });
+
+  it('should not add a domain that is only hinted at', () => {
+    const analysis = analyzeDescription('Customer places an order, payment is processed and a confirmation email is sent');
+    assert.deepStrictEqual(analysis.types, ['ecommerce']);
+    assert.strictEqual(analysis.scores[1].type, 'notification');
+  });
+
+  it('should compose one connected workflow for several domains', () => {
+    const steps = generateStepsForType(['booking', 'ecommerce'], 'book an appointment and pay online');
+    const names = steps.map(step => step.name);
+
+    assert.ok(names.indexOf('Create Reservation') < names.indexOf('Process Payment'));
+    assert.ok(names.indexOf('Payment Verification') < names.indexOf('Send Confirmation'));
+    assert.deepStrictEqual(steps.map(step => step.id), steps.map((step, index) => index + 1));
+
+    const verification = steps.find(step => step.name === 'Payment Verification');
+    const recordPayment = steps.find(step => step.name === 'Record Payment');
+    assert.deepStrictEqual(verification.branches.map(branch => branch.to), [recordPayment.id, verification.id - 2]);
+    assert.deepStrictEqual(
+      recordPayment.next,
+      steps.filter(step => ['Send Confirmation', 'Add to Calendar'].includes(step.name)).map(step => step.id)
+    );
+  });
+
+  it('should place secondary domains in the order they are mentioned', () => {
+    const steps = generateStepsForType(['booking', 'ecommerce'], 'pay a deposit, then book a table');
+    const names = steps.map(step => step.name);
+    assert.ok(names.indexOf('Record Payment') < names.indexOf('Select Service'));
+  });
+
   it('should generate workflow steps', () => {
     const steps = generateStepsForType('ecommerce', 'buy products');
     assert.ok(Array.isArray(steps));
@@ -60,6 +113,14 @@ describe('Mock AI Generator', () => {
     assert.ok(result.summary);
     assert.ok(Array.isArray(result.workflow));
   });
+
+  it('should describe composite workflows in the summary and metadata', async () => {
+    const result = await mockAIGenerate('Book an appointment and pay online');
+
+    assert.match(result.summary, /It also covers payment\.$/);
+    assert.deepStrictEqual(result.metadata.detectedTypes, ['booking', 'ecommerce']);
+    assert.strictEqual(result.metadata.classification[0].type, 'booking');
+  });
 });
 
 // ============================================
@@ -95,14 +156,124 @@ describe('Diagram Generator', () => {
   it('should handle decision nodes with multiple paths', () => {
     const workflow = [
       { id: 1, name: 'Start', type: 'trigger' },
-      { id: 2, name: 'Decision', type: 'decision' },
+      { id: 2, name: 'Decision', type: 'decision', branches: [{ label: 'Yes', to: 3 }, { label: 'No', to: 4 }] },
       { id: 3, name: 'Yes Path', type: 'system_action' },
       { id: 4, name: 'End', type: 'end' }
     ];
     const diagram = generateMermaidDiagram(workflow);
     
-    assert.ok(diagram.includes('Yes'));
-    assert.ok(diagram.includes('No'));
+    assert.ok(diagram.includes('step2 -->|Yes| step3'));
+    assert.ok(diagram.includes('step2 -->|No| step4'));
+  });
+
+  it('should not invent branches for decisions without explicit edges', () => {
+    const workflow = [
+      { id: 1, name: 'Decision', type: 'decision' },
+      { id: 2, name: 'Next', type: 'system_action' },
+      { id: 3, name: 'Later', type: 'system_action' }
+    ];
+    const diagram = generateMermaidDiagram(workflow);
+
+    assert.ok(diagram.includes('step1 --> step2'));
+    assert.ok(!diagram.includes('step1 -.->'));
+  });
+
+  it('should draw loops back to earlier steps as dotted edges', () => {
+    const workflow = [
+      { id: 1, name: 'Pay', type: 'system_action' },
+      { id: 2, name: 'Paid?', type: 'decision', branches: [{ label: 'Yes', to: 3 }, { label: 'Retry', to: 1 }] },
+      { id: 3, name: 'Done', type: 'end' }
+    ];
+    const diagram = generateMermaidDiagram(workflow);
+
+    assert.ok(diagram.includes('step2 -.->|Retry| step1'));
+  });
+
+  it('should draw parallel forks and terminal steps', () => {
+    const workflow = [
+      { id: 1, name: 'Fork', type: 'parallel', next: [2, 3] },
+      { id: 2, name: 'Left', type: 'system_action', next: [4] },
+      { id: 3, name: 'Right', type: 'system_action', next: [4] },
+      { id: 4, name: 'Join', type: 'join', next: [] }
+    ];
+    const diagram = generateMermaidDiagram(workflow);
+
+    assert.ok(diagram.includes('step1 --> step2'));
+    assert.ok(diagram.includes('step1 --> step3'));
+    assert.ok(diagram.includes('step3 --> step4'));
+    assert.ok(!diagram.includes('step4 -->'));
+  });
+});
+
+describe('Additional Diagrams', () => {
+  const dataModel = {
+    entities: {
+      User: { properties: { id: { type: 'string', format: 'uuid' } }, required: ['id'] },
+      Order: {
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          status: { type: 'string', enum: ['pending', 'paid', 'cancelled'] }
+        },
+        required: ['id']
+      }
+    },
+    relationships: [{ from: 'User', to: 'Order', type: 'one-to-many', description: 'User places orders' }]
+  };
+
+  it('should draw an ER diagram with cardinality and keys', () => {
+    const diagram = generateERDiagram(dataModel);
+
+    assert.ok(diagram.startsWith('erDiagram'));
+    assert.ok(diagram.includes('User ||--o{ Order : "User places orders"'));
+    assert.ok(diagram.includes('uuid id PK'));
+    assert.ok(diagram.includes('uuid user_id FK'));
+  });
+
+  it('should draw a status lifecycle with exception states', () => {
+    const diagram = generateStateDiagram(['confirmed', 'pending', 'cancelled', 'completed']);
+    const lines = diagram.split('\n').map(line => line.trim());
+
+    assert.strictEqual(lines[0], 'stateDiagram-v2');
+    assert.ok(lines.includes('[*] --> pending'));
+    assert.ok(lines.includes('pending --> confirmed'));
+    assert.ok(lines.includes('confirmed --> completed'));
+    assert.ok(lines.includes('confirmed --> cancelled'));
+    assert.ok(!lines.includes('completed --> cancelled'));
+  });
+
+  it('should only draw state diagrams for entities with a status enum', () => {
+    assert.deepStrictEqual(Object.keys(generateStateDiagrams(dataModel)), ['Order']);
+  });
+
+  it('should map step types onto sequence diagram actors', () => {
+    const diagram = generateSequenceDiagram([
+      { id: 1, name: 'Submit Form', description: '', type: 'user_input' },
+      { id: 2, name: 'Load Profile', description: '', type: 'database_query' },
+      { id: 3, name: 'Valid?', description: '', type: 'decision', branches: [{ label: 'Yes', to: 4 }, { label: 'No', to: 1 }] },
+      { id: 4, name: 'Email User', description: '', type: 'notification' }
+    ]);
+
+    assert.ok(diagram.includes('actor User'));
+    assert.ok(diagram.includes('participant Database'));
+    assert.ok(diagram.includes('User->>System: Submit Form'));
+    assert.ok(diagram.includes('System->>Database: Load Profile'));
+    assert.ok(diagram.includes('alt Yes'));
+    assert.ok(diagram.includes('else No'));
+    assert.ok(diagram.includes('System->>Notification: Email User'));
+  });
+
+  it('should only declare participants that send or receive a message', () => {
+    const diagram = generateSequenceDiagram([
+      { id: 1, name: 'Notify User', description: '', type: 'process' },
+      { id: 2, name: 'Send Notification summary', description: '', type: 'api_call' },
+      { id: 3, name: 'Database cleanup', description: '', type: 'validation' }
+    ]);
+
+    assert.ok(diagram.includes('System->>System: Notify User'));
+    assert.ok(diagram.includes('participant System'));
+    assert.ok(!diagram.includes('actor User'));
+    assert.ok(!diagram.includes('participant Notification'));
+    assert.ok(!diagram.includes('participant Database'));
   });
 });
 
@@ -171,6 +342,20 @@ describe('Workflow Service', () => {
     assert.ok(Array.isArray(result.workflow));
     assert.ok(result.mermaid_diagram.includes('graph TD'));
     assert.ok(typeof result.summary === 'string');
+
+    assert.strictEqual(result.diagrams.flowchart, result.mermaid_diagram);
+    assert.ok(result.diagrams.er.startsWith('erDiagram'));
+    assert.ok(result.diagrams.sequence.startsWith('sequenceDiagram'));
+    assert.ok(result.diagrams.state.Order.startsWith('stateDiagram-v2'));
+  });
+
+  it('should return an explicit graph with labelled branches', async () => {
+    const result = await generateWorkflow('Build an e-commerce checkout flow');
+
+    assert.ok(result.workflow.every(step => Array.isArray(step.next)));
+    const verification = result.workflow.find(step => step.type === 'decision');
+    assert.ok(verification.branches.length >= 2);
+    assert.ok(result.mermaid_diagram.includes('-.->|Failed|'));
   });
 
   it('should generate different workflows for different scenarios', async () => {
@@ -180,4 +365,15 @@ describe('Workflow Service', () => {
     assert.notDeepStrictEqual(ecommerce.workflow, auth.workflow);
     assert.notStrictEqual(ecommerce.summary, auth.summary);
   });
+
+  it('should expose the provider metadata and timings', async () => {
+    const result = await generateWorkflow('Book an appointment and pay online', { requestId: 'req-1' });
+
+    assert.strictEqual(result.meta.requestId, 'req-1');
+    assert.strictEqual(result.meta.provider, 'mock');
+    assert.deepStrictEqual(result.meta.detectedTypes, ['booking', 'ecommerce']);
+    assert.strictEqual(result.meta.classification[0].type, 'booking');
+    assert.deepStrictEqual(Object.keys(result.meta.timings), ['ai', 'schema', 'diagram', 'total']);
+    assert.ok(result.workflow.some(step => step.name === 'Process Payment'));
+  });
 });
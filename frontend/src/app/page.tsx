@@ -9,17 +9,63 @@
  * 3. See the Mermaid diagram
  * 4. Explore the data model
  * 5. Regenerate with different descriptions
+ * 6. Save scenarios to the library and reopen them later
+ * 7. Browse the version history of a saved scenario and diff versions
+ * 8. Refine the workflow with plain-English instructions
+ * 9. Download an OpenAPI spec to bootstrap the backend
+ * 10. Download the workflow as BPMN 2.0 for process modelers
+ * 11. Import existing Mermaid flowcharts or BPMN files
+ * 12. Simulate the workflow and watch the path on the diagram
+ * 13. Download Gherkin test scenarios, one per path through the workflow
+ * 14. Download a runnable code scaffold (routes, services, state machines, tests) as a zip
+ * 15. Review the complexity and risk analysis of the scenario
  */
 
-import { useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import ScenarioInput from '@/components/ScenarioInput';
 import WorkflowDisplay from '@/components/WorkflowDisplay';
 import MermaidDiagram from '@/components/MermaidDiagram';
 import DataModelDisplay from '@/components/DataModelDisplay';
-import { generateScenario } from '@/lib/api';
-import { ScenarioResponse } from '@/lib/types';
+import ScenarioLibrary from '@/components/ScenarioLibrary';
+import VersionHistory from '@/components/VersionHistory';
+import RefinePanel from '@/components/RefinePanel';
+import ImportPanel from '@/components/ImportPanel';
+import GenerationMetaPanel from '@/components/GenerationMetaPanel';
+import GenerationProgress from '@/components/GenerationProgress';
+import SimulationPanel from '@/components/SimulationPanel';
+import AnalysisDisplay from '@/components/AnalysisDisplay';
+import {
+  streamScenario,
+  saveScenario,
+  updateScenario,
+  getScenario,
+  refineScenario,
+  deriveScenario,
+  exportScenario,
+  importDiagram,
+} from '@/lib/api';
+import { downloadBlob } from '@/lib/download';
+import { DataModel, ScenarioDraft, ScenarioResponse, StreamEvent, WorkflowStep } from '@/lib/types';
 
-type TabType = 'workflow' | 'diagram' | 'dataModel';
+type TabType = 'workflow' | 'diagram' | 'dataModel' | 'analysis' | 'history';
+
+// Fold one streamed event into the scenario generated so far
+function applyStreamEvent(draft: ScenarioDraft, { event, data }: StreamEvent): ScenarioDraft {
+  switch (event) {
+    case 'analysis':
+      return { ...draft, analysis: data };
+    case 'step':
+      return { ...draft, workflow: [...draft.workflow, data.step], mermaid_diagram: data.mermaid_diagram ?? draft.mermaid_diagram };
+    case 'diagram':
+      return { ...draft, mermaid_diagram: data.mermaid_diagram, diagrams: data.diagrams };
+    case 'data_model':
+      return { ...draft, data_model: data.data_model };
+    case 'summary':
+      return { ...draft, summary: data.summary };
+    default:
+      return draft;
+  }
+}
 
 export default function Home() {
   const [isLoading, setIsLoading] = useState(false);
@@ -27,18 +73,93 @@ export default function Home() {
   const [result, setResult] = useState<ScenarioResponse | null>(null);
   const [inputDescription, setInputDescription] = useState<string>('');
   const [activeTab, setActiveTab] = useState<TabType>('workflow');
+  const [savedId, setSavedId] = useState<string | null>(null);
+  const [currentVersion, setCurrentVersion] = useState(1);
+  const [isSaving, setIsSaving] = useState(false);
+  const [libraryVersion, setLibraryVersion] = useState(0);
+  const [isRefining, setIsRefining] = useState(false);
+  const [isDeriving, setIsDeriving] = useState(false);
+  // Set once the data model is edited by hand, so workflow edits keep it
+  const [isDataModelCurated, setIsDataModelCurated] = useState(false);
+  // Step selected in the diagram or the step list
+  const [selectedStep, setSelectedStep] = useState<number | null>(null);
+  const [lastChanges, setLastChanges] = useState<string[]>([]);
+  const [isImported, setIsImported] = useState(false);
+  const [draft, setDraft] = useState<ScenarioDraft | null>(null);
+  // Steps of the last simulated run, animated on the diagram
+  const [simulatedPath, setSimulatedPath] = useState<number[] | null>(null);
+
+  // Keep the open scenario in the URL so it can be shared
+  const setScenarioUrl = (id: string | null) => {
+    const url = new URL(window.location.href);
+    if (id) url.searchParams.set('scenario', id);
+    else url.searchParams.delete('scenario');
+    window.history.replaceState(null, '', url);
+  };
 
-  const handleGenerate = async (description: string) => {
+  const handleGenerate = async (description: string, keepSaved = false) => {
     setIsLoading(true);
     setError(null);
     setInputDescription(description);
+    setLastChanges([]);
+    setIsImported(false);
+    if (!keepSaved) {
+      setSavedId(null);
+      setScenarioUrl(null);
+      setActiveTab((tab) => (tab === 'history' ? 'workflow' : tab));
+    }
+
+    // Show the new scenario as it streams in, unless regenerating the open one
+    if (!keepSaved) {
+      setResult(null);
+    }
+    setDraft({ workflow: [] });
 
     try {
-      const response = await generateScenario(description);
+      const response = await streamScenario(description, (event) => {
+        setDraft((current) => (current ? applyStreamEvent(current, event) : current));
+      });
+
+      // Regenerating a saved scenario adds a version instead of overwriting it
+      if (keepSaved && savedId) {
+        const { workflow, summary, data_model } = response.data;
+        const saved = await updateScenario(savedId, { workflow, summary, data_model, source: 'regenerate' });
+        setCurrentVersion(saved.current_version);
+        setLibraryVersion((version) => version + 1);
+      }
+
       setResult(response);
+      setSelectedStep(null);
+      setIsDataModelCurated(false);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'An unexpected error occurred');
       setResult(null);
+    } finally {
+      setDraft(null);
+      setIsLoading(false);
+    }
+  };
+
+  const handleImport = async (content: string): Promise<boolean> => {
+    setIsLoading(true);
+    setError(null);
+    setLastChanges([]);
+    setSavedId(null);
+    setScenarioUrl(null);
+    setActiveTab((tab) => (tab === 'history' ? 'workflow' : tab));
+
+    try {
+      const imported = await importDiagram(content);
+      const { workflow, mermaid_diagram, data_model, data_model_lint, analysis_report, summary, diagrams } = imported;
+      setInputDescription(imported.title);
+      setResult({ success: true, data: { workflow, mermaid_diagram, data_model, data_model_lint, analysis_report, summary, diagrams } });
+      setSelectedStep(null);
+      setIsDataModelCurated(false);
+      setIsImported(true);
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to import diagram');
+      return false;
     } finally {
       setIsLoading(false);
     }
@@ -46,14 +167,173 @@ export default function Home() {
 
   const handleRegenerate = () => {
     if (inputDescription) {
-      handleGenerate(inputDescription);
+      handleGenerate(inputDescription, true);
     }
   };
 
+  const handleSave = async () => {
+    if (!result) return;
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const { workflow, summary, data_model } = result.data;
+      const saved = savedId
+        ? await updateScenario(savedId, { workflow, summary, data_model })
+        : await saveScenario(inputDescription, result.data, isImported ? 'import' : undefined);
+      setSavedId(saved.id);
+      setCurrentVersion(saved.current_version);
+      setScenarioUrl(saved.id);
+      setLibraryVersion((version) => version + 1);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save scenario');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Refinements are stored as versions, so an unsaved scenario is saved first
+  const handleRefine = async (instruction: string): Promise<boolean> => {
+    if (!result) return false;
+    setIsRefining(true);
+    setError(null);
+
+    try {
+      let id = savedId;
+      if (!id) {
+        const saved = await saveScenario(inputDescription, result.data, isImported ? 'import' : undefined);
+        id = saved.id;
+        setSavedId(id);
+        setScenarioUrl(id);
+      }
+
+      const refined = await refineScenario(id, instruction, result.data.workflow);
+      const { workflow, mermaid_diagram, data_model, data_model_lint, analysis_report, summary, diagrams } = refined;
+      // Keep the rest, such as the provider and timing `meta` of the generation
+      setResult({
+        success: true,
+        data: { ...result.data, workflow, mermaid_diagram, data_model, data_model_lint, analysis_report, summary, diagrams },
+      });
+      setSelectedStep(null);
+      setIsDataModelCurated(false);
+      setCurrentVersion(refined.version);
+      setLastChanges(refined.changes);
+      setLibraryVersion((version) => version + 1);
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to refine scenario');
+      return false;
+    } finally {
+      setIsRefining(false);
+    }
+  };
+
+  // Hand edits show straight away; the diagrams and data model follow once rebuilt
+  const handleWorkflowChange = async (workflow: WorkflowStep[]) => {
+    if (!result) return;
+    const previous = result.data;
+    setResult({ success: true, data: { ...previous, workflow } });
+    setIsDeriving(true);
+    setError(null);
+
+    try {
+      const derived = await deriveScenario(workflow, {
+        description: inputDescription,
+        summary: previous.summary,
+        ...(isDataModelCurated ? { data_model: previous.data_model } : {}),
+      });
+      const { mermaid_diagram, data_model, data_model_lint, analysis_report, diagrams } = derived;
+      setResult({
+        success: true,
+        data: { ...previous, workflow: derived.workflow, mermaid_diagram, data_model, data_model_lint, analysis_report, diagrams },
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update the workflow');
+    } finally {
+      setIsDeriving(false);
+    }
+  };
+
+  // Data model edits are validated by the backend and only kept when valid
+  const handleDataModelChange = async (dataModel: DataModel) => {
+    if (!result) return;
+    const previous = result.data;
+    setResult({ success: true, data: { ...previous, data_model: dataModel } });
+    setIsDeriving(true);
+    setError(null);
+
+    try {
+      const derived = await deriveScenario(previous.workflow, {
+        description: inputDescription,
+        summary: previous.summary,
+        data_model: dataModel,
+      });
+      const { data_model, data_model_lint, analysis_report, diagrams } = derived;
+      setResult({ success: true, data: { ...previous, data_model, data_model_lint, analysis_report, diagrams } });
+      setIsDataModelCurated(true);
+    } catch (err) {
+      setResult({ success: true, data: previous });
+      setError(err instanceof Error ? err.message : 'Failed to update the data model');
+    } finally {
+      setIsDeriving(false);
+    }
+  };
+
+  const handleOpen = useCallback(async (id: string) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const scenario = await getScenario(id);
+      setResult({ success: true, data: scenario });
+      setSelectedStep(null);
+      // A saved data model may have been curated, so workflow edits keep it
+      setIsDataModelCurated(true);
+      setInputDescription(scenario.description);
+      setSavedId(scenario.id);
+      setCurrentVersion(scenario.current_version);
+      setScenarioUrl(scenario.id);
+      setLastChanges([]);
+      setIsImported(false);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to open scenario');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const handleDownload = async (format: string, what: string) => {
+    if (!result) return;
+    setError(null);
+
+    try {
+      const { workflow, data_model, summary } = result.data;
+      const file = await exportScenario(format, { workflow, data_model, summary, title: inputDescription });
+      downloadBlob(file.blob, file.filename);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : `Failed to export the ${what}`);
+    }
+  };
+
+  const handleCopyLink = () => {
+    navigator.clipboard?.writeText(window.location.href);
+  };
+
+  // Open a shared scenario link (?scenario=<id>) on first load
+  useEffect(() => {
+    const sharedId = new URLSearchParams(window.location.search).get('scenario');
+    if (sharedId) {
+      handleOpen(sharedId);
+    }
+  }, [handleOpen]);
+
   const tabs: { id: TabType; label: string; icon: string }[] = [
     { id: 'workflow', label: 'Workflow Steps', icon: '📋' },
     { id: 'diagram', label: 'Visual Diagram', icon: '📊' },
     { id: 'dataModel', label: 'Data Model', icon: '🗃️' },
+    { id: 'analysis', label: 'Analysis', icon: '🔍' },
+    // Only saved scenarios have a history
+    ...(savedId ? [{ id: 'history' as TabType, label: `History (v${currentVersion})`, icon: '🕒' }] : []),
   ];
 
   return (
@@ -76,6 +356,9 @@ export default function Home() {
         {/* Input Section */}
         <section className="mb-8">
           <ScenarioInput onSubmit={handleGenerate} isLoading={isLoading} />
+          <div className="mt-4">
+            <ImportPanel onImport={handleImport} isLoading={isLoading} />
+          </div>
         </section>
 
         {/* Error Display */}
@@ -91,6 +374,9 @@ export default function Home() {
           </div>
         )}
 
+        {/* Streaming Progress */}
+        {draft && !(result && result.data) && <GenerationProgress draft={draft} />}
+
         {/* Results Section */}
         {result && result.data && (
           <section className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
@@ -104,14 +390,65 @@ export default function Home() {
                   </h3>
                   <p className="text-gray-600">{inputDescription}</p>
                 </div>
-                <button
-                  onClick={handleRegenerate}
-                  disabled={isLoading}
-                  className="flex-shrink-0 px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200 flex items-center gap-2"
-                >
-                  <span>🔄</span>
-                  Regenerate
-                </button>
+                <div className="flex-shrink-0 flex gap-2">
+                  <button
+                    onClick={handleSave}
+                    disabled={isLoading || isSaving}
+                    className="px-4 py-2 bg-blue-600 border border-blue-600 rounded-lg text-white hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200 flex items-center gap-2"
+                  >
+                    <span>💾</span>
+                    {isSaving ? 'Saving...' : savedId ? 'Save Changes' : 'Save'}
+                  </button>
+                  {savedId && (
+                    <button
+                      onClick={handleCopyLink}
+                      className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors duration-200 flex items-center gap-2"
+                    >
+                      <span>🔗</span>
+                      Copy Link
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDownload('openapi', 'OpenAPI spec')}
+                    disabled={isLoading}
+                    className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200 flex items-center gap-2"
+                  >
+                    <span>📄</span>
+                    OpenAPI
+                  </button>
+                  <button
+                    onClick={() => handleDownload('bpmn', 'BPMN diagram')}
+                    disabled={isLoading}
+                    className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200 flex items-center gap-2"
+                  >
+                    <span>🧭</span>
+                    BPMN
+                  </button>
+                  <button
+                    onClick={() => handleDownload('gherkin', 'Gherkin feature')}
+                    disabled={isLoading}
+                    className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200 flex items-center gap-2"
+                  >
+                    <span>🥒</span>
+                    Gherkin
+                  </button>
+                  <button
+                    onClick={() => handleDownload('scaffold', 'code scaffold')}
+                    disabled={isLoading}
+                    className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200 flex items-center gap-2"
+                  >
+                    <span>🏗️</span>
+                    Scaffold
+                  </button>
+                  <button
+                    onClick={handleRegenerate}
+                    disabled={isLoading}
+                    className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200 flex items-center gap-2"
+                  >
+                    <span>🔄</span>
+                    Regenerate
+                  </button>
+                </div>
               </div>
             </div>
 
@@ -124,6 +461,12 @@ export default function Home() {
               <p className="text-blue-700">{result.data.summary}</p>
             </div>
 
+            {/* Generation details */}
+            {result.data.meta && <GenerationMetaPanel meta={result.data.meta} />}
+
+            {/* Refinement */}
+            <RefinePanel onRefine={handleRefine} isLoading={isRefining || isLoading} lastChanges={lastChanges} />
+
             {/* Tab Navigation */}
             <div className="border-b border-gray-200">
               <nav className="flex" aria-label="Tabs">
@@ -147,18 +490,76 @@ export default function Home() {
             {/* Tab Content */}
             <div className="p-6">
               {activeTab === 'workflow' && (
-                <WorkflowDisplay workflow={result.data.workflow} />
+                <WorkflowDisplay
+                  workflow={result.data.workflow}
+                  onChange={isLoading || isRefining ? undefined : handleWorkflowChange}
+                  isUpdating={isDeriving}
+                  selectedStep={selectedStep}
+                  onSelectStep={setSelectedStep}
+                />
               )}
               {activeTab === 'diagram' && (
-                <MermaidDiagram diagram={result.data.mermaid_diagram} />
+                <div className="grid gap-6 lg:grid-cols-3">
+                  <div className="lg:col-span-2 min-w-0">
+                    <MermaidDiagram
+                      diagram={result.data.mermaid_diagram}
+                      diagrams={result.data.diagrams}
+                      workflow={result.data.workflow}
+                      selectedStep={selectedStep}
+                      onSelectStep={setSelectedStep}
+                      // The diagram catches up after each edit; until then its nodes may not match the steps
+                      onChange={isLoading || isRefining || isDeriving ? undefined : handleWorkflowChange}
+                      highlightPath={simulatedPath}
+                    />
+                    <SimulationPanel
+                      scenarioId={savedId}
+                      workflow={result.data.workflow}
+                      onPath={setSimulatedPath}
+                    />
+                  </div>
+                  <div className="lg:max-h-[80vh] overflow-y-auto pr-1">
+                    <WorkflowDisplay
+                      workflow={result.data.workflow}
+                      onChange={isLoading || isRefining ? undefined : handleWorkflowChange}
+                      isUpdating={isDeriving}
+                      selectedStep={selectedStep}
+                      onSelectStep={setSelectedStep}
+                    />
+                  </div>
+                </div>
               )}
               {activeTab === 'dataModel' && (
-                <DataModelDisplay dataModel={result.data.data_model} />
+                <DataModelDisplay
+                  dataModel={result.data.data_model}
+                  lint={result.data.data_model_lint}
+                  title={inputDescription}
+                  onChange={isLoading || isRefining ? undefined : handleDataModelChange}
+                  isUpdating={isDeriving}
+                />
+              )}
+              {activeTab === 'analysis' && (
+                <AnalysisDisplay
+                  report={result.data.analysis_report}
+                  workflow={result.data.workflow}
+                  isUpdating={isDeriving}
+                  onSelectStep={(id) => {
+                    setSelectedStep(id);
+                    setActiveTab('workflow');
+                  }}
+                />
+              )}
+              {activeTab === 'history' && savedId && (
+                <VersionHistory scenarioId={savedId} currentVersion={currentVersion} />
               )}
             </div>
           </section>
         )}
 
+        {/* Saved Scenario Library */}
+        <section className="mt-8">
+          <ScenarioLibrary onOpen={handleOpen} activeId={savedId} refreshKey={libraryVersion} />
+        </section>
+
         {/* Footer */}
         <footer className="mt-12 text-center text-gray-500 text-sm">
           <p>
@@ -0,0 +1,127 @@
+'use client';
+
+/**
+ * Analysis Display Component
+ *
+ * Shows the backend's complexity and risk analysis of the scenario: an
+ * overall risk level, the step and graph metrics (decision points,
+ * cyclomatic complexity, user-facing vs system steps, external
+ * touchpoints) and the concerns it flags, such as a payment step with no
+ * error handling after it. Findings about a step link to it in the
+ * workflow list.
+ */
+
+import { AnalysisReport, LintSeverity, RiskLevel, WorkflowStep } from '@/lib/types';
+
+interface AnalysisDisplayProps {
+  // Missing on scenarios saved before the analysis existed
+  report?: AnalysisReport;
+  workflow: WorkflowStep[];
+  isUpdating?: boolean;
+  onSelectStep: (id: number) => void;
+}
+
+const riskStyles: Record<RiskLevel, { label: string; className: string }> = {
+  low: { label: 'Low risk', className: 'bg-green-100 text-green-800 border-green-200' },
+  medium: { label: 'Medium risk', className: 'bg-amber-100 text-amber-800 border-amber-200' },
+  high: { label: 'High risk', className: 'bg-red-100 text-red-800 border-red-200' },
+};
+
+const severityStyles: Record<LintSeverity, { icon: string; className: string }> = {
+  error: { icon: '⛔', className: 'bg-red-50 border-red-200 text-red-800' },
+  warning: { icon: '⚠️', className: 'bg-amber-50 border-amber-200 text-amber-800' },
+  info: { icon: 'ℹ️', className: 'bg-blue-50 border-blue-200 text-blue-800' },
+};
+
+export default function AnalysisDisplay({ report, workflow, isUpdating = false, onSelectStep }: AnalysisDisplayProps) {
+  if (!report) {
+    return (
+      <p className="text-gray-500 text-center py-8">
+        No analysis for this scenario yet. Edit the workflow or regenerate the scenario to run it.
+      </p>
+    );
+  }
+
+  const { metrics, findings } = report;
+  const names = new Map(workflow.map((step) => [step.id, step.name]));
+  const types = Object.entries(metrics.steps_by_type).sort(([, a], [, b]) => b - a);
+  const widest = Math.max(1, ...types.map(([, count]) => count));
+
+  const cards = [
+    { label: 'Steps', value: metrics.step_count },
+    { label: 'Decision points', value: metrics.decision_points },
+    { label: 'Cyclomatic complexity', value: metrics.cyclomatic_complexity, hint: 'Independent paths through the workflow' },
+    { label: 'User-facing / system', value: `${metrics.user_facing_steps} / ${metrics.system_steps}` },
+    { label: 'External touchpoints', value: metrics.external_touchpoints, hint: 'Integration, notification and AI steps' },
+  ];
+
+  return (
+    <div className={`space-y-6 ${isUpdating ? 'opacity-60' : ''}`}>
+      <div className="flex items-center gap-3">
+        <span className={`px-3 py-1 rounded-full border text-sm font-semibold ${riskStyles[report.risk].className}`}>
+          {riskStyles[report.risk].label}
+        </span>
+        <span className="text-sm text-gray-500">
+          {findings.length === 0 ? 'No concerns found' : `${findings.length} concern${findings.length === 1 ? '' : 's'} found`}
+        </span>
+      </div>
+
+      <div className="grid gap-3 grid-cols-2 md:grid-cols-5">
+        {cards.map((card) => (
+          <div key={card.label} className="border border-gray-200 rounded-lg p-3" title={card.hint}>
+            <div className="text-2xl font-semibold text-gray-800">{card.value}</div>
+            <div className="text-xs text-gray-500">{card.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-3">Concerns</h3>
+          {findings.length === 0 ? (
+            <p className="text-sm text-gray-400">Error handling, logging and audit checks all passed</p>
+          ) : (
+            <ul className="space-y-2">
+              {findings.map((finding) => (
+                <li
+                  key={`${finding.code}:${finding.path}`}
+                  className={`rounded-lg border px-3 py-2 text-sm flex gap-2 ${severityStyles[finding.severity].className}`}
+                >
+                  <span>{severityStyles[finding.severity].icon}</span>
+                  <span className="flex-1">
+                    {finding.message}
+                    {finding.step !== undefined && names.has(finding.step) && (
+                      <button
+                        type="button"
+                        onClick={() => onSelectStep(finding.step as number)}
+                        className="ml-2 text-xs underline opacity-80 hover:opacity-100"
+                      >
+                        Show step
+                      </button>
+                    )}
+                    {finding.entity && <code className="ml-2 text-xs opacity-70">{finding.entity}</code>}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-3">Steps by type</h3>
+          <ul className="space-y-1.5">
+            {types.map(([type, count]) => (
+              <li key={type} className="flex items-center gap-2 text-sm">
+                <code className="w-36 shrink-0 text-xs text-gray-600">{type}</code>
+                <div className="flex-1 bg-gray-100 rounded h-2">
+                  <div className="bg-blue-500 h-2 rounded" style={{ width: `${(count / widest) * 100}%` }} />
+                </div>
+                <span className="w-6 text-right text-gray-700">{count}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,13 +4,109 @@
  * Data Model Display Component
  * 
  * Displays the generated data model with entities and relationships
- * in a structured, readable format.
+ * in a structured, readable format, and offers it for download as
+ * SQL DDL, a Prisma schema, TypeScript interfaces or Zod schemas.
+ *
+ * When `onChange` is given the model can be curated by hand: entities
+ * can be added, renamed and removed, properties edited and
+ * relationships defined with their cardinality. The edited model is
+ * passed to `onChange`, which has it validated by the backend.
+ *
+ * Findings of the backend's data model lint are listed above the
+ * entities and counted on the entity they concern, so model smells are
+ * caught before exporting.
  */
 
-import { DataModel } from '@/lib/types';
+import { useState } from 'react';
+import { DataModel, LintFinding, LintSeverity, Relationship } from '@/lib/types';
+import { exportScenario } from '@/lib/api';
+import { downloadBlob } from '@/lib/download';
+import {
+  ENTITY_NAME,
+  PropertyFields,
+  addEntity,
+  removeEntity,
+  removeProperty,
+  removeRelationship,
+  renameEntity,
+  setProperty,
+  setRelationship,
+} from '@/lib/dataModelEdits';
+import PropertyEditor from '@/components/PropertyEditor';
+import RelationshipEditor from '@/components/RelationshipEditor';
 
 interface DataModelDisplayProps {
   dataModel: DataModel;
+  lint?: LintFinding[];
+  title?: string;
+  onChange?: (dataModel: DataModel) => void;
+  isUpdating?: boolean;
+}
+
+// Form currently open in the editor
+type EditTarget =
+  | { kind: 'entity'; name: string | null }
+  | { kind: 'property'; entity: string; name: string | null }
+  | { kind: 'relationship'; index: number | null };
+
+// Properties shown per entity before collapsing the rest
+const PREVIEW_PROPERTIES = 6;
+
+// Export formats offered for the data model
+const exportFormats = [
+  { id: 'postgresql', label: 'PostgreSQL' },
+  { id: 'sqlite', label: 'SQLite' },
+  { id: 'prisma', label: 'Prisma' },
+  { id: 'typescript', label: 'TypeScript' },
+  { id: 'zod', label: 'Zod' },
+];
+
+// How each lint severity is shown
+const severityStyles: Record<LintSeverity, { icon: string; label: string; className: string }> = {
+  error: { icon: '⛔', label: 'errors', className: 'bg-red-50 border-red-200 text-red-800' },
+  warning: { icon: '⚠️', label: 'warnings', className: 'bg-amber-50 border-amber-200 text-amber-800' },
+  info: { icon: 'ℹ️', label: 'notes', className: 'bg-blue-50 border-blue-200 text-blue-800' },
+};
+
+// Lint findings above the entities, collapsed to a count per severity
+function LintPanel({ findings }: { findings: LintFinding[] }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const severities = (Object.keys(severityStyles) as LintSeverity[]).filter((severity) => (
+    findings.some((finding) => finding.severity === severity)
+  ));
+  const worst = severityStyles[severities[0]];
+
+  return (
+    <div className={`rounded-lg border text-sm ${worst.className}`}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full px-4 py-2 flex items-center gap-3 text-left"
+      >
+        <span className="font-medium">Model checks</span>
+        {severities.map((severity) => (
+          <span key={severity}>
+            {severityStyles[severity].icon} {findings.filter((finding) => finding.severity === severity).length}{' '}
+            {severityStyles[severity].label}
+          </span>
+        ))}
+        <span className="ml-auto text-xs">{isOpen ? '▲' : '▼'}</span>
+      </button>
+      {isOpen && (
+        <ul className="px-4 pb-3 space-y-1">
+          {findings.map((finding) => (
+            <li key={`${finding.code}:${finding.path}`} className="flex gap-2">
+              <span>{severityStyles[finding.severity].icon}</span>
+              <span>
+                {finding.message}
+                <code className="ml-2 text-xs opacity-70">{finding.path}</code>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 }
 
 // Get icon for property type
@@ -26,7 +122,79 @@ function getTypeIcon(type: string): string {
   return icons[type] || '📄';
 }
 
-export default function DataModelDisplay({ dataModel }: DataModelDisplayProps) {
+// Inline form for the name of a new or renamed entity
+function EntityNameForm({
+  initial,
+  taken,
+  submitLabel,
+  onSubmit,
+  onCancel,
+}: {
+  initial: string;
+  taken: string[];
+  submitLabel: string;
+  onSubmit: (name: string) => void;
+  onCancel: () => void;
+}) {
+  const [name, setName] = useState(initial);
+  const trimmed = name.trim();
+  const problem = !ENTITY_NAME.test(trimmed)
+    ? 'Use letters, digits and underscores, starting with a letter'
+    : taken.includes(trimmed) && trimmed !== initial
+      ? 'Another entity already has this name'
+      : null;
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!problem) onSubmit(trimmed);
+      }}
+      className="flex flex-wrap items-center gap-2"
+    >
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="EntityName"
+        autoFocus
+        className="px-2 py-1 border border-gray-300 rounded text-sm text-gray-800 bg-white font-mono"
+      />
+      <button type="button" onClick={onCancel} className="px-2 py-1 text-sm text-gray-600 hover:text-gray-800 bg-white/80 rounded">
+        Cancel
+      </button>
+      <button
+        type="submit"
+        disabled={Boolean(problem)}
+        className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+      >
+        {submitLabel}
+      </button>
+      {trimmed && problem && <span className="text-xs text-red-600 bg-white/90 px-1 rounded">{problem}</span>}
+    </form>
+  );
+}
+
+export default function DataModelDisplay({ dataModel, lint = [], title, onChange, isUpdating = false }: DataModelDisplayProps) {
+  const [exporting, setExporting] = useState<string | null>(null);
+  const [exportError, setExportError] = useState<string | null>(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [target, setTarget] = useState<EditTarget | null>(null);
+  const [expanded, setExpanded] = useState<Set<string>>(new Set());
+
+  const handleExport = async (format: string) => {
+    setExporting(format);
+    setExportError(null);
+    try {
+      const file = await exportScenario(format, { data_model: dataModel, title });
+      downloadBlob(file.blob, file.filename);
+    } catch (err) {
+      setExportError(err instanceof Error ? err.message : 'Export failed');
+    } finally {
+      setExporting(null);
+    }
+  };
+
   if (!dataModel || !dataModel.entities) {
     return (
       <div className="text-gray-500 text-center py-8">
@@ -36,19 +204,85 @@ export default function DataModelDisplay({ dataModel }: DataModelDisplayProps) {
   }
 
   const entityNames = Object.keys(dataModel.entities);
+  const relationships = dataModel.relationships || [];
+  const canEdit = Boolean(onChange) && isEditing;
+
+  const apply = (edited: DataModel) => {
+    setTarget(null);
+    onChange?.(edited);
+  };
+
+  const isTarget = (candidate: EditTarget) => JSON.stringify(candidate) === JSON.stringify(target);
+  const iconButton = 'w-7 h-7 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-30';
+  const addButton = 'w-full py-1 text-xs text-blue-600 border border-dashed border-blue-200 rounded hover:bg-blue-50 disabled:opacity-50';
 
   return (
     <div className="space-y-6">
+      {/* Export */}
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-700">⬇️ Export as</span>
+        {exportFormats.map((format) => (
+          <button
+            key={format.id}
+            onClick={() => handleExport(format.id)}
+            disabled={exporting !== null}
+            className="text-xs px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200"
+          >
+            {exporting === format.id ? 'Exporting...' : format.label}
+          </button>
+        ))}
+        {exportError && <span className="text-xs text-red-600">{exportError}</span>}
+        {onChange && (
+          <div className="ml-auto flex items-center gap-3 text-sm">
+            {isUpdating && <span className="text-gray-500">Validating...</span>}
+            <button
+              type="button"
+              onClick={() => {
+                setIsEditing(!isEditing);
+                setTarget(null);
+              }}
+              className={`px-3 py-1 rounded-lg border transition-colors duration-200 ${
+                isEditing ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {isEditing ? 'Done editing' : '✏️ Edit data model'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {lint.length > 0 && <LintPanel findings={lint} />}
+
       {/* Entities */}
       <div>
         <h4 className="font-semibold text-gray-800 mb-3 flex items-center gap-2">
           <span className="text-lg">📊</span>
           Entities ({entityNames.length})
         </h4>
+        {canEdit && (
+          <div className="mb-4">
+            {isTarget({ kind: 'entity', name: null }) ? (
+              <EntityNameForm
+                initial=""
+                taken={entityNames}
+                submitLabel="Add entity"
+                onSubmit={(name) => apply(addEntity(dataModel, name))}
+                onCancel={() => setTarget(null)}
+              />
+            ) : (
+              <button type="button" className={addButton} disabled={isUpdating} onClick={() => setTarget({ kind: 'entity', name: null })}>
+                + Add entity
+              </button>
+            )}
+          </div>
+        )}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           {entityNames.map((entityName) => {
             const entity = dataModel.entities[entityName];
             const properties = entity.properties ? Object.entries(entity.properties) : [];
+            const showAll = canEdit || expanded.has(entityName);
+            const shown = showAll ? properties : properties.slice(0, PREVIEW_PROPERTIES);
+            const problems = lint.filter((finding) => finding.entity === entityName && finding.severity !== 'info');
             
             return (
               <div
@@ -57,10 +291,52 @@ export default function DataModelDisplay({ dataModel }: DataModelDisplayProps) {
               >
                 {/* Entity header */}
                 <div className="bg-gradient-to-r from-blue-500 to-blue-600 px-4 py-2">
-                  <h5 className="font-bold text-white flex items-center gap-2">
-                    <span className="text-lg">🗃️</span>
-                    {entityName}
-                  </h5>
+                  {canEdit && isTarget({ kind: 'entity', name: entityName }) ? (
+                    <EntityNameForm
+                      initial={entityName}
+                      taken={entityNames}
+                      submitLabel="Rename"
+                      onSubmit={(name) => apply(renameEntity(dataModel, entityName, name))}
+                      onCancel={() => setTarget(null)}
+                    />
+                  ) : (
+                    <h5 className="font-bold text-white flex items-center gap-2">
+                      <span className="text-lg">🗃️</span>
+                      {entityName}
+                      {problems.length > 0 && (
+                        <span
+                          title={problems.map((finding) => finding.message).join('\n')}
+                          className="text-xs font-medium px-1.5 py-0.5 rounded bg-amber-100 text-amber-800"
+                        >
+                          {problems.some((finding) => finding.severity === 'error') ? '⛔' : '⚠️'} {problems.length}
+                        </span>
+                      )}
+                      {canEdit && (
+                        <span className="ml-auto flex gap-1">
+                          <button
+                            type="button"
+                            title="Rename entity"
+                            aria-label="Rename entity"
+                            disabled={isUpdating}
+                            onClick={() => setTarget({ kind: 'entity', name: entityName })}
+                            className="w-7 h-7 rounded text-white hover:bg-white/20 disabled:opacity-30"
+                          >
+                            ✎
+                          </button>
+                          <button
+                            type="button"
+                            title="Delete entity"
+                            aria-label="Delete entity"
+                            disabled={isUpdating}
+                            onClick={() => apply(removeEntity(dataModel, entityName))}
+                            className="w-7 h-7 rounded text-white hover:bg-white/20 disabled:opacity-30"
+                          >
+                            🗑
+                          </button>
+                        </span>
+                      )}
+                    </h5>
+                  )}
                 </div>
                 
                 {/* Properties */}
@@ -70,10 +346,24 @@ export default function DataModelDisplay({ dataModel }: DataModelDisplayProps) {
                       <tr className="text-gray-500 text-xs uppercase">
                         <th className="text-left pb-2">Property</th>
                         <th className="text-left pb-2">Type</th>
+                        {canEdit && <th className="pb-2" />}
                       </tr>
                     </thead>
                     <tbody>
-                      {properties.slice(0, 6).map(([propName, propDef]) => (
+                      {shown.map(([propName, propDef]) => (
+                        canEdit && isTarget({ kind: 'property', entity: entityName, name: propName }) ? (
+                          <tr key={propName} className="border-t border-gray-100">
+                            <td colSpan={3} className="py-1.5">
+                              <PropertyEditor
+                                initial={{ name: propName, schema: propDef, required: Boolean(entity.required?.includes(propName)) }}
+                                taken={properties.map(([name]) => name).filter((name) => name !== propName)}
+                                submitLabel="Save"
+                                onSubmit={(fields: PropertyFields) => apply(setProperty(dataModel, entityName, propName, fields))}
+                                onCancel={() => setTarget(null)}
+                              />
+                            </td>
+                          </tr>
+                        ) : (
                         <tr key={propName} className="border-t border-gray-100">
                           <td className="py-1.5 font-medium text-gray-800 flex items-center gap-1">
                             <span className="text-sm">{getTypeIcon(propDef.type)}</span>
@@ -86,19 +376,76 @@ export default function DataModelDisplay({ dataModel }: DataModelDisplayProps) {
                             <code className="bg-gray-100 px-1.5 py-0.5 rounded text-xs">
                               {propDef.type}
                               {propDef.format && ` (${propDef.format})`}
+                              {propDef.items && ` of ${propDef.items.type}`}
                             </code>
+                            {propDef.enum && (
+                              <span className="ml-1 text-xs text-gray-500">{propDef.enum.join(' | ')}</span>
+                            )}
                           </td>
+                          {canEdit && (
+                            <td className="py-1.5 text-right whitespace-nowrap">
+                              <button
+                                type="button"
+                                title="Edit property"
+                                aria-label="Edit property"
+                                disabled={isUpdating}
+                                onClick={() => setTarget({ kind: 'property', entity: entityName, name: propName })}
+                                className={iconButton}
+                              >
+                                ✎
+                              </button>
+                              <button
+                                type="button"
+                                title="Delete property"
+                                aria-label="Delete property"
+                                disabled={isUpdating}
+                                onClick={() => apply(removeProperty(dataModel, entityName, propName))}
+                                className={iconButton}
+                              >
+                                🗑
+                              </button>
+                            </td>
+                          )}
                         </tr>
+                        )
                       ))}
-                      {properties.length > 6 && (
+                      {!showAll && properties.length > PREVIEW_PROPERTIES && (
                         <tr className="border-t border-gray-100">
-                          <td colSpan={2} className="py-1.5 text-gray-500 text-xs italic">
-                            +{properties.length - 6} more properties
+                          <td colSpan={2} className="py-1.5 text-xs italic">
+                            <button
+                              type="button"
+                              onClick={() => setExpanded(new Set(expanded).add(entityName))}
+                              className="text-gray-500 hover:text-blue-600"
+                            >
+                              +{properties.length - PREVIEW_PROPERTIES} more properties
+                            </button>
                           </td>
                         </tr>
                       )}
                     </tbody>
                   </table>
+                  {canEdit && (
+                    <div className="mt-2">
+                      {isTarget({ kind: 'property', entity: entityName, name: null }) ? (
+                        <PropertyEditor
+                          initial={{ name: '', schema: { type: 'string' }, required: false }}
+                          taken={properties.map(([name]) => name)}
+                          submitLabel="Add property"
+                          onSubmit={(fields: PropertyFields) => apply(setProperty(dataModel, entityName, null, fields))}
+                          onCancel={() => setTarget(null)}
+                        />
+                      ) : (
+                        <button
+                          type="button"
+                          className={addButton}
+                          disabled={isUpdating}
+                          onClick={() => setTarget({ kind: 'property', entity: entityName, name: null })}
+                        >
+                          + Add property
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
             );
@@ -107,12 +454,13 @@ export default function DataModelDisplay({ dataModel }: DataModelDisplayProps) {
       </div>
 
       {/* Relationships */}
-      {dataModel.relationships && dataModel.relationships.length > 0 && (
+      {(relationships.length > 0 || canEdit) && (
         <div>
           <h4 className="font-semibold text-gray-800 mb-3 flex items-center gap-2">
             <span className="text-lg">🔗</span>
-            Relationships ({dataModel.relationships.length})
+            Relationships ({relationships.length})
           </h4>
+          {relationships.length > 0 && (
           <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
             <table className="w-full text-sm">
               <thead className="bg-gray-50">
@@ -121,10 +469,24 @@ export default function DataModelDisplay({ dataModel }: DataModelDisplayProps) {
                   <th className="text-left px-4 py-2">To</th>
                   <th className="text-left px-4 py-2">Type</th>
                   <th className="text-left px-4 py-2">Description</th>
+                  {canEdit && <th className="px-4 py-2" />}
                 </tr>
               </thead>
               <tbody>
-                {dataModel.relationships.map((rel, index) => (
+                {relationships.map((rel, index) => (
+                  canEdit && isTarget({ kind: 'relationship', index }) ? (
+                    <tr key={index} className="border-t border-gray-100">
+                      <td colSpan={5} className="px-4 py-2">
+                        <RelationshipEditor
+                          initial={rel}
+                          entityNames={entityNames}
+                          submitLabel="Save"
+                          onSubmit={(edited: Relationship) => apply(setRelationship(dataModel, index, edited))}
+                          onCancel={() => setTarget(null)}
+                        />
+                      </td>
+                    </tr>
+                  ) : (
                   <tr key={index} className="border-t border-gray-100">
                     <td className="px-4 py-2 font-medium text-blue-600">{rel.from}</td>
                     <td className="px-4 py-2 font-medium text-green-600">{rel.to}</td>
@@ -134,11 +496,59 @@ export default function DataModelDisplay({ dataModel }: DataModelDisplayProps) {
                       </span>
                     </td>
                     <td className="px-4 py-2 text-gray-600">{rel.description}</td>
+                    {canEdit && (
+                      <td className="px-4 py-2 text-right whitespace-nowrap">
+                        <button
+                          type="button"
+                          title="Edit relationship"
+                          aria-label="Edit relationship"
+                          disabled={isUpdating}
+                          onClick={() => setTarget({ kind: 'relationship', index })}
+                          className={iconButton}
+                        >
+                          ✎
+                        </button>
+                        <button
+                          type="button"
+                          title="Delete relationship"
+                          aria-label="Delete relationship"
+                          disabled={isUpdating}
+                          onClick={() => apply(removeRelationship(dataModel, index))}
+                          className={iconButton}
+                        >
+                          🗑
+                        </button>
+                      </td>
+                    )}
                   </tr>
+                  )
                 ))}
               </tbody>
             </table>
           </div>
+          )}
+          {canEdit && (
+            <div className="mt-3">
+              {isTarget({ kind: 'relationship', index: null }) ? (
+                <RelationshipEditor
+                  initial={{ from: entityNames[0], to: entityNames[entityNames.length > 1 ? 1 : 0], type: 'one-to-many' }}
+                  entityNames={entityNames}
+                  submitLabel="Add relationship"
+                  onSubmit={(edited: Relationship) => apply(setRelationship(dataModel, null, edited))}
+                  onCancel={() => setTarget(null)}
+                />
+              ) : (
+                <button
+                  type="button"
+                  className={addButton}
+                  disabled={isUpdating || entityNames.length === 0}
+                  onClick={() => setTarget({ kind: 'relationship', index: null })}
+                >
+                  + Add relationship
+                </button>
+              )}
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,118 @@
+'use client';
+
+/**
+ * Generation Meta Panel Component
+ *
+ * Collapsible details of how the current scenario was generated:
+ * provider and model, detected scenario types, time spent per stage,
+ * token usage and the repairs made to the provider's answer. Useful
+ * when debugging a bad generation or comparing providers.
+ */
+
+import { useState } from 'react';
+import { GenerationMeta } from '@/lib/types';
+
+interface GenerationMetaPanelProps {
+  meta: GenerationMeta;
+}
+
+// Pipeline stages in the order they run
+const stages: { key: keyof GenerationMeta['timings']; label: string }[] = [
+  { key: 'ai', label: 'AI' },
+  { key: 'schema', label: 'Data model' },
+  { key: 'diagram', label: 'Diagrams' },
+  { key: 'total', label: 'Total' },
+];
+
+export default function GenerationMetaPanel({ meta }: GenerationMetaPanelProps) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="px-6 py-4 border-b border-gray-200 text-sm">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left font-semibold text-gray-700 flex items-center gap-2"
+      >
+        <span className="text-lg">🔍</span>
+        Generation Details
+        <span className="font-normal text-gray-500">
+          {meta.provider} · {meta.model} · {Math.round(meta.timings.total)} ms
+        </span>
+        <span className="ml-auto text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <dl className="mt-3 grid grid-cols-1 sm:grid-cols-[10rem_1fr] gap-x-4 gap-y-2 text-gray-700">
+          <dt className="text-gray-500">Provider</dt>
+          <dd>
+            {meta.provider} <span className="text-gray-500">({meta.model})</span>
+          </dd>
+
+          {meta.classification && meta.classification.length > 0 && (
+            <>
+              <dt className="text-gray-500">Detected types</dt>
+              <dd className="flex flex-wrap gap-2">
+                {meta.classification.map((entry) => (
+                  <span
+                    key={entry.type}
+                    className={`px-2 py-0.5 rounded-full text-xs ${
+                      meta.detectedTypes?.includes(entry.type)
+                        ? 'bg-blue-100 text-blue-800'
+                        : 'bg-gray-100 text-gray-600'
+                    }`}
+                  >
+                    {entry.type} {Math.round(entry.confidence * 100)}%
+                  </span>
+                ))}
+              </dd>
+            </>
+          )}
+
+          <dt className="text-gray-500">Timings</dt>
+          <dd className="flex flex-wrap gap-x-4">
+            {stages.map((stage) => (
+              <span key={stage.key}>
+                {stage.label}: <span className="font-mono">{meta.timings[stage.key]} ms</span>
+              </span>
+            ))}
+          </dd>
+
+          {meta.usage && (
+            <>
+              <dt className="text-gray-500">Tokens</dt>
+              <dd className="font-mono">
+                {meta.usage.inputTokens} in / {meta.usage.outputTokens} out ({meta.usage.totalTokens} total)
+              </dd>
+            </>
+          )}
+
+          <dt className="text-gray-500">Repairs</dt>
+          <dd>
+            {meta.repairs.length === 0 ? (
+              <span className="text-gray-500">None</span>
+            ) : (
+              <ul className="list-disc list-inside">
+                {meta.repairs.map((repair, index) => (
+                  <li key={index}>
+                    <code className="text-xs">{repair.path}</code> {repair.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </dd>
+
+          {meta.requestId && (
+            <>
+              <dt className="text-gray-500">Request id</dt>
+              <dd className="font-mono text-xs break-all">{meta.requestId}</dd>
+            </>
+          )}
+
+          <dt className="text-gray-500">Generated at</dt>
+          <dd>{new Date(meta.generatedAt).toLocaleString()}</dd>
+        </dl>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+'use client';
+
+/**
+ * Generation Progress Component
+ *
+ * Shows a scenario while it is being streamed: the detected scenario
+ * types, the workflow steps as they arrive and the diagram drawn from
+ * them, then the data model and summary once they are ready.
+ */
+
+import WorkflowDisplay from '@/components/WorkflowDisplay';
+import MermaidDiagram from '@/components/MermaidDiagram';
+import { ScenarioDraft } from '@/lib/types';
+
+interface GenerationProgressProps {
+  draft: ScenarioDraft;
+}
+
+export default function GenerationProgress({ draft }: GenerationProgressProps) {
+  const { analysis, workflow, mermaid_diagram, diagrams, data_model, summary } = draft;
+  const entityCount = data_model ? Object.keys(data_model.entities).length : 0;
+
+  return (
+    <section className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+      <div className="bg-gradient-to-r from-gray-50 to-gray-100 p-6 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-700 flex items-center gap-2">
+          <span className="inline-block w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full animate-spin" />
+          Generating...
+          {analysis && (
+            <span className="font-normal text-sm text-gray-500">
+              {analysis.provider} · {analysis.model}
+            </span>
+          )}
+        </h3>
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-600">
+          {analysis?.detectedTypes?.map((type) => (
+            <span key={type} className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-xs">
+              {type}
+            </span>
+          ))}
+          <span>
+            {workflow.length} step{workflow.length === 1 ? '' : 's'}
+          </span>
+          {data_model && (
+            <span>
+              · data model with {entityCount} entit{entityCount === 1 ? 'y' : 'ies'}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {summary && (
+        <div className="p-6 bg-blue-50 border-b border-gray-200">
+          <p className="text-blue-700">{summary}</p>
+        </div>
+      )}
+
+      <div className="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          {workflow.length > 0 ? (
+            <WorkflowDisplay workflow={workflow} />
+          ) : (
+            <p className="text-gray-500 text-sm">Waiting for the first step...</p>
+          )}
+        </div>
+        <div>
+          {mermaid_diagram && <MermaidDiagram diagram={mermaid_diagram} diagrams={diagrams} />}
+        </div>
+      </div>
+    </section>
+  );
+}
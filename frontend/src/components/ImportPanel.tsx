@@ -0,0 +1,87 @@
+'use client';
+
+/**
+ * Import Panel Component
+ *
+ * Brings existing process documentation into the tool: paste a Mermaid
+ * flowchart or BPMN XML, or load a .mmd / .bpmn file, and it is turned
+ * into a workflow with a data model and diagrams.
+ */
+
+import { useState } from 'react';
+
+interface ImportPanelProps {
+  onImport: (content: string) => Promise<boolean>;
+  isLoading: boolean;
+}
+
+export default function ImportPanel({ onImport, isLoading }: ImportPanelProps) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [content, setContent] = useState('');
+
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      setContent(await file.text());
+    }
+    e.target.value = '';
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    if (await onImport(content)) {
+      setContent('');
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left text-lg font-bold text-gray-800 flex items-center gap-2"
+      >
+        <span className="text-xl">📥</span>
+        Import an Existing Diagram
+        <span className="ml-auto text-sm text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <form onSubmit={handleSubmit} className="mt-4">
+          <p className="text-gray-600 mb-3 text-sm">
+            Paste a Mermaid <code>graph</code> / <code>flowchart</code> or BPMN 2.0 XML. Node shapes and
+            BPMN elements become step types.
+          </p>
+          <textarea
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            placeholder={'flowchart TD\n  A([Order placed]) --> B{In stock?}\n  B -->|Yes| C[[Ship order]]'}
+            className="w-full h-40 p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none resize-y font-mono text-sm text-gray-800 placeholder-gray-400"
+            disabled={isLoading}
+          />
+          <div className="flex items-center justify-between mt-3">
+            <label className="text-sm text-blue-600 cursor-pointer hover:underline">
+              Load a file
+              <input
+                type="file"
+                accept=".mmd,.mermaid,.md,.txt,.bpmn,.xml"
+                onChange={handleFile}
+                className="hidden"
+                disabled={isLoading}
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={isLoading || !content.trim()}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+            >
+              {isLoading ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
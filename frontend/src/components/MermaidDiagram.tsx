@@ -5,18 +5,127 @@
  * 
  * Renders Mermaid diagrams dynamically on the client side.
  * Uses mermaid.js for rendering the diagram syntax.
+ * When the ER, sequence and state diagrams are available, a selector
+ * switches between them and the workflow flowchart.
+ *
+ * Every diagram can be panned (drag the background) and zoomed (Ctrl +
+ * scroll or the toolbar). Given the `workflow` behind it, the flowchart
+ * becomes interactive: clicking a node selects its step, and with
+ * `onChange` dragging from one node to another connects them and the
+ * context menu adds, edits and deletes steps. Edits are made on the
+ * workflow, so the diagram and the step list stay in sync.
+ *
+ * A `highlightPath` of step ids, such as a simulated run, is animated on
+ * the flowchart one step at a time, leaving the visited steps and edges marked.
  */
 
-import { useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Diagrams, WorkflowStep } from '@/lib/types';
+import {
+  StepFields,
+  connectSteps,
+  disconnectSteps,
+  getTargets,
+  insertStep,
+  removeStep,
+  updateStep,
+} from '@/lib/workflowEdits';
+import StepEditor from '@/components/StepEditor';
 
 interface MermaidDiagramProps {
   diagram: string;
+  diagrams?: Diagrams;
+  workflow?: WorkflowStep[];
+  selectedStep?: number | null;
+  onSelectStep?: (id: number | null) => void;
+  onChange?: (workflow: WorkflowStep[]) => void;
+  highlightPath?: number[] | null;
 }
 
-export default function MermaidDiagram({ diagram }: MermaidDiagramProps) {
+// Pan offset in pixels and zoom factor of the diagram
+interface View {
+  x: number;
+  y: number;
+  scale: number;
+}
+
+// Pointer gesture in progress: panning the canvas or pressing a node
+type Gesture =
+  | { kind: 'pan'; startX: number; startY: number; origin: View; moved: boolean }
+  | { kind: 'node'; id: number; startX: number; startY: number; moved: boolean };
+
+// Open context menu; `form` switches it to a step form
+interface Menu {
+  x: number;
+  y: number;
+  step: number | null;
+  form?: { mode: 'edit' } | { mode: 'add'; position: 'before' | 'after' };
+}
+
+const INITIAL_VIEW: View = { x: 0, y: 0, scale: 1 };
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 4;
+const DRAG_THRESHOLD = 5;
+const MENU_WIDTH = 352;
+const NEW_STEP: StepFields = { name: '', description: '', type: 'system_action' };
+// Milliseconds each step of a highlighted path stays current
+const PATH_STEP_MS = 400;
+
+interface DiagramOption {
+  id: string;
+  label: string;
+  code: string;
+}
+
+// List the diagrams that can be shown, flowchart first
+function getDiagramOptions(diagram: string, diagrams?: Diagrams): DiagramOption[] {
+  const options: DiagramOption[] = [
+    { id: 'flowchart', label: 'Flowchart', code: diagrams?.flowchart || diagram },
+  ];
+  if (!diagrams) return options;
+
+  if (diagrams.er) options.push({ id: 'er', label: 'Entity Relationship', code: diagrams.er });
+  if (diagrams.sequence) options.push({ id: 'sequence', label: 'Sequence', code: diagrams.sequence });
+  Object.entries(diagrams.state || {}).forEach(([entity, code]) => {
+    options.push({ id: `state:${entity}`, label: `State: ${entity}`, code });
+  });
+  return options;
+}
+
+// Step id of the flowchart node an element belongs to.
+// Mermaid gives nodes ids like "flowchart-step3-12" (see nodeId in the backend's diagramGenerator).
+function getNodeStepId(element: Element | null): number | null {
+  const node = element?.closest('g.node');
+  const match = node?.id.match(/^flowchart-step(\d+)-/);
+  return match ? Number(match[1]) : null;
+}
+
+export default function MermaidDiagram({
+  diagram: flowchart,
+  diagrams,
+  workflow,
+  selectedStep = null,
+  onSelectStep,
+  onChange,
+  highlightPath = null,
+}: MermaidDiagramProps) {
   const containerRef = useRef<HTMLDivElement>(null);
+  const viewportRef = useRef<HTMLDivElement>(null);
+  const gestureRef = useRef<Gesture | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [selected, setSelected] = useState('flowchart');
+  const [view, setView] = useState<View>(INITIAL_VIEW);
+  const [renderCount, setRenderCount] = useState(0);
+  const [link, setLink] = useState<{ x1: number; y1: number; x2: number; y2: number } | null>(null);
+  const [menu, setMenu] = useState<Menu | null>(null);
+
+  const options = useMemo(() => getDiagramOptions(flowchart, diagrams), [flowchart, diagrams]);
+  // Fall back to the flowchart when the selected diagram no longer exists
+  const option = options.find((candidate) => candidate.id === selected) || options[0];
+  const diagram = option.code;
+  const isInteractive = option.id === 'flowchart' && Boolean(workflow);
+  const canEdit = isInteractive && Boolean(onChange);
 
   useEffect(() => {
     const renderDiagram = async () => {
@@ -60,6 +169,7 @@ export default function MermaidDiagram({ diagram }: MermaidDiagramProps) {
         
         if (containerRef.current) {
           containerRef.current.innerHTML = svg;
+          setRenderCount((count) => count + 1);
         }
       } catch (err) {
         console.error('Mermaid rendering error:', err);
@@ -72,6 +182,253 @@ export default function MermaidDiagram({ diagram }: MermaidDiagramProps) {
     renderDiagram();
   }, [diagram]);
 
+  // Highlight the selected step's node
+  useEffect(() => {
+    containerRef.current?.querySelectorAll<SVGGElement>('g.node').forEach((node) => {
+      node.classList.toggle('diagram-node-selected', isInteractive && getNodeStepId(node) === selectedStep);
+    });
+  }, [selectedStep, renderCount, isInteractive]);
+
+  // Animate the highlighted path: each step becomes current in turn, then stays marked as visited
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const clear = () => {
+      container.querySelectorAll('.diagram-node-visited, .diagram-node-current, .diagram-edge-visited').forEach((element) => {
+        element.classList.remove('diagram-node-visited', 'diagram-node-current', 'diagram-edge-visited');
+      });
+    };
+    clear();
+    if (!highlightPath?.length || option.id !== 'flowchart') return;
+
+    const nodes = new Map<number, Element>();
+    container.querySelectorAll('g.node').forEach((node) => {
+      const id = getNodeStepId(node);
+      if (id !== null) nodes.set(id, node);
+    });
+
+    let index = 0;
+    let timer: number | undefined;
+    const advance = () => {
+      const previous = highlightPath[index - 1];
+      const current = highlightPath[index];
+      if (previous !== undefined) {
+        nodes.get(previous)?.classList.replace('diagram-node-current', 'diagram-node-visited');
+        // Mermaid tags each edge path with its ends (see nodeId in the backend's diagramGenerator)
+        container.querySelector(`path.LS-step${previous}.LE-step${current}`)?.classList.add('diagram-edge-visited');
+      }
+      nodes.get(current)?.classList.add('diagram-node-current');
+      index += 1;
+      if (index === highlightPath.length) window.clearInterval(timer);
+    };
+    advance();
+    if (index < highlightPath.length) timer = window.setInterval(advance, PATH_STEP_MS);
+    return () => {
+      window.clearInterval(timer);
+      clear();
+    };
+  }, [highlightPath, renderCount, option.id]);
+
+  // Zoom around a point of the viewport
+  const zoomAt = useCallback((factor: number, pointX: number, pointY: number) => {
+    setView((current) => {
+      const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, current.scale * factor));
+      const ratio = scale / current.scale;
+      return { scale, x: pointX - (pointX - current.x) * ratio, y: pointY - (pointY - current.y) * ratio };
+    });
+  }, []);
+
+  // Ctrl/⌘ + scroll (and trackpad pinch) zooms; plain scrolling still scrolls the page.
+  // React wheel listeners are passive, so this one is attached by hand.
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+    const handleWheel = (e: WheelEvent) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      const bounds = viewport.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - bounds.left, e.clientY - bounds.top);
+    };
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => viewport.removeEventListener('wheel', handleWheel);
+  }, [zoomAt, diagram]);
+
+  // Close the context menu on Escape or a click elsewhere
+  useEffect(() => {
+    if (!menu) return;
+    const handleKey = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') setMenu(null);
+    };
+    const handlePointer = (e: PointerEvent) => {
+      if (!viewportRef.current?.contains(e.target as Node)) setMenu(null);
+    };
+    window.addEventListener('keydown', handleKey);
+    window.addEventListener('pointerdown', handlePointer);
+    return () => {
+      window.removeEventListener('keydown', handleKey);
+      window.removeEventListener('pointerdown', handlePointer);
+    };
+  }, [menu]);
+
+  const toViewport = (e: { clientX: number; clientY: number }) => {
+    const bounds = viewportRef.current!.getBoundingClientRect();
+    return { x: e.clientX - bounds.left, y: e.clientY - bounds.top };
+  };
+
+  const handlePointerDown = (e: React.PointerEvent<HTMLDivElement>) => {
+    if (e.button !== 0) return;
+    setMenu(null);
+    const id = isInteractive ? getNodeStepId(e.target as Element) : null;
+    gestureRef.current = id !== null
+      ? { kind: 'node', id, startX: e.clientX, startY: e.clientY, moved: false }
+      : { kind: 'pan', startX: e.clientX, startY: e.clientY, origin: view, moved: false };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e: React.PointerEvent<HTMLDivElement>) => {
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+    if (!gesture.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    gesture.moved = true;
+
+    if (gesture.kind === 'pan') {
+      setView({ ...gesture.origin, x: gesture.origin.x + dx, y: gesture.origin.y + dy });
+    } else if (canEdit) {
+      const start = toViewport({ clientX: gesture.startX, clientY: gesture.startY });
+      const end = toViewport(e);
+      setLink({ x1: start.x, y1: start.y, x2: end.x, y2: end.y });
+    }
+  };
+
+  const handlePointerUp = (e: React.PointerEvent<HTMLDivElement>) => {
+    const gesture = gestureRef.current;
+    gestureRef.current = null;
+    setLink(null);
+    if (!gesture) return;
+
+    if (gesture.kind === 'pan') {
+      if (!gesture.moved && isInteractive) onSelectStep?.(null);
+      return;
+    }
+    if (!gesture.moved) {
+      onSelectStep?.(gesture.id);
+      return;
+    }
+    // Pointer capture keeps the events on the viewport, so look up what is under the pointer
+    const target = getNodeStepId(document.elementFromPoint(e.clientX, e.clientY));
+    if (canEdit && workflow && target !== null && target !== gesture.id) {
+      onChange!(connectSteps(workflow, gesture.id, target));
+      onSelectStep?.(target);
+    }
+  };
+
+  const handleContextMenu = (e: React.MouseEvent<HTMLDivElement>) => {
+    if (!canEdit) return;
+    e.preventDefault();
+    const step = getNodeStepId(e.target as Element);
+    if (step !== null) onSelectStep?.(step);
+    // Keep the menu, which widens into a form, inside the viewport
+    const { x, y } = toViewport(e);
+    const width = viewportRef.current!.clientWidth;
+    setMenu({ x: Math.max(0, Math.min(x, width - MENU_WIDTH)), y, step });
+  };
+
+  // Apply a workflow edit from the context menu
+  const apply = (edited: WorkflowStep[], select: number | null = null) => {
+    setMenu(null);
+    onSelectStep?.(select);
+    onChange?.(edited);
+  };
+
+  const handleMenuSubmit = (fields: StepFields) => {
+    if (!menu?.form || !workflow) return;
+    if (menu.form.mode === 'edit' && menu.step !== null) {
+      apply(updateStep(workflow, menu.step, fields), menu.step);
+      return;
+    }
+    if (menu.form.mode !== 'add') return;
+
+    // Steps are renumbered 1..n in list order, so the new step's id is its position
+    const anchor = menu.step ?? workflow[workflow.length - 1].id;
+    const index = workflow.findIndex((step) => step.id === anchor);
+    if (menu.form.position === 'before') {
+      apply(insertStep(workflow, fields, { before: anchor }), index + 1);
+    } else {
+      apply(insertStep(workflow, fields, { after: anchor }), index + 2);
+    }
+  };
+
+  const renderMenu = () => {
+    if (!menu || !workflow) return null;
+    const step = workflow.find((candidate) => candidate.id === menu.step);
+    const names = new Map(workflow.map((candidate) => [candidate.id, candidate.name]));
+    const item = 'block w-full text-left px-3 py-1.5 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent';
+
+    return (
+      <div
+        className="absolute z-20 bg-white border border-gray-200 rounded-lg shadow-lg text-sm text-gray-700 py-1"
+        style={{ left: menu.x, top: menu.y, width: menu.form ? MENU_WIDTH : undefined, minWidth: '12rem' }}
+        onPointerDown={(e) => e.stopPropagation()}
+        onContextMenu={(e) => e.stopPropagation()}
+      >
+        {menu.form ? (
+          <div className="p-3">
+            <StepEditor
+              initial={menu.form.mode === 'edit' && step ? { name: step.name, description: step.description, type: step.type } : NEW_STEP}
+              submitLabel={menu.form.mode === 'edit' ? 'Save step' : 'Add step'}
+              onSubmit={handleMenuSubmit}
+              onCancel={() => setMenu(null)}
+            />
+          </div>
+        ) : step ? (
+          <>
+            <div className="px-3 py-1 text-xs font-semibold text-gray-500 truncate">{step.name}</div>
+            <button type="button" className={item} onClick={() => setMenu({ ...menu, form: { mode: 'edit' } })}>
+              ✎ Edit step…
+            </button>
+            <button type="button" className={item} onClick={() => setMenu({ ...menu, form: { mode: 'add', position: 'before' } })}>
+              ＋ Add step before…
+            </button>
+            <button type="button" className={item} onClick={() => setMenu({ ...menu, form: { mode: 'add', position: 'after' } })}>
+              ＋ Add step after…
+            </button>
+            <button
+              type="button"
+              className={`${item} text-red-600`}
+              disabled={workflow.length === 1}
+              onClick={() => apply(removeStep(workflow, step.id))}
+            >
+              🗑 Delete step
+            </button>
+            {getTargets(workflow, step.id).map(({ to, label }) => (
+              <button key={to} type="button" className={item} onClick={() => apply(disconnectSteps(workflow, step.id, to), step.id)}>
+                ✂ Remove link to {label ? `${label}: ` : ''}{names.get(to) ?? `#${to}`}
+              </button>
+            ))}
+          </>
+        ) : (
+          <>
+            <button type="button" className={item} onClick={() => setMenu({ ...menu, form: { mode: 'add', position: 'after' } })}>
+              ＋ Add step at the end…
+            </button>
+            <button
+              type="button"
+              className={item}
+              onClick={() => {
+                setView(INITIAL_VIEW);
+                setMenu(null);
+              }}
+            >
+              ⟲ Reset view
+            </button>
+          </>
+        )}
+      </div>
+    );
+  };
+
   if (!diagram) {
     return (
       <div className="text-gray-500 text-center py-8">
@@ -80,34 +437,104 @@ export default function MermaidDiagram({ diagram }: MermaidDiagramProps) {
     );
   }
 
-  if (error) {
-    return (
-      <div className="bg-red-50 border border-red-200 rounded-lg p-4">
-        <p className="text-red-600 text-sm">{error}</p>
-        <details className="mt-2">
-          <summary className="text-red-500 text-sm cursor-pointer">
-            View raw diagram code
-          </summary>
-          <pre className="mt-2 text-xs bg-red-100 p-2 rounded overflow-x-auto">
-            {diagram}
-          </pre>
-        </details>
+  const zoomButton = 'w-8 h-8 rounded border border-gray-300 bg-white text-gray-700 hover:bg-gray-50';
+  const toolbar = (
+    <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+      <div className="flex items-center gap-1">
+        <button type="button" title="Zoom out" aria-label="Zoom out" className={zoomButton} onClick={() => zoomCentered(1 / 1.25)}>
+          −
+        </button>
+        <button type="button" title="Zoom in" aria-label="Zoom in" className={zoomButton} onClick={() => zoomCentered(1.25)}>
+          +
+        </button>
+        <button
+          type="button"
+          className="px-2 h-8 rounded border border-gray-300 bg-white text-sm text-gray-700 hover:bg-gray-50"
+          onClick={() => setView(INITIAL_VIEW)}
+        >
+          {Math.round(view.scale * 100)}%
+        </button>
+        <span className="ml-2 text-xs text-gray-500 hidden md:inline">
+          {canEdit
+            ? 'Click a step to select it, drag between steps to connect them, right-click for more'
+            : 'Drag to pan, Ctrl + scroll to zoom'}
+        </span>
       </div>
-    );
+      {options.length > 1 && (
+        <label className="text-sm text-gray-600 flex items-center gap-2">
+          Diagram
+          <select
+            value={selected}
+            onChange={(e) => {
+              setSelected(e.target.value);
+              setView(INITIAL_VIEW);
+              setMenu(null);
+            }}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-800"
+          >
+            {options.map((candidate) => (
+              <option key={candidate.id} value={candidate.id}>
+                {candidate.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+
+  function zoomCentered(factor: number) {
+    const bounds = viewportRef.current?.getBoundingClientRect();
+    zoomAt(factor, (bounds?.width ?? 0) / 2, (bounds?.height ?? 0) / 2);
   }
 
   return (
-    <div className="mermaid-container">
+    <div className={`mermaid-container ${isInteractive ? 'is-interactive' : ''}`}>
+      {toolbar}
       {isLoading && (
         <div className="flex items-center justify-center py-8">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
           <span className="ml-3 text-gray-600">Rendering diagram...</span>
         </div>
       )}
-      <div 
-        ref={containerRef} 
-        className={`flex justify-center ${isLoading ? 'hidden' : ''}`}
-      />
+      {error && !isLoading && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-red-600 text-sm">{error}</p>
+          <details className="mt-2">
+            <summary className="text-red-500 text-sm cursor-pointer">
+              View raw diagram code
+            </summary>
+            <pre className="mt-2 text-xs bg-red-100 p-2 rounded overflow-x-auto">
+              {diagram}
+            </pre>
+          </details>
+        </div>
+      )}
+      {/* Stays mounted while an error shows, so the next diagram can render into it */}
+      <div
+        ref={viewportRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => {
+          gestureRef.current = null;
+          setLink(null);
+        }}
+        onContextMenu={handleContextMenu}
+        className={`relative overflow-hidden max-h-[70vh] touch-none select-none cursor-grab active:cursor-grabbing ${isLoading || error ? 'hidden' : ''}`}
+      >
+        <div
+          ref={containerRef}
+          className="flex justify-center origin-top-left"
+          style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})` }}
+        />
+        {link && (
+          <svg className="absolute inset-0 w-full h-full pointer-events-none">
+            <line x1={link.x1} y1={link.y1} x2={link.x2} y2={link.y2} stroke="#f59e0b" strokeWidth={2} strokeDasharray="6 4" />
+          </svg>
+        )}
+        {renderMenu()}
+      </div>
     </div>
   );
 }
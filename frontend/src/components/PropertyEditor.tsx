@@ -0,0 +1,152 @@
+'use client';
+
+/**
+ * Property Editor Component
+ *
+ * Inline form for one property of an entity: its name, type, format,
+ * allowed values, item type, description and whether it is required.
+ * Keywords that no longer apply after a type change are dropped.
+ */
+
+import { useState } from 'react';
+import { PropertySchema } from '@/lib/types';
+import { PROPERTY_NAME, PROPERTY_TYPES, PropertyFields, STRING_FORMATS } from '@/lib/dataModelEdits';
+
+interface PropertyEditorProps {
+  initial: PropertyFields;
+  // Names already used by other properties of the entity
+  taken: string[];
+  submitLabel: string;
+  onSubmit: (fields: PropertyFields) => void;
+  onCancel: () => void;
+}
+
+// Keywords kept only for some property types
+const KEYWORD_TYPES: Record<string, string[]> = {
+  format: ['string'],
+  minLength: ['string'],
+  maxLength: ['string'],
+  minimum: ['number', 'integer'],
+  maximum: ['number', 'integer'],
+  enum: ['string', 'number', 'integer'],
+  items: ['array'],
+  properties: ['object'],
+  required: ['object'],
+};
+
+// Turn the comma separated allowed values into enum entries of the property type
+function parseEnum(text: string, type: string): (string | number)[] {
+  const values = text.split(',').map((value) => value.trim()).filter(Boolean);
+  return type === 'string' ? values : values.map(Number).filter((value) => !Number.isNaN(value));
+}
+
+export default function PropertyEditor({ initial, taken, submitLabel, onSubmit, onCancel }: PropertyEditorProps) {
+  const [name, setName] = useState(initial.name);
+  const [type, setType] = useState(initial.schema.type);
+  const [format, setFormat] = useState(initial.schema.format || '');
+  const [enumText, setEnumText] = useState((initial.schema.enum || []).join(', '));
+  const [itemType, setItemType] = useState(initial.schema.items?.type || 'string');
+  const [description, setDescription] = useState(initial.schema.description || '');
+  const [required, setRequired] = useState(initial.required);
+
+  const trimmedName = name.trim();
+  const nameProblem = !PROPERTY_NAME.test(trimmedName)
+    ? 'Use letters, digits and underscores, starting with a letter or underscore'
+    : taken.includes(trimmedName)
+      ? 'Another property already has this name'
+      : null;
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (nameProblem) return;
+
+    const schema: PropertySchema = { ...initial.schema, type };
+    Object.entries(KEYWORD_TYPES).forEach(([keyword, types]) => {
+      if (!types.includes(type)) delete schema[keyword as keyof PropertySchema];
+    });
+    if (description.trim()) schema.description = description.trim();
+    else delete schema.description;
+    if (type === 'string' && format) schema.format = format;
+    else delete schema.format;
+    const values = KEYWORD_TYPES.enum.includes(type) ? parseEnum(enumText, type) : [];
+    if (values.length > 0) schema.enum = Array.from(new Set(values));
+    else delete schema.enum;
+    if (type === 'array') {
+      schema.items = initial.schema.items?.type === itemType ? initial.schema.items : { type: itemType };
+    }
+
+    onSubmit({ name: trimmedName, schema, required });
+  };
+
+  const field = 'px-2 py-1 border border-gray-300 rounded text-sm text-gray-800 bg-white';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 p-2 bg-blue-50 rounded border border-blue-200">
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="property_name"
+          autoFocus
+          className={`${field} flex-grow min-w-0 font-mono`}
+        />
+        <select value={type} onChange={(e) => setType(e.target.value)} className={field} aria-label="Type">
+          {PROPERTY_TYPES.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+        {type === 'string' && (
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className={field} aria-label="Format">
+            <option value="">no format</option>
+            {STRING_FORMATS.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        )}
+        {type === 'array' && (
+          <select value={itemType} onChange={(e) => setItemType(e.target.value)} className={field} aria-label="Item type">
+            {PROPERTY_TYPES.filter((option) => option !== 'array').map((option) => (
+              <option key={option} value={option}>of {option}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      {KEYWORD_TYPES.enum.includes(type) && (
+        <input
+          type="text"
+          value={enumText}
+          onChange={(e) => setEnumText(e.target.value)}
+          placeholder="Allowed values, comma separated (optional)"
+          className={`${field} w-full`}
+        />
+      )}
+      <input
+        type="text"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Description (optional)"
+        className={`${field} w-full`}
+      />
+      {trimmedName && nameProblem && <p className="text-xs text-red-600">{nameProblem}</p>}
+      <div className="flex items-center justify-between">
+        <label className="text-sm text-gray-700 flex items-center gap-1">
+          <input type="checkbox" checked={required} onChange={(e) => setRequired(e.target.checked)} />
+          Required
+        </label>
+        <div className="flex gap-2">
+          <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={Boolean(nameProblem)}
+            className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+          >
+            {submitLabel}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
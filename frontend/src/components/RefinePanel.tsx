@@ -0,0 +1,84 @@
+'use client';
+
+/**
+ * Refine Panel Component
+ *
+ * Lets the user change the current workflow with a plain-English
+ * instruction such as "add a fraud check before payment", and shows
+ * what the last refinement changed.
+ */
+
+import { useState } from 'react';
+
+interface RefinePanelProps {
+  onRefine: (instruction: string) => Promise<boolean>;
+  isLoading: boolean;
+  lastChanges: string[];
+}
+
+// Example instructions the mock provider understands
+const exampleInstructions = [
+  'Add a fraud check before payment',
+  'Remove the calendar step',
+  'Rename the first step to Start request',
+];
+
+export default function RefinePanel({ onRefine, isLoading, lastChanges }: RefinePanelProps) {
+  const [instruction, setInstruction] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!instruction.trim()) return;
+    if (await onRefine(instruction.trim())) {
+      setInstruction('');
+    }
+  };
+
+  return (
+    <div className="p-6 border-b border-gray-200">
+      <h3 className="font-semibold text-gray-700 mb-2 flex items-center gap-2">
+        <span className="text-lg">🪄</span>
+        Refine
+      </h3>
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          placeholder="Describe a change, e.g. add a fraud check before payment"
+          className="flex-grow px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none text-gray-800"
+          disabled={isLoading}
+        />
+        <button
+          type="submit"
+          disabled={isLoading || !instruction.trim()}
+          className="px-4 py-2 bg-purple-600 text-white rounded-lg text-sm hover:bg-purple-700 disabled:opacity-50 transition-colors duration-200"
+        >
+          {isLoading ? 'Refining...' : 'Apply'}
+        </button>
+      </form>
+
+      <div className="flex flex-wrap gap-2 mt-3">
+        {exampleInstructions.map((example) => (
+          <button
+            key={example}
+            type="button"
+            onClick={() => setInstruction(example)}
+            disabled={isLoading}
+            className="text-xs px-3 py-1 bg-gray-100 text-gray-700 rounded-full hover:bg-purple-100 hover:text-purple-700 transition-colors duration-200"
+          >
+            {example}
+          </button>
+        ))}
+      </div>
+
+      {lastChanges.length > 0 && (
+        <ul className="mt-3 text-sm text-green-700 space-y-1">
+          {lastChanges.map((change) => (
+            <li key={change}>✓ {change}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
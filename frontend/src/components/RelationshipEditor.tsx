@@ -0,0 +1,83 @@
+'use client';
+
+/**
+ * Relationship Editor Component
+ *
+ * Inline form for a relationship between two entities and its
+ * cardinality.
+ */
+
+import { useState } from 'react';
+import { Cardinality, Relationship } from '@/lib/types';
+import { CARDINALITIES } from '@/lib/dataModelEdits';
+
+interface RelationshipEditorProps {
+  initial: Relationship;
+  entityNames: string[];
+  submitLabel: string;
+  onSubmit: (relationship: Relationship) => void;
+  onCancel: () => void;
+}
+
+export default function RelationshipEditor({ initial, entityNames, submitLabel, onSubmit, onCancel }: RelationshipEditorProps) {
+  const [relationship, setRelationship] = useState<Relationship>(initial);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    const description = relationship.description?.trim();
+    onSubmit({ from: relationship.from, to: relationship.to, type: relationship.type, ...(description ? { description } : {}) });
+  };
+
+  const field = 'px-2 py-1 border border-gray-300 rounded text-sm text-gray-800 bg-white';
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 p-2 bg-blue-50 rounded border border-blue-200">
+      <select
+        value={relationship.from}
+        onChange={(e) => setRelationship({ ...relationship, from: e.target.value })}
+        className={field}
+        aria-label="From"
+      >
+        {entityNames.map((name) => (
+          <option key={name} value={name}>{name}</option>
+        ))}
+      </select>
+      <select
+        value={relationship.type}
+        onChange={(e) => setRelationship({ ...relationship, type: e.target.value as Cardinality })}
+        className={field}
+        aria-label="Cardinality"
+      >
+        {CARDINALITIES.map((cardinality) => (
+          <option key={cardinality} value={cardinality}>{cardinality}</option>
+        ))}
+      </select>
+      <select
+        value={relationship.to}
+        onChange={(e) => setRelationship({ ...relationship, to: e.target.value })}
+        className={field}
+        aria-label="To"
+      >
+        {entityNames.map((name) => (
+          <option key={name} value={name}>{name}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={relationship.description || ''}
+        onChange={(e) => setRelationship({ ...relationship, description: e.target.value })}
+        placeholder="Description (optional)"
+        className={`${field} flex-grow min-w-0`}
+      />
+      <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+        Cancel
+      </button>
+      <button
+        type="submit"
+        className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors duration-200"
+      >
+        {submitLabel}
+      </button>
+    </form>
+  );
+}
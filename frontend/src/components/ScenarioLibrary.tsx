@@ -0,0 +1,132 @@
+'use client';
+
+/**
+ * Scenario Library Component
+ *
+ * Lists saved scenarios with text search and paging,
+ * and lets the user open or delete them.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { listScenarios, deleteScenario } from '@/lib/api';
+import { ScenarioList } from '@/lib/types';
+
+interface ScenarioLibraryProps {
+  onOpen: (id: string) => void;
+  activeId: string | null;
+  refreshKey: number;
+}
+
+const PAGE_SIZE = 5;
+
+export default function ScenarioLibrary({ onOpen, activeId, refreshKey }: ScenarioLibraryProps) {
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState<ScenarioList | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      setError(null);
+      setResult(await listScenarios({ page, limit: PAGE_SIZE, q: query }));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load library');
+    }
+  }, [page, query]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const handleDelete = async (id: string) => {
+    if (!window.confirm('Delete this saved scenario?')) return;
+    try {
+      await deleteScenario(id);
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete scenario');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <span className="text-2xl">📚</span>
+          Saved Scenarios
+          {result && <span className="text-sm font-normal text-gray-500">({result.total})</span>}
+        </h2>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setPage(1);
+          }}
+          placeholder="Search saved scenarios..."
+          className="w-64 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+        />
+      </div>
+
+      {error && <p className="text-red-600 text-sm mb-3">{error}</p>}
+
+      {result && result.items.length === 0 && (
+        <p className="text-gray-500 text-sm text-center py-4">
+          {query ? 'No saved scenarios match your search.' : 'No saved scenarios yet.'}
+        </p>
+      )}
+
+      <ul className="divide-y divide-gray-100">
+        {result?.items.map((item) => (
+          <li
+            key={item.id}
+            className={`py-3 flex items-start justify-between gap-4 ${item.id === activeId ? 'bg-blue-50 -mx-2 px-2 rounded' : ''}`}
+          >
+            <div className="min-w-0">
+              <p className="font-medium text-gray-800 truncate">{item.title}</p>
+              <p className="text-xs text-gray-500">
+                {item.step_count} steps · updated {new Date(item.updated_at).toLocaleString()}
+              </p>
+            </div>
+            <div className="flex-shrink-0 flex gap-2">
+              <button
+                onClick={() => onOpen(item.id)}
+                className="text-xs px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200"
+              >
+                Open
+              </button>
+              <button
+                onClick={() => handleDelete(item.id)}
+                className="text-xs px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-red-100 hover:text-red-700 transition-colors duration-200"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {result && result.total_pages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-4 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+          >
+            ← Prev
+          </button>
+          <span className="text-gray-600">
+            Page {result.page} of {result.total_pages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= result.total_pages}
+            className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
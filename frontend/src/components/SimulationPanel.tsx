@@ -0,0 +1,220 @@
+'use client';
+
+/**
+ * Simulation Panel Component
+ *
+ * Dry-runs the workflow of a saved scenario. "Run" walks it with random
+ * choices at every decision, replayable from the seed, and reports the
+ * steps no path reaches, the steps a run gets stuck in and the steps and
+ * branches no run took. "Step through" stops at each decision so the
+ * user picks the branch. The path of the first run is handed to the
+ * diagram, which animates it.
+ */
+
+import { useEffect, useState } from 'react';
+import { simulateScenario } from '@/lib/api';
+import { SimulationOutcome, SimulationReport, SimulationStepRef, WorkflowStep } from '@/lib/types';
+
+interface SimulationPanelProps {
+  scenarioId: string | null;
+  workflow: WorkflowStep[];
+  onPath: (path: number[] | null) => void;
+}
+
+const outcomeLabels: Record<SimulationOutcome, string> = {
+  completed: 'reached the end',
+  step_limit: 'stopped in a loop',
+  awaiting_choice: 'waiting for a choice',
+};
+
+const DEFAULT_RUNS = 20;
+
+export default function SimulationPanel({ scenarioId, workflow, onPath }: SimulationPanelProps) {
+  const [runs, setRuns] = useState(DEFAULT_RUNS);
+  const [seed, setSeed] = useState('');
+  const [report, setReport] = useState<SimulationReport | null>(null);
+  // Branches picked so far when stepping through, as target step ids
+  const [choices, setChoices] = useState<number[] | null>(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // A report about an older workflow would point at the wrong steps
+  useEffect(() => {
+    setReport(null);
+    setChoices(null);
+    onPath(null);
+  }, [workflow, onPath]);
+
+  const names = new Map(workflow.map((step) => [step.id, step.name]));
+  const nameOf = (id: number) => names.get(id) ?? `#${id}`;
+
+  const simulate = async (stepChoices: number[] | null) => {
+    if (!scenarioId) return;
+    setIsRunning(true);
+    setError(null);
+    try {
+      const result = await simulateScenario(scenarioId, stepChoices
+        ? { workflow, interactive: true, choices: stepChoices }
+        : { workflow, runs, ...(seed.trim() ? { seed: Number(seed) } : {}) });
+      setReport(result);
+      setChoices(stepChoices);
+      onPath(result.run.path);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to simulate scenario');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const renderSteps = (title: string, steps: SimulationStepRef[], tone: string, empty: string) => (
+    <div>
+      <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">{title}</h4>
+      {steps.length === 0 ? (
+        <p className="text-sm text-gray-400">{empty}</p>
+      ) : (
+        <ul className={`text-sm space-y-0.5 ${tone}`}>
+          {steps.map((step) => (
+            <li key={step.id}>
+              {step.name}
+              {'reason' in step && <span className="text-gray-500"> — {String(step.reason)}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  const untaken = report?.branches.filter((branch) => branch.runs === 0) ?? [];
+  const input = 'px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-800 focus:ring-2 focus:ring-blue-500 outline-none';
+
+  return (
+    <div className="mt-6 border border-gray-200 rounded-lg p-4">
+      <h3 className="font-semibold text-gray-700 mb-3 flex items-center gap-2">
+        <span className="text-lg">🧪</span>
+        Simulate
+      </h3>
+
+      {!scenarioId ? (
+        <p className="text-sm text-gray-500">Save the scenario to simulate its workflow.</p>
+      ) : (
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-600 flex flex-col gap-1">
+            Runs
+            <input
+              type="number"
+              min={1}
+              max={1000}
+              value={runs}
+              onChange={(e) => setRuns(Math.max(1, Math.min(1000, Number(e.target.value) || 1)))}
+              className={`${input} w-24`}
+            />
+          </label>
+          <label className="text-sm text-gray-600 flex flex-col gap-1">
+            Seed
+            <input
+              type="number"
+              min={0}
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+              placeholder="random"
+              className={`${input} w-32`}
+            />
+          </label>
+          <button
+            type="button"
+            onClick={() => simulate(null)}
+            disabled={isRunning}
+            className="px-4 py-1.5 bg-emerald-600 text-white rounded-lg text-sm hover:bg-emerald-700 disabled:opacity-50"
+          >
+            {isRunning && !choices ? 'Running...' : 'Run'}
+          </button>
+          <button
+            type="button"
+            onClick={() => simulate([])}
+            disabled={isRunning}
+            className="px-4 py-1.5 border border-emerald-600 text-emerald-700 rounded-lg text-sm hover:bg-emerald-50 disabled:opacity-50"
+          >
+            Step through
+          </button>
+          {report && (
+            <button
+              type="button"
+              onClick={() => onPath([...report.run.path])}
+              className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+            >
+              ↻ Replay path
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {report && (
+        <div className="mt-4 space-y-4">
+          <div className="text-sm text-gray-700">
+            {choices ? 'Stepped run' : `Run 1 of ${report.runs} (seed ${report.run.seed})`}:{' '}
+            {report.run.path.length} step{report.run.path.length === 1 ? '' : 's'}, {outcomeLabels[report.run.outcome]}
+            {report.run.choices.length > 0 && (
+              <span className="text-gray-500">
+                {' '}— {report.run.choices.map((choice) => `${nameOf(choice.step)} → ${choice.label ?? nameOf(choice.to)}`).join(', ')}
+              </span>
+            )}
+          </div>
+
+          {report.run.pending && (
+            <div className="bg-emerald-50 border border-emerald-200 rounded-lg p-3">
+              <p className="text-sm text-emerald-800 mb-2">
+                <strong>{nameOf(report.run.pending.step)}</strong> — which branch?
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {report.run.pending.options.map((option) => (
+                  <button
+                    key={option.to}
+                    type="button"
+                    onClick={() => simulate([...(choices ?? []), option.to])}
+                    disabled={isRunning}
+                    className="px-3 py-1 bg-white border border-emerald-300 rounded-full text-sm text-emerald-800 hover:bg-emerald-100 disabled:opacity-50"
+                  >
+                    {option.label ?? nameOf(option.to)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {!choices && (
+            <p className="text-sm text-gray-600">
+              {Object.entries(report.outcomes)
+                .filter(([, count]) => count > 0)
+                .map(([outcome, count]) => `${count} ${outcomeLabels[outcome as SimulationOutcome]}`)
+                .join(', ')}
+            </p>
+          )}
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            {renderSteps('Unreachable', report.unreachable, 'text-red-700', 'Every step can be reached')}
+            {renderSteps('Dead ends', report.dead_ends, 'text-red-700', 'Every step can reach the end')}
+            {!choices && renderSteps('Never visited', report.never_visited, 'text-amber-700', `Every reachable step ran in ${report.runs} runs`)}
+            {!choices && (
+              <div>
+                <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">Branches never taken</h4>
+                {untaken.length === 0 ? (
+                  <p className="text-sm text-gray-400">Every branch was taken</p>
+                ) : (
+                  <ul className="text-sm space-y-0.5 text-amber-700">
+                    {untaken.map((branch) => (
+                      <li key={`${branch.step}-${branch.to}`}>
+                        {nameOf(branch.step)} → {branch.label ?? nameOf(branch.to)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
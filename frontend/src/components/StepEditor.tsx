@@ -0,0 +1,78 @@
+'use client';
+
+/**
+ * Step Editor Component
+ *
+ * Inline form for the name, description and type of a workflow step,
+ * used both to edit an existing step and to add a new one.
+ */
+
+import { useState } from 'react';
+import { STEP_TYPES, StepFields } from '@/lib/workflowEdits';
+
+interface StepEditorProps {
+  initial: StepFields;
+  submitLabel: string;
+  onSubmit: (fields: StepFields) => void;
+  onCancel: () => void;
+}
+
+export default function StepEditor({ initial, submitLabel, onSubmit, onCancel }: StepEditorProps) {
+  const [fields, setFields] = useState<StepFields>(initial);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!fields.name.trim()) return;
+    onSubmit({ ...fields, name: fields.name.trim(), description: fields.description.trim() });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 w-full">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={fields.name}
+          onChange={(e) => setFields({ ...fields, name: e.target.value })}
+          placeholder="Step name"
+          maxLength={60}
+          autoFocus
+          className="flex-grow px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none text-gray-800"
+        />
+        <select
+          value={fields.type}
+          onChange={(e) => setFields({ ...fields, type: e.target.value })}
+          className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-800 bg-white"
+        >
+          {STEP_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {type.replace(/_/g, ' ')}
+            </option>
+          ))}
+        </select>
+      </div>
+      <textarea
+        value={fields.description}
+        onChange={(e) => setFields({ ...fields, description: e.target.value })}
+        placeholder="What happens in this step"
+        rows={2}
+        className="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none text-gray-800 resize-y"
+      />
+      <div className="flex gap-2 justify-end">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!fields.name.trim()}
+          className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,240 @@
+'use client';
+
+/**
+ * Version History Component
+ *
+ * Lists the versions of a saved scenario and shows an inline diff
+ * between any two of them: workflow steps, data model entities and
+ * properties, and relationships.
+ */
+
+import { useEffect, useState } from 'react';
+import { listVersions, diffVersions } from '@/lib/api';
+import { VersionInfo, ScenarioDiff, StepChange } from '@/lib/types';
+
+interface VersionHistoryProps {
+  scenarioId: string;
+  currentVersion: number;
+}
+
+// Label for what produced a version
+function getSourceLabel(source: VersionInfo['source']): string {
+  const labels: Record<VersionInfo['source'], string> = {
+    generate: '✨ Generated',
+    regenerate: '🔄 Regenerated',
+    edit: '✏️ Edited',
+    refine: '🪄 Refined',
+    import: '📥 Imported',
+  };
+  return labels[source] || source;
+}
+
+// One line of the inline diff
+function DiffLine({ kind, children }: { kind: 'added' | 'removed' | 'changed'; children: React.ReactNode }) {
+  const styles = {
+    added: 'bg-green-50 border-green-400 text-green-800',
+    removed: 'bg-red-50 border-red-400 text-red-800',
+    changed: 'bg-amber-50 border-amber-400 text-amber-800',
+  };
+  const markers = { added: '+', removed: '−', changed: '~' };
+
+  return (
+    <li className={`border-l-4 px-3 py-1.5 text-sm ${styles[kind]}`}>
+      <span className="font-mono font-bold mr-2">{markers[kind]}</span>
+      {children}
+    </li>
+  );
+}
+
+// Describe what changed in a step
+function describeStepChange(change: StepChange): string {
+  return change.fields.map((field) => {
+    if (field === 'edges') {
+      return `paths: ${change.edges.before.join(', ') || 'end'} → ${change.edges.after.join(', ') || 'end'}`;
+    }
+    return `${field}: "${change.before[field]}" → "${change.after[field]}"`;
+  }).join('; ');
+}
+
+function DiffView({ diff }: { diff: ScenarioDiff }) {
+  const { workflow, data_model: dataModel } = diff;
+  const hasWorkflowChanges = workflow.added.length + workflow.removed.length + workflow.changed.length > 0;
+  const hasEntityChanges = dataModel.entities.added.length + dataModel.entities.removed.length + dataModel.entities.changed.length > 0;
+  const { relationships } = dataModel;
+  const hasRelationshipChanges = relationships.added.length + relationships.removed.length + relationships.changed.length > 0;
+
+  return (
+    <div className="space-y-5">
+      <div>
+        <h5 className="font-semibold text-gray-700 mb-2">
+          📋 Workflow steps
+          <span className="ml-2 text-xs font-normal text-gray-500">{workflow.unchanged} unchanged</span>
+        </h5>
+        {hasWorkflowChanges ? (
+          <ul className="space-y-1">
+            {workflow.removed.map((step) => (
+              <DiffLine key={`removed-${step.id}`} kind="removed">
+                <strong>{step.name}</strong> <span className="opacity-75">({step.type})</span>
+              </DiffLine>
+            ))}
+            {workflow.added.map((step) => (
+              <DiffLine key={`added-${step.id}`} kind="added">
+                <strong>{step.name}</strong> <span className="opacity-75">({step.type})</span>
+              </DiffLine>
+            ))}
+            {workflow.changed.map((change) => (
+              <DiffLine key={`changed-${change.after.id}`} kind="changed">
+                <strong>{change.after.name}</strong>{' '}
+                <span className="opacity-75">{describeStepChange(change)}</span>
+              </DiffLine>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No step changes</p>
+        )}
+      </div>
+
+      <div>
+        <h5 className="font-semibold text-gray-700 mb-2">🗃️ Data model</h5>
+        {hasEntityChanges ? (
+          <ul className="space-y-1">
+            {dataModel.entities.removed.map((name) => (
+              <DiffLine key={`removed-${name}`} kind="removed">Entity <strong>{name}</strong></DiffLine>
+            ))}
+            {dataModel.entities.added.map((name) => (
+              <DiffLine key={`added-${name}`} kind="added">Entity <strong>{name}</strong></DiffLine>
+            ))}
+            {dataModel.entities.changed.map((change) => (
+              <DiffLine key={`changed-${change.entity}`} kind="changed">
+                <strong>{change.entity}</strong>
+                {change.properties_added.length > 0 && <span className="ml-2 text-green-700">+{change.properties_added.join(', +')}</span>}
+                {change.properties_removed.length > 0 && <span className="ml-2 text-red-700">−{change.properties_removed.join(', −')}</span>}
+                {change.properties_changed.length > 0 && (
+                  <span className="ml-2">~{change.properties_changed.map((prop) => prop.property).join(', ~')}</span>
+                )}
+              </DiffLine>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No entity changes</p>
+        )}
+      </div>
+
+      <div>
+        <h5 className="font-semibold text-gray-700 mb-2">🔗 Relationships</h5>
+        {hasRelationshipChanges ? (
+          <ul className="space-y-1">
+            {relationships.removed.map((rel) => (
+              <DiffLine key={`removed-${rel.from}-${rel.to}`} kind="removed">{rel.from} → {rel.to} ({rel.type})</DiffLine>
+            ))}
+            {relationships.added.map((rel) => (
+              <DiffLine key={`added-${rel.from}-${rel.to}`} kind="added">{rel.from} → {rel.to} ({rel.type})</DiffLine>
+            ))}
+            {relationships.changed.map(({ before, after }) => (
+              <DiffLine key={`changed-${after.from}-${after.to}`} kind="changed">
+                {after.from} → {after.to}: {before.type} → {after.type}
+              </DiffLine>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No relationship changes</p>
+        )}
+      </div>
+
+      {diff.summary_changed && (
+        <p className="text-sm text-gray-600">✨ The summary was rewritten.</p>
+      )}
+    </div>
+  );
+}
+
+export default function VersionHistory({ scenarioId, currentVersion }: VersionHistoryProps) {
+  const [versions, setVersions] = useState<VersionInfo[]>([]);
+  const [from, setFrom] = useState<number>(Math.max(1, currentVersion - 1));
+  const [to, setTo] = useState<number>(currentVersion);
+  const [diff, setDiff] = useState<ScenarioDiff | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    listVersions(scenarioId)
+      .then(setVersions)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load versions'));
+    setFrom(Math.max(1, currentVersion - 1));
+    setTo(currentVersion);
+  }, [scenarioId, currentVersion]);
+
+  useEffect(() => {
+    if (from === to) {
+      setDiff(null);
+      return;
+    }
+    diffVersions(scenarioId, from, to)
+      .then(setDiff)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to compare versions'));
+  }, [scenarioId, from, to]);
+
+  if (error) {
+    return <p className="text-red-600 text-sm">{error}</p>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      {/* Version list */}
+      <div>
+        <h4 className="font-semibold text-gray-800 mb-3">🕒 Versions ({versions.length})</h4>
+        <ul className="space-y-2">
+          {[...versions].reverse().map((entry) => (
+            <li
+              key={entry.version}
+              className={`p-3 rounded-lg border text-sm ${entry.version === to ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-white'}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-semibold text-gray-800">v{entry.version}</span>
+                <span className="text-xs text-gray-600">{getSourceLabel(entry.source)}</span>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {new Date(entry.created_at).toLocaleString()} · {entry.step_count} steps · {entry.entity_count} entities
+              </p>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Diff */}
+      <div className="md:col-span-2">
+        <div className="flex items-center gap-3 mb-4 text-sm">
+          <span className="text-gray-600">Compare</span>
+          <select
+            value={from}
+            onChange={(e) => setFrom(Number(e.target.value))}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {versions.map((entry) => (
+              <option key={entry.version} value={entry.version}>v{entry.version}</option>
+            ))}
+          </select>
+          <span className="text-gray-600">with</span>
+          <select
+            value={to}
+            onChange={(e) => setTo(Number(e.target.value))}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {versions.map((entry) => (
+              <option key={entry.version} value={entry.version}>v{entry.version}</option>
+            ))}
+          </select>
+        </div>
+
+        {versions.length < 2 ? (
+          <p className="text-gray-500 text-sm">
+            Only one version so far. Regenerate or edit the scenario to create another.
+          </p>
+        ) : diff ? (
+          <DiffView diff={diff} />
+        ) : (
+          <p className="text-gray-500 text-sm">Pick two different versions to compare.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -5,14 +5,34 @@
  * 
  * Displays workflow steps in a visually appealing list format
  * with icons and color coding based on step type.
+ *
+ * When `onChange` is given the list can be edited: steps can be added,
+ * removed, moved and renamed or retyped, and the edited workflow is
+ * passed to `onChange`.
+ *
+ * With `onSelectStep` a step can be selected by clicking it; the selected
+ * step is highlighted and scrolled into view, so the list can follow the
+ * interactive diagram.
  */
 
-import { WorkflowStep } from '@/lib/types';
+import { useEffect, useRef, useState } from 'react';
+import { WorkflowStep, WorkflowBranch } from '@/lib/types';
+import { StepFields, insertStep, moveStep, removeStep, updateStep } from '@/lib/workflowEdits';
+import StepEditor from '@/components/StepEditor';
 
 interface WorkflowDisplayProps {
   workflow: WorkflowStep[];
+  onChange?: (workflow: WorkflowStep[]) => void;
+  isUpdating?: boolean;
+  selectedStep?: number | null;
+  onSelectStep?: (id: number | null) => void;
 }
 
+// Step currently open in the inline editor
+type EditTarget = { mode: 'edit'; id: number } | { mode: 'add'; after: number | null };
+
+const NEW_STEP: StepFields = { name: '', description: '', type: 'system_action' };
+
 // Icon mapping for different step types
 function getStepIcon(type: string): string {
   const icons: Record<string, string> = {
@@ -36,6 +56,8 @@ function getStepIcon(type: string): string {
     ai_process: '🤖',
     data_operation: '📦',
     error_handling: '⚠️',
+    parallel: '🔱',
+    join: '🔗',
   };
   return icons[type] || '📌';
 }
@@ -63,11 +85,34 @@ function getStepColor(type: string): string {
     ai_process: 'bg-fuchsia-100 border-fuchsia-300 text-fuchsia-800',
     data_operation: 'bg-lime-100 border-lime-300 text-lime-800',
     error_handling: 'bg-red-100 border-red-300 text-red-800',
+    parallel: 'bg-sky-100 border-sky-300 text-sky-800',
+    join: 'bg-sky-100 border-sky-300 text-sky-800',
   };
   return colors[type] || 'bg-gray-100 border-gray-300 text-gray-800';
 }
 
-export default function WorkflowDisplay({ workflow }: WorkflowDisplayProps) {
+// Outgoing edges of a step: labelled branches win over plain next ids
+function getOutgoing(step: WorkflowStep): WorkflowBranch[] {
+  if (step.branches && step.branches.length > 0) return step.branches;
+  return (step.next || []).map((to) => ({ label: '', to }));
+}
+
+export default function WorkflowDisplay({
+  workflow,
+  onChange,
+  isUpdating = false,
+  selectedStep = null,
+  onSelectStep,
+}: WorkflowDisplayProps) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [target, setTarget] = useState<EditTarget | null>(null);
+  const cardRefs = useRef(new Map<number, HTMLDivElement>());
+
+  useEffect(() => {
+    if (selectedStep === null) return;
+    cardRefs.current.get(selectedStep)?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [selectedStep]);
+
   if (!workflow || workflow.length === 0) {
     return (
       <div className="text-gray-500 text-center py-8">
@@ -76,12 +121,77 @@ export default function WorkflowDisplay({ workflow }: WorkflowDisplayProps) {
     );
   }
 
+  // Position of each step in the list, used to label edges and spot loops
+  const stepIndex = new Map(workflow.map((step, index) => [step.id, index]));
+  const canEdit = Boolean(onChange) && isEditing;
+
+  const apply = (edited: WorkflowStep[]) => {
+    setTarget(null);
+    onChange?.(edited);
+  };
+
+  const handleSubmit = (fields: StepFields) => {
+    if (!target) return;
+    if (target.mode === 'edit') {
+      apply(updateStep(workflow, target.id, fields));
+    } else if (target.after === null) {
+      apply(insertStep(workflow, fields, { before: workflow[0].id }));
+    } else {
+      apply(insertStep(workflow, fields, { after: target.after }));
+    }
+  };
+
+  // Inline form for adding a step at a position
+  const renderAddForm = (after: number | null) => (
+    target?.mode === 'add' && target.after === after ? (
+      <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+        <StepEditor initial={NEW_STEP} submitLabel="Add step" onSubmit={handleSubmit} onCancel={() => setTarget(null)} />
+      </div>
+    ) : (
+      <button
+        type="button"
+        onClick={() => setTarget({ mode: 'add', after })}
+        disabled={isUpdating}
+        className="w-full py-1 text-xs text-blue-600 border border-dashed border-blue-200 rounded hover:bg-blue-50 disabled:opacity-50"
+      >
+        + Add step here
+      </button>
+    )
+  );
+
   return (
     <div className="space-y-3">
+      {onChange && (
+        <div className="flex items-center justify-end gap-3 text-sm">
+          {isUpdating && <span className="text-gray-500">Updating diagram and data model...</span>}
+          <button
+            type="button"
+            onClick={() => {
+              setIsEditing(!isEditing);
+              setTarget(null);
+            }}
+            className={`px-3 py-1 rounded-lg border transition-colors duration-200 ${
+              isEditing ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {isEditing ? 'Done editing' : '✏️ Edit workflow'}
+          </button>
+        </div>
+      )}
+
+      {canEdit && renderAddForm(null)}
+
       {workflow.map((step, index) => (
+        <div key={step.id} className="space-y-3">
         <div
-          key={step.id}
-          className="flex items-start space-x-4 p-4 bg-white rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow duration-200"
+          ref={(element) => {
+            if (element) cardRefs.current.set(step.id, element);
+            else cardRefs.current.delete(step.id);
+          }}
+          onClick={onSelectStep ? () => onSelectStep(step.id) : undefined}
+          className={`flex items-start space-x-4 p-4 bg-white rounded-lg shadow-sm border hover:shadow-md transition-shadow duration-200 ${
+            step.id === selectedStep ? 'border-amber-400 ring-2 ring-amber-300' : 'border-gray-200'
+          } ${onSelectStep ? 'cursor-pointer' : ''}`}
         >
           {/* Step number circle */}
           <div className="flex-shrink-0 w-10 h-10 bg-gradient-to-br from-blue-500 to-blue-600 rounded-full flex items-center justify-center text-white font-bold shadow-md">
@@ -89,6 +199,14 @@ export default function WorkflowDisplay({ workflow }: WorkflowDisplayProps) {
           </div>
           
           {/* Step content */}
+          {canEdit && target?.mode === 'edit' && target.id === step.id ? (
+            <StepEditor
+              initial={{ name: step.name, description: step.description, type: step.type }}
+              submitLabel="Save step"
+              onSubmit={handleSubmit}
+              onCancel={() => setTarget(null)}
+            />
+          ) : (
           <div className="flex-grow min-w-0">
             <div className="flex items-center gap-2 mb-1">
               <span className="text-xl" role="img" aria-label={step.type}>
@@ -104,13 +222,65 @@ export default function WorkflowDisplay({ workflow }: WorkflowDisplayProps) {
             <span className={`inline-block mt-2 px-2 py-0.5 text-xs font-medium rounded border ${getStepColor(step.type)}`}>
               {step.type.replace(/_/g, ' ')}
             </span>
+
+            {/* Outgoing edges */}
+            <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-600">
+              {getOutgoing(step).length === 0 ? (
+                <span className="px-2 py-0.5 bg-gray-100 rounded">⏹ End of flow</span>
+              ) : (
+                getOutgoing(step).map((edge, edgeIndex) => {
+                  const target = stepIndex.get(edge.to);
+                  const isLoop = target !== undefined && target <= index;
+                  return (
+                    <span
+                      key={`${edge.to}-${edgeIndex}`}
+                      className={`px-2 py-0.5 rounded border ${isLoop ? 'border-dashed border-orange-300 bg-orange-50' : 'border-gray-200 bg-gray-50'}`}
+                    >
+                      {edge.label && <strong className="mr-1">{edge.label}:</strong>}
+                      {isLoop ? '↩' : '→'} {target !== undefined ? `${target + 1}. ${workflow[target].name}` : `#${edge.to}`}
+                    </span>
+                  );
+                })
+              )}
+            </div>
           </div>
+          )}
+
+          {/* Edit controls */}
+          {canEdit && !(target?.mode === 'edit' && target.id === step.id) && (
+            <div className="flex-shrink-0 flex gap-1">
+              {[
+                // Steps with branches would lose them when moved, so they keep their place
+                { label: '↑', title: 'Move up', disabled: index === 0 || Boolean(step.branches?.length), run: () => apply(moveStep(workflow, step.id, -1)) },
+                { label: '↓', title: 'Move down', disabled: index === workflow.length - 1 || Boolean(step.branches?.length), run: () => apply(moveStep(workflow, step.id, 1)) },
+                { label: '✎', title: 'Edit step', disabled: false, run: () => setTarget({ mode: 'edit', id: step.id }) },
+                { label: '🗑', title: 'Delete step', disabled: workflow.length === 1, run: () => {
+                  if (step.id === selectedStep) onSelectStep?.(null);
+                  apply(removeStep(workflow, step.id));
+                } },
+              ].map((control) => (
+                <button
+                  key={control.title}
+                  type="button"
+                  title={control.title}
+                  aria-label={control.title}
+                  onClick={control.run}
+                  disabled={control.disabled || isUpdating}
+                  className="w-8 h-8 rounded border border-gray-200 text-gray-600 hover:bg-gray-100 disabled:opacity-30"
+                >
+                  {control.label}
+                </button>
+              ))}
+            </div>
+          )}
 
           {/* Connector line (except for last item) */}
           {index < workflow.length - 1 && (
             <div className="absolute left-9 mt-14 w-0.5 h-6 bg-blue-200" />
           )}
         </div>
+        {canEdit && renderAddForm(step.id)}
+        </div>
       ))}
     </div>
   );
@@ -2,11 +2,71 @@
  * API client for communicating with the backend
  */
 
-import { ScenarioResponse, ApiError } from './types';
+import {
+  ScenarioResponse,
+  ScenarioData,
+  SavedScenario,
+  ScenarioList,
+  VersionInfo,
+  ScenarioDiff,
+  RefineResult,
+  DeriveResult,
+  ImportResult,
+  ImportFormat,
+  WorkflowStep,
+  DataModel,
+  ExportedFile,
+  VersionSource,
+  ApiError,
+  StreamEvent,
+  SimulationOptions,
+  SimulationReport,
+} from './types';
 
 // Backend API URL - defaults to localhost in development
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
+/**
+ * Turn an error body from the backend into a message, including any validation problems
+ * 
+ * @param error - Error body, if the backend sent one
+ * @param fallbackMessage - Message used when the backend gives none
+ * @returns Error message
+ */
+function formatApiError(error: ApiError | null, fallbackMessage: string): string {
+  const problems = error?.details?.problems?.map((problem) => `${problem.path}: ${problem.message}`);
+  return problems?.length
+    ? `${error?.message} (${problems.join('; ')})`
+    : error?.message || fallbackMessage;
+}
+
+/**
+ * Send a JSON request to the backend and unwrap errors
+ * 
+ * @param path - API path, including any query string
+ * @param init - Fetch options
+ * @param fallbackMessage - Error message used when the backend gives none
+ * @returns Parsed JSON response body
+ */
+async function requestJSON<T>(path: string, init: RequestInit, fallbackMessage: string): Promise<T> {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...init,
+    headers: {
+      'Content-Type': 'application/json',
+      ...init.headers,
+    },
+  });
+
+  // 204 No Content has no body to parse
+  const data = response.status === 204 ? null : await response.json();
+
+  if (!response.ok) {
+    throw new Error(formatApiError(data as ApiError, fallbackMessage));
+  }
+
+  return data as T;
+}
+
 /**
  * Generate a scenario from a description
  * 
@@ -14,22 +74,267 @@ const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
  * @returns Promise with scenario data or throws error
  */
 export async function generateScenario(description: string): Promise<ScenarioResponse> {
-  const response = await fetch(`${API_BASE_URL}/api/scenario`, {
+  return requestJSON<ScenarioResponse>('/api/scenario', {
+    method: 'POST',
+    body: JSON.stringify({ description }),
+  }, 'Failed to generate scenario');
+}
+
+/**
+ * Generate a scenario, reporting each stage as the backend completes it
+ * 
+ * @param description - User's scenario description
+ * @param onEvent - Called for every event: analysis, each step, diagram, data_model, summary, done
+ * @returns The complete scenario, as returned by generateScenario
+ */
+export async function streamScenario(
+  description: string,
+  onEvent: (event: StreamEvent) => void
+): Promise<ScenarioResponse> {
+  const fallbackMessage = 'Failed to generate scenario';
+  const response = await fetch(`${API_BASE_URL}/api/scenario/stream`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
     },
     body: JSON.stringify({ description }),
   });
 
-  const data = await response.json();
+  if (!response.ok || !response.body) {
+    const error = await response.json().catch(() => null);
+    throw new Error(formatApiError(error, fallbackMessage));
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let result: ScenarioData | null = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    // Events are separated by a blank line; keep any incomplete event for the next chunk
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const fields = new Map(block.split('\n').map((line) => {
+        const separator = line.indexOf(':');
+        return [line.slice(0, separator), line.slice(separator + 1).trim()] as const;
+      }));
+      const name = fields.get('event');
+      const data = fields.get('data');
+      if (!name || data === undefined) continue;
+
+      if (name === 'error') {
+        throw new Error(formatApiError(JSON.parse(data) as ApiError, fallbackMessage));
+      }
+      const event = { event: name, data: JSON.parse(data) } as StreamEvent;
+      if (event.event === 'done') result = event.data;
+      onEvent(event);
+    }
+  }
+
+  if (!result) {
+    throw new Error('The connection closed before the scenario was complete');
+  }
+  return { success: true, data: result };
+}
+
+/**
+ * Import an existing Mermaid flowchart or BPMN file as a scenario
+ * 
+ * @param content - Mermaid `graph`/`flowchart` source or BPMN XML
+ * @param format - Format of the content, detected by the backend when omitted
+ * @returns The imported workflow with its data model, diagrams and summary
+ */
+export async function importDiagram(content: string, format?: ImportFormat): Promise<ImportResult> {
+  const result = await requestJSON<{ data: ImportResult }>('/api/import', {
+    method: 'POST',
+    body: JSON.stringify({ content, format }),
+  }, 'Failed to import diagram');
+  return result.data;
+}
+
+/**
+ * Save a generated scenario to the library
+ * 
+ * @param description - Scenario description
+ * @param scenario - Generated scenario content
+ * @param source - What produced the scenario (defaults to "generate")
+ * @returns The saved scenario
+ */
+export async function saveScenario(
+  description: string,
+  scenario: ScenarioData,
+  source?: VersionSource
+): Promise<SavedScenario> {
+  const result = await requestJSON<{ data: SavedScenario }>('/api/scenarios', {
+    method: 'POST',
+    body: JSON.stringify({ description, ...scenario, source }),
+  }, 'Failed to save scenario');
+  return result.data;
+}
+
+/**
+ * Update a saved scenario
+ * 
+ * @param id - Scenario id
+ * @param changes - Fields to update
+ * @returns The updated scenario
+ */
+export async function updateScenario(
+  id: string,
+  changes: Partial<SavedScenario> & { source?: VersionSource }
+): Promise<SavedScenario> {
+  const result = await requestJSON<{ data: SavedScenario }>(`/api/scenarios/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(changes),
+  }, 'Failed to update scenario');
+  return result.data;
+}
+
+/**
+ * Refine a saved scenario with a plain-English instruction.
+ * The result is stored as a new version.
+ * 
+ * @param id - Scenario id
+ * @param instruction - Requested change, e.g. "add a fraud check before payment"
+ * @param workflow - Workflow to refine (defaults to the saved one)
+ * @returns The updated scenario content and the changes applied
+ */
+export async function refineScenario(id: string, instruction: string, workflow?: WorkflowStep[]): Promise<RefineResult> {
+  const result = await requestJSON<{ data: RefineResult }>(`/api/scenario/${id}/refine`, {
+    method: 'POST',
+    body: JSON.stringify({ instruction, workflow }),
+  }, 'Failed to refine scenario');
+  return result.data;
+}
+
+/**
+ * Rebuild the diagrams and data model of a hand-edited workflow
+ * 
+ * @param workflow - Edited workflow steps
+ * @param context - Scenario description and summary to carry over, and a
+ *   curated data model to keep (validated as JSON Schema) instead of a new one
+ * @returns The validated workflow with its diagrams, data model and repairs
+ */
+export async function deriveScenario(
+  workflow: WorkflowStep[],
+  context: { description?: string; summary?: string; data_model?: DataModel } = {}
+): Promise<DeriveResult> {
+  const result = await requestJSON<{ data: DeriveResult }>('/api/derive', {
+    method: 'POST',
+    body: JSON.stringify({ workflow, ...context }),
+  }, 'Failed to update the workflow');
+  return result.data;
+}
+
+/**
+ * Load a saved scenario
+ * 
+ * @param id - Scenario id
+ * @returns The saved scenario
+ */
+export async function getScenario(id: string): Promise<SavedScenario> {
+  const result = await requestJSON<{ data: SavedScenario }>(`/api/scenarios/${id}`, {}, 'Failed to load scenario');
+  return result.data;
+}
+
+/**
+ * Delete a saved scenario
+ * 
+ * @param id - Scenario id
+ */
+export async function deleteScenario(id: string): Promise<void> {
+  await requestJSON<null>(`/api/scenarios/${id}`, { method: 'DELETE' }, 'Failed to delete scenario');
+}
+
+/**
+ * List saved scenarios
+ * 
+ * @param options - Page number, page size and text search
+ * @returns One page of results
+ */
+export async function listScenarios(
+  { page = 1, limit = 10, q = '' }: { page?: number; limit?: number; q?: string } = {}
+): Promise<ScenarioList> {
+  const params = new URLSearchParams({ page: String(page), limit: String(limit) });
+  if (q) params.set('q', q);
+
+  const result = await requestJSON<{ data: ScenarioList }>(`/api/scenarios?${params}`, {}, 'Failed to list scenarios');
+  return result.data;
+}
+
+/**
+ * List the versions of a saved scenario
+ * 
+ * @param id - Scenario id
+ * @returns Versions, oldest first
+ */
+export async function listVersions(id: string): Promise<VersionInfo[]> {
+  const result = await requestJSON<{ data: VersionInfo[] }>(`/api/scenarios/${id}/versions`, {}, 'Failed to load versions');
+  return result.data;
+}
+
+/**
+ * Compare two versions of a saved scenario
+ * 
+ * @param id - Scenario id
+ * @param from - Older version number
+ * @param to - Newer version number
+ * @returns Differences between the versions
+ */
+export async function diffVersions(id: string, from: number, to: number): Promise<ScenarioDiff> {
+  const params = new URLSearchParams({ from: String(from), to: String(to) });
+  const result = await requestJSON<{ data: ScenarioDiff }>(`/api/scenarios/${id}/diff?${params}`, {}, 'Failed to compare versions');
+  return result.data;
+}
+
+/**
+ * Dry-run the workflow of a saved scenario
+ * 
+ * @param id - Scenario id
+ * @param options - Number of runs, seed, scripted choices, interactive mode and
+ *   a workflow to simulate instead of the saved one
+ * @returns The first run with the unreachable steps, dead ends and steps no run visited
+ */
+export async function simulateScenario(id: string, options: SimulationOptions = {}): Promise<SimulationReport> {
+  const result = await requestJSON<{ data: SimulationReport }>(`/api/scenarios/${id}/simulate`, {
+    method: 'POST',
+    body: JSON.stringify(options),
+  }, 'Failed to simulate scenario');
+  return result.data;
+}
+
+/**
+ * Export scenario content as a file
+ * 
+ * @param format - Export format id, e.g. "postgresql", "prisma", "openapi" or "bpmn"
+ * @param content - Data model, plus the workflow, summary and a title for the file name
+ * @returns File contents and the file name suggested by the backend
+ */
+export async function exportScenario(
+  format: string,
+  content: { data_model: DataModel; workflow?: WorkflowStep[]; title?: string; summary?: string }
+): Promise<ExportedFile> {
+  const response = await fetch(`${API_BASE_URL}/api/export/${format}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(content),
+  });
 
   if (!response.ok) {
-    const error = data as ApiError;
-    throw new Error(error.message || 'Failed to generate scenario');
+    const error: ApiError = await response.json();
+    throw new Error(error.message || 'Failed to export scenario');
   }
 
-  return data as ScenarioResponse;
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `scenario.${format}`;
+  return { filename, blob: await response.blob() };
 }
 
 /**
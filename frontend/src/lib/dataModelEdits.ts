@@ -0,0 +1,132 @@
+/**
+ * Data model edit helpers
+ *
+ * Pure functions behind the data model editor. Renaming or removing an
+ * entity carries over to its relationships, and renaming a property
+ * keeps its place and its `required` flag. The backend validates the
+ * result as JSON Schema (backend/src/utils/dataModelValidator.js).
+ */
+
+import { Cardinality, DataModel, EntitySchema, PropertySchema, Relationship } from './types';
+
+// Vocabulary accepted by the backend validator
+export const PROPERTY_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+export const STRING_FORMATS = ['date-time', 'date', 'time', 'email', 'uri', 'uuid', 'hostname', 'ipv4', 'ipv6'];
+export const CARDINALITIES: Cardinality[] = ['one-to-one', 'one-to-many', 'many-to-one', 'many-to-many'];
+
+// Valid entity and property names (letters, digits and underscores)
+export const ENTITY_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+export const PROPERTY_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// A property as edited in the form: its name, schema and required flag
+export interface PropertyFields {
+  name: string;
+  schema: PropertySchema;
+  required: boolean;
+}
+
+// Rebuild an object with one key renamed, keeping the key order
+function renameKey<T>(record: Record<string, T>, from: string, to: string, value: T): Record<string, T> {
+  return Object.fromEntries(Object.entries(record).map(([key, current]) => (
+    key === from ? [to, value] : [key, current]
+  )));
+}
+
+/**
+ * Add an entity with an `id` property
+ */
+export function addEntity(model: DataModel, name: string): DataModel {
+  if (model.entities[name]) return model;
+  const entity: EntitySchema = {
+    type: 'object',
+    properties: { id: { type: 'string', format: 'uuid', description: `Unique ${name} identifier` } },
+    required: ['id'],
+  };
+  return { ...model, entities: { ...model.entities, [name]: entity } };
+}
+
+/**
+ * Rename an entity and the relationships that use it
+ */
+export function renameEntity(model: DataModel, from: string, to: string): DataModel {
+  if (from === to || !model.entities[from] || model.entities[to]) return model;
+  return {
+    ...model,
+    entities: renameKey(model.entities, from, to, model.entities[from]),
+    relationships: (model.relationships || []).map((relationship) => ({
+      ...relationship,
+      from: relationship.from === from ? to : relationship.from,
+      to: relationship.to === from ? to : relationship.to,
+    })),
+  };
+}
+
+/**
+ * Remove an entity and the relationships that use it
+ */
+export function removeEntity(model: DataModel, name: string): DataModel {
+  const entities = { ...model.entities };
+  delete entities[name];
+  return {
+    ...model,
+    entities,
+    relationships: (model.relationships || []).filter(
+      (relationship) => relationship.from !== name && relationship.to !== name
+    ),
+  };
+}
+
+/**
+ * Add a property, or replace one (renaming it when `original` differs
+ * from the new name)
+ */
+export function setProperty(model: DataModel, entityName: string, original: string | null, fields: PropertyFields): DataModel {
+  const entity = model.entities[entityName];
+  if (!entity) return model;
+
+  const properties = original !== null && entity.properties[original]
+    ? renameKey(entity.properties, original, fields.name, fields.schema)
+    : { ...entity.properties, [fields.name]: fields.schema };
+  const others = (entity.required || []).filter((name) => name !== original && name !== fields.name);
+  const required = fields.required ? [...others, fields.name] : others;
+
+  return {
+    ...model,
+    entities: { ...model.entities, [entityName]: { ...entity, properties, required } },
+  };
+}
+
+/**
+ * Remove a property and its `required` flag
+ */
+export function removeProperty(model: DataModel, entityName: string, name: string): DataModel {
+  const entity = model.entities[entityName];
+  if (!entity) return model;
+
+  const properties = { ...entity.properties };
+  delete properties[name];
+  return {
+    ...model,
+    entities: {
+      ...model.entities,
+      [entityName]: { ...entity, properties, required: (entity.required || []).filter((field) => field !== name) },
+    },
+  };
+}
+
+/**
+ * Add a relationship, or replace the one at `index`
+ */
+export function setRelationship(model: DataModel, index: number | null, relationship: Relationship): DataModel {
+  const relationships = [...(model.relationships || [])];
+  if (index === null) relationships.push(relationship);
+  else relationships[index] = relationship;
+  return { ...model, relationships };
+}
+
+/**
+ * Remove the relationship at `index`
+ */
+export function removeRelationship(model: DataModel, index: number): DataModel {
+  return { ...model, relationships: (model.relationships || []).filter((_, i) => i !== index) };
+}
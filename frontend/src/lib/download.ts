@@ -0,0 +1,20 @@
+/**
+ * Browser download helper
+ */
+
+/**
+ * Save a blob as a file through a temporary link
+ * 
+ * @param blob - File contents
+ * @param filename - Name offered in the save dialog
+ */
+export function downloadBlob(blob: Blob, filename: string): void {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
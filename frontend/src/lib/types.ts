@@ -2,35 +2,57 @@
  * TypeScript type definitions for the AI Scenario Builder
  */
 
-// Workflow step definition
+// Labelled outgoing edge of a workflow step
+export interface WorkflowBranch {
+  label: string;
+  to: number;
+}
+
+// Workflow step definition.
+// Outgoing edges come from `branches` when present, otherwise from `next`
+// (several ids = parallel fork, empty array = terminal step).
 export interface WorkflowStep {
   id: number;
   name: string;
   description: string;
   type: string;
+  next?: number[];
+  branches?: WorkflowBranch[];
+}
+
+// JSON Schema of an entity property (or of the items of an array property)
+export interface PropertySchema {
+  type: string;
+  description?: string;
+  format?: string;
+  enum?: (string | number)[];
+  items?: PropertySchema;
+  properties?: Record<string, PropertySchema>;
+  required?: string[];
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  default?: boolean;
 }
 
 // Data model entity
 export interface EntitySchema {
   type: string;
-  properties: Record<string, {
-    type: string;
-    description?: string;
-    format?: string;
-    enum?: string[];
-    items?: { type: string };
-    minimum?: number;
-    default?: boolean;
-  }>;
+  description?: string;
+  properties: Record<string, PropertySchema>;
   required?: string[];
 }
 
+// How many records on each side of a relationship
+export type Cardinality = 'one-to-one' | 'one-to-many' | 'many-to-one' | 'many-to-many';
+
 // Relationship between entities
 export interface Relationship {
   from: string;
   to: string;
-  type: 'one-to-one' | 'one-to-many' | 'many-to-many';
-  description: string;
+  type: Cardinality;
+  description?: string;
 }
 
 // Complete data model
@@ -42,19 +64,323 @@ export interface DataModel {
   relationships: Relationship[];
 }
 
+// Severity of a data model lint finding
+export type LintSeverity = 'error' | 'warning' | 'info';
+
+// Smell found in a data model, e.g. a reference field with no relationship
+export interface LintFinding {
+  severity: LintSeverity;
+  code: string;
+  entity?: string;
+  path: string;
+  message: string;
+}
+
+// Concern the workflow analyzer flags, e.g. a payment step with no error handling
+export interface AnalysisFinding extends LintFinding {
+  // Step the finding is about, when it is not about an entity
+  step?: number;
+}
+
+export type RiskLevel = 'low' | 'medium' | 'high';
+
+// Complexity metrics and risk findings of a scenario
+export interface AnalysisReport {
+  risk: RiskLevel;
+  metrics: {
+    step_count: number;
+    steps_by_type: Record<string, number>;
+    user_facing_steps: number;
+    system_steps: number;
+    // integration, notification and ai_process steps
+    external_touchpoints: number;
+    decision_points: number;
+    cyclomatic_complexity: number;
+  };
+  // Most severe first
+  findings: AnalysisFinding[];
+}
+
+// Generated scenario content
+export interface ScenarioData {
+  workflow: WorkflowStep[];
+  mermaid_diagram: string;
+  data_model: DataModel;
+  // Findings of the data model lint, errors first
+  data_model_lint?: LintFinding[];
+  analysis_report?: AnalysisReport;
+  summary: string;
+  diagrams?: Diagrams;
+  // Present on freshly generated scenarios
+  meta?: GenerationMeta;
+}
+
+// Mermaid diagrams derived from the workflow and data model
+export interface Diagrams {
+  flowchart: string;
+  er: string;
+  sequence: string;
+  // State diagram per entity with a status enum
+  state: Record<string, string>;
+}
+
+// Scenario type ranked by keyword score
+export interface TypeScore {
+  type: string;
+  score: number;
+  confidence: number;
+}
+
+// Tokens reported by a real AI provider
+export interface TokenUsage {
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+}
+
+// Fix the validator applied to the provider's answer
+export interface ValidationRepair {
+  path: string;
+  message: string;
+}
+
+// How a scenario was generated, for debugging and comparing providers
+export interface GenerationMeta {
+  requestId?: string;
+  provider: string;
+  model: string;
+  detectedType?: string;
+  detectedTypes?: string[];
+  classification?: TypeScore[];
+  // Milliseconds per stage
+  timings: {
+    ai: number;
+    schema: number;
+    diagram: number;
+    total: number;
+  };
+  usage?: TokenUsage;
+  repairs: ValidationRepair[];
+  generatedAt: string;
+}
+
+// What the provider reported before writing the workflow
+export interface StreamAnalysis {
+  provider: string;
+  model: string;
+  detectedType?: string;
+  detectedTypes?: string[];
+  classification?: TypeScore[];
+}
+
+// Event of a streamed generation (POST /api/scenario/stream)
+export type StreamEvent =
+  | { event: 'analysis'; data: StreamAnalysis }
+  | { event: 'step'; data: { index: number; step: WorkflowStep; mermaid_diagram?: string } }
+  | { event: 'diagram'; data: { mermaid_diagram: string; diagrams: Diagrams } }
+  | { event: 'data_model'; data: { data_model: DataModel; data_model_lint: LintFinding[] } }
+  | { event: 'summary'; data: { summary: string } }
+  | { event: 'done'; data: ScenarioData };
+
+// Scenario as far as a streamed generation has got
+export interface ScenarioDraft {
+  analysis?: StreamAnalysis;
+  workflow: WorkflowStep[];
+  mermaid_diagram?: string;
+  diagrams?: Diagrams;
+  data_model?: DataModel;
+  summary?: string;
+}
+
+// Result of refining a saved scenario with an instruction
+export interface RefineResult extends ScenarioData {
+  changes: string[];
+  id: string;
+  version: number;
+}
+
+// Scenario re-derived from a hand-edited workflow
+export interface DeriveResult extends ScenarioData {
+  // Fixes applied to the edited workflow, e.g. dropped edges to deleted steps
+  repairs: ValidationRepair[];
+}
+
+// Diagram formats that can be imported
+export type ImportFormat = 'mermaid' | 'bpmn';
+
+// Scenario built from an imported diagram
+export interface ImportResult extends ScenarioData {
+  title: string;
+  format: ImportFormat;
+}
+
+// File produced by an export
+export interface ExportedFile {
+  filename: string;
+  blob: Blob;
+}
+
 // Complete scenario response from API
 export interface ScenarioResponse {
   success: boolean;
-  data: {
-    workflow: WorkflowStep[];
-    mermaid_diagram: string;
-    data_model: DataModel;
-    summary: string;
+  data: ScenarioData;
+}
+
+// What produced a scenario version
+export type VersionSource = 'generate' | 'regenerate' | 'edit' | 'refine' | 'import';
+
+// One stored version of a scenario
+export interface ScenarioVersion extends ScenarioData {
+  version: number;
+  source: VersionSource;
+  created_at: string;
+}
+
+// Scenario stored in the library
+export interface SavedScenario extends ScenarioData {
+  id: string;
+  title: string;
+  description: string;
+  current_version: number;
+  versions: ScenarioVersion[];
+  created_at: string;
+  updated_at: string;
+}
+
+// Version history entry (without content)
+export interface VersionInfo {
+  version: number;
+  source: VersionSource;
+  created_at: string;
+  step_count: number;
+  entity_count: number;
+}
+
+// A step present in both versions whose content changed
+export interface StepChange {
+  before: WorkflowStep;
+  after: WorkflowStep;
+  fields: Array<'name' | 'description' | 'type' | 'edges'>;
+  edges: { before: string[]; after: string[] };
+}
+
+// An entity present in both versions whose properties changed
+export interface EntityChange {
+  entity: string;
+  properties_added: string[];
+  properties_removed: string[];
+  properties_changed: { property: string; before: unknown; after: unknown }[];
+}
+
+// Differences between two scenario versions
+export interface ScenarioDiff {
+  from: number;
+  to: number;
+  workflow: {
+    added: WorkflowStep[];
+    removed: WorkflowStep[];
+    changed: StepChange[];
+    unchanged: number;
+  };
+  data_model: {
+    entities: { added: string[]; removed: string[]; changed: EntityChange[] };
+    relationships: {
+      added: Relationship[];
+      removed: Relationship[];
+      changed: { before: Relationship; after: Relationship }[];
+    };
   };
+  summary_changed: boolean;
+  stats: Record<string, number>;
+}
+
+// Library listing entry
+export interface ScenarioListItem {
+  id: string;
+  title: string;
+  description: string;
+  summary: string;
+  step_count: number;
+  version: number;
+  created_at: string;
+  updated_at: string;
+}
+
+// One page of library results
+export interface ScenarioList {
+  items: ScenarioListItem[];
+  page: number;
+  limit: number;
+  total: number;
+  total_pages: number;
+}
+
+// Branch taken at a decision during a simulated run
+export interface SimulationChoice {
+  step: number;
+  label?: string;
+  to: number;
+}
+
+// How a simulated run ended
+export type SimulationOutcome = 'completed' | 'step_limit' | 'awaiting_choice';
+
+// One simulated walk through the workflow
+export interface SimulationRun {
+  seed: number;
+  // Step ids in the order they ran
+  path: number[];
+  choices: SimulationChoice[];
+  outcome: SimulationOutcome;
+  // Decision an interactive run stopped at
+  pending?: { step: number; options: { label?: string; to: number }[] };
+}
+
+// Step named in a simulation report
+export interface SimulationStepRef {
+  id: number;
+  name: string;
+}
+
+// Result of POST /api/scenarios/:id/simulate
+export interface SimulationReport {
+  seed: number;
+  runs: number;
+  // The first run
+  run: SimulationRun;
+  outcomes: Record<SimulationOutcome, number>;
+  // Number of runs that visited each step
+  visits: { step: number; runs: number }[];
+  // Number of runs that took each decision branch
+  branches: (SimulationChoice & { runs: number })[];
+  unreachable: SimulationStepRef[];
+  dead_ends: (SimulationStepRef & { reason: string })[];
+  never_visited: SimulationStepRef[];
+}
+
+// Options of a simulation
+export interface SimulationOptions {
+  runs?: number;
+  seed?: number;
+  // Branch labels or target step ids taken at the first decisions
+  choices?: (string | number)[];
+  // Stop at the first decision without a scripted choice
+  interactive?: boolean;
+  // Workflow to simulate instead of the saved one
+  workflow?: WorkflowStep[];
+}
+
+// A single validation problem reported by the backend
+export interface ValidationProblem {
+  path: string;
+  message: string;
 }
 
 // API error response
 export interface ApiError {
   error: string;
   message: string;
+  details?: {
+    problems?: ValidationProblem[];
+  };
 }
@@ -0,0 +1,200 @@
+/**
+ * Workflow edit helpers
+ *
+ * Pure functions behind the workflow editor. They mirror the backend's
+ * graph helpers (backend/src/utils/workflowGraph.js): edges stay attached
+ * to the steps they connect, a new step is wired into the path, a removed
+ * step's predecessors are connected to its successors, and steps are
+ * renumbered 1..n afterwards.
+ */
+
+import { WorkflowStep } from './types';
+
+// Step types the backend understands (backend/src/utils/stepTypes.js)
+export const STEP_TYPES = [
+  'trigger',
+  'end',
+  'user_action',
+  'user_input',
+  'system_action',
+  'system_check',
+  'database_query',
+  'database_write',
+  'decision',
+  'conditional',
+  'notification',
+  'navigation',
+  'display',
+  'logging',
+  'integration',
+  'review',
+  'workflow_action',
+  'ai_process',
+  'data_operation',
+  'error_handling',
+  'parallel',
+  'join',
+];
+
+// Editable fields of a step
+export type StepFields = Pick<WorkflowStep, 'name' | 'description' | 'type'>;
+
+// Give every step an explicit `next`: the following step, or none for
+// steps with branches, end steps and the last step
+function normalize(workflow: WorkflowStep[]): WorkflowStep[] {
+  return workflow.map((step, index) => {
+    if (Array.isArray(step.next)) return { ...step };
+    const hasBranches = (step.branches?.length ?? 0) > 0;
+    const following = workflow[index + 1];
+    return { ...step, next: hasBranches || step.type === 'end' || !following ? [] : [following.id] };
+  });
+}
+
+// Rewrite ids in next/branches
+function remap(workflow: WorkflowStep[], map: (id: number) => number[]): WorkflowStep[] {
+  return workflow.map((step) => ({
+    ...step,
+    next: Array.from(new Set((step.next ?? []).flatMap(map))),
+    ...(step.branches
+      ? {
+          branches: step.branches.flatMap((branch) => {
+            // A branch points at one step: keep the first target, drop it when there is none
+            const [to] = map(branch.to);
+            return to === undefined ? [] : [{ ...branch, to }];
+          }),
+        }
+      : {}),
+  }));
+}
+
+// Renumber steps 1..n in array order
+function renumber(workflow: WorkflowStep[]): WorkflowStep[] {
+  const ids = new Map(workflow.map((step, index) => [step.id, index + 1]));
+  return remap(workflow, (id) => [ids.get(id) ?? id]).map((step, index) => ({ ...step, id: index + 1 }));
+}
+
+// Ids a step leads to
+function successors(step: WorkflowStep): number[] {
+  return step.branches && step.branches.length > 0 ? step.branches.map((branch) => branch.to) : step.next ?? [];
+}
+
+/**
+ * Change the name, description or type of a step
+ */
+export function updateStep(workflow: WorkflowStep[], id: number, fields: Partial<StepFields>): WorkflowStep[] {
+  return workflow.map((step) => (step.id === id ? { ...step, ...fields } : step));
+}
+
+/**
+ * Insert a step before or after another one. Inserting before a step
+ * redirects every edge into it; inserting after a step takes over its
+ * outgoing edges (the first branch of a decision).
+ */
+export function insertStep(
+  workflow: WorkflowStep[],
+  fields: StepFields,
+  position: { before: number } | { after: number }
+): WorkflowStep[] {
+  const graph = normalize(workflow);
+  const newId = Math.max(0, ...graph.map((step) => step.id)) + 1;
+
+  if ('before' in position) {
+    const index = graph.findIndex((step) => step.id === position.before);
+    if (index === -1) return workflow;
+    const updated = remap(graph, (id) => [id === position.before ? newId : id]);
+    updated.splice(index, 0, { ...fields, id: newId, next: [position.before] });
+    return renumber(updated);
+  }
+
+  const index = graph.findIndex((step) => step.id === position.after);
+  if (index === -1) return workflow;
+  const target = graph[index];
+  const hasBranches = (target.branches?.length ?? 0) > 0;
+  const inserted: WorkflowStep = {
+    ...fields,
+    id: newId,
+    next: hasBranches ? [target.branches![0].to] : [...(target.next ?? [])],
+  };
+  const updated = graph.map((step) => {
+    if (step.id !== target.id) return step;
+    return hasBranches
+      ? { ...step, branches: step.branches!.map((branch, i) => (i === 0 ? { ...branch, to: newId } : branch)) }
+      : { ...step, next: [newId] };
+  });
+  updated.splice(index + 1, 0, inserted);
+  return renumber(updated);
+}
+
+/**
+ * Remove a step, connecting its predecessors to its successors
+ */
+export function removeStep(workflow: WorkflowStep[], id: number): WorkflowStep[] {
+  const graph = normalize(workflow);
+  const removed = graph.find((step) => step.id === id);
+  if (!removed) return workflow;
+
+  const after = successors(removed).filter((to) => to !== id);
+  return renumber(remap(graph.filter((step) => step.id !== id), (to) => (to === id ? after : [to])));
+}
+
+/**
+ * Move a step one place up or down the path: it is taken out of the flow
+ * and put back in front of the previous step or behind the next one
+ */
+export function moveStep(workflow: WorkflowStep[], id: number, offset: -1 | 1): WorkflowStep[] {
+  const index = workflow.findIndex((step) => step.id === id);
+  const neighbourIndex = index + offset;
+  if (index === -1 || neighbourIndex < 0 || neighbourIndex >= workflow.length) return workflow;
+
+  const { name, description, type } = workflow[index];
+  const without = removeStep(workflow, id);
+  // After removal the previous step keeps its index and the next one moves up by one
+  return offset === -1
+    ? insertStep(without, { name, description, type }, { before: without[neighbourIndex].id })
+    : insertStep(without, { name, description, type }, { after: without[index].id });
+}
+
+/**
+ * Add an edge between two steps. A step with branches gets a new branch,
+ * any other step another `next` target (a parallel fork when it already
+ * had one).
+ */
+export function connectSteps(workflow: WorkflowStep[], from: number, to: number): WorkflowStep[] {
+  const graph = normalize(workflow);
+  const source = graph.find((step) => step.id === from);
+  if (!source || from === to || !graph.some((step) => step.id === to) || successors(source).includes(to)) {
+    return workflow;
+  }
+
+  return graph.map((step) => {
+    if (step.id !== from) return step;
+    return step.branches && step.branches.length > 0
+      ? { ...step, branches: [...step.branches, { label: `Option ${step.branches.length + 1}`, to }] }
+      : { ...step, next: [...(step.next ?? []), to] };
+  });
+}
+
+/**
+ * Remove the edges from one step to another
+ */
+export function disconnectSteps(workflow: WorkflowStep[], from: number, to: number): WorkflowStep[] {
+  return normalize(workflow).map((step) => {
+    if (step.id !== from) return step;
+    return {
+      ...step,
+      next: (step.next ?? []).filter((id) => id !== to),
+      ...(step.branches ? { branches: step.branches.filter((branch) => branch.to !== to) } : {}),
+    };
+  });
+}
+
+/**
+ * Steps a step leads to, with the branch label when there is one
+ */
+export function getTargets(workflow: WorkflowStep[], id: number): { to: number; label?: string }[] {
+  const step = normalize(workflow).find((candidate) => candidate.id === id);
+  if (!step) return [];
+  return step.branches && step.branches.length > 0
+    ? step.branches.map(({ to, label }) => ({ to, label }))
+    : (step.next ?? []).map((to) => ({ to }));
+}